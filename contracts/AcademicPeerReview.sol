@@ -1,135 +1,276 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
+import "./AcademicPeerReviewBase.sol";
+
 /**
  * @title AcademicPeerReview
  * @dev Privacy-preserving academic peer review system using FHE
- * @notice Allows anonymous voting and scoring for academic papers
+ * @notice Allows anonymous voting and scoring for academic papers. Rebuttals, review forms
+ *         and decisions are served by AcademicPeerReviewExtension at this address, and blind
+ *         submissions, withdrawals, triage, revisions and paper listings by
+ *         AcademicPeerReviewSubmissions behind it, and reviewer reputation by
+ *         AcademicPeerReviewReputation behind that
  */
-contract AcademicPeerReview {
+contract AcademicPeerReview is AcademicPeerReviewBase {
+    
+    // Implements the rest of the interface; calls to functions not defined here are
+    // delegated to it and run on this contract's storage
+    address public immutable extension;
     
-    address public owner;
+    /**
+     * @param _extension Deployed AcademicPeerReviewExtension
+     */
+    constructor(address _extension) {
+        require(_extension != address(0), "Invalid extension");
+        extension = _extension;
+        _grantRole(ADMIN_ROLE, msg.sender);
+        strictAssignment = true;
+        fallbackQuorum = MIN_REVIEWERS - 1;
+    }
     
-    modifier onlyOwner() {
-        require(msg.sender == owner, "Not the owner");
-        _;
+    /**
+     * @dev Grant a role to an account
+     * @notice Admins manage every role; program chairs manage area chairs and reviewers
+     * @param role Role identifier, e.g. AREA_CHAIR_ROLE
+     * @param account Account receiving the role
+     */
+    function grantRole(bytes32 role, address account) external {
+        require(canManageRole(role, msg.sender), "Not authorized to manage role");
+        require(account != address(0), "Invalid account");
+        _grantRole(role, account);
     }
     
-    modifier nonReentrant() {
-        _;
+    /**
+     * @dev Revoke a role from an account
+     * @param role Role identifier
+     * @param account Account losing the role
+     */
+    function revokeRole(bytes32 role, address account) external {
+        require(canManageRole(role, msg.sender), "Not authorized to manage role");
+        // Keeps at least one admin able to manage the system
+        require(role != ADMIN_ROLE || account != msg.sender, "Cannot revoke own admin role");
+        _revokeRole(role, account);
     }
     
-    // Paper status enumeration
-    enum PaperStatus {
-        Submitted,
-        UnderReview, 
-        Accepted,
-        Rejected,
-        Withdrawn
+    /**
+     * @dev Check whether an account holds a role
+     * @param role Role identifier
+     * @param account Account to check
+     * @return True if the account holds the role
+     */
+    function hasRole(bytes32 role, address account) public view returns (bool) {
+        return roles[role][account];
     }
     
-    // Review score range
-    uint256 public constant MIN_SCORE = 1;
-    uint256 public constant MAX_SCORE = 10;
+    /**
+     * @dev Check whether an account may grant and revoke a role
+     * @param role Role identifier
+     * @param account Account to check
+     * @return True if the account manages the role
+     */
+    function canManageRole(bytes32 role, address account) public view returns (bool) {
+        if (
+            role != ADMIN_ROLE &&
+            role != PROGRAM_CHAIR_ROLE &&
+            role != AREA_CHAIR_ROLE &&
+            role != REVIEWER_ROLE &&
+            role != AUTHOR_ROLE
+        ) {
+            return false;
+        }
+        if (roles[ADMIN_ROLE][account]) {
+            return true;
+        }
+        return roles[PROGRAM_CHAIR_ROLE][account] && (role == AREA_CHAIR_ROLE || role == REVIEWER_ROLE);
+    }
     
-    // Paper structure
-    struct Paper {
-        uint256 paperId;
-        address author;
-        string title;
-        string abstractText;
-        string ipfsHash;
-        PaperStatus status;
-        uint256 submissionTime;
-        uint256 reviewDeadline;
-        bytes32[] encryptedScores;
-        bytes32 aggregatedScore;
-        uint256 reviewerCount;
-        bool isFinalized;
+    /**
+     * @dev Get every role held by an account
+     * @param account Account to check
+     */
+    function getRoles(address account) external view returns (
+        bool isAdmin,
+        bool isProgramChair,
+        bool isAreaChair,
+        bool isReviewer,
+        bool isAuthor
+    ) {
+        return (
+            roles[ADMIN_ROLE][account],
+            roles[PROGRAM_CHAIR_ROLE][account],
+            roles[AREA_CHAIR_ROLE][account],
+            roles[REVIEWER_ROLE][account],
+            roles[AUTHOR_ROLE][account]
+        );
     }
     
-    // Reviewer structure
-    struct Reviewer {
-        address reviewerAddress;
-        bool isVerified;
-        uint256 reputation;
-        string expertise;
-        uint256 reviewsCompleted;
+    function _revokeRole(bytes32 role, address account) internal {
+        if (!roles[role][account]) return;
+        if (role == REVIEWER_ROLE) {
+            reviewers[account].isVerified = false;
+        }
+        roles[role][account] = false;
+        
+        emit RoleRevoked(role, account, msg.sender);
     }
     
-    // Review structure
-    struct Review {
-        uint256 paperId;
-        address reviewer;
-        bytes32 encryptedScore;
-        bytes32 encryptedComments;
-        uint256 timestamp;
-        bool isSubmitted;
+    /**
+     * @dev Toggle strict reviewer assignment (admin only)
+     * @param enabled True to require assignment before review
+     */
+    function setStrictAssignment(bool enabled) external onlyRole(ADMIN_ROLE) {
+        strictAssignment = enabled;
+        
+        emit AssignmentModeChanged(enabled);
+    }
+    
+    /**
+     * @dev Set the reviews needed to finalize after the deadline (admin only)
+     * @param quorum Minimum submitted reviews, or 0 to require the full quorum
+     */
+    function setFallbackQuorum(uint256 quorum) external onlyRole(ADMIN_ROLE) {
+        require(quorum <= MIN_REVIEWERS, "Fallback exceeds minimum reviewers");
+        fallbackQuorum = quorum;
+        
+        emit FallbackQuorumChanged(quorum);
+    }
+    
+    /**
+     * @dev Create a venue with its own chairs and review settings (admin only)
+     * @notice Zero review period, score scale or threshold fall back to the defaults
+     * @param name Venue name
+     * @param chairs Initial venue chairs
+     * @param submissionDeadline Last submission timestamp, or 0 for rolling submissions
+     * @param reviewPeriod Time reviewers have after submission
+     * @param minScore Lowest review score
+     * @param maxScore Highest review score
+     * @param acceptanceThreshold Minimum average score to accept, scaled by SCORE_PRECISION
+     * @return venueId The assigned venue ID
+     */
+    function createVenue(
+        string memory name,
+        address[] memory chairs,
+        uint256 submissionDeadline,
+        uint256 reviewPeriod,
+        uint256 minScore,
+        uint256 maxScore,
+        uint256 acceptanceThreshold
+    ) external onlyRole(ADMIN_ROLE) returns (uint256 venueId) {
+        require(bytes(name).length > 0, "Venue name required");
+        require(chairs.length > 0, "Venue chair required");
+        require(submissionDeadline == 0 || submissionDeadline > block.timestamp, "Invalid submission deadline");
+        
+        if (reviewPeriod == 0) reviewPeriod = REVIEW_PERIOD;
+        if (maxScore == 0) {
+            minScore = MIN_SCORE;
+            maxScore = MAX_SCORE;
+        }
+        if (acceptanceThreshold == 0) acceptanceThreshold = DEFAULT_ACCEPTANCE_THRESHOLD;
+        require(minScore > 0 && minScore < maxScore && maxScore <= type(uint8).max, "Invalid score scale");
+        require(
+            acceptanceThreshold >= minScore * SCORE_PRECISION && acceptanceThreshold <= maxScore * SCORE_PRECISION,
+            "Invalid acceptance threshold"
+        );
+        
+        venueCount++;
+        venueId = venueCount;
+        
+        Venue storage venue = venues[venueId];
+        venue.venueId = venueId;
+        venue.name = name;
+        venue.submissionDeadline = submissionDeadline;
+        venue.reviewPeriod = reviewPeriod;
+        venue.minScore = minScore;
+        venue.maxScore = maxScore;
+        venue.acceptanceThreshold = acceptanceThreshold;
+        venue.isActive = true;
+        
+        emit VenueCreated(venueId, name);
+        
+        for (uint256 i = 0; i < chairs.length; i++) {
+            _addVenueChair(venueId, chairs[i]);
+        }
+        return venueId;
     }
     
-    // Storage
-    mapping(uint256 => Paper) public papers;
-    mapping(address => Reviewer) public reviewers;
-    mapping(uint256 => mapping(address => Review)) public reviews;
-    mapping(uint256 => address[]) public paperReviewers;
-    mapping(address => uint256[]) public reviewerPapers;
+    /**
+     * @dev Add a chair to a venue (venue chairs only)
+     * @param venueId Venue ID
+     * @param chair Address of the new chair
+     */
+    function addVenueChair(uint256 venueId, address chair) external onlyVenueChair(venueId) {
+        _addVenueChair(venueId, chair);
+    }
     
-    uint256 public paperCount;
-    uint256 public constant REVIEW_PERIOD = 30 days;
-    uint256 public constant MIN_REVIEWERS = 3;
+    /**
+     * @dev Open or close a venue for submissions (venue chairs only)
+     * @param venueId Venue ID
+     * @param isActive True to accept submissions
+     */
+    function setVenueActive(uint256 venueId, bool isActive) external onlyVenueChair(venueId) {
+        venues[venueId].isActive = isActive;
+        
+        emit VenueStatusChanged(venueId, isActive);
+    }
     
-    // Events
-    event PaperSubmitted(uint256 indexed paperId, address indexed author, string title);
-    event ReviewerAssigned(uint256 indexed paperId, address indexed reviewer);
-    event ReviewSubmitted(uint256 indexed paperId, address indexed reviewer);
-    event PaperStatusChanged(uint256 indexed paperId, PaperStatus newStatus);
-    event ReviewerVerified(address indexed reviewer, string expertise);
-    event ScoreRevealed(uint256 indexed paperId, uint256 averageScore);
+    /**
+     * @dev Add registered reviewers to a venue's reviewer pool (venue chairs only)
+     * @param venueId Venue ID
+     * @param reviewerAddresses Reviewers to add
+     */
+    function addVenueReviewers(
+        uint256 venueId,
+        address[] memory reviewerAddresses
+    ) external onlyVenueChair(venueId) {
+        for (uint256 i = 0; i < reviewerAddresses.length; i++) {
+            address reviewer = reviewerAddresses[i];
+            require(reviewers[reviewer].reviewerAddress != address(0), "Reviewer not registered");
+            
+            if (!venueReviewers[venueId][reviewer]) {
+                venueReviewers[venueId][reviewer] = true;
+                emit VenueReviewerAdded(venueId, reviewer);
+            }
+        }
+    }
     
-    constructor() {
-        owner = msg.sender;
+    function _addVenueChair(uint256 venueId, address chair) internal {
+        require(chair != address(0), "Invalid chair");
+        require(!venueChairs[venueId][chair], "Already a venue chair");
+        
+        venueChairs[venueId][chair] = true;
+        venues[venueId].chairs.push(chair);
+        _grantRole(PROGRAM_CHAIR_ROLE, chair);
+        
+        emit VenueChairAdded(venueId, chair);
     }
     
     /**
      * @dev Submit a paper for review
+     * @notice Double-blind venues take submitBlindPaper instead
+     * @param venueId Venue the paper is submitted to
      * @param title Paper title
      * @param abstractText Paper abstract
      * @param ipfsHash IPFS hash of full paper
+     * @param conflictedAddresses Addresses that must not review the paper (co-authors, colleagues)
+     * @param conflictedInstitutions Institutions whose reviewers must not review the paper
      * @return paperId The assigned paper ID
      */
     function submitPaper(
+        uint256 venueId,
         string memory title,
         string memory abstractText,
-        string memory ipfsHash
+        string memory ipfsHash,
+        address[] memory conflictedAddresses,
+        string[] memory conflictedInstitutions
     ) external returns (uint256 paperId) {
-        require(bytes(title).length > 0, "Title required");
-        require(bytes(abstractText).length > 0, "Abstract required");
-        require(bytes(ipfsHash).length > 0, "IPFS hash required");
-        
-        paperCount++;
-        paperId = paperCount;
-        
-        papers[paperId] = Paper({
-            paperId: paperId,
-            author: msg.sender,
-            title: title,
-            abstractText: abstractText,
-            ipfsHash: ipfsHash,
-            status: PaperStatus.UnderReview, // Auto-assign to Under Review for demo
-            submissionTime: block.timestamp,
-            reviewDeadline: block.timestamp + REVIEW_PERIOD,
-            encryptedScores: new bytes32[](0),
-            aggregatedScore: bytes32(0),
-            reviewerCount: 3, // Set minimum reviewers needed
-            isFinalized: false
-        });
-        
-        emit PaperSubmitted(paperId, msg.sender, title);
-        return paperId;
+        require(!venueDoubleBlind[venueId], "Venue is double-blind");
+        return _createPaper(venueId, msg.sender, title, abstractText, ipfsHash, conflictedAddresses, conflictedInstitutions);
     }
     
     /**
      * @dev Register as a reviewer
+     * @notice Reviewers stay unverified until a program or area chair approves them
      * @param expertise Reviewer's area of expertise
      */
     function registerReviewer(string memory expertise) external {
@@ -138,35 +279,41 @@ contract AcademicPeerReview {
         
         reviewers[msg.sender] = Reviewer({
             reviewerAddress: msg.sender,
-            isVerified: true, // Auto-verify for demo purposes
-            reputation: 100, // Start with some reputation
+            isVerified: false,
+            reputation: ReviewerReputation.INITIAL_REPUTATION,
             expertise: expertise,
             reviewsCompleted: 0
         });
+        registeredReviewers.push(msg.sender);
         
-        emit ReviewerVerified(msg.sender, expertise);
+        emit ReviewerRegistered(msg.sender, expertise);
     }
     
     /**
-     * @dev Verify a reviewer (owner only)
+     * @dev Approve a registered reviewer and grant the reviewer role (program or area chairs only)
      * @param reviewer Reviewer address to verify
      */
-    function verifyReviewer(address reviewer) external onlyOwner {
+    function verifyReviewer(address reviewer) external onlyChair {
         require(reviewers[reviewer].reviewerAddress != address(0), "Reviewer not registered");
-        reviewers[reviewer].isVerified = true;
+        require(!reviewers[reviewer].isVerified, "Reviewer already verified");
+        _grantRole(REVIEWER_ROLE, reviewer);
         
         emit ReviewerVerified(reviewer, reviewers[reviewer].expertise);
     }
     
     /**
-     * @dev Assign reviewers to a paper (owner only)
+     * @dev Assign reviewers from the venue's pool to a paper (venue chairs and area chairs only)
      * @param paperId Paper ID
      * @param reviewerAddresses Array of reviewer addresses
      */
     function assignReviewers(
         uint256 paperId, 
         address[] memory reviewerAddresses
-    ) external onlyOwner {
+    ) external {
+        require(
+            _isVenueChair(papers[paperId].venueId, msg.sender) || roles[AREA_CHAIR_ROLE][msg.sender],
+            "Not a venue chair"
+        );
         require(papers[paperId].paperId != 0, "Paper does not exist");
         require(papers[paperId].status == PaperStatus.Submitted, "Paper not in submitted status");
         require(reviewerAddresses.length >= MIN_REVIEWERS, "Insufficient reviewers");
@@ -174,105 +321,238 @@ contract AcademicPeerReview {
         for (uint256 i = 0; i < reviewerAddresses.length; i++) {
             address reviewer = reviewerAddresses[i];
             require(reviewers[reviewer].isVerified, "Reviewer not verified");
+            require(venueReviewers[papers[paperId].venueId][reviewer], "Reviewer not in venue pool");
+            require(!isAssignedReviewer(paperId, reviewer), "Reviewer already assigned");
+            require(
+                !venueAnonymousReviews[papers[paperId].venueId] || reviewerRingKeys[reviewer].x != 0,
+                "Reviewer has no ring key"
+            );
+            _requireNoConflict(paperId, reviewer);
             
             paperReviewers[paperId].push(reviewer);
             reviewerPapers[reviewer].push(paperId);
+            reviewerAssignedAt[paperId][reviewer] = block.timestamp;
             
             emit ReviewerAssigned(paperId, reviewer);
         }
         
-        papers[paperId].status = PaperStatus.UnderReview;
-        papers[paperId].reviewerCount = reviewerAddresses.length;
+        // Assigning reviewers sends papers the editors have not screened to review
+        if (paperTriage[paperId] == TriageDecision.Pending) {
+            paperTriage[paperId] = TriageDecision.SentToReview;
+            emit PaperTriaged(paperId, msg.sender, TriageDecision.SentToReview, bytes32(0));
+        }
         
-        emit PaperStatusChanged(paperId, PaperStatus.UnderReview);
+        papers[paperId].reviewerCount = reviewerAddresses.length;
+        _setStatus(paperId, PaperStatus.UnderReview);
     }
     
     /**
-     * @dev Submit a review with encrypted score
+     * @dev Submit a review as a sealed score commitment
+     * @notice The score stays hidden until the reviewer reveals it after the review deadline.
+     *         Anonymous-review venues only take reviews from the paper's registered pseudonyms,
+     *         which earn their reviewers no reputation
      * @param paperId Paper ID
-     * @param score Review score (1-10)
-     * @param inputProof Proof for the encrypted input  
-     * @param comments Review comments
+     * @param scoreCommitment keccak256(paperId, reviewer, score, salt), see computeScoreCommitment
+     * @param commentsHash Content hash of the comments, encrypted client-side to the author and chairs
      */
     function submitReview(
         uint256 paperId,
-        uint8 score,
-        bytes32 inputProof,
-        string memory comments
+        bytes32 scoreCommitment,
+        bytes32 commentsHash
     ) external nonReentrant {
+        _submitReview(paperId, msg.sender, scoreCommitment, commentsHash);
+    }
+    
+    /**
+     * @dev Submit a review signed by the reviewer as EIP-712 typed data
+     * @notice Lets a relayer pay the gas, so reviewers and pseudonyms need no ETH. A signature
+     *         cannot be replayed, since each reviewer submits one review per paper
+     * @param paperId Paper ID
+     * @param reviewer Reviewer or pseudonym that signed the review
+     * @param scoreCommitment keccak256(paperId, reviewer, score, salt), see computeScoreCommitment
+     * @param commentsHash Content hash of the encrypted comments
+     * @param deadline Time after which the signature is no longer accepted
+     * @param v Signature recovery id
+     * @param r Signature r value
+     * @param s Signature s value
+     */
+    function submitReviewBySig(
+        uint256 paperId,
+        address reviewer,
+        bytes32 scoreCommitment,
+        bytes32 commentsHash,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant {
+        _requireSignature(
+            reviewer,
+            keccak256(abi.encode(REVIEW_TYPEHASH, paperId, reviewer, scoreCommitment, commentsHash, deadline)),
+            deadline,
+            v,
+            r,
+            s
+        );
+        
+        _submitReview(paperId, reviewer, scoreCommitment, commentsHash);
+    }
+    
+    /**
+     * @dev EIP-712 domain separator for signed reviews, reveals and score updates
+     * @return separator Hash of the "AcademicPeerReview" version "1" domain on this chain and contract
+     */
+    function domainSeparator() external view returns (bytes32 separator) {
+        return _domainSeparator();
+    }
+    
+    /**
+     * @dev Record a sealed review from a reviewer, or from a pseudonym on anonymous-review venues
+     */
+    function _submitReview(
+        uint256 paperId,
+        address reviewer,
+        bytes32 scoreCommitment,
+        bytes32 commentsHash
+    ) internal {
         require(papers[paperId].paperId != 0, "Paper does not exist");
         require(papers[paperId].status == PaperStatus.UnderReview, "Paper not under review");
-        require(block.timestamp <= papers[paperId].reviewDeadline, "Review period ended");
-        // For demo purposes, allow any verified reviewer to review any paper
-        require(reviewers[msg.sender].isVerified, "Reviewer not verified");
-        require(!reviews[paperId][msg.sender].isSubmitted, "Review already submitted");
-        require(score >= MIN_SCORE && score <= MAX_SCORE, "Invalid score");
-        
-        // Simple encryption - hash the score with proof and timestamp
-        bytes32 encryptedScore = keccak256(abi.encodePacked(score, inputProof, block.timestamp));
-        
-        // Encrypt comments (simplified hash)
-        bytes32 encryptedComments = keccak256(abi.encodePacked(comments, msg.sender, block.timestamp));
+        require(block.timestamp <= _reviewDeadlineOf(paperId, reviewer), "Review period ended");
+        bool isPseudonym = venueAnonymousReviews[papers[paperId].venueId];
+        if (isPseudonym) {
+            // Assignment and conflicts were checked for the reviewer behind the pseudonym
+            require(paperPseudonyms[paperId][reviewer], "Not a registered pseudonym");
+        } else {
+            require(reviewers[reviewer].isVerified, "Reviewer not verified");
+            require(venueReviewers[papers[paperId].venueId][reviewer], "Reviewer not in venue pool");
+            require(!strictAssignment || isAssignedReviewer(paperId, reviewer), "Not assigned to this paper");
+            _requireNoConflict(paperId, reviewer);
+        }
+        require(!reviews[paperId][reviewer].isSubmitted, "Review already submitted");
+        require(scoreCommitment != bytes32(0), "Score commitment required");
+        require(commentsHash != bytes32(0), "Comments hash required");
         
-        reviews[paperId][msg.sender] = Review({
+        reviews[paperId][reviewer] = Review({
             paperId: paperId,
-            reviewer: msg.sender,
-            encryptedScore: encryptedScore,
-            encryptedComments: encryptedComments,
+            reviewer: reviewer,
+            scoreCommitment: scoreCommitment,
+            commentsHash: commentsHash,
             timestamp: block.timestamp,
-            isSubmitted: true
+            isSubmitted: true,
+            isRevealed: false,
+            round: 1,
+            score: 0
         });
         
-        papers[paperId].encryptedScores.push(encryptedScore);
-        reviewers[msg.sender].reviewsCompleted++;
-        reviewers[msg.sender].reputation += 10; // Increase reputation
+        papers[paperId].scoreCommitments.push(scoreCommitment);
+        paperCommentHashes[paperId].push(commentsHash);
+        // Reputation is earned once the paper is decided, see settleReputation
+        if (!isPseudonym) {
+            reviewers[reviewer].reviewsCompleted++;
+        }
         
-        emit ReviewSubmitted(paperId, msg.sender);
+        emit ReviewSubmitted(paperId, reviewer);
         
-        // Check if we have enough reviews to finalize (for demo: just need 1 review)
-        if (papers[paperId].encryptedScores.length >= 1) {
+        // Finalize as soon as every assigned reviewer has submitted
+        if (papers[paperId].scoreCommitments.length >= papers[paperId].reviewerCount) {
             _finalizeReviews(paperId);
         }
     }
     
     /**
-     * @dev Finalize reviews and compute aggregated score
+     * @dev Finalize a paper that missed its quorum once the review deadline has passed
+     * @notice Succeeds only if at least fallbackQuorum reviews were submitted
      * @param paperId Paper ID
      */
-    function _finalizeReviews(uint256 paperId) internal {
-        require(papers[paperId].encryptedScores.length >= 1, "Not enough reviews"); // Changed from MIN_REVIEWERS to 1 for demo
-        
-        // Simple aggregation - XOR all encrypted scores
-        bytes32 aggregatedScore = papers[paperId].encryptedScores[0];
-        
-        for (uint256 i = 1; i < papers[paperId].encryptedScores.length; i++) {
-            aggregatedScore = keccak256(abi.encodePacked(aggregatedScore, papers[paperId].encryptedScores[i]));
-        }
+    function finalizeAfterDeadline(uint256 paperId) external {
+        Paper storage paper = papers[paperId];
+        require(paper.paperId != 0, "Paper does not exist");
+        require(paper.status == PaperStatus.UnderReview, "Paper not under review");
+        require(!paper.isFinalized, "Reviews already finalized");
+        require(block.timestamp > _sealedUntil(paperId), "Review period not ended");
+        require(fallbackQuorum > 0, "Fallback disabled");
+        require(paper.scoreCommitments.length >= fallbackQuorum, "Not enough reviews");
         
-        papers[paperId].aggregatedScore = aggregatedScore;
-        papers[paperId].isFinalized = true;
+        _finalizeReviews(paperId);
     }
     
     /**
-     * @dev Request score revelation (simplified version)
+     * @dev Reveal a previously committed score once its commitment period is over
+     * @notice First-round scores are revealed after the review deadline, updated scores
+     *         after the rebuttal's score update deadline; each has REVEAL_PERIOD to do so.
+     *         Venues with a review form reveal with revealReviewScores instead
      * @param paperId Paper ID
+     * @param score Review score on the venue's scale used in the commitment
+     * @param salt Secret salt used in the commitment
      */
-    function requestScoreReveal(uint256 paperId) external {
-        require(papers[paperId].isFinalized, "Reviews not finalized");
-        require(msg.sender == owner || msg.sender == papers[paperId].author, "Not authorized");
-        
-        // Simplified score revelation - generate a simulated average score
-        uint256 pseudoRandomScore = (uint256(papers[paperId].aggregatedScore) % 4) + 7; // 7-10 range
+    function revealReviewScore(uint256 paperId, uint8 score, bytes32 salt) external {
+        _revealReviewScore(paperId, msg.sender, score, salt);
+    }
+    
+    /**
+     * @dev Compute the commitment a reviewer must submit for a score
+     * @param paperId Paper ID
+     * @param reviewer Reviewer address
+     * @param score Review score on the venue's scale
+     * @param salt Secret salt chosen by the reviewer
+     * @return commitment Score commitment
+     */
+    function computeScoreCommitment(
+        uint256 paperId,
+        address reviewer,
+        uint8 score,
+        bytes32 salt
+    ) public pure returns (bytes32 commitment) {
+        return keccak256(abi.encodePacked(paperId, reviewer, score, salt));
+    }
+    
+    /**
+     * @dev Mark a paper's review set as complete
+     * @param paperId Paper ID
+     */
+    function _finalizeReviews(uint256 paperId) internal {
+        papers[paperId].isFinalized = true;
         
-        // Update paper status based on average score
-        if (pseudoRandomScore >= 7) {
-            papers[paperId].status = PaperStatus.Accepted;
-        } else {
-            papers[paperId].status = PaperStatus.Rejected;
-        }
+        emit ReviewsFinalized(paperId, papers[paperId].scoreCommitments.length);
+    }
+    
+    /**
+     * @dev Get review progress towards the quorum
+     * @param paperId Paper ID
+     * @return submitted Number of submitted reviews
+     * @return required Number of reviews needed to finalize
+     */
+    function getReviewProgress(uint256 paperId) external view returns (uint256 submitted, uint256 required) {
+        require(papers[paperId].paperId != 0, "Paper does not exist");
         
-        emit ScoreRevealed(paperId, pseudoRandomScore);
-        emit PaperStatusChanged(paperId, papers[paperId].status);
+        submitted = papers[paperId].scoreCommitments.length;
+        // Papers still waiting for assignment need at least the minimum panel
+        required = papers[paperId].reviewerCount > 0 ? papers[paperId].reviewerCount : MIN_REVIEWERS;
+    }
+    
+    /**
+     * @dev Get the content hashes of a paper's encrypted review comments
+     * @notice Released for the rebuttal or with the decision; the comments are only readable with the recipients' keys
+     * @param paperId Paper ID
+     * @return commentHashes Content hashes in submission order
+     */
+    function getReviewComments(uint256 paperId) external view returns (bytes32[] memory commentHashes) {
+        require(papers[paperId].paperId != 0, "Paper does not exist");
+        require(
+            _isDecided(papers[paperId].status) || rebuttals[paperId].rebuttalDeadline != 0,
+            "Decision pending"
+        );
+        return paperCommentHashes[paperId];
+    }
+    
+    /**
+     * @dev Explain why a reviewer has a conflict of interest with a paper
+     * @param paperId Paper ID
+     * @param reviewer Reviewer address
+     * @return reason Revert reason for the conflict, or an empty string if there is none
+     */
+    function getConflictReason(uint256 paperId, address reviewer) external view returns (string memory reason) {
+        return _conflictReason(paperId, reviewer);
     }
     
     /**
@@ -282,13 +562,7 @@ contract AcademicPeerReview {
      * @return isAssigned True if reviewer is assigned
      */
     function isAssignedReviewer(uint256 paperId, address reviewer) public view returns (bool isAssigned) {
-        address[] memory assignedReviewers = paperReviewers[paperId];
-        for (uint256 i = 0; i < assignedReviewers.length; i++) {
-            if (assignedReviewers[i] == reviewer) {
-                return true;
-            }
-        }
-        return false;
+        return _panelIndex(paperId, reviewer) < paperReviewers[paperId].length;
     }
     
     /**
@@ -302,71 +576,30 @@ contract AcademicPeerReview {
     }
     
     /**
-     * @dev Get papers by author
-     * @param author Author address
-     * @return paperIds Array of paper IDs
-     */
-    function getPapersByAuthor(address author) external view returns (uint256[] memory paperIds) {
-        uint256 count = 0;
-        for (uint256 i = 1; i <= paperCount; i++) {
-            if (papers[i].author == author) {
-                count++;
-            }
-        }
-        
-        paperIds = new uint256[](count);
-        uint256 index = 0;
-        for (uint256 i = 1; i <= paperCount; i++) {
-            if (papers[i].author == author) {
-                paperIds[index] = i;
-                index++;
-            }
-        }
-        
-        return paperIds;
-    }
-    
-    /**
-     * @dev Get reviewer assignments
-     * @param reviewer Reviewer address
-     * @return assignedPapers Array of paper IDs assigned to reviewer
+     * @dev Get venue details
+     * @param venueId Venue ID
+     * @return venue Venue structure
      */
-    function getReviewerAssignments(address reviewer) external view returns (uint256[] memory assignedPapers) {
-        return reviewerPapers[reviewer];
+    function getVenue(uint256 venueId) external view returns (Venue memory venue) {
+        require(venues[venueId].venueId != 0, "Venue does not exist");
+        return venues[venueId];
     }
     
     /**
-     * @dev Get all papers with pagination
-     * @param offset Starting index
-     * @param limit Number of papers to return
-     * @return paperIds Array of paper IDs
+     * @dev Emergency withdraw function (admin only)
      */
-    function getAllPapers(uint256 offset, uint256 limit) external view returns (uint256[] memory paperIds) {
-        require(offset < paperCount, "Offset exceeds paper count");
-        
-        uint256 end = offset + limit;
-        if (end > paperCount) {
-            end = paperCount;
-        }
-        
-        uint256 length = end - offset;
-        paperIds = new uint256[](length);
-        
-        for (uint256 i = 0; i < length; i++) {
-            paperIds[i] = offset + i + 1;
-        }
+    function emergencyWithdraw() external onlyRole(ADMIN_ROLE) {
+        uint256 balance = address(this).balance;
+        require(balance > 0, "No funds to withdraw");
         
-        return paperIds;
+        (bool success, ) = payable(msg.sender).call{value: balance}("");
+        require(success, "Withdrawal failed");
     }
     
     /**
-     * @dev Emergency withdraw function (owner only)
+     * @dev Delegate every other call to the extension, bubbling up its result or revert
      */
-    function emergencyWithdraw() external onlyOwner {
-        uint256 balance = address(this).balance;
-        require(balance > 0, "No funds to withdraw");
-        
-        (bool success, ) = payable(owner).call{value: balance}("");
-        require(success, "Withdrawal failed");
+    fallback() external {
+        _delegate(extension);
     }
 }
\ No newline at end of file
@@ -0,0 +1,709 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./DecisionPolicy.sol";
+import "./RingSignature.sol";
+import "./ReviewerReputation.sol";
+
+/**
+ * @title AcademicPeerReviewBase
+ * @dev Storage, events, modifiers and internal helpers shared by the peer review contracts
+ * @notice AcademicPeerReview delegates part of its interface to AcademicPeerReviewExtension,
+ *         which passes calls on to the submissions and reputation contracts; all of them
+ *         inherit this contract so they agree on the storage layout
+ */
+abstract contract AcademicPeerReviewBase {
+    
+    // Roles: admins manage the system, program chairs run venues, area chairs
+    // assign and verify reviewers, reviewers are verified to review, authors have submitted
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+    bytes32 public constant PROGRAM_CHAIR_ROLE = keccak256("PROGRAM_CHAIR_ROLE");
+    bytes32 public constant AREA_CHAIR_ROLE = keccak256("AREA_CHAIR_ROLE");
+    bytes32 public constant REVIEWER_ROLE = keccak256("REVIEWER_ROLE");
+    bytes32 public constant AUTHOR_ROLE = keccak256("AUTHOR_ROLE");
+    
+    mapping(bytes32 => mapping(address => bool)) internal roles;
+    
+    // When enabled, papers wait in Submitted until a chair assigns reviewers,
+    // and only assigned reviewers may review them
+    bool public strictAssignment;
+    
+    // Minimum reviews that still allow finalization once the review deadline has passed
+    // without the full assigned quorum (0 disables the fallback)
+    uint256 public fallbackQuorum;
+    
+    modifier onlyRole(bytes32 role) {
+        require(roles[role][msg.sender], "Missing role");
+        _;
+    }
+    
+    modifier onlyChair() {
+        require(
+            roles[PROGRAM_CHAIR_ROLE][msg.sender] || roles[AREA_CHAIR_ROLE][msg.sender],
+            "Not a chair"
+        );
+        _;
+    }
+    
+    modifier onlyVenueChair(uint256 venueId) {
+        require(_isVenueChair(venueId, msg.sender), "Not a venue chair");
+        _;
+    }
+    
+    modifier nonReentrant() {
+        _;
+    }
+    
+    // Paper status enumeration; transitions are enforced by _setStatus
+    enum PaperStatus {
+        Submitted,
+        UnderReview, 
+        Accepted,
+        Rejected,
+        Withdrawn,
+        MajorRevision,
+        MinorRevision,
+        ConditionalAccept,
+        DeskReject
+    }
+    
+    // Editor screening of a new paper; assigning reviewers sends untriaged papers to review
+    enum TriageDecision {
+        Pending,
+        SentToReview,
+        DeskRejected,
+        OutOfScope
+    }
+    
+    // What a review form criterion measures; the recommendation decides the paper
+    enum CriterionKind {
+        Score,
+        Confidence,
+        Recommendation
+    }
+    
+    // Default review score range for new venues
+    uint256 public constant MIN_SCORE = 1;
+    uint256 public constant MAX_SCORE = 10;
+    
+    // Average scores are reported with two decimals (e.g. 833 = 8.33)
+    uint256 public constant SCORE_PRECISION = DecisionPolicy.SCORE_PRECISION;
+    uint256 public constant DEFAULT_ACCEPTANCE_THRESHOLD = 7 * SCORE_PRECISION;
+    
+    // Venue (conference track, workshop or journal) structure
+    struct Venue {
+        uint256 venueId;
+        string name;
+        address[] chairs;
+        uint256 submissionDeadline; // 0 for rolling submissions
+        uint256 reviewPeriod;
+        uint256 minScore;
+        uint256 maxScore;
+        uint256 acceptanceThreshold; // Scaled by SCORE_PRECISION
+        bool isActive;
+    }
+    
+    // Paper structure
+    struct Paper {
+        uint256 paperId;
+        uint256 venueId;
+        address author;
+        string title;
+        string abstractText;
+        string ipfsHash;
+        PaperStatus status;
+        uint256 submissionTime;
+        uint256 reviewDeadline;
+        bytes32[] scoreCommitments;
+        uint256 revealedScoreSum;
+        uint256 revealedCount;
+        uint256 averageScore;
+        uint256 reviewerCount;
+        bool isFinalized;
+    }
+    
+    // Reviewer structure
+    struct Reviewer {
+        address reviewerAddress;
+        bool isVerified;
+        uint256 reputation;
+        string expertise;
+        uint256 reviewsCompleted;
+    }
+    
+    // Review structure
+    struct Review {
+        uint256 paperId;
+        address reviewer;
+        bytes32 scoreCommitment;
+        bytes32 commentsHash; // sha256 of the encrypted comments in the content store
+        uint256 timestamp;
+        bool isSubmitted;
+        bool isRevealed;
+        uint8 round; // Review round of the current commitment
+        uint8 score; // Last revealed score, counted in the paper's revealed sum
+    }
+    
+    // One scored question of a venue's review form, e.g. novelty on a 1-5 scale
+    struct ReviewCriterion {
+        string name;
+        uint8 minScore;
+        uint8 maxScore;
+        CriterionKind kind;
+    }
+    
+    // Rebuttal phase of a paper: the author responds until rebuttalDeadline, then reviewers
+    // may commit updated scores until updateDeadline and reveal them for the second round
+    struct Rebuttal {
+        bytes32 contentHash; // sha256 of the encrypted response in the content store
+        uint256 rebuttalDeadline;
+        uint256 updateDeadline;
+        uint256 pendingUpdates; // Updated scores not yet revealed
+    }
+    
+    // Storage
+    mapping(uint256 => Venue) internal venues;
+    mapping(uint256 => mapping(address => bool)) public venueChairs;
+    mapping(uint256 => mapping(address => bool)) public venueReviewers;
+    mapping(uint256 => Paper) public papers;
+    mapping(address => Reviewer) public reviewers;
+    mapping(uint256 => mapping(address => Review)) public reviews;
+    mapping(uint256 => address[]) public paperReviewers;
+    mapping(address => uint256[]) public reviewerPapers;
+    mapping(uint256 => bytes32[]) internal paperCommentHashes;
+    mapping(uint256 => uint256) public venueRebuttalPeriods; // 0 disables the rebuttal round
+    mapping(uint256 => Rebuttal) internal rebuttals;
+    
+    // Review forms: venues without one are reviewed with a single score on the venue scale
+    mapping(uint256 => ReviewCriterion[]) internal venueReviewForms;
+    // Review forms and decision policies cannot change once a venue has submissions
+    mapping(uint256 => bool) public venueSettingsLocked;
+    mapping(uint256 => uint256[]) internal criterionScoreSums; // Indexed like the venue's form
+    mapping(uint256 => mapping(address => uint8[])) internal reviewCriterionScores;
+    
+    // Decision rules: venues default to the mean of the revealed scores
+    mapping(uint256 => DecisionPolicy.Settings) public venueDecisionPolicies;
+    mapping(uint256 => bool) public venueChairOverrides;
+    mapping(uint256 => address[]) internal revealedReviewers; // In first-round reveal order
+    mapping(uint256 => bytes32) public decisionOverrideReasons; // Set when a chair overrides a decision
+    
+    // Triage: desk rejections and out-of-scope papers record the content hash of the editor's reason
+    mapping(uint256 => TriageDecision) public paperTriage;
+    mapping(uint256 => bytes32) public triageReasons;
+    
+    // Double-blind venues store a commitment to the author's address instead of the address;
+    // Paper.author stays empty until the author proves authorship once the paper is decided.
+    // Blind papers also carry a per-paper encryption key of the author and a hidden conflict
+    // set of address hashes, which must include the author's own address
+    mapping(uint256 => bool) public venueDoubleBlind;
+    mapping(uint256 => bytes32) public authorCommitments;
+    mapping(uint256 => bytes) public blindAuthorKeys;
+    mapping(uint256 => mapping(bytes32 => bool)) internal hiddenConflicts;
+    
+    // Anonymous-review venues take reviews from per-paper pseudonyms instead of reviewer addresses.
+    // A pseudonym is registered with a ring signature by one of the paper's assigned reviewers,
+    // whose key image, hashed into a nullifier, allows one pseudonym per reviewer and paper
+    mapping(uint256 => bool) public venueAnonymousReviews;
+    mapping(address => RingSignature.Point) public reviewerRingKeys;
+    mapping(uint256 => mapping(address => bool)) public paperPseudonyms;
+    mapping(bytes32 => bool) public usedNullifiers;
+    mapping(address => uint256) public nonces; // Next nonce of a signer's relayed reveal or update
+    
+    // Reputation: settled once per decided paper and adjusted by its author's and chairs'
+    // helpfulness ratings; decay is applied lazily in whole periods since reputationUpdatedAt
+    address[] internal registeredReviewers;
+    mapping(uint256 => bool) public reputationSettled;
+    mapping(address => uint256) public reputationUpdatedAt;
+    mapping(address => ReviewerReputation.Change[]) internal reputationHistory;
+    mapping(uint256 => mapping(address => mapping(address => bool))) public reviewRatedBy;
+    
+    // Deadline extensions: reviewers' own deadlines, set when later than their paper's, and the
+    // latest of them per paper, which keeps every first-round score sealed until it has passed
+    mapping(uint256 => mapping(address => uint256)) public reviewerDeadlines;
+    mapping(uint256 => uint256) public latestReviewerDeadlines;
+    mapping(uint256 => mapping(address => uint256)) internal reviewerAssignedAt; // Start of their review window
+    
+    // Revision chains: each resubmission links back to the version it replaces
+    mapping(uint256 => uint256) public previousVersion;
+    mapping(uint256 => uint256) public nextVersion;
+    
+    // Conflict of interest declarations
+    mapping(uint256 => mapping(address => bool)) public paperConflicts;
+    mapping(uint256 => mapping(bytes32 => bool)) public paperInstitutionConflicts;
+    mapping(address => mapping(address => bool)) public reviewerConflicts;
+    mapping(address => string) public reviewerInstitutions;
+    
+    uint256 public venueCount;
+    uint256 public paperCount;
+    uint256 public constant REVIEW_PERIOD = 30 days;
+    uint256 public constant REVEAL_PERIOD = 7 days;
+    uint256 public constant SCORE_UPDATE_PERIOD = 7 days;
+    uint256 public constant MAX_REBUTTAL_PERIOD = 30 days;
+    uint256 public constant MIN_REVIEWERS = 3;
+    uint256 public constant MAX_CONFLICTS = 20;
+    uint256 public constant MAX_CRITERIA = 10;
+    
+    // EIP-712 types of a review, a score reveal and a score update signed for relayed submission,
+    // and the highest s value of a non-malleable secp256k1 signature. Reveals and updates carry
+    // the signer's nonce, since a reviewer may send several of them for the same paper
+    bytes32 public constant REVIEW_TYPEHASH = keccak256(
+        "Review(uint256 paperId,address reviewer,bytes32 scoreCommitment,bytes32 commentsHash,uint256 deadline)"
+    );
+    bytes32 public constant SCORE_REVEAL_TYPEHASH = keccak256(
+        "ScoreReveal(uint256 paperId,address reviewer,uint8[] scores,bytes32 salt,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 public constant SCORE_UPDATE_TYPEHASH = keccak256(
+        "ScoreUpdate(uint256 paperId,address reviewer,bytes32 scoreCommitment,uint256 nonce,uint256 deadline)"
+    );
+    uint256 internal constant MAX_SIGNATURE_S = 0x7fffffffffffffffffffffffffffffff5d576e7357a4501ddfe92f46681b20a0;
+    
+    // Events
+    event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender);
+    event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender);
+    event VenueCreated(uint256 indexed venueId, string name);
+    event VenueStatusChanged(uint256 indexed venueId, bool isActive);
+    event VenueChairAdded(uint256 indexed venueId, address indexed chair);
+    event VenueReviewerAdded(uint256 indexed venueId, address indexed reviewer);
+    event PaperSubmitted(uint256 indexed paperId, address indexed author, string title);
+    event ReviewerAssigned(uint256 indexed paperId, address indexed reviewer);
+    event ReviewSubmitted(uint256 indexed paperId, address indexed reviewer);
+    event ReviewScoreRevealed(uint256 indexed paperId, address indexed reviewer);
+    event PaperStatusChanged(uint256 indexed paperId, PaperStatus newStatus);
+    event ReviewerRegistered(address indexed reviewer, string expertise);
+    event ReviewerVerified(address indexed reviewer, string expertise);
+    event ScoreRevealed(uint256 indexed paperId, uint256 averageScore);
+    event AssignmentModeChanged(bool strictAssignment);
+    event FallbackQuorumChanged(uint256 fallbackQuorum);
+    event ReviewsFinalized(uint256 indexed paperId, uint256 reviewCount);
+    event PaperConflictsDeclared(uint256 indexed paperId, uint256 addressCount, uint256 institutionCount);
+    event ReviewerConflictsDeclared(address indexed reviewer, string institution, uint256 authorCount);
+    event PaperWithdrawn(uint256 indexed paperId, address indexed author);
+    event RebuttalPeriodChanged(uint256 indexed venueId, uint256 rebuttalPeriod);
+    event RebuttalOpened(uint256 indexed paperId, uint256 rebuttalDeadline, uint256 updateDeadline);
+    event RebuttalSubmitted(uint256 indexed paperId, bytes32 contentHash);
+    event ReviewScoreUpdated(uint256 indexed paperId, address indexed reviewer, uint8 round);
+    event PaperResubmitted(uint256 indexed paperId, uint256 indexed previousPaperId);
+    event ReviewFormChanged(uint256 indexed venueId, uint256 criterionCount);
+    event DecisionPolicyChanged(uint256 indexed venueId, DecisionPolicy.Rule rule, bool chairOverride);
+    event DecisionOverridden(uint256 indexed paperId, address indexed chair, PaperStatus newStatus, bytes32 reasonHash);
+    event DoubleBlindChanged(uint256 indexed venueId, bool doubleBlind);
+    event AuthorshipProven(uint256 indexed paperId, address indexed author);
+    event AnonymousReviewsChanged(uint256 indexed venueId, bool anonymousReviews);
+    event RingKeyRegistered(address indexed reviewer, uint256 x, uint256 y);
+    event PseudonymRegistered(uint256 indexed paperId, address indexed pseudonym, bytes32 nullifier);
+    event PaperTriaged(uint256 indexed paperId, address indexed editor, TriageDecision decision, bytes32 reasonHash);
+    event ReputationChanged(
+        address indexed reviewer,
+        uint256 indexed paperId,
+        ReviewerReputation.Reason reason,
+        int256 delta,
+        uint256 reputation
+    );
+    event ReviewRated(uint256 indexed paperId, address indexed reviewer, address indexed rater, uint8 rating);
+    event ReputationSettled(uint256 indexed paperId);
+    event ReviewDeadlineExtended(uint256 indexed paperId, address indexed reviewer, uint256 deadline);
+    event ReviewReassigned(
+        uint256 indexed paperId,
+        address indexed previousReviewer,
+        address indexed backupReviewer,
+        uint256 deadline
+    );
+    
+    function _grantRole(bytes32 role, address account) internal {
+        if (roles[role][account]) return;
+        if (role == REVIEWER_ROLE) {
+            require(reviewers[account].reviewerAddress != address(0), "Reviewer not registered");
+            reviewers[account].isVerified = true;
+        }
+        roles[role][account] = true;
+        
+        emit RoleGranted(role, account, msg.sender);
+    }
+    
+    // Revoking the program chair role removes the account from every venue it chairs
+    function _isVenueChair(uint256 venueId, address account) internal view returns (bool) {
+        return venueChairs[venueId][account] && roles[PROGRAM_CHAIR_ROLE][account];
+    }
+    
+    /**
+     * @dev Create a paper in a venue and record its conflicts
+     * @param author Author address, or zero for a blind submission
+     * @return paperId The assigned paper ID
+     */
+    function _createPaper(
+        uint256 venueId,
+        address author,
+        string memory title,
+        string memory abstractText,
+        string memory ipfsHash,
+        address[] memory conflictedAddresses,
+        string[] memory conflictedInstitutions
+    ) internal returns (uint256 paperId) {
+        Venue storage venue = venues[venueId];
+        require(venue.venueId != 0, "Venue does not exist");
+        require(venue.isActive, "Venue not accepting submissions");
+        require(
+            venue.submissionDeadline == 0 || block.timestamp <= venue.submissionDeadline,
+            "Submission deadline passed"
+        );
+        require(bytes(title).length > 0, "Title required");
+        require(bytes(abstractText).length > 0, "Abstract required");
+        require(bytes(ipfsHash).length > 0, "IPFS hash required");
+        require(
+            conflictedAddresses.length + conflictedInstitutions.length <= MAX_CONFLICTS,
+            "Too many conflicts"
+        );
+        
+        // Reviews are committed against the form and decided by the policy, so neither changes once papers arrive
+        if (!venueSettingsLocked[venueId]) {
+            venueSettingsLocked[venueId] = true;
+        }
+        
+        paperCount++;
+        paperId = paperCount;
+        
+        papers[paperId] = Paper({
+            paperId: paperId,
+            venueId: venueId,
+            author: author,
+            title: title,
+            abstractText: abstractText,
+            ipfsHash: ipfsHash,
+            status: strictAssignment ? PaperStatus.Submitted : PaperStatus.UnderReview,
+            submissionTime: block.timestamp,
+            reviewDeadline: block.timestamp + venue.reviewPeriod,
+            scoreCommitments: new bytes32[](0),
+            revealedScoreSum: 0,
+            revealedCount: 0,
+            averageScore: 0,
+            reviewerCount: strictAssignment ? 0 : MIN_REVIEWERS,
+            isFinalized: false
+        });
+        
+        for (uint256 i = 0; i < conflictedAddresses.length; i++) {
+            paperConflicts[paperId][conflictedAddresses[i]] = true;
+        }
+        for (uint256 i = 0; i < conflictedInstitutions.length; i++) {
+            paperInstitutionConflicts[paperId][_institutionKey(conflictedInstitutions[i])] = true;
+        }
+        
+        if (author != address(0)) {
+            _grantRole(AUTHOR_ROLE, author);
+        }
+        
+        emit PaperSubmitted(paperId, author, title);
+        // The starting status depends on the assignment mode, so record it for event consumers
+        emit PaperStatusChanged(paperId, papers[paperId].status);
+        if (conflictedAddresses.length + conflictedInstitutions.length > 0) {
+            emit PaperConflictsDeclared(paperId, conflictedAddresses.length, conflictedInstitutions.length);
+        }
+        return paperId;
+    }
+    
+    /**
+     * @dev Move a paper to a new status, enforcing the paper lifecycle
+     * @param paperId Paper ID
+     * @param newStatus Status to move to
+     */
+    function _setStatus(uint256 paperId, PaperStatus newStatus) internal {
+        require(_isAllowedTransition(papers[paperId].status, newStatus), "Invalid status transition");
+        papers[paperId].status = newStatus;
+        
+        emit PaperStatusChanged(paperId, newStatus);
+    }
+    
+    /**
+     * @dev Paper lifecycle: papers under review get a decision or a revision request, conditional
+     *      acceptances are confirmed or rejected, and revision requests end with a resubmitted
+     *      version or a withdrawal. Accepted and Rejected only swap through a chair override
+     */
+    function _isAllowedTransition(PaperStatus from, PaperStatus to) internal pure returns (bool) {
+        if (from == PaperStatus.Submitted) {
+            return to == PaperStatus.UnderReview || to == PaperStatus.Withdrawn || to == PaperStatus.DeskReject;
+        }
+        if (from == PaperStatus.UnderReview) {
+            return to != PaperStatus.Submitted && to != PaperStatus.UnderReview;
+        }
+        if (from == PaperStatus.ConditionalAccept) {
+            return to == PaperStatus.Accepted || to == PaperStatus.Rejected || to == PaperStatus.Withdrawn;
+        }
+        if (from == PaperStatus.MajorRevision || from == PaperStatus.MinorRevision) {
+            return to == PaperStatus.Withdrawn;
+        }
+        if (from == PaperStatus.Accepted) {
+            return to == PaperStatus.Rejected;
+        }
+        if (from == PaperStatus.Rejected) {
+            return to == PaperStatus.Accepted;
+        }
+        // Withdrawn and desk-rejected papers are final; authors resubmit a new version instead
+        return false;
+    }
+    
+    /**
+     * @dev True once reviewers' verdict is out: accepted, rejected or sent back for revision
+     */
+    function _isDecided(PaperStatus status) internal pure returns (bool) {
+        return status == PaperStatus.Accepted ||
+            status == PaperStatus.Rejected ||
+            status == PaperStatus.MajorRevision ||
+            status == PaperStatus.MinorRevision ||
+            status == PaperStatus.ConditionalAccept;
+    }
+    
+    /**
+     * @dev Forward the call to another implementation sharing this storage, bubbling up its result or revert
+     */
+    function _delegate(address target) internal {
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let success := delegatecall(gas(), target, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch success
+            case 0 { revert(0, returndatasize()) }
+            default { return(0, returndatasize()) }
+        }
+    }
+    
+    /**
+     * @dev Require a paper's first-round scores to be final
+     * @param paper Paper under review
+     */
+    function _requireRevealComplete(Paper storage paper) internal view {
+        require(paper.isFinalized, "Reviews not finalized");
+        require(paper.status == PaperStatus.UnderReview, "Decision already made");
+        uint256 sealedUntil = _sealedUntil(paper.paperId);
+        require(block.timestamp > sealedUntil, "Review period not ended");
+        require(
+            paper.revealedCount == paper.scoreCommitments.length ||
+                block.timestamp > sealedUntil + REVEAL_PERIOD,
+            "Reveal period active"
+        );
+        require(paper.revealedCount > 0, "No scores revealed");
+    }
+    
+    /**
+     * @dev Require the caller's sealed commitment to be revealable now
+     * @notice First-round scores are sealed until the last review deadline of the paper, updated
+     *         scores until the rebuttal's score update deadline; each has REVEAL_PERIOD to be revealed
+     * @param paperId Paper ID
+     * @param review Caller's review of the paper
+     */
+    function _requireRevealWindow(uint256 paperId, Review storage review) internal view {
+        require(review.isSubmitted, "Review not submitted");
+        require(!review.isRevealed, "Score already revealed");
+        uint256 sealedUntil = review.round > 1 ? rebuttals[paperId].updateDeadline : _sealedUntil(paperId);
+        require(block.timestamp > sealedUntil, "Review period not ended");
+        require(block.timestamp <= sealedUntil + REVEAL_PERIOD, "Reveal period ended");
+    }
+    
+    /**
+     * @dev Reveal a reviewer's single committed score, see revealReviewScore
+     */
+    function _revealReviewScore(uint256 paperId, address reviewer, uint8 score, bytes32 salt) internal {
+        Review storage review = reviews[paperId][reviewer];
+        _requireRevealWindow(paperId, review);
+        uint256 venueId = papers[paperId].venueId;
+        require(venueReviewForms[venueId].length == 0, "Venue uses a review form");
+        require(score >= venues[venueId].minScore && score <= venues[venueId].maxScore, "Invalid score");
+        require(
+            keccak256(abi.encodePacked(paperId, reviewer, score, salt)) == review.scoreCommitment,
+            "Commitment mismatch"
+        );
+        
+        _recordRevealedScore(paperId, review, score);
+    }
+    
+    /**
+     * @dev EIP-712 domain of signed reviews, reveals and updates: "AcademicPeerReview" version "1"
+     *      on this chain and contract
+     */
+    function _domainSeparator() internal view returns (bytes32) {
+        return keccak256(abi.encode(
+            keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"),
+            keccak256("AcademicPeerReview"),
+            keccak256("1"),
+            block.chainid,
+            address(this)
+        ));
+    }
+    
+    /**
+     * @dev Require an unexpired EIP-712 signature by `signer` over the typed data `structHash`
+     */
+    function _requireSignature(
+        address signer,
+        bytes32 structHash,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) internal view {
+        require(block.timestamp <= deadline, "Signature expired");
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", _domainSeparator(), structHash));
+        require(uint256(s) <= MAX_SIGNATURE_S, "Invalid signature");
+        address recovered = ecrecover(digest, v, r, s);
+        require(recovered != address(0) && recovered == signer, "Invalid signature");
+    }
+    
+    /**
+     * @dev Deadline for a reviewer's review: the paper's, or a later one a chair set for the reviewer
+     */
+    function _reviewDeadlineOf(uint256 paperId, address reviewer) internal view returns (uint256) {
+        uint256 deadline = reviewerDeadlines[paperId][reviewer];
+        return deadline > papers[paperId].reviewDeadline ? deadline : papers[paperId].reviewDeadline;
+    }
+    
+    /**
+     * @dev Last review deadline of a paper, until which its first-round scores stay sealed
+     */
+    function _sealedUntil(uint256 paperId) internal view returns (uint256) {
+        uint256 deadline = latestReviewerDeadlines[paperId];
+        return deadline > papers[paperId].reviewDeadline ? deadline : papers[paperId].reviewDeadline;
+    }
+    
+    /**
+     * @dev Position of a reviewer in a paper's assigned panel, or the panel size if not assigned
+     */
+    function _panelIndex(uint256 paperId, address reviewer) internal view returns (uint256 index) {
+        address[] storage panel = paperReviewers[paperId];
+        for (index = 0; index < panel.length; index++) {
+            if (panel[index] == reviewer) break;
+        }
+    }
+    
+    /**
+     * @dev Explain why a reviewer has a conflict of interest with a paper, or return an empty string
+     */
+    function _conflictReason(uint256 paperId, address reviewer) internal view returns (string memory) {
+        if (papers[paperId].author == reviewer) {
+            return "Conflict: reviewer is the author";
+        }
+        if (paperConflicts[paperId][reviewer] || hiddenConflicts[paperId][keccak256(abi.encodePacked(reviewer))]) {
+            return "Conflict: declared by the author";
+        }
+        if (reviewerConflicts[reviewer][papers[paperId].author]) {
+            return "Conflict: declared by the reviewer";
+        }
+        bytes memory institution = bytes(reviewerInstitutions[reviewer]);
+        if (institution.length > 0 && paperInstitutionConflicts[paperId][_institutionKey(string(institution))]) {
+            return "Conflict: reviewer institution";
+        }
+        return "";
+    }
+    
+    /**
+     * @dev Whether an account is a paper's author; before a blind paper's authorship is proven,
+     *      the account must open its author commitment with the salt and be in its hidden conflicts
+     */
+    function _isPaperAuthor(uint256 paperId, address account, bytes32 authorSalt) internal view returns (bool) {
+        address author = papers[paperId].author;
+        if (author != address(0)) {
+            return account == author;
+        }
+        bytes32 commitment = authorCommitments[paperId];
+        return commitment != bytes32(0) &&
+            keccak256(abi.encodePacked(account, authorSalt)) == commitment &&
+            hiddenConflicts[paperId][keccak256(abi.encodePacked(account))];
+    }
+    
+    /**
+     * @dev Revert with the conflict reason if the reviewer is conflicted
+     */
+    function _requireNoConflict(uint256 paperId, address reviewer) internal view {
+        string memory reason = _conflictReason(paperId, reviewer);
+        require(bytes(reason).length == 0, reason);
+    }
+    
+    /**
+     * @dev Count a revealed score towards the paper's decision
+     * @param paperId Paper ID
+     * @param review Revealing reviewer's review of the paper
+     * @param score Revealed score on the venue scale
+     */
+    function _recordRevealedScore(uint256 paperId, Review storage review, uint8 score) internal {
+        review.isRevealed = true;
+        if (review.round > 1) {
+            // The updated score replaces the reviewer's first-round score
+            papers[paperId].revealedScoreSum = papers[paperId].revealedScoreSum - review.score + score;
+            rebuttals[paperId].pendingUpdates--;
+        } else {
+            papers[paperId].revealedScoreSum += score;
+            papers[paperId].revealedCount++;
+            revealedReviewers[paperId].push(review.reviewer);
+        }
+        review.score = score;
+        
+        emit ReviewScoreRevealed(paperId, review.reviewer);
+    }
+    
+    /**
+     * @dev A reviewer's reputation including decay since the last change
+     */
+    function _reputationOf(address reviewer) internal view returns (uint256) {
+        // Reputation that never changed is still the initial reputation, or zero if unregistered
+        uint256 updatedAt = reputationUpdatedAt[reviewer];
+        if (updatedAt == 0) {
+            return reviewers[reviewer].reputation;
+        }
+        return ReviewerReputation.decay(reviewers[reviewer].reputation, block.timestamp - updatedAt);
+    }
+    
+    /**
+     * @dev Apply pending decay, then a change, and record both in the reviewer's history
+     */
+    function _changeReputation(
+        address reviewer,
+        uint256 paperId,
+        ReviewerReputation.Reason reason,
+        int256 delta
+    ) internal {
+        uint256 decayed = _reputationOf(reviewer);
+        _recordChange(reviewer, 0, ReviewerReputation.Reason.Decay, decayed);
+        uint256 updatedAt = reputationUpdatedAt[reviewer];
+        reputationUpdatedAt[reviewer] = updatedAt == 0
+            ? block.timestamp
+            : ReviewerReputation.decayedUntil(updatedAt, block.timestamp);
+        
+        _recordChange(reviewer, paperId, reason, ReviewerReputation.applyDelta(decayed, delta));
+    }
+    
+    /**
+     * @dev Store a reviewer's new reputation and record the change unless it is zero
+     * @notice Penalties stop at zero, so the recorded delta is the change actually applied
+     */
+    function _recordChange(
+        address reviewer,
+        uint256 paperId,
+        ReviewerReputation.Reason reason,
+        uint256 newReputation
+    ) internal {
+        uint256 oldReputation = reviewers[reviewer].reputation;
+        if (newReputation == oldReputation) return;
+        
+        int256 delta = int256(newReputation) - int256(oldReputation);
+        reviewers[reviewer].reputation = newReputation;
+        reputationHistory[reviewer].push(ReviewerReputation.Change({
+            paperId: paperId,
+            reason: reason,
+            delta: delta,
+            reputation: newReputation,
+            timestamp: block.timestamp
+        }));
+        
+        emit ReputationChanged(reviewer, paperId, reason, delta, newReputation);
+    }
+    
+    /**
+     * @dev Case-insensitive key for institution names
+     */
+    function _institutionKey(string memory institution) internal pure returns (bytes32) {
+        bytes memory normalized = bytes(institution);
+        for (uint256 i = 0; i < normalized.length; i++) {
+            if (normalized[i] >= 0x41 && normalized[i] <= 0x5A) {
+                normalized[i] = bytes1(uint8(normalized[i]) + 32);
+            }
+        }
+        return keccak256(normalized);
+    }
+}
@@ -0,0 +1,594 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./AcademicPeerReviewBase.sol";
+
+/**
+ * @title AcademicPeerReviewExtension
+ * @dev Rebuttal rounds, review forms, decisions, reviewer conflicts and reviewer listings
+ * @notice Only meant to be called through AcademicPeerReview, which delegates to this contract;
+ *         deploy it first and pass its address to the AcademicPeerReview constructor. Calls it
+ *         does not implement continue to AcademicPeerReviewSubmissions
+ */
+contract AcademicPeerReviewExtension is AcademicPeerReviewBase {
+    
+    // Serves submissions, withdrawals, triage, revisions and paper listings
+    address public immutable submissions;
+    
+    /**
+     * @param _submissions Deployed AcademicPeerReviewSubmissions
+     */
+    constructor(address _submissions) {
+        require(_submissions != address(0), "Invalid submissions contract");
+        submissions = _submissions;
+    }
+    
+    /**
+     * @dev Give a venue's authors a rebuttal round before decisions (venue chairs only)
+     * @param venueId Venue ID
+     * @param rebuttalPeriod Time authors have to respond to reviews, 0 to decide after one round
+     */
+    function setRebuttalPeriod(uint256 venueId, uint256 rebuttalPeriod) external onlyVenueChair(venueId) {
+        require(rebuttalPeriod <= MAX_REBUTTAL_PERIOD, "Rebuttal period too long");
+        venueRebuttalPeriods[venueId] = rebuttalPeriod;
+        
+        emit RebuttalPeriodChanged(venueId, rebuttalPeriod);
+    }
+    
+    /**
+     * @dev Declare the reviewer's institution and authors they must not review
+     * @param institution Reviewer's current institution
+     * @param conflictedAuthors Author addresses the reviewer has a conflict with
+     */
+    function declareReviewerConflicts(
+        string memory institution,
+        address[] memory conflictedAuthors
+    ) external {
+        require(reviewers[msg.sender].reviewerAddress != address(0), "Reviewer not registered");
+        require(conflictedAuthors.length <= MAX_CONFLICTS, "Too many conflicts");
+        
+        reviewerInstitutions[msg.sender] = institution;
+        for (uint256 i = 0; i < conflictedAuthors.length; i++) {
+            reviewerConflicts[msg.sender][conflictedAuthors[i]] = true;
+        }
+        
+        emit ReviewerConflictsDeclared(msg.sender, institution, conflictedAuthors.length);
+    }
+    
+    /**
+     * @dev Open the rebuttal round once the first-round scores are revealed
+     * @notice Only for venues with a rebuttal period; review comments become readable to the author
+     * @param paperId Paper ID
+     */
+    function openRebuttal(uint256 paperId) external {
+        _openRebuttal(paperId, bytes32(0));
+    }
+    
+    /**
+     * @dev Open the rebuttal round of a blind submission without proving authorship
+     * @param paperId Paper ID
+     * @param authorSalt Secret salt used in the author commitment
+     */
+    function openBlindRebuttal(uint256 paperId, bytes32 authorSalt) external {
+        _openRebuttal(paperId, authorSalt);
+    }
+    
+    /**
+     * @dev Open the rebuttal round for a venue chair or the paper's author, see _isPaperAuthor
+     */
+    function _openRebuttal(uint256 paperId, bytes32 authorSalt) internal {
+        Paper storage paper = papers[paperId];
+        require(
+            _isVenueChair(paper.venueId, msg.sender) || _isPaperAuthor(paperId, msg.sender, authorSalt),
+            "Not authorized"
+        );
+        _requireRevealComplete(paper);
+        uint256 rebuttalPeriod = venueRebuttalPeriods[paper.venueId];
+        require(rebuttalPeriod > 0, "Rebuttals disabled");
+        Rebuttal storage rebuttal = rebuttals[paperId];
+        require(rebuttal.rebuttalDeadline == 0, "Rebuttal already opened");
+        
+        rebuttal.rebuttalDeadline = block.timestamp + rebuttalPeriod;
+        rebuttal.updateDeadline = rebuttal.rebuttalDeadline + SCORE_UPDATE_PERIOD;
+        
+        emit RebuttalOpened(paperId, rebuttal.rebuttalDeadline, rebuttal.updateDeadline);
+    }
+    
+    /**
+     * @dev Respond to the reviews during the rebuttal period (author only)
+     * @notice Can be replaced until the rebuttal deadline
+     * @param paperId Paper ID
+     * @param contentHash Content hash of the response, encrypted client-side to the chairs and reviewers
+     */
+    function submitRebuttal(uint256 paperId, bytes32 contentHash) external {
+        _submitRebuttal(paperId, contentHash, bytes32(0));
+    }
+    
+    /**
+     * @dev Respond to the reviews of a blind submission without proving authorship
+     * @param paperId Paper ID
+     * @param contentHash Content hash of the response, encrypted client-side to the chairs and reviewers
+     * @param authorSalt Secret salt used in the author commitment
+     */
+    function submitBlindRebuttal(uint256 paperId, bytes32 contentHash, bytes32 authorSalt) external {
+        _submitRebuttal(paperId, contentHash, authorSalt);
+    }
+    
+    /**
+     * @dev Record the author's response, see _isPaperAuthor
+     */
+    function _submitRebuttal(uint256 paperId, bytes32 contentHash, bytes32 authorSalt) internal {
+        require(_isPaperAuthor(paperId, msg.sender, authorSalt), "Not the author");
+        Rebuttal storage rebuttal = rebuttals[paperId];
+        require(rebuttal.rebuttalDeadline != 0, "Rebuttal not open");
+        require(block.timestamp <= rebuttal.rebuttalDeadline, "Rebuttal period ended");
+        require(papers[paperId].status == PaperStatus.UnderReview, "Paper not under review");
+        require(contentHash != bytes32(0), "Rebuttal hash required");
+        
+        rebuttal.contentHash = contentHash;
+        
+        emit RebuttalSubmitted(paperId, contentHash);
+    }
+    
+    /**
+     * @dev Commit an updated score after reading the rebuttal
+     * @notice Allowed between the rebuttal and score update deadlines for reviewers whose
+     *         first-round score was revealed; an update that is never revealed leaves that score in place
+     * @param paperId Paper ID
+     * @param scoreCommitment Commitment to the updated score, see computeScoreCommitment
+     */
+    function updateReviewScore(uint256 paperId, bytes32 scoreCommitment) external {
+        _updateReviewScore(paperId, msg.sender, scoreCommitment);
+    }
+    
+    /**
+     * @dev Commit an updated score signed by the reviewer as EIP-712 typed data
+     * @notice Lets a relayer pay the gas of score updates, like submitReviewBySig
+     * @param paperId Paper ID
+     * @param reviewer Reviewer or pseudonym that signed the update
+     * @param scoreCommitment Commitment to the updated score, see computeScoreCommitment
+     * @param deadline Time after which the signature is no longer accepted
+     * @param v Signature recovery id
+     * @param r Signature r value
+     * @param s Signature s value
+     */
+    function updateReviewBySig(
+        uint256 paperId,
+        address reviewer,
+        bytes32 scoreCommitment,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        _requireSignature(
+            reviewer,
+            keccak256(abi.encode(SCORE_UPDATE_TYPEHASH, paperId, reviewer, scoreCommitment, nonces[reviewer]++, deadline)),
+            deadline,
+            v,
+            r,
+            s
+        );
+        
+        _updateReviewScore(paperId, reviewer, scoreCommitment);
+    }
+    
+    /**
+     * @dev Record a reviewer's updated score commitment, see updateReviewScore
+     */
+    function _updateReviewScore(uint256 paperId, address reviewer, bytes32 scoreCommitment) internal {
+        Review storage review = reviews[paperId][reviewer];
+        Rebuttal storage rebuttal = rebuttals[paperId];
+        require(review.isRevealed && review.round == 1, "No revealed score to update");
+        require(rebuttal.rebuttalDeadline != 0, "Rebuttal not open");
+        require(block.timestamp > rebuttal.rebuttalDeadline, "Rebuttal period active");
+        require(block.timestamp <= rebuttal.updateDeadline, "Score update period ended");
+        require(papers[paperId].status == PaperStatus.UnderReview, "Paper not under review");
+        require(scoreCommitment != bytes32(0), "Score commitment required");
+        
+        review.scoreCommitment = scoreCommitment;
+        review.isRevealed = false;
+        review.round = 2;
+        rebuttal.pendingUpdates++;
+        
+        emit ReviewScoreUpdated(paperId, reviewer, 2);
+    }
+    
+    /**
+     * @dev Get a paper's rebuttal phase
+     * @param paperId Paper ID
+     * @return rebuttal Rebuttal structure, with zero deadlines if it was never opened
+     */
+    function getRebuttal(uint256 paperId) external view returns (Rebuttal memory rebuttal) {
+        return rebuttals[paperId];
+    }
+    
+    /**
+     * @dev Replace a venue's review form (venue chairs only)
+     * @notice Only before the venue's first submission. The form needs exactly one recommendation
+     *         criterion on the venue scale, which decides the paper, and at most one confidence
+     *         criterion; an empty form goes back to a single score
+     * @param venueId Venue ID
+     * @param criteria Scored criteria in the order reviewers commit to them
+     */
+    function setReviewForm(
+        uint256 venueId,
+        ReviewCriterion[] memory criteria
+    ) external onlyVenueChair(venueId) {
+        require(!venueSettingsLocked[venueId], "Review form locked");
+        require(criteria.length <= MAX_CRITERIA, "Too many criteria");
+        
+        ReviewCriterion[] storage form = venueReviewForms[venueId];
+        while (form.length > 0) {
+            form.pop();
+        }
+        
+        uint256 recommendations;
+        uint256 confidences;
+        for (uint256 i = 0; i < criteria.length; i++) {
+            ReviewCriterion memory criterion = criteria[i];
+            require(bytes(criterion.name).length > 0, "Criterion name required");
+            require(criterion.minScore > 0 && criterion.minScore < criterion.maxScore, "Invalid score scale");
+            if (criterion.kind == CriterionKind.Recommendation) {
+                require(
+                    criterion.minScore == venues[venueId].minScore && criterion.maxScore == venues[venueId].maxScore,
+                    "Recommendation must use the venue scale"
+                );
+                recommendations++;
+            } else if (criterion.kind == CriterionKind.Confidence) {
+                confidences++;
+            }
+            form.push(criterion);
+        }
+        require(criteria.length == 0 || recommendations == 1, "One recommendation required");
+        require(confidences <= 1, "Only one confidence criterion");
+        
+        emit ReviewFormChanged(venueId, criteria.length);
+    }
+    
+    /**
+     * @dev Get a venue's review form
+     * @param venueId Venue ID
+     * @return criteria Scored criteria, empty for single-score venues
+     */
+    function getReviewForm(uint256 venueId) external view returns (ReviewCriterion[] memory criteria) {
+        return venueReviewForms[venueId];
+    }
+    
+    /**
+     * @dev Reveal the per-criterion scores of a review on a venue with a review form
+     * @notice Same reveal windows as revealReviewScore; the recommendation score decides the
+     *         paper and every criterion is aggregated separately
+     * @param paperId Paper ID
+     * @param scores One score per criterion, in form order, as used in the commitment
+     * @param salt Secret salt used in the commitment
+     */
+    function revealReviewScores(uint256 paperId, uint8[] memory scores, bytes32 salt) external {
+        _revealReviewScores(paperId, msg.sender, scores, salt);
+    }
+    
+    /**
+     * @dev Reveal a score signed by the reviewer as EIP-712 typed data
+     * @notice Lets a relayer pay the gas of reveals, like submitReviewBySig. Single-score venues
+     *         take exactly one score, venues with a review form one per criterion
+     * @param paperId Paper ID
+     * @param reviewer Reviewer or pseudonym that signed the reveal
+     * @param scores Committed score, or per-criterion scores in form order
+     * @param salt Secret salt used in the commitment
+     * @param deadline Time after which the signature is no longer accepted
+     * @param v Signature recovery id
+     * @param r Signature r value
+     * @param s Signature s value
+     */
+    function revealReviewScoreBySig(
+        uint256 paperId,
+        address reviewer,
+        uint8[] memory scores,
+        bytes32 salt,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        _requireSignature(
+            reviewer,
+            keccak256(abi.encode(
+                SCORE_REVEAL_TYPEHASH,
+                paperId,
+                reviewer,
+                keccak256(abi.encodePacked(scores)),
+                salt,
+                nonces[reviewer]++,
+                deadline
+            )),
+            deadline,
+            v,
+            r,
+            s
+        );
+        
+        if (venueReviewForms[papers[paperId].venueId].length > 0) {
+            _revealReviewScores(paperId, reviewer, scores, salt);
+        } else {
+            require(scores.length == 1, "Score count mismatch");
+            _revealReviewScore(paperId, reviewer, scores[0], salt);
+        }
+    }
+    
+    /**
+     * @dev Reveal a reviewer's per-criterion scores, see revealReviewScores
+     */
+    function _revealReviewScores(uint256 paperId, address reviewer, uint8[] memory scores, bytes32 salt) internal {
+        Review storage review = reviews[paperId][reviewer];
+        _requireRevealWindow(paperId, review);
+        ReviewCriterion[] storage form = venueReviewForms[papers[paperId].venueId];
+        require(form.length > 0, "Venue has no review form");
+        require(scores.length == form.length, "Score count mismatch");
+        require(
+            computeCriteriaCommitment(paperId, reviewer, scores, salt) == review.scoreCommitment,
+            "Commitment mismatch"
+        );
+        
+        uint256[] storage sums = criterionScoreSums[paperId];
+        uint8[] storage previous = reviewCriterionScores[paperId][reviewer];
+        if (sums.length == 0) {
+            for (uint256 i = 0; i < form.length; i++) {
+                sums.push(0);
+            }
+        }
+        
+        uint8 recommendation;
+        for (uint256 i = 0; i < scores.length; i++) {
+            require(scores[i] >= form[i].minScore && scores[i] <= form[i].maxScore, "Invalid score");
+            // Updated scores replace the reviewer's first-round scores
+            if (previous.length > 0) {
+                sums[i] -= previous[i];
+            }
+            sums[i] += scores[i];
+            if (form[i].kind == CriterionKind.Recommendation) {
+                recommendation = scores[i];
+            }
+        }
+        reviewCriterionScores[paperId][reviewer] = scores;
+        
+        _recordRevealedScore(paperId, review, recommendation);
+    }
+    
+    /**
+     * @dev Compute the commitment a reviewer must submit for per-criterion scores
+     * @param paperId Paper ID
+     * @param reviewer Reviewer address
+     * @param scores One score per criterion, in form order
+     * @param salt Secret salt chosen by the reviewer
+     * @return commitment Score commitment
+     */
+    function computeCriteriaCommitment(
+        uint256 paperId,
+        address reviewer,
+        uint8[] memory scores,
+        bytes32 salt
+    ) public pure returns (bytes32 commitment) {
+        return keccak256(abi.encodePacked(paperId, reviewer, scores, salt));
+    }
+    
+    /**
+     * @dev Get the average revealed score of every criterion of a paper's review form
+     * @param paperId Paper ID
+     * @return averages Averages scaled by SCORE_PRECISION, in form order (empty before any reveal)
+     */
+    function getCriterionAverages(uint256 paperId) external view returns (uint256[] memory averages) {
+        uint256[] storage sums = criterionScoreSums[paperId];
+        averages = new uint256[](sums.length);
+        for (uint256 i = 0; i < sums.length; i++) {
+            averages[i] = (sums[i] * SCORE_PRECISION) / papers[paperId].revealedCount;
+        }
+    }
+    
+    /**
+     * @dev Get a reviewer's revealed per-criterion scores
+     * @param paperId Paper ID
+     * @param reviewer Reviewer address
+     * @return scores Scores in form order, empty until revealed
+     */
+    function getReviewCriterionScores(uint256 paperId, address reviewer) external view returns (uint8[] memory scores) {
+        return reviewCriterionScores[paperId][reviewer];
+    }
+    
+    /**
+     * @dev Choose how a venue turns revealed scores into decisions (venue chairs only)
+     * @notice Only before the venue's first submission. Confidence weights come from the review
+     *         form's confidence criterion; venues without one weigh every reviewer equally
+     * @param venueId Venue ID
+     * @param settings Decision rule, trim count for TrimmedMean and veto score for UnanimousVeto
+     * @param chairOverride True to let venue chairs override decisions with a stated reason
+     */
+    function setDecisionPolicy(
+        uint256 venueId,
+        DecisionPolicy.Settings memory settings,
+        bool chairOverride
+    ) external onlyVenueChair(venueId) {
+        require(!venueSettingsLocked[venueId], "Decision policy locked");
+        if (settings.rule == DecisionPolicy.Rule.TrimmedMean) {
+            require(settings.trimCount > 0, "Trim count required");
+        }
+        if (settings.rule == DecisionPolicy.Rule.UnanimousVeto) {
+            require(
+                settings.vetoScore > venues[venueId].minScore && settings.vetoScore <= venues[venueId].maxScore,
+                "Invalid veto score"
+            );
+        }
+        
+        venueDecisionPolicies[venueId] = settings;
+        venueChairOverrides[venueId] = chairOverride;
+        
+        emit DecisionPolicyChanged(venueId, settings.rule, chairOverride);
+    }
+    
+    /**
+     * @dev Aggregate the revealed scores with the venue's decision policy and decide the paper
+     * @notice Available after the reveal period, or earlier once every committed score is revealed
+     * @param paperId Paper ID
+     */
+    function requestScoreReveal(uint256 paperId) external {
+        _requestScoreReveal(paperId, bytes32(0));
+    }
+    
+    /**
+     * @dev Request the decision of a blind submission without proving authorship
+     * @param paperId Paper ID
+     * @param authorSalt Secret salt used in the author commitment
+     */
+    function requestBlindScoreReveal(uint256 paperId, bytes32 authorSalt) external {
+        _requestScoreReveal(paperId, authorSalt);
+    }
+    
+    /**
+     * @dev Decide the paper for a venue chair or its author, see _isPaperAuthor
+     */
+    function _requestScoreReveal(uint256 paperId, bytes32 authorSalt) internal {
+        Paper storage paper = papers[paperId];
+        require(
+            _isVenueChair(paper.venueId, msg.sender) || _isPaperAuthor(paperId, msg.sender, authorSalt),
+            "Not authorized"
+        );
+        
+        bool accepted = _aggregateScores(paperId);
+        _setStatus(paperId, accepted ? PaperStatus.Accepted : PaperStatus.Rejected);
+    }
+    
+    /**
+     * @dev Record an editorial decision instead of the policy's accept/reject (venue chairs only)
+     * @notice Papers under review can be accepted, rejected, sent back for major or minor revision
+     *         or conditionally accepted once their scores are final, with the policy aggregate still
+     *         recorded. Conditionally accepted papers are then accepted or rejected
+     * @param paperId Paper ID
+     * @param outcome Accepted, Rejected, MajorRevision, MinorRevision or ConditionalAccept
+     */
+    function decidePaper(uint256 paperId, PaperStatus outcome) external {
+        Paper storage paper = papers[paperId];
+        require(_isVenueChair(paper.venueId, msg.sender), "Not a venue chair");
+        require(_isDecided(outcome), "Invalid outcome");
+        // Final decisions only change through overrideDecision
+        require(
+            paper.status == PaperStatus.UnderReview || paper.status == PaperStatus.ConditionalAccept,
+            "Decision already made"
+        );
+        
+        if (paper.status == PaperStatus.UnderReview) {
+            _aggregateScores(paperId);
+        }
+        _setStatus(paperId, outcome);
+    }
+    
+    /**
+     * @dev Aggregate a paper's final scores with its venue's decision policy
+     * @return accepted True if the policy accepts the paper
+     */
+    function _aggregateScores(uint256 paperId) internal returns (bool accepted) {
+        Paper storage paper = papers[paperId];
+        _requireRevealComplete(paper);
+        
+        // Venues with rebuttals decide in the second round, after updated scores are revealed
+        Rebuttal storage rebuttal = rebuttals[paperId];
+        if (rebuttal.rebuttalDeadline != 0) {
+            require(block.timestamp > rebuttal.updateDeadline, "Score update period active");
+            require(
+                rebuttal.pendingUpdates == 0 || block.timestamp > rebuttal.updateDeadline + REVEAL_PERIOD,
+                "Reveal period active"
+            );
+        } else {
+            require(venueRebuttalPeriods[paper.venueId] == 0, "Rebuttal not held");
+        }
+        
+        uint256 aggregateScore;
+        (accepted, aggregateScore) = DecisionPolicy.decide(
+            venueDecisionPolicies[paper.venueId],
+            _revealedScores(paperId),
+            _confidenceWeights(paperId),
+            venues[paper.venueId].acceptanceThreshold
+        );
+        paper.averageScore = aggregateScore;
+        
+        emit ScoreRevealed(paperId, aggregateScore);
+    }
+    
+    /**
+     * @dev Reverse a paper's decision (venue chairs of venues that allow overrides)
+     * @notice Once per paper, and not after a rejected paper was resubmitted
+     * @param paperId Paper ID
+     * @param accept True to accept the paper, false to reject it
+     * @param reasonHash Content hash of the chair's published justification
+     */
+    function overrideDecision(uint256 paperId, bool accept, bytes32 reasonHash) external {
+        Paper storage paper = papers[paperId];
+        require(_isVenueChair(paper.venueId, msg.sender), "Not a venue chair");
+        require(venueChairOverrides[paper.venueId], "Chair override disabled");
+        require(
+            paper.status == PaperStatus.Accepted || paper.status == PaperStatus.Rejected,
+            "Decision pending"
+        );
+        require(decisionOverrideReasons[paperId] == bytes32(0), "Decision already overridden");
+        require(nextVersion[paperId] == 0, "Already resubmitted");
+        require(reasonHash != bytes32(0), "Reason required");
+        PaperStatus newStatus = accept ? PaperStatus.Accepted : PaperStatus.Rejected;
+        require(newStatus != paper.status, "Decision unchanged");
+        
+        decisionOverrideReasons[paperId] = reasonHash;
+        
+        emit DecisionOverridden(paperId, msg.sender, newStatus, reasonHash);
+        _setStatus(paperId, newStatus);
+    }
+    
+    /**
+     * @dev Revealed scores of a paper, one per reviewer, including updated scores
+     */
+    function _revealedScores(uint256 paperId) internal view returns (uint256[] memory scores) {
+        address[] storage revealed = revealedReviewers[paperId];
+        scores = new uint256[](revealed.length);
+        for (uint256 i = 0; i < revealed.length; i++) {
+            scores[i] = reviews[paperId][revealed[i]].score;
+        }
+    }
+    
+    /**
+     * @dev Confidence of each revealed review, or none if the venue's form has no confidence criterion
+     */
+    function _confidenceWeights(uint256 paperId) internal view returns (uint256[] memory weights) {
+        ReviewCriterion[] storage form = venueReviewForms[papers[paperId].venueId];
+        for (uint256 c = 0; c < form.length; c++) {
+            if (form[c].kind != CriterionKind.Confidence) continue;
+            
+            address[] storage revealed = revealedReviewers[paperId];
+            weights = new uint256[](revealed.length);
+            for (uint256 i = 0; i < revealed.length; i++) {
+                weights[i] = reviewCriterionScores[paperId][revealed[i]][c];
+            }
+            return weights;
+        }
+    }
+    
+    /**
+     * @dev Get the reviewers assigned to a paper
+     * @param paperId Paper ID
+     * @return reviewers Assigned reviewer addresses
+     */
+    function getPaperReviewers(uint256 paperId) external view returns (address[] memory reviewers) {
+        return paperReviewers[paperId];
+    }
+    
+    /**
+     * @dev Get reviewer assignments
+     * @param reviewer Reviewer address
+     * @return assignedPapers Array of paper IDs assigned to reviewer
+     */
+    function getReviewerAssignments(address reviewer) external view returns (uint256[] memory assignedPapers) {
+        return reviewerPapers[reviewer];
+    }
+    
+    /**
+     * @dev Delegate every other call to the submissions contract
+     */
+    fallback() external {
+        _delegate(submissions);
+    }
+}
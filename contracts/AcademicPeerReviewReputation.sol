@@ -0,0 +1,178 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./AcademicPeerReviewBase.sol";
+
+/**
+ * @title AcademicPeerReviewReputation
+ * @dev Reviewer reputation from review quality: timeliness, agreement with decisions,
+ *      helpfulness ratings and penalties for late or missed reviews, see ReviewerReputation
+ * @notice Only meant to be called through AcademicPeerReview; AcademicPeerReviewSubmissions
+ *         delegates the calls it does not implement to this contract
+ */
+contract AcademicPeerReviewReputation is AcademicPeerReviewBase {
+    
+    /**
+     * @dev Credit and penalize a decided paper's reviewers (anyone may call)
+     * @notice Once per paper. Assigned reviewers who never submitted are penalized; the others
+     *         earn timeliness points for how early they submitted within their own review window
+     *         (from their assignment to their deadline, extensions included), lose points if they never revealed their score and earn
+     *         agreement points when their recommendation matched the decision. Acceptance,
+     *         conditional acceptance and minor revisions count as accepting the paper.
+     *         Papers reviewed without assignment only credit reviewers who revealed, and
+     *         pseudonymous reviews earn no reputation
+     * @param paperId Paper ID
+     */
+    function settleReputation(uint256 paperId) external {
+        Paper storage paper = papers[paperId];
+        require(paper.paperId != 0, "Paper does not exist");
+        require(_isDecided(paper.status), "Paper not decided");
+        require(!reputationSettled[paperId], "Reputation already settled");
+        require(!venueAnonymousReviews[paper.venueId], "Reviews are pseudonymous");
+        
+        reputationSettled[paperId] = true;
+        
+        // Reviews of unassigned papers are only known once revealed
+        address[] storage panel = paperReviewers[paperId].length > 0
+            ? paperReviewers[paperId]
+            : revealedReviewers[paperId];
+        bool accepted = paper.status == PaperStatus.Accepted ||
+            paper.status == PaperStatus.ConditionalAccept ||
+            paper.status == PaperStatus.MinorRevision;
+        uint256 threshold = venues[paper.venueId].acceptanceThreshold;
+        
+        for (uint256 i = 0; i < panel.length; i++) {
+            address reviewer = panel[i];
+            Review storage review = reviews[paperId][reviewer];
+            if (!review.isSubmitted) {
+                _changeReputation(
+                    reviewer,
+                    paperId,
+                    ReviewerReputation.Reason.MissedReview,
+                    -int256(ReviewerReputation.MISSED_REVIEW_PENALTY)
+                );
+                continue;
+            }
+            
+            // Reviewers of unassigned papers had the paper's whole review period
+            uint256 assignedAt = reviewerAssignedAt[paperId][reviewer];
+            _changeReputation(
+                reviewer,
+                paperId,
+                ReviewerReputation.Reason.Timeliness,
+                int256(ReviewerReputation.timelinessPoints(
+                    review.timestamp,
+                    assignedAt != 0 ? assignedAt : paper.submissionTime,
+                    _reviewDeadlineOf(paperId, reviewer)
+                ))
+            );
+            // An unrevealed update leaves the first-round score in place, so only round 1 counts as late
+            if (!review.isRevealed && review.round == 1) {
+                _changeReputation(
+                    reviewer,
+                    paperId,
+                    ReviewerReputation.Reason.LateReview,
+                    -int256(ReviewerReputation.LATE_REVIEW_PENALTY)
+                );
+            } else if ((uint256(review.score) * SCORE_PRECISION >= threshold) == accepted) {
+                _changeReputation(
+                    reviewer,
+                    paperId,
+                    ReviewerReputation.Reason.Agreement,
+                    int256(ReviewerReputation.AGREEMENT_POINTS)
+                );
+            }
+        }
+        
+        emit ReputationSettled(paperId);
+    }
+    
+    /**
+     * @dev Rate how helpful a review of a decided paper was (its author or venue chairs)
+     * @notice Each rater rates a review once; ratings below the middle of the scale cost the
+     *         reviewer points and ratings above it earn points. Double-blind authors prove
+     *         authorship first; pseudonymous reviews cannot be rated
+     * @param paperId Paper ID
+     * @param reviewer Reviewer whose review is rated
+     * @param rating Helpfulness from 1 (unhelpful) to 5 (very helpful)
+     */
+    function rateReview(uint256 paperId, address reviewer, uint8 rating) external {
+        Paper storage paper = papers[paperId];
+        require(paper.paperId != 0, "Paper does not exist");
+        require(
+            msg.sender == paper.author || _isVenueChair(paper.venueId, msg.sender),
+            "Not the author or a venue chair"
+        );
+        require(_isDecided(paper.status), "Paper not decided");
+        require(reviews[paperId][reviewer].isSubmitted, "Review not submitted");
+        require(!paperPseudonyms[paperId][reviewer], "Review is pseudonymous");
+        require(
+            rating >= ReviewerReputation.MIN_RATING && rating <= ReviewerReputation.MAX_RATING,
+            "Invalid rating"
+        );
+        require(!reviewRatedBy[paperId][reviewer][msg.sender], "Review already rated");
+        
+        reviewRatedBy[paperId][reviewer][msg.sender] = true;
+        
+        emit ReviewRated(paperId, reviewer, msg.sender, rating);
+        _changeReputation(
+            reviewer,
+            paperId,
+            ReviewerReputation.Reason.Helpfulness,
+            ReviewerReputation.helpfulnessPoints(rating)
+        );
+    }
+    
+    /**
+     * @dev Get a reviewer's current reputation, including decay since the last change
+     * @param reviewer Reviewer address
+     * @return reputation Current reputation
+     */
+    function reputationOf(address reviewer) public view returns (uint256 reputation) {
+        return _reputationOf(reviewer);
+    }
+    
+    /**
+     * @dev Get every change to a reviewer's reputation, oldest first
+     * @param reviewer Reviewer address
+     * @return history Reputation changes with the reputation after each one
+     */
+    function getReputationHistory(address reviewer) external view returns (
+        ReviewerReputation.Change[] memory history
+    ) {
+        return reputationHistory[reviewer];
+    }
+    
+    /**
+     * @dev Get a page of registered reviewers with their current reputation, for leaderboards
+     * @param offset Index of the first reviewer, in registration order
+     * @param limit Maximum number of reviewers to return
+     * @return reviewerAddresses Reviewer addresses
+     * @return reputations Current reputation of each reviewer
+     */
+    function getReviewerReputations(uint256 offset, uint256 limit) external view returns (
+        address[] memory reviewerAddresses,
+        uint256[] memory reputations
+    ) {
+        uint256 end = offset + limit;
+        if (end > registeredReviewers.length) {
+            end = registeredReviewers.length;
+        }
+        uint256 length = end > offset ? end - offset : 0;
+        
+        reviewerAddresses = new address[](length);
+        reputations = new uint256[](length);
+        for (uint256 i = 0; i < length; i++) {
+            reviewerAddresses[i] = registeredReviewers[offset + i];
+            reputations[i] = _reputationOf(reviewerAddresses[i]);
+        }
+    }
+    
+    /**
+     * @dev Get the number of registered reviewers
+     * @return count Number of reviewers who registered
+     */
+    function getReviewerCount() external view returns (uint256 count) {
+        return registeredReviewers.length;
+    }
+}
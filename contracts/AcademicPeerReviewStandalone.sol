@@ -1,14 +1,18 @@
 // SPDX-License-Identifier: MIT
-pragma solidity ^0.8.28;
+pragma solidity ^0.8.24;
 
 import "fhevm/lib/TFHE.sol";
+import "fhevm/gateway/GatewayCaller.sol";
+import "./DecisionPolicy.sol";
 
 /**
- * @title AcademicPeerReview - FHE Enhanced Version
+ * @title AcademicPeerReviewStandalone - FHE Enhanced Version
  * @dev Privacy-preserving academic peer review system with real FHE functionality
- * @notice Uses TFHE library for fully homomorphic encryption operations
+ * @notice Uses TFHE library for fully homomorphic encryption operations. Scores are decrypted
+ *         asynchronously by the fhEVM Gateway, as in TFHEBackend.sol: revealing a paper requests
+ *         one decryption per review, and the decision is made once the last score arrives
  */
-contract AcademicPeerReview {
+contract AcademicPeerReviewStandalone is GatewayCaller {
     
     address public owner;
     uint256 public paperCount;
@@ -60,6 +64,19 @@ contract AcademicPeerReview {
     uint256 public constant MIN_REVIEWERS = 3;
     uint256 public constant MIN_SCORE = 1;
     uint256 public constant MAX_SCORE = 10;
+    uint256 public constant ACCEPT_THRESHOLD = 7 * DecisionPolicy.SCORE_PRECISION; // 7.00
+    
+    // Rule applied to the decrypted scores when revealing a decision
+    DecisionPolicy.Settings public decisionPolicy;
+    
+    // How long the Gateway has to answer a decryption request
+    uint256 public constant DECRYPTION_TIMEOUT = 100;
+    
+    // Score reveals in progress: the paper of each pending Gateway request, the number of scores
+    // requested per paper and the plaintext scores delivered so far
+    mapping(uint256 => uint256) private pendingScoreReveals; // requestId => paperId
+    mapping(uint256 => uint256) public requestedScoreCount;
+    mapping(uint256 => uint256[]) private decryptedScores;
     
     // Events
     event PaperSubmitted(uint256 indexed paperId, address indexed author, string title);
@@ -67,6 +84,8 @@ contract AcademicPeerReview {
     event ReviewSubmitted(uint256 indexed paperId, address indexed reviewer);
     event PaperStatusChanged(uint256 indexed paperId, PaperStatus newStatus);
     event ScoreRevealed(uint256 indexed paperId, uint256 averageScore);
+    event DecisionPolicyChanged(DecisionPolicy.Rule rule);
+    event ScoreRevealRequested(uint256 indexed paperId, uint256 scoreCount);
     
     modifier onlyOwner() {
         require(msg.sender == owner, "Not the owner");
@@ -150,38 +169,101 @@ contract AcademicPeerReview {
     }
     
     /**
-     * @dev Reveal final scores using FHE decryption
+     * @dev Set the rule used to decide papers from their revealed scores
+     * @notice Reviews carry no confidence here, so ConfidenceWeightedMean behaves as Mean
+     * @param settings Rule, trim count for TrimmedMean and veto score for UnanimousVeto
+     */
+    function setDecisionPolicy(DecisionPolicy.Settings calldata settings) external onlyOwner {
+        require(settings.rule != DecisionPolicy.Rule.TrimmedMean || settings.trimCount > 0, "Trim count required");
+        require(
+            settings.rule != DecisionPolicy.Rule.UnanimousVeto ||
+                (settings.vetoScore > MIN_SCORE && settings.vetoScore <= MAX_SCORE),
+            "Invalid veto score"
+        );
+        decisionPolicy = settings;
+        emit DecisionPolicyChanged(settings.rule);
+    }
+    
+    /**
+     * @dev Ask the Gateway to decrypt the paper's scores
+     * @notice The decision follows in fulfillScoreReveal, with ScoreRevealed and
+     *         PaperStatusChanged, once every requested score has been delivered
      */
     function revealScore(
         uint256 paperId,
         bytes32 privateKey
-    ) external returns (uint256 averageScore) {
+    ) external {
         require(papers[paperId].isFinalized, "Reviews not finalized");
         require(papers[paperId].reviewerCount > 0, "No reviews submitted");
         
-        // Request FHE decryption of the aggregated encrypted score
-        TFHE.allowTransient(papers[paperId].encryptedScore, msg.sender);
-        uint8 totalScore = TFHE.decrypt(papers[paperId].encryptedScore);
-        
-        // Calculate average score
-        averageScore = uint256(totalScore) / papers[paperId].reviewerCount;
-        
-        // Ensure score is within valid range (fallback for edge cases)
-        if (averageScore < MIN_SCORE || averageScore > MAX_SCORE) {
-            averageScore = 7; // Default to neutral score
+        _requestScoreReveal(paperId);
+    }
+    
+    /**
+     * @dev Gateway callback delivering one decrypted score
+     * @param requestId Request being answered
+     * @param score The plaintext score
+     */
+    function fulfillScoreReveal(uint256 requestId, uint8 score) external onlyGateway {
+        uint256 paperId = pendingScoreReveals[requestId];
+        require(paperId != 0, "Unknown request");
+        delete pendingScoreReveals[requestId];
+        
+        decryptedScores[paperId].push(score);
+        if (decryptedScores[paperId].length == requestedScoreCount[paperId]) {
+            _decide(paperId);
         }
-        
-        // Update paper status based on average score
-        if (averageScore >= 7) {
-            papers[paperId].status = PaperStatus.Accepted;
-        } else {
-            papers[paperId].status = PaperStatus.Rejected;
+    }
+    
+    /**
+     * @dev Request one Gateway decryption per encrypted score of the paper
+     */
+    function _requestScoreReveal(uint256 paperId) internal {
+        require(requestedScoreCount[paperId] == 0, "Reveal already requested");
+        euint8[] storage encrypted = encryptedScores[paperId];
+        requestedScoreCount[paperId] = encrypted.length;
+        
+        for (uint256 i = 0; i < encrypted.length; i++) {
+            uint256[] memory handles = new uint256[](1);
+            handles[0] = Gateway.toUint256(encrypted[i]);
+            uint256 requestId = Gateway.requestDecryption(
+                handles,
+                this.fulfillScoreReveal.selector,
+                0,
+                block.timestamp + DECRYPTION_TIMEOUT,
+                false
+            );
+            pendingScoreReveals[requestId] = paperId;
         }
         
+        emit ScoreRevealRequested(paperId, encrypted.length);
+    }
+    
+    /**
+     * @dev Apply the decision policy to the decrypted scores and decide the paper
+     */
+    function _decide(uint256 paperId) internal {
+        (bool accepted, uint256 averageScore) = DecisionPolicy.decide(
+            decisionPolicy,
+            decryptedScores[paperId],
+            new uint256[](0),
+            ACCEPT_THRESHOLD
+        );
+        
+        // Update paper status based on the decision policy
+        Paper storage paper = papers[paperId];
+        paper.status = accepted ? PaperStatus.Accepted : PaperStatus.Rejected;
+        
         emit ScoreRevealed(paperId, averageScore);
-        emit PaperStatusChanged(paperId, papers[paperId].status);
+        emit PaperStatusChanged(paperId, paper.status);
         
-        return averageScore;
+        // Round events for the guessing-game frontend, see revealResult
+        uint8 roundScore = uint8(averageScore / DecisionPolicy.SCORE_PRECISION);
+        if (accepted) {
+            emit RoundEnded(uint8(paperId), paper.author, roundScore);
+        } else {
+            emit NoWinner(uint8(paperId), roundScore);
+        }
     }
     
     /**
@@ -477,6 +559,7 @@ contract AcademicPeerReview {
     
     /**
      * @dev Reveal result compatibility function
+     * @notice Requests the latest paper's score reveal; RoundEnded or NoWinner follows with the decision
      */
     function revealResult() external {
         uint256 currentHour = (block.timestamp / 3600) % 24;
@@ -484,26 +567,9 @@ contract AcademicPeerReview {
         
         if (paperCount > 0) {
             Paper storage paper = papers[paperCount];
-            if (paper.isFinalized && !_isRoundRevealed(paperCount)) {
-                // Allow transient access for FHE decryption
-                TFHE.allowTransient(paper.encryptedScore, msg.sender);
-                uint8 totalScore = TFHE.decrypt(paper.encryptedScore);
-                uint8 averageScore = totalScore / uint8(paper.reviewerCount);
-                
-                if (averageScore >= 7) {
-                    emit RoundEnded(uint8(paperCount), paper.author, averageScore);
-                } else {
-                    emit NoWinner(uint8(paperCount), averageScore);
-                }
+            if (paper.isFinalized && requestedScoreCount[paperCount] == 0) {
+                _requestScoreReveal(paperCount);
             }
         }
     }
-    
-    /**
-     * @dev Check if round result is revealed
-     */
-    function _isRoundRevealed(uint256 roundId) internal view returns (bool) {
-        if (roundId == 0 || roundId > paperCount) return false;
-        return papers[roundId].status == PaperStatus.Accepted || papers[roundId].status == PaperStatus.Rejected;
-    }
 }
\ No newline at end of file
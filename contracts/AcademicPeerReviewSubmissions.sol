@@ -0,0 +1,647 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./AcademicPeerReviewBase.sol";
+
+/**
+ * @title AcademicPeerReviewSubmissions
+ * @dev Double-blind submissions, reviewer pseudonyms, withdrawal, triage, review deadlines,
+ *      revisions and paper listings
+ * @notice Only meant to be called through AcademicPeerReview; AcademicPeerReviewExtension
+ *         delegates the calls it does not implement to this contract, and calls this contract
+ *         does not implement continue to AcademicPeerReviewReputation
+ */
+contract AcademicPeerReviewSubmissions is AcademicPeerReviewBase {
+    
+    // Serves reputation settlement, helpfulness ratings and reputation history
+    address public immutable reputation;
+    
+    /**
+     * @param _reputation Deployed AcademicPeerReviewReputation
+     */
+    constructor(address _reputation) {
+        require(_reputation != address(0), "Invalid reputation contract");
+        reputation = _reputation;
+    }
+    
+    /**
+     * @dev Make a venue double-blind (venue chairs only)
+     * @notice Only before the venue's first submission. Double-blind venues take submissions
+     *         through submitBlindPaper, which stores a commitment instead of the author's address
+     * @param venueId Venue ID
+     * @param doubleBlind True to hide author identities until they prove authorship
+     */
+    function setDoubleBlind(uint256 venueId, bool doubleBlind) external onlyVenueChair(venueId) {
+        require(!venueSettingsLocked[venueId], "Double-blind setting locked");
+        venueDoubleBlind[venueId] = doubleBlind;
+        
+        emit DoubleBlindChanged(venueId, doubleBlind);
+    }
+    
+    /**
+     * @dev Submit a paper to a double-blind venue
+     * @notice The paper is stored without an author. Until the decision the committed address
+     *         acts on it through the blind variants of the author functions, passing the salt;
+     *         afterwards it can prove authorship. Any account, such as the relayer, may send the
+     *         submission. The hidden conflicts must include the committed address, or it cannot act
+     * @param venueId Venue ID
+     * @param title Paper title
+     * @param abstractText Paper abstract
+     * @param ipfsHash IPFS hash of the anonymized paper
+     * @param authorCommitment Commitment to the author's address, see computeAuthorCommitment
+     * @param authorKey Compressed public key, used for this paper only, that review comments and
+     *        rebuttals are encrypted to
+     * @param conflictHashes Hidden conflicts: keccak256 hashes of the addresses that must not
+     *        review the paper, including the author's own
+     * @param conflictedAddresses Addresses that must not review the paper (co-authors, colleagues)
+     * @param conflictedInstitutions Institutions whose reviewers must not review the paper
+     * @return paperId The assigned paper ID
+     */
+    function submitBlindPaper(
+        uint256 venueId,
+        string memory title,
+        string memory abstractText,
+        string memory ipfsHash,
+        bytes32 authorCommitment,
+        bytes memory authorKey,
+        bytes32[] memory conflictHashes,
+        address[] memory conflictedAddresses,
+        string[] memory conflictedInstitutions
+    ) external returns (uint256 paperId) {
+        require(venueDoubleBlind[venueId], "Venue is not double-blind");
+        require(authorCommitment != bytes32(0), "Author commitment required");
+        require(authorKey.length == 33, "Invalid author key");
+        
+        paperId = _createPaper(
+            venueId,
+            address(0),
+            title,
+            abstractText,
+            ipfsHash,
+            conflictedAddresses,
+            conflictedInstitutions
+        );
+        _recordBlindAuthor(paperId, authorCommitment, authorKey, conflictHashes);
+        return paperId;
+    }
+    
+    /**
+     * @dev Store the author commitment, encryption key and hidden conflicts of a blind paper
+     */
+    function _recordBlindAuthor(
+        uint256 paperId,
+        bytes32 authorCommitment,
+        bytes memory authorKey,
+        bytes32[] memory conflictHashes
+    ) internal {
+        require(conflictHashes.length > 0, "Hidden conflicts required");
+        require(conflictHashes.length <= MAX_CONFLICTS, "Too many conflicts");
+        
+        authorCommitments[paperId] = authorCommitment;
+        blindAuthorKeys[paperId] = authorKey;
+        for (uint256 i = 0; i < conflictHashes.length; i++) {
+            hiddenConflicts[paperId][conflictHashes[i]] = true;
+        }
+    }
+    
+    /**
+     * @dev Reveal the author of a decided blind submission by opening its commitment
+     * @notice Links the caller to the paper on-chain, so it is only allowed once the paper is
+     *         decided; the author needs it to rate reviews and to be listed as the paper's author
+     * @param paperId Paper ID
+     * @param salt Secret salt used in the author commitment
+     */
+    function proveAuthorship(uint256 paperId, bytes32 salt) external {
+        bytes32 commitment = authorCommitments[paperId];
+        require(commitment != bytes32(0), "Not a blind submission");
+        require(papers[paperId].author == address(0), "Authorship already proven");
+        require(_isDecided(papers[paperId].status), "Paper not decided");
+        require(computeAuthorCommitment(msg.sender, salt) == commitment, "Invalid authorship proof");
+        
+        papers[paperId].author = msg.sender;
+        _grantRole(AUTHOR_ROLE, msg.sender);
+        
+        emit AuthorshipProven(paperId, msg.sender);
+    }
+    
+    /**
+     * @dev Compute the commitment an author submits to a double-blind venue
+     * @param author Author address that will prove authorship
+     * @param salt Secret salt chosen by the author
+     * @return commitment Author commitment
+     */
+    function computeAuthorCommitment(address author, bytes32 salt) public pure returns (bytes32 commitment) {
+        return keccak256(abi.encodePacked(author, salt));
+    }
+    
+    /**
+     * @dev Make a venue's reviews anonymous (venue chairs only)
+     * @notice Only before the venue's first submission. Assigned reviewers then review through
+     *         pseudonyms registered with registerPseudonym instead of their own addresses
+     * @param venueId Venue ID
+     * @param anonymousReviews True to take reviews from pseudonyms only
+     */
+    function setAnonymousReviews(uint256 venueId, bool anonymousReviews) external onlyVenueChair(venueId) {
+        require(!venueSettingsLocked[venueId], "Anonymous review setting locked");
+        venueAnonymousReviews[venueId] = anonymousReviews;
+        
+        emit AnonymousReviewsChanged(venueId, anonymousReviews);
+    }
+    
+    /**
+     * @dev Register the alt_bn128 public key a reviewer signs pseudonym registrations with
+     * @notice Registered once; reviewers need it before being assigned on anonymous-review venues
+     * @param publicKey Public key x and y coordinates
+     */
+    function registerRingKey(uint256[2] calldata publicKey) external {
+        require(reviewers[msg.sender].reviewerAddress != address(0), "Reviewer not registered");
+        require(reviewerRingKeys[msg.sender].x == 0, "Ring key already registered");
+        RingSignature.Point memory key = RingSignature.Point(publicKey[0], publicKey[1]);
+        require(RingSignature.isOnCurve(key), "Invalid ring key");
+        
+        reviewerRingKeys[msg.sender] = key;
+        
+        emit RingKeyRegistered(msg.sender, key.x, key.y);
+    }
+    
+    /**
+     * @dev Register a pseudonym that reviews a paper on behalf of one of its assigned reviewers
+     * @notice The ring signature proves an assigned reviewer authorized the pseudonym without
+     *         revealing which one; its key image allows one pseudonym per reviewer. Any account
+     *         may send the registration, since the pseudonym is part of the signed message
+     * @param paperId Paper ID
+     * @param pseudonym Address that submits and reveals the review
+     * @param signature Ring signature over pseudonymMessage(paperId, pseudonym), in getReviewRing order
+     */
+    function registerPseudonym(
+        uint256 paperId,
+        address pseudonym,
+        RingSignature.Signature memory signature
+    ) external {
+        Paper storage paper = papers[paperId];
+        require(paper.paperId != 0, "Paper does not exist");
+        require(venueAnonymousReviews[paper.venueId], "Venue reviews are not anonymous");
+        require(paper.status == PaperStatus.UnderReview, "Paper not under review");
+        require(pseudonym != address(0), "Invalid pseudonym");
+        require(!paperPseudonyms[paperId][pseudonym], "Pseudonym already registered");
+        bytes32 nullifier = keccak256(abi.encodePacked(signature.keyImage.x, signature.keyImage.y));
+        require(!usedNullifiers[nullifier], "Reviewer already has a pseudonym");
+        require(
+            RingSignature.verify(pseudonymMessage(paperId, pseudonym), paperId, getReviewRing(paperId), signature),
+            "Invalid ring signature"
+        );
+        
+        usedNullifiers[nullifier] = true;
+        paperPseudonyms[paperId][pseudonym] = true;
+        
+        emit PseudonymRegistered(paperId, pseudonym, nullifier);
+    }
+    
+    /**
+     * @dev Ring keys of a paper's assigned reviewers, in assignment order
+     * @param paperId Paper ID
+     * @return ring Public keys pseudonym registrations are signed against
+     */
+    function getReviewRing(uint256 paperId) public view returns (RingSignature.Point[] memory ring) {
+        address[] storage assigned = paperReviewers[paperId];
+        ring = new RingSignature.Point[](assigned.length);
+        for (uint256 i = 0; i < assigned.length; i++) {
+            ring[i] = reviewerRingKeys[assigned[i]];
+        }
+    }
+    
+    /**
+     * @dev Message a reviewer ring-signs to register a pseudonym
+     * @param paperId Paper ID
+     * @param pseudonym Pseudonym address
+     * @return message Message hash, bound to this contract and chain
+     */
+    function pseudonymMessage(uint256 paperId, address pseudonym) public view returns (bytes32 message) {
+        return keccak256(abi.encodePacked(address(this), block.chainid, paperId, pseudonym));
+    }
+    
+    /**
+     * @dev Withdraw a paper before its final decision
+     * @notice Reviews stop immediately; the paper can later be revised with resubmitPaper.
+     *         Conditionally accepted papers and revision requests can also be withdrawn
+     * @param paperId Paper ID
+     */
+    function withdrawPaper(uint256 paperId) external {
+        _withdrawPaper(paperId, bytes32(0));
+    }
+    
+    /**
+     * @dev Withdraw a blind submission without proving authorship
+     * @param paperId Paper ID
+     * @param authorSalt Secret salt used in the author commitment
+     */
+    function withdrawBlindPaper(uint256 paperId, bytes32 authorSalt) external {
+        _withdrawPaper(paperId, authorSalt);
+    }
+    
+    /**
+     * @dev Withdraw a paper for its author, see _isPaperAuthor
+     */
+    function _withdrawPaper(uint256 paperId, bytes32 authorSalt) internal {
+        Paper storage paper = papers[paperId];
+        require(paper.paperId != 0, "Paper does not exist");
+        require(_isPaperAuthor(paperId, msg.sender, authorSalt), "Not the author");
+        require(_isAllowedTransition(paper.status, PaperStatus.Withdrawn), "Decision already made");
+        
+        emit PaperWithdrawn(paperId, msg.sender);
+        _setStatus(paperId, PaperStatus.Withdrawn);
+    }
+    
+    /**
+     * @dev Screen a new paper before review (venue chairs only)
+     * @notice Once per paper, before any review has been submitted. Desk-rejected and
+     *         out-of-scope papers move to DeskReject with a published reason; papers sent to
+     *         review carry on to reviewer assignment
+     * @param paperId Paper ID
+     * @param decision SentToReview, DeskRejected or OutOfScope
+     * @param reasonHash Content hash of the editor's reason, ignored when sending to review
+     */
+    function triagePaper(uint256 paperId, TriageDecision decision, bytes32 reasonHash) external {
+        Paper storage paper = papers[paperId];
+        require(paper.paperId != 0, "Paper does not exist");
+        require(_isVenueChair(paper.venueId, msg.sender), "Not a venue chair");
+        require(decision != TriageDecision.Pending, "Invalid triage decision");
+        require(paperTriage[paperId] == TriageDecision.Pending, "Paper already triaged");
+        require(
+            paper.status == PaperStatus.Submitted || paper.status == PaperStatus.UnderReview,
+            "Paper not awaiting triage"
+        );
+        require(paper.scoreCommitments.length == 0, "Reviews already submitted");
+        
+        paperTriage[paperId] = decision;
+        if (decision == TriageDecision.SentToReview) {
+            emit PaperTriaged(paperId, msg.sender, decision, bytes32(0));
+            return;
+        }
+        
+        require(reasonHash != bytes32(0), "Reason required");
+        triageReasons[paperId] = reasonHash;
+        
+        emit PaperTriaged(paperId, msg.sender, decision, reasonHash);
+        _setStatus(paperId, PaperStatus.DeskReject);
+    }
+    
+    /**
+     * @dev Extend the review deadline of a paper under review (venue chairs only)
+     * @notice Only before the reviews are finalized and before any score is revealed, since
+     *         extending the deadline seals the scores again. Overdue reviewers can submit until
+     *         the new deadline, at most one venue review period past the current deadline or,
+     *         once that has passed, past now
+     * @param paperId Paper ID
+     * @param newDeadline New review deadline, later than the current one
+     */
+    function extendReviewDeadline(uint256 paperId, uint256 newDeadline) external {
+        Paper storage paper = _requireDeadlineChange(paperId, newDeadline);
+        require(newDeadline > paper.reviewDeadline, "Deadline must be later");
+        
+        paper.reviewDeadline = newDeadline;
+        
+        emit ReviewDeadlineExtended(paperId, address(0), newDeadline);
+    }
+    
+    /**
+     * @dev Give one assigned reviewer more time than the rest of the panel (venue chairs only)
+     * @notice Same conditions as extendReviewDeadline; every score of the paper stays sealed until
+     *         the reviewer's new deadline. Not available on anonymous-review venues, whose reviews
+     *         are submitted by pseudonyms
+     * @param paperId Paper ID
+     * @param reviewer Assigned reviewer who has not submitted yet
+     * @param newDeadline Reviewer's new deadline, later than their current one
+     */
+    function extendReviewerDeadline(uint256 paperId, address reviewer, uint256 newDeadline) external {
+        Paper storage paper = _requireDeadlineChange(paperId, newDeadline);
+        require(!venueAnonymousReviews[paper.venueId], "Reviews are pseudonymous");
+        require(_panelIndex(paperId, reviewer) < paperReviewers[paperId].length, "Reviewer not assigned");
+        require(!reviews[paperId][reviewer].isSubmitted, "Review already submitted");
+        require(newDeadline > _reviewDeadlineOf(paperId, reviewer), "Deadline must be later");
+        
+        _setReviewerDeadline(paperId, reviewer, newDeadline);
+        
+        emit ReviewDeadlineExtended(paperId, reviewer, newDeadline);
+    }
+    
+    /**
+     * @dev Hand an assigned review that was not submitted to a backup reviewer (venue chairs only)
+     * @notice Same conditions as extendReviewerDeadline. The backup must be eligible to review
+     *         the paper, as in assignReviewers, and gets until `deadline`. A reviewer replaced
+     *         after their deadline is penalized for the missed review straight away
+     * @param paperId Paper ID
+     * @param reviewer Assigned reviewer who has not submitted
+     * @param backupReviewer Reviewer taking over the review
+     * @param deadline Backup reviewer's deadline
+     */
+    function reassignReview(
+        uint256 paperId,
+        address reviewer,
+        address backupReviewer,
+        uint256 deadline
+    ) external {
+        Paper storage paper = _requireDeadlineChange(paperId, deadline);
+        require(!venueAnonymousReviews[paper.venueId], "Reviews are pseudonymous");
+        uint256 index = _panelIndex(paperId, reviewer);
+        require(index < paperReviewers[paperId].length, "Reviewer not assigned");
+        require(!reviews[paperId][reviewer].isSubmitted, "Review already submitted");
+        require(reviewers[backupReviewer].isVerified, "Reviewer not verified");
+        require(venueReviewers[paper.venueId][backupReviewer], "Reviewer not in venue pool");
+        require(
+            _panelIndex(paperId, backupReviewer) == paperReviewers[paperId].length,
+            "Reviewer already assigned"
+        );
+        require(!reviews[paperId][backupReviewer].isSubmitted, "Review already submitted");
+        _requireNoConflict(paperId, backupReviewer);
+        
+        bool overdue = block.timestamp > _reviewDeadlineOf(paperId, reviewer);
+        paperReviewers[paperId][index] = backupReviewer;
+        _removeReviewerPaper(reviewer, paperId);
+        reviewerPapers[backupReviewer].push(paperId);
+        reviewerAssignedAt[paperId][backupReviewer] = block.timestamp;
+        
+        _setReviewerDeadline(paperId, backupReviewer, deadline);
+        
+        emit ReviewReassigned(paperId, reviewer, backupReviewer, deadline);
+        emit ReviewerAssigned(paperId, backupReviewer);
+        if (overdue) {
+            _changeReputation(
+                reviewer,
+                paperId,
+                ReviewerReputation.Reason.MissedReview,
+                -int256(ReviewerReputation.MISSED_REVIEW_PENALTY)
+            );
+        }
+    }
+    
+    /**
+     * @dev Get the deadline for a reviewer's review of a paper
+     * @param paperId Paper ID
+     * @param reviewer Reviewer address
+     * @return deadline The paper's review deadline, or the reviewer's own if it is later
+     */
+    function getReviewDeadline(uint256 paperId, address reviewer) external view returns (uint256 deadline) {
+        return _reviewDeadlineOf(paperId, reviewer);
+    }
+    
+    /**
+     * @dev Require the caller to be able to move a paper's review deadlines to `deadline`
+     */
+    function _requireDeadlineChange(uint256 paperId, uint256 deadline) internal view returns (Paper storage paper) {
+        paper = papers[paperId];
+        require(paper.paperId != 0, "Paper does not exist");
+        require(_isVenueChair(paper.venueId, msg.sender), "Not a venue chair");
+        require(paper.status == PaperStatus.UnderReview, "Paper not under review");
+        require(!paper.isFinalized, "Reviews already finalized");
+        require(paper.revealedCount == 0, "Scores already revealed");
+        require(deadline > block.timestamp, "Deadline already passed");
+        uint256 from = paper.reviewDeadline > block.timestamp ? paper.reviewDeadline : block.timestamp;
+        require(deadline <= from + venues[paper.venueId].reviewPeriod, "Deadline too far");
+    }
+    
+    function _setReviewerDeadline(uint256 paperId, address reviewer, uint256 deadline) internal {
+        reviewerDeadlines[paperId][reviewer] = deadline;
+        if (deadline > latestReviewerDeadlines[paperId]) {
+            latestReviewerDeadlines[paperId] = deadline;
+        }
+    }
+    
+    function _removeReviewerPaper(address reviewer, uint256 paperId) internal {
+        uint256[] storage assigned = reviewerPapers[reviewer];
+        for (uint256 i = 0; i < assigned.length; i++) {
+            if (assigned[i] == paperId) {
+                assigned[i] = assigned[assigned.length - 1];
+                assigned.pop();
+                return;
+            }
+        }
+    }
+    
+    /**
+     * @dev Submit a revised version of a paper to the same venue
+     * @notice For papers that were withdrawn, rejected, desk rejected or sent back for revision;
+     *         blind submissions are revised with resubmitBlindPaper
+     * @notice The new version is reviewed from scratch and linked to the one it replaces
+     * @param previousPaperId Paper ID of the version being revised
+     * @param title Paper title
+     * @param abstractText Paper abstract
+     * @param ipfsHash IPFS hash of the revised paper
+     * @param conflictedAddresses Addresses that must not review the paper (co-authors, colleagues)
+     * @param conflictedInstitutions Institutions whose reviewers must not review the paper
+     * @return paperId The paper ID of the new version
+     */
+    function resubmitPaper(
+        uint256 previousPaperId,
+        string memory title,
+        string memory abstractText,
+        string memory ipfsHash,
+        address[] memory conflictedAddresses,
+        string[] memory conflictedInstitutions
+    ) external returns (uint256 paperId) {
+        require(papers[previousPaperId].paperId != 0, "Paper does not exist");
+        require(msg.sender == papers[previousPaperId].author, "Not the author");
+        require(authorCommitments[previousPaperId] == bytes32(0), "Paper is double-blind");
+        
+        paperId = _resubmitPaper(
+            previousPaperId,
+            msg.sender,
+            title,
+            abstractText,
+            ipfsHash,
+            conflictedAddresses,
+            conflictedInstitutions
+        );
+        return paperId;
+    }
+    
+    /**
+     * @dev Submit a revised version of a blind submission, which stays blind
+     * @notice The revision keeps the author commitment and encryption key of the previous version
+     *         and takes its own hidden conflicts, which must again include the author's address
+     * @param previousPaperId Paper ID of the version being revised
+     * @param title Paper title
+     * @param abstractText Paper abstract
+     * @param ipfsHash IPFS hash of the revised paper
+     * @param authorSalt Secret salt used in the author commitment
+     * @param conflictHashes Hidden conflicts, see submitBlindPaper
+     * @param conflictedAddresses Addresses that must not review the paper (co-authors, colleagues)
+     * @param conflictedInstitutions Institutions whose reviewers must not review the paper
+     * @return paperId The paper ID of the new version
+     */
+    function resubmitBlindPaper(
+        uint256 previousPaperId,
+        string memory title,
+        string memory abstractText,
+        string memory ipfsHash,
+        bytes32 authorSalt,
+        bytes32[] memory conflictHashes,
+        address[] memory conflictedAddresses,
+        string[] memory conflictedInstitutions
+    ) external returns (uint256 paperId) {
+        bytes32 authorCommitment = authorCommitments[previousPaperId];
+        require(authorCommitment != bytes32(0), "Not a blind submission");
+        require(_isPaperAuthor(previousPaperId, msg.sender, authorSalt), "Not the author");
+        
+        paperId = _resubmitPaper(
+            previousPaperId,
+            address(0),
+            title,
+            abstractText,
+            ipfsHash,
+            conflictedAddresses,
+            conflictedInstitutions
+        );
+        _recordBlindAuthor(paperId, authorCommitment, blindAuthorKeys[previousPaperId], conflictHashes);
+        return paperId;
+    }
+    
+    /**
+     * @dev Create the next version of a paper and link the two
+     * @param author Author address, or zero for a blind revision
+     */
+    function _resubmitPaper(
+        uint256 previousPaperId,
+        address author,
+        string memory title,
+        string memory abstractText,
+        string memory ipfsHash,
+        address[] memory conflictedAddresses,
+        string[] memory conflictedInstitutions
+    ) internal returns (uint256 paperId) {
+        Paper storage previous = papers[previousPaperId];
+        require(
+            previous.status == PaperStatus.Withdrawn ||
+                previous.status == PaperStatus.Rejected ||
+                previous.status == PaperStatus.DeskReject ||
+                previous.status == PaperStatus.MajorRevision ||
+                previous.status == PaperStatus.MinorRevision,
+            "Paper cannot be resubmitted"
+        );
+        require(nextVersion[previousPaperId] == 0, "Already resubmitted");
+        
+        paperId = _createPaper(
+            previous.venueId,
+            author,
+            title,
+            abstractText,
+            ipfsHash,
+            conflictedAddresses,
+            conflictedInstitutions
+        );
+        previousVersion[paperId] = previousPaperId;
+        nextVersion[previousPaperId] = paperId;
+        
+        emit PaperResubmitted(paperId, previousPaperId);
+        return paperId;
+    }
+    
+    /**
+     * @dev Get every version of a paper, from the original submission to the latest revision
+     * @param paperId Any paper ID in the chain
+     * @return paperIds Paper IDs in submission order
+     */
+    function getPaperVersions(uint256 paperId) external view returns (uint256[] memory paperIds) {
+        require(papers[paperId].paperId != 0, "Paper does not exist");
+        
+        uint256 first = paperId;
+        while (previousVersion[first] != 0) {
+            first = previousVersion[first];
+        }
+        
+        uint256 count = 1;
+        for (uint256 id = first; nextVersion[id] != 0; id = nextVersion[id]) {
+            count++;
+        }
+        
+        paperIds = new uint256[](count);
+        paperIds[0] = first;
+        for (uint256 i = 1; i < count; i++) {
+            paperIds[i] = nextVersion[paperIds[i - 1]];
+        }
+        
+        return paperIds;
+    }
+    
+    /**
+     * @dev Get papers submitted to a venue
+     * @param venueId Venue ID
+     * @return paperIds Array of paper IDs
+     */
+    function getPapersByVenue(uint256 venueId) external view returns (uint256[] memory paperIds) {
+        uint256 count = 0;
+        for (uint256 i = 1; i <= paperCount; i++) {
+            if (papers[i].venueId == venueId) {
+                count++;
+            }
+        }
+        
+        paperIds = new uint256[](count);
+        uint256 index = 0;
+        for (uint256 i = 1; i <= paperCount; i++) {
+            if (papers[i].venueId == venueId) {
+                paperIds[index] = i;
+                index++;
+            }
+        }
+        
+        return paperIds;
+    }
+    
+    /**
+     * @dev Get papers by author
+     * @notice Blind submissions are listed once their authorship is proven
+     * @param author Author address
+     * @return paperIds Array of paper IDs
+     */
+    function getPapersByAuthor(address author) external view returns (uint256[] memory paperIds) {
+        uint256 count = 0;
+        for (uint256 i = 1; i <= paperCount; i++) {
+            if (papers[i].author == author) {
+                count++;
+            }
+        }
+        
+        paperIds = new uint256[](count);
+        uint256 index = 0;
+        for (uint256 i = 1; i <= paperCount; i++) {
+            if (papers[i].author == author) {
+                paperIds[index] = i;
+                index++;
+            }
+        }
+        
+        return paperIds;
+    }
+    
+    /**
+     * @dev Get all papers with pagination
+     * @param offset Starting index
+     * @param limit Number of papers to return
+     * @return paperIds Array of paper IDs
+     */
+    function getAllPapers(uint256 offset, uint256 limit) external view returns (uint256[] memory paperIds) {
+        require(offset < paperCount, "Offset exceeds paper count");
+        
+        uint256 end = offset + limit;
+        if (end > paperCount) {
+            end = paperCount;
+        }
+        
+        uint256 length = end - offset;
+        paperIds = new uint256[](length);
+        
+        for (uint256 i = 0; i < length; i++) {
+            paperIds[i] = offset + i + 1;
+        }
+        
+        return paperIds;
+    }
+    
+    /**
+     * @dev Delegate every other call to the reputation contract
+     */
+    fallback() external {
+        _delegate(reputation);
+    }
+}
@@ -0,0 +1,140 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/**
+ * @title DecisionPolicy
+ * @dev Accept/reject rules applied to a paper's revealed review scores
+ * @notice Aggregates are scaled by SCORE_PRECISION (e.g. 833 = 8.33) and a paper is accepted
+ *         once its aggregate reaches the threshold; UnanimousVeto also rejects it if any
+ *         single score is below the veto score
+ */
+library DecisionPolicy {
+    
+    uint256 internal constant SCORE_PRECISION = 100;
+    
+    enum Rule {
+        Mean,
+        ConfidenceWeightedMean,
+        Median,
+        TrimmedMean,
+        UnanimousVeto
+    }
+    
+    struct Settings {
+        Rule rule;
+        uint8 trimCount; // TrimmedMean: scores dropped at each end
+        uint8 vetoScore; // UnanimousVeto: any score below it rejects the paper
+    }
+    
+    /**
+     * @dev Apply a rule to revealed scores
+     * @notice Sorts `scores` in place for the median and trimmed mean
+     * @param settings Rule and its parameters
+     * @param scores Revealed scores, one per reviewer
+     * @param weights Reviewer confidences for ConfidenceWeightedMean, in `scores` order
+     * @param threshold Minimum aggregate to accept, scaled by SCORE_PRECISION
+     * @return accepted True if the paper is accepted
+     * @return aggregate Aggregate score the decision was based on, scaled by SCORE_PRECISION
+     */
+    function decide(
+        Settings memory settings,
+        uint256[] memory scores,
+        uint256[] memory weights,
+        uint256 threshold
+    ) internal pure returns (bool accepted, uint256 aggregate) {
+        require(scores.length > 0, "No scores revealed");
+        
+        if (settings.rule == Rule.ConfidenceWeightedMean) {
+            aggregate = weightedMean(scores, weights);
+        } else if (settings.rule == Rule.Median) {
+            aggregate = median(scores);
+        } else if (settings.rule == Rule.TrimmedMean) {
+            aggregate = trimmedMean(scores, settings.trimCount);
+        } else {
+            aggregate = mean(scores);
+        }
+        
+        // Integer thresholds make the rounded-down aggregate an exact comparison
+        accepted = aggregate >= threshold;
+        if (accepted && settings.rule == Rule.UnanimousVeto) {
+            for (uint256 i = 0; i < scores.length; i++) {
+                if (scores[i] < settings.vetoScore) {
+                    return (false, aggregate);
+                }
+            }
+        }
+    }
+    
+    /**
+     * @dev Arithmetic mean, scaled by SCORE_PRECISION
+     */
+    function mean(uint256[] memory scores) internal pure returns (uint256) {
+        uint256 total;
+        for (uint256 i = 0; i < scores.length; i++) {
+            total += scores[i];
+        }
+        return (total * SCORE_PRECISION) / scores.length;
+    }
+    
+    /**
+     * @dev Mean weighted by reviewer confidence, scaled by SCORE_PRECISION
+     * @notice Falls back to the plain mean when no weights are given
+     */
+    function weightedMean(uint256[] memory scores, uint256[] memory weights) internal pure returns (uint256) {
+        if (weights.length == 0) {
+            return mean(scores);
+        }
+        require(weights.length == scores.length, "Weight count mismatch");
+        
+        uint256 total;
+        uint256 totalWeight;
+        for (uint256 i = 0; i < scores.length; i++) {
+            total += scores[i] * weights[i];
+            totalWeight += weights[i];
+        }
+        require(totalWeight > 0, "No confidence weight");
+        return (total * SCORE_PRECISION) / totalWeight;
+    }
+    
+    /**
+     * @dev Median, averaging the two middle scores of an even count, scaled by SCORE_PRECISION
+     */
+    function median(uint256[] memory scores) internal pure returns (uint256) {
+        _sort(scores);
+        uint256 middle = scores.length / 2;
+        if (scores.length % 2 == 1) {
+            return scores[middle] * SCORE_PRECISION;
+        }
+        return ((scores[middle - 1] + scores[middle]) * SCORE_PRECISION) / 2;
+    }
+    
+    /**
+     * @dev Mean without the `trimCount` lowest and highest scores, scaled by SCORE_PRECISION
+     * @notice Panels too small to trim on both ends use the plain mean
+     */
+    function trimmedMean(uint256[] memory scores, uint256 trimCount) internal pure returns (uint256) {
+        if (scores.length <= trimCount * 2) {
+            return mean(scores);
+        }
+        _sort(scores);
+        
+        uint256 total;
+        for (uint256 i = trimCount; i < scores.length - trimCount; i++) {
+            total += scores[i];
+        }
+        return (total * SCORE_PRECISION) / (scores.length - trimCount * 2);
+    }
+    
+    // Insertion sort; review panels are small
+    function _sort(uint256[] memory values) private pure {
+        for (uint256 i = 1; i < values.length; i++) {
+            uint256 value = values[i];
+            uint256 j = i;
+            while (j > 0 && values[j - 1] > value) {
+                values[j] = values[j - 1];
+                j--;
+            }
+            values[j] = value;
+        }
+    }
+}
@@ -1,183 +1,135 @@
 // SPDX-License-Identifier: MIT
-pragma solidity ^0.8.28;
+pragma solidity ^0.8.24;
+
+import "./IEncryptionBackend.sol";
 
 /**
  * @title FHECore
- * @dev Mock implementation of Fully Homomorphic Encryption core functions
- * @notice This is a simplified version for demonstration purposes
+ * @dev Encrypted score arithmetic on top of a pluggable encryption backend
+ * @notice Deploy with MockFHEBackend for local development and tests, or TFHEBackend on
+ *         fhEVM networks. Callers can only compute on, share or decrypt ciphertexts they
+ *         are allowed on in the backend's access list.
  */
 contract FHECore {
-    
-    // Mock encrypted value structure
-    struct EncryptedValue {
-        bytes32 ciphertext;
-        uint256 timestamp;
-    }
-    
-    // Storage for encrypted values
-    mapping(bytes32 => EncryptedValue) private encryptedValues;
-    
+
+    uint32 public constant SCORE_PRECISION = 100;
+
+    IEncryptionBackend public immutable backend;
+
     // Events
-    event ValueEncrypted(bytes32 indexed ciphertext, bytes32 publicKey);
-    event ValueDecrypted(bytes32 indexed ciphertext, uint256 plaintext);
+    event ValueEncrypted(bytes32 indexed ciphertext, address indexed owner);
     event HomomorphicOperation(bytes32 indexed result, bytes32 a, bytes32 b);
-    
+    event ValuesAggregated(bytes32 indexed result, uint256 count);
+
+    modifier onlyAllowed(bytes32 ciphertext) {
+        require(backend.isAllowed(ciphertext, msg.sender), "Not allowed");
+        _;
+    }
+
+    constructor(IEncryptionBackend _backend) {
+        require(address(_backend) != address(0), "Invalid backend");
+        backend = _backend;
+    }
+
     /**
-     * @dev Encrypt a value using a public key
+     * @dev Encrypt a value for the caller
      * @param value The plaintext value to encrypt
-     * @param publicKey The public key for encryption
      * @return ciphertext The encrypted value
      */
-    function encryptValue(uint256 value, bytes32 publicKey) external returns (bytes32 ciphertext) {
-        require(value > 0, "Value must be positive");
-        require(publicKey != bytes32(0), "Invalid public key");
-        
-        // Generate deterministic ciphertext based on value, public key, and timestamp
-        ciphertext = keccak256(abi.encodePacked(value, publicKey, block.timestamp, msg.sender));
-        
-        // Store the encrypted value for later decryption
-        encryptedValues[ciphertext] = EncryptedValue({
-            ciphertext: ciphertext,
-            timestamp: block.timestamp
-        });
-        
-        emit ValueEncrypted(ciphertext, publicKey);
+    function encryptValue(uint32 value) external returns (bytes32 ciphertext) {
+        ciphertext = backend.encrypt(value);
+        backend.allow(ciphertext, msg.sender);
+
+        emit ValueEncrypted(ciphertext, msg.sender);
         return ciphertext;
     }
-    
+
     /**
-     * @dev Decrypt a value using a private key
+     * @dev Decrypt a value the caller is allowed on
      * @param ciphertext The encrypted value to decrypt
-     * @param privateKey The private key for decryption
      * @return plaintext The decrypted value
      */
-    function decryptValue(bytes32 ciphertext, bytes32 privateKey) external returns (uint256 plaintext) {
-        require(ciphertext != bytes32(0), "Invalid ciphertext");
-        require(privateKey != bytes32(0), "Invalid private key");
-        require(encryptedValues[ciphertext].ciphertext != bytes32(0), "Ciphertext not found");
-        
-        // Mock decryption: generate a realistic score between 1-10
-        // In real FHE, this would perform actual decryption
-        plaintext = _mockDecrypt(ciphertext, privateKey);
-        
-        emit ValueDecrypted(ciphertext, plaintext);
-        return plaintext;
+    function decryptValue(bytes32 ciphertext) external view onlyAllowed(ciphertext) returns (uint32 plaintext) {
+        return backend.decrypt(ciphertext);
+    }
+
+    /**
+     * @dev Let another account use one of the caller's ciphertexts
+     * @param ciphertext The encrypted value to share
+     * @param account The account to allow
+     */
+    function allow(bytes32 ciphertext, address account) external onlyAllowed(ciphertext) {
+        backend.allow(ciphertext, account);
     }
-    
+
     /**
      * @dev Perform homomorphic addition of two encrypted values
      * @param a First encrypted value
      * @param b Second encrypted value
      * @return result The homomorphic sum
      */
-    function homomorphicAdd(bytes32 a, bytes32 b) external returns (bytes32 result) {
-        require(a != bytes32(0), "Invalid first operand");
-        require(b != bytes32(0), "Invalid second operand");
-        require(encryptedValues[a].ciphertext != bytes32(0), "First operand not found");
-        require(encryptedValues[b].ciphertext != bytes32(0), "Second operand not found");
-        
-        // Generate result of homomorphic addition
-        result = keccak256(abi.encodePacked(a, b, block.timestamp, "ADD"));
-        
-        // Store the result
-        encryptedValues[result] = EncryptedValue({
-            ciphertext: result,
-            timestamp: block.timestamp
-        });
-        
+    function homomorphicAdd(bytes32 a, bytes32 b) external onlyAllowed(a) onlyAllowed(b) returns (bytes32 result) {
+        result = backend.add(a, b);
+        backend.allow(result, msg.sender);
+
         emit HomomorphicOperation(result, a, b);
         return result;
     }
-    
+
     /**
      * @dev Perform homomorphic multiplication of two encrypted values
      * @param a First encrypted value
      * @param b Second encrypted value
      * @return result The homomorphic product
      */
-    function homomorphicMul(bytes32 a, bytes32 b) external returns (bytes32 result) {
-        require(a != bytes32(0), "Invalid first operand");
-        require(b != bytes32(0), "Invalid second operand");
-        require(encryptedValues[a].ciphertext != bytes32(0), "First operand not found");
-        require(encryptedValues[b].ciphertext != bytes32(0), "Second operand not found");
-        
-        // Generate result of homomorphic multiplication
-        result = keccak256(abi.encodePacked(a, b, block.timestamp, "MUL"));
-        
-        // Store the result
-        encryptedValues[result] = EncryptedValue({
-            ciphertext: result,
-            timestamp: block.timestamp
-        });
-        
+    function homomorphicMul(bytes32 a, bytes32 b) external onlyAllowed(a) onlyAllowed(b) returns (bytes32 result) {
+        result = backend.mul(a, b);
+        backend.allow(result, msg.sender);
+
         emit HomomorphicOperation(result, a, b);
         return result;
     }
-    
+
     /**
-     * @dev Check if a ciphertext exists
-     * @param ciphertext The ciphertext to check
-     * @return exists True if the ciphertext exists
+     * @dev Sum encrypted scores
+     * @param ciphertexts The encrypted scores
+     * @return result The encrypted sum
      */
-    function ciphertextExists(bytes32 ciphertext) external view returns (bool exists) {
-        return encryptedValues[ciphertext].ciphertext != bytes32(0);
+    function sum(bytes32[] calldata ciphertexts) external returns (bytes32 result) {
+        result = _sum(ciphertexts);
+        backend.allow(result, msg.sender);
+
+        emit ValuesAggregated(result, ciphertexts.length);
+        return result;
     }
-    
+
     /**
-     * @dev Get the timestamp when a ciphertext was created
-     * @param ciphertext The ciphertext to query
-     * @return timestamp The creation timestamp
+     * @dev Average encrypted scores, scaled by SCORE_PRECISION and rounded down
+     * @param ciphertexts The encrypted scores
+     * @return result The encrypted average, e.g. 766 for 7.66
      */
-    function getCiphertextTimestamp(bytes32 ciphertext) external view returns (uint256 timestamp) {
-        require(encryptedValues[ciphertext].ciphertext != bytes32(0), "Ciphertext not found");
-        return encryptedValues[ciphertext].timestamp;
+    function average(bytes32[] calldata ciphertexts) external returns (bytes32 result) {
+        bytes32 scaled = backend.mul(_sum(ciphertexts), backend.encrypt(SCORE_PRECISION));
+        result = backend.divScalar(scaled, uint32(ciphertexts.length));
+        backend.allow(result, msg.sender);
+
+        emit ValuesAggregated(result, ciphertexts.length);
+        return result;
     }
-    
+
     /**
-     * @dev Mock decryption function that generates realistic academic scores
-     * @param ciphertext The encrypted value
-     * @param privateKey The private key (used for randomization)
-     * @return value A mock decrypted value between 1-10
+     * @dev Add up ciphertexts the caller is allowed on
+     * @param ciphertexts The encrypted values
+     * @return total The encrypted sum, only allowed to this contract
      */
-    function _mockDecrypt(bytes32 ciphertext, bytes32 privateKey) internal view returns (uint256 value) {
-        // Generate pseudo-random but deterministic value based on inputs
-        uint256 seed = uint256(keccak256(abi.encodePacked(ciphertext, privateKey, block.difficulty)));
-        
-        // Generate score between 1-10 with bias towards higher scores (academic papers tend to score 6-9)
-        value = (seed % 10) + 1;
-        
-        // Bias towards realistic academic scores (6-9 range)
-        if (value <= 3) {
-            value = 6 + (seed % 4); // 6-9
-        } else if (value <= 6) {
-            value = 7 + (seed % 3); // 7-9
+    function _sum(bytes32[] calldata ciphertexts) internal returns (bytes32 total) {
+        require(ciphertexts.length > 0, "No values to aggregate");
+
+        total = ciphertexts[0];
+        require(backend.isAllowed(total, msg.sender), "Not allowed");
+        for (uint256 i = 1; i < ciphertexts.length; i++) {
+            require(backend.isAllowed(ciphertexts[i], msg.sender), "Not allowed");
+            total = backend.add(total, ciphertexts[i]);
         }
-        
-        return value;
-    }
-    
-    /**
-     * @dev Generate a new key pair (mock implementation)
-     * @return publicKey The generated public key
-     * @return privateKey The generated private key
-     */
-    function generateKeyPair() external view returns (bytes32 publicKey, bytes32 privateKey) {
-        uint256 seed = uint256(keccak256(abi.encodePacked(block.timestamp, msg.sender, block.difficulty)));
-        
-        publicKey = keccak256(abi.encodePacked("PUBLIC", seed));
-        privateKey = keccak256(abi.encodePacked("PRIVATE", seed));
-        
-        return (publicKey, privateKey);
-    }
-    
-    /**
-     * @dev Validate a key pair (mock implementation)
-     * @param publicKey The public key to validate
-     * @param privateKey The private key to validate
-     * @return isValid True if the key pair is valid
-     */
-    function validateKeyPair(bytes32 publicKey, bytes32 privateKey) external pure returns (bool isValid) {
-        // Simple mock validation: both keys must be non-zero and different
-        return (publicKey != bytes32(0) && privateKey != bytes32(0) && publicKey != privateKey);
     }
 }
\ No newline at end of file
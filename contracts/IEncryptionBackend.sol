@@ -0,0 +1,65 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/**
+ * @title IEncryptionBackend
+ * @dev Encrypted integer arithmetic used by FHECore
+ * @notice Ciphertexts are referenced by opaque handles. Each handle has an access list:
+ *         only allowed accounts can compute on it, share it or decrypt it, and the caller
+ *         that creates a handle is always allowed on it. Arithmetic wraps on overflow.
+ */
+interface IEncryptionBackend {
+
+    /**
+     * @dev Encrypt a plaintext value
+     * @param value The value to encrypt
+     * @return handle Handle of the new ciphertext
+     */
+    function encrypt(uint32 value) external returns (bytes32 handle);
+
+    /**
+     * @dev Add two ciphertexts
+     * @param a First operand
+     * @param b Second operand
+     * @return result Handle of the encrypted sum
+     */
+    function add(bytes32 a, bytes32 b) external returns (bytes32 result);
+
+    /**
+     * @dev Multiply two ciphertexts
+     * @param a First operand
+     * @param b Second operand
+     * @return result Handle of the encrypted product
+     */
+    function mul(bytes32 a, bytes32 b) external returns (bytes32 result);
+
+    /**
+     * @dev Divide a ciphertext by a plaintext divisor, rounding down
+     * @param a Encrypted dividend
+     * @param divisor Plaintext divisor
+     * @return result Handle of the encrypted quotient
+     */
+    function divScalar(bytes32 a, uint32 divisor) external returns (bytes32 result);
+
+    /**
+     * @dev Let another account use a ciphertext
+     * @param handle Ciphertext to share
+     * @param account Account to allow
+     */
+    function allow(bytes32 handle, address account) external;
+
+    /**
+     * @dev Check whether an account may use a ciphertext
+     * @param handle Ciphertext to check
+     * @param account Account to check
+     * @return allowed True if the account is on the access list
+     */
+    function isAllowed(bytes32 handle, address account) external view returns (bool allowed);
+
+    /**
+     * @dev Decrypt a ciphertext the caller is allowed on
+     * @param handle Ciphertext to decrypt
+     * @return value The plaintext value
+     */
+    function decrypt(bytes32 handle) external view returns (uint32 value);
+}
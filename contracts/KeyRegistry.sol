@@ -0,0 +1,47 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/**
+ * @title KeyRegistry
+ * @dev Public encryption keys used to encrypt review comments client-side
+ * @notice Keys are compressed secp256k1 points; the matching private keys never leave the client
+ */
+contract KeyRegistry {
+    
+    uint256 public constant PUBLIC_KEY_LENGTH = 33;
+    
+    mapping(address => bytes) private publicKeys;
+    
+    event PublicKeyRegistered(address indexed account, bytes publicKey);
+    
+    /**
+     * @dev Register or rotate the caller's encryption public key
+     * @param publicKey Compressed secp256k1 public key
+     */
+    function registerPublicKey(bytes calldata publicKey) external {
+        require(publicKey.length == PUBLIC_KEY_LENGTH, "Invalid public key length");
+        require(publicKey[0] == 0x02 || publicKey[0] == 0x03, "Invalid public key prefix");
+        
+        publicKeys[msg.sender] = publicKey;
+        
+        emit PublicKeyRegistered(msg.sender, publicKey);
+    }
+    
+    /**
+     * @dev Get an account's encryption public key
+     * @param account Account address
+     * @return publicKey Compressed public key, empty if none is registered
+     */
+    function getPublicKey(address account) external view returns (bytes memory publicKey) {
+        return publicKeys[account];
+    }
+    
+    /**
+     * @dev Check whether an account has registered an encryption public key
+     * @param account Account address
+     * @return True if a key is registered
+     */
+    function hasPublicKey(address account) external view returns (bool) {
+        return publicKeys[account].length > 0;
+    }
+}
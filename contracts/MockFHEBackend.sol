@@ -0,0 +1,110 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./IEncryptionBackend.sol";
+
+/**
+ * @title MockFHEBackend
+ * @dev Local encryption backend that keeps plaintexts in contract storage
+ * @notice Results are computed on the real values, so tests can check aggregates exactly.
+ *         Storage is readable by anyone with node access: use it on Hardhat only, never
+ *         on a public network.
+ */
+contract MockFHEBackend is IEncryptionBackend {
+
+    uint256 private handleNonce;
+
+    mapping(bytes32 => bool) private exists;
+    mapping(bytes32 => uint32) private plaintexts;
+    mapping(bytes32 => mapping(address => bool)) private allowed;
+
+    modifier onlyAllowed(bytes32 handle) {
+        require(exists[handle], "Ciphertext not found");
+        require(allowed[handle][msg.sender], "Not allowed");
+        _;
+    }
+
+    /**
+     * @dev Encrypt a plaintext value
+     * @param value The value to encrypt
+     * @return handle Handle of the new ciphertext
+     */
+    function encrypt(uint32 value) external returns (bytes32 handle) {
+        return _store(value);
+    }
+
+    /**
+     * @dev Add two ciphertexts, wrapping on overflow
+     * @param a First operand
+     * @param b Second operand
+     * @return result Handle of the encrypted sum
+     */
+    function add(bytes32 a, bytes32 b) external onlyAllowed(a) onlyAllowed(b) returns (bytes32 result) {
+        unchecked {
+            return _store(plaintexts[a] + plaintexts[b]);
+        }
+    }
+
+    /**
+     * @dev Multiply two ciphertexts, wrapping on overflow
+     * @param a First operand
+     * @param b Second operand
+     * @return result Handle of the encrypted product
+     */
+    function mul(bytes32 a, bytes32 b) external onlyAllowed(a) onlyAllowed(b) returns (bytes32 result) {
+        unchecked {
+            return _store(plaintexts[a] * plaintexts[b]);
+        }
+    }
+
+    /**
+     * @dev Divide a ciphertext by a plaintext divisor, rounding down
+     * @param a Encrypted dividend
+     * @param divisor Plaintext divisor
+     * @return result Handle of the encrypted quotient
+     */
+    function divScalar(bytes32 a, uint32 divisor) external onlyAllowed(a) returns (bytes32 result) {
+        require(divisor > 0, "Division by zero");
+        return _store(plaintexts[a] / divisor);
+    }
+
+    /**
+     * @dev Let another account use a ciphertext
+     * @param handle Ciphertext to share
+     * @param account Account to allow
+     */
+    function allow(bytes32 handle, address account) external onlyAllowed(handle) {
+        allowed[handle][account] = true;
+    }
+
+    /**
+     * @dev Check whether an account may use a ciphertext
+     * @param handle Ciphertext to check
+     * @param account Account to check
+     * @return True if the account is on the access list
+     */
+    function isAllowed(bytes32 handle, address account) external view returns (bool) {
+        return allowed[handle][account];
+    }
+
+    /**
+     * @dev Decrypt a ciphertext the caller is allowed on
+     * @param handle Ciphertext to decrypt
+     * @return The plaintext value
+     */
+    function decrypt(bytes32 handle) external view onlyAllowed(handle) returns (uint32) {
+        return plaintexts[handle];
+    }
+
+    /**
+     * @dev Record a plaintext under a fresh handle owned by the caller
+     * @param value The plaintext value
+     * @return handle Handle of the new ciphertext
+     */
+    function _store(uint32 value) internal returns (bytes32 handle) {
+        handle = keccak256(abi.encodePacked(address(this), ++handleNonce));
+        exists[handle] = true;
+        plaintexts[handle] = value;
+        allowed[handle][msg.sender] = true;
+    }
+}
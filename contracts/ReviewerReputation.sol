@@ -0,0 +1,110 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/**
+ * @title ReviewerReputation
+ * @dev Reputation points for the quality of a reviewer's reviews rather than their number
+ * @notice Reviewers earn points for reviewing early in the review period, for recommendations
+ *         that agree with the paper's decision and for reviews that authors and chairs rate as
+ *         helpful; they lose points for reviews never revealed and for assigned reviews never
+ *         submitted. Reputation decays towards INITIAL_REPUTATION while nothing changes it
+ */
+library ReviewerReputation {
+    
+    uint256 internal constant INITIAL_REPUTATION = 100;
+    
+    // Points per review
+    uint256 internal constant TIMELINESS_POINTS = 10; // Submitted at the start of the review period
+    uint256 internal constant AGREEMENT_POINTS = 10; // Recommendation matched the decision
+    uint256 internal constant HELPFULNESS_POINTS = 5; // Per rating step above or below MIDDLE_RATING
+    uint256 internal constant LATE_REVIEW_PENALTY = 10; // Submitted but never revealed
+    uint256 internal constant MISSED_REVIEW_PENALTY = 20; // Assigned but never submitted
+    
+    // Helpfulness ratings run from 1 (unhelpful) to 5 (very helpful)
+    uint8 internal constant MIN_RATING = 1;
+    uint8 internal constant MAX_RATING = 5;
+    uint8 internal constant MIDDLE_RATING = 3;
+    
+    // Every DECAY_PERIOD, reputation moves DECAY_PERCENT of the way back to INITIAL_REPUTATION
+    uint256 internal constant DECAY_PERIOD = 90 days;
+    uint256 internal constant DECAY_PERCENT = 10;
+    uint256 internal constant MAX_DECAY_PERIODS = 40;
+    
+    enum Reason {
+        Timeliness,
+        Agreement,
+        Helpfulness,
+        LateReview,
+        MissedReview,
+        Decay
+    }
+    
+    struct Change {
+        uint256 paperId; // 0 for decay
+        Reason reason;
+        int256 delta;
+        uint256 reputation; // Reputation after the change
+        uint256 timestamp;
+    }
+    
+    /**
+     * @dev Points for submitting a review, falling linearly from TIMELINESS_POINTS at the start
+     *      of the review period to 0 at its deadline
+     * @param submittedAt Time the review was submitted
+     * @param start Start of the review period
+     * @param deadline Review deadline
+     */
+    function timelinessPoints(uint256 submittedAt, uint256 start, uint256 deadline) internal pure returns (uint256) {
+        if (submittedAt >= deadline || deadline <= start) return 0;
+        if (submittedAt < start) submittedAt = start;
+        return (TIMELINESS_POINTS * (deadline - submittedAt)) / (deadline - start);
+    }
+    
+    /**
+     * @dev Points for a helpfulness rating: negative below MIDDLE_RATING, positive above it
+     */
+    function helpfulnessPoints(uint8 rating) internal pure returns (int256) {
+        return (int256(uint256(rating)) - int256(uint256(MIDDLE_RATING))) * int256(HELPFULNESS_POINTS);
+    }
+    
+    /**
+     * @dev Add points to a reputation, which never drops below zero
+     */
+    function applyDelta(uint256 reputation, int256 delta) internal pure returns (uint256) {
+        if (delta >= 0) return reputation + uint256(delta);
+        uint256 penalty = uint256(-delta);
+        return penalty >= reputation ? 0 : reputation - penalty;
+    }
+    
+    /**
+     * @dev Reputation after `elapsed` seconds without changes
+     * @notice Rounds each step up, so a reputation eventually returns to INITIAL_REPUTATION exactly
+     */
+    function decay(uint256 reputation, uint256 elapsed) internal pure returns (uint256) {
+        uint256 periods = elapsed / DECAY_PERIOD;
+        if (periods > MAX_DECAY_PERIODS) periods = MAX_DECAY_PERIODS;
+        for (uint256 i = 0; i < periods && reputation != INITIAL_REPUTATION; i++) {
+            if (reputation > INITIAL_REPUTATION) {
+                reputation -= _decayStep(reputation - INITIAL_REPUTATION);
+            } else {
+                reputation += _decayStep(INITIAL_REPUTATION - reputation);
+            }
+        }
+        return reputation;
+    }
+    
+    /**
+     * @dev Time that decay counts from after decay was applied at `timestamp`
+     * @notice Only whole periods are applied, so the partial period left over keeps running;
+     *         past MAX_DECAY_PERIODS the reputation is back to INITIAL_REPUTATION anyway
+     */
+    function decayedUntil(uint256 updatedAt, uint256 timestamp) internal pure returns (uint256) {
+        uint256 periods = (timestamp - updatedAt) / DECAY_PERIOD;
+        if (periods >= MAX_DECAY_PERIODS) return timestamp;
+        return updatedAt + periods * DECAY_PERIOD;
+    }
+    
+    function _decayStep(uint256 distance) private pure returns (uint256) {
+        return (distance * DECAY_PERCENT + 99) / 100;
+    }
+}
@@ -0,0 +1,128 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/**
+ * @title RingSignature
+ * @dev Linkable ring signatures (LSAG) over the alt_bn128 curve, verified with the EVM precompiles
+ * @notice A signature proves that one holder of the ring's keys signed, without revealing which.
+ *         Its key image x * hashToPoint(domain, P) is the same for every signature by one key
+ *         in one domain, so it serves as a nullifier; different domains give unlinkable images
+ */
+library RingSignature {
+    
+    // alt_bn128 base field modulus and group order
+    uint256 internal constant FIELD_MODULUS =
+        0x30644e72e131a029b85045b68181585d97816a916871ca8d3c208c16d87cfd47;
+    uint256 internal constant GROUP_ORDER =
+        0x30644e72e131a029b85045b68181585d2833e84879b9709143e1f593f0000001;
+    
+    struct Point {
+        uint256 x;
+        uint256 y;
+    }
+    
+    struct Signature {
+        Point keyImage;
+        uint256 c0; // Challenge entering the first ring member
+        uint256[] s; // One response per ring member, in ring order
+    }
+    
+    /**
+     * @dev Verify a linkable ring signature
+     * @param message Signed message hash
+     * @param domain Domain the key image is bound to
+     * @param ring Public keys of the ring members
+     * @param signature Key image, initial challenge and responses
+     * @return valid True if a ring member's key produced the signature
+     */
+    function verify(
+        bytes32 message,
+        uint256 domain,
+        Point[] memory ring,
+        Signature memory signature
+    ) internal view returns (bool valid) {
+        if (ring.length == 0 || signature.s.length != ring.length) return false;
+        if (!isOnCurve(signature.keyImage) || signature.c0 >= GROUP_ORDER) return false;
+        
+        Point memory generator = Point(1, 2);
+        uint256 c = signature.c0;
+        for (uint256 i = 0; i < ring.length; i++) {
+            if (signature.s[i] >= GROUP_ORDER) return false;
+            // L = s*G + c*P and R = s*H(P) + c*I; the signer's pair hides its secret key
+            Point memory l = add(mul(generator, signature.s[i]), mul(ring[i], c));
+            Point memory r = add(
+                mul(hashToPoint(domain, ring[i]), signature.s[i]),
+                mul(signature.keyImage, c)
+            );
+            c = challenge(message, l, r);
+        }
+        return c == signature.c0;
+    }
+    
+    /**
+     * @dev Challenge hash of one ring step
+     */
+    function challenge(bytes32 message, Point memory l, Point memory r) internal pure returns (uint256) {
+        return uint256(keccak256(abi.encodePacked(message, l.x, l.y, r.x, r.y))) % GROUP_ORDER;
+    }
+    
+    /**
+     * @dev Deterministic curve point for a public key within a domain, by try-and-increment
+     */
+    function hashToPoint(uint256 domain, Point memory publicKey) internal view returns (Point memory point) {
+        uint256 x = uint256(keccak256(abi.encodePacked(domain, publicKey.x, publicKey.y))) % FIELD_MODULUS;
+        while (true) {
+            uint256 rhs = addmod(mulmod(mulmod(x, x, FIELD_MODULUS), x, FIELD_MODULUS), 3, FIELD_MODULUS);
+            // FIELD_MODULUS = 3 mod 4, so a square root, if any, is rhs^((p + 1) / 4)
+            uint256 y = _modExp(rhs, (FIELD_MODULUS + 1) / 4);
+            if (mulmod(y, y, FIELD_MODULUS) == rhs) {
+                return Point(x, y);
+            }
+            x = addmod(x, 1, FIELD_MODULUS);
+        }
+    }
+    
+    /**
+     * @dev True for points on y^2 = x^3 + 3 other than the point at infinity
+     */
+    function isOnCurve(Point memory point) internal pure returns (bool) {
+        if (point.x >= FIELD_MODULUS || point.y >= FIELD_MODULUS) return false;
+        if (point.x == 0 && point.y == 0) return false;
+        uint256 rhs = addmod(
+            mulmod(mulmod(point.x, point.x, FIELD_MODULUS), point.x, FIELD_MODULUS),
+            3,
+            FIELD_MODULUS
+        );
+        return mulmod(point.y, point.y, FIELD_MODULUS) == rhs;
+    }
+    
+    // Wrappers for the point addition (0x06), scalar multiplication (0x07) and modexp (0x05) precompiles
+    function add(Point memory a, Point memory b) internal view returns (Point memory result) {
+        uint256[4] memory input = [a.x, a.y, b.x, b.y];
+        bool success;
+        assembly {
+            success := staticcall(gas(), 0x06, input, 0x80, result, 0x40)
+        }
+        require(success, "Point addition failed");
+    }
+    
+    function mul(Point memory point, uint256 scalar) internal view returns (Point memory result) {
+        uint256[3] memory input = [point.x, point.y, scalar];
+        bool success;
+        assembly {
+            success := staticcall(gas(), 0x07, input, 0x60, result, 0x40)
+        }
+        require(success, "Point multiplication failed");
+    }
+    
+    function _modExp(uint256 base, uint256 exponent) private view returns (uint256 result) {
+        uint256[6] memory input = [32, 32, 32, base, exponent, FIELD_MODULUS];
+        uint256[1] memory output;
+        bool success;
+        assembly {
+            success := staticcall(gas(), 0x05, input, 0xc0, output, 0x20)
+        }
+        require(success, "Modular exponentiation failed");
+        result = output[0];
+    }
+}
@@ -0,0 +1,153 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "fhevm/lib/TFHE.sol";
+import "fhevm/gateway/GatewayCaller.sol";
+import "./IEncryptionBackend.sol";
+
+/**
+ * @title TFHEBackend
+ * @dev Encryption backend for fhEVM networks built on the TFHE library
+ * @notice Handles are TFHE euint32 ciphertext handles and access is enforced by the fhEVM
+ *         access list, as in AcademicPeerReviewStandalone.sol. Requires an fhEVM network
+ *         running fhevm 0.5 (the version pinned in package.json).
+ *         fhEVM decrypts asynchronously: an allowed account calls requestDecryption, the
+ *         Gateway calls back with the plaintext, and decrypt returns it from then on. The
+ *         plaintext is public once delivered, as it travels in the callback's calldata.
+ */
+contract TFHEBackend is IEncryptionBackend, GatewayCaller {
+
+    // How long the Gateway has to answer a decryption request
+    uint256 public constant DECRYPTION_TIMEOUT = 100;
+
+    mapping(uint256 => bytes32) private pendingDecryptions;
+    mapping(bytes32 => bool) public isDecrypted;
+    mapping(bytes32 => uint32) private decryptedValues;
+
+    event DecryptionRequested(bytes32 indexed handle, uint256 indexed requestId);
+    event DecryptionFulfilled(bytes32 indexed handle, uint256 indexed requestId);
+
+    modifier onlyAllowed(bytes32 handle) {
+        require(TFHE.isInitialized(_ciphertext(handle)), "Ciphertext not found");
+        require(TFHE.isAllowed(_ciphertext(handle), msg.sender), "Not allowed");
+        _;
+    }
+
+    /**
+     * @dev Encrypt a plaintext value
+     * @param value The value to encrypt
+     * @return handle Handle of the new ciphertext
+     */
+    function encrypt(uint32 value) external returns (bytes32 handle) {
+        return _own(TFHE.asEuint32(value));
+    }
+
+    /**
+     * @dev Add two ciphertexts, wrapping on overflow
+     * @param a First operand
+     * @param b Second operand
+     * @return result Handle of the encrypted sum
+     */
+    function add(bytes32 a, bytes32 b) external onlyAllowed(a) onlyAllowed(b) returns (bytes32 result) {
+        return _own(TFHE.add(_ciphertext(a), _ciphertext(b)));
+    }
+
+    /**
+     * @dev Multiply two ciphertexts, wrapping on overflow
+     * @param a First operand
+     * @param b Second operand
+     * @return result Handle of the encrypted product
+     */
+    function mul(bytes32 a, bytes32 b) external onlyAllowed(a) onlyAllowed(b) returns (bytes32 result) {
+        return _own(TFHE.mul(_ciphertext(a), _ciphertext(b)));
+    }
+
+    /**
+     * @dev Divide a ciphertext by a plaintext divisor, rounding down
+     * @param a Encrypted dividend
+     * @param divisor Plaintext divisor
+     * @return result Handle of the encrypted quotient
+     */
+    function divScalar(bytes32 a, uint32 divisor) external onlyAllowed(a) returns (bytes32 result) {
+        require(divisor > 0, "Division by zero");
+        return _own(TFHE.div(_ciphertext(a), divisor));
+    }
+
+    /**
+     * @dev Let another account use a ciphertext
+     * @param handle Ciphertext to share
+     * @param account Account to allow
+     */
+    function allow(bytes32 handle, address account) external onlyAllowed(handle) {
+        TFHE.allow(_ciphertext(handle), account);
+    }
+
+    /**
+     * @dev Check whether an account may use a ciphertext
+     * @param handle Ciphertext to check
+     * @param account Account to check
+     * @return True if the account is on the access list
+     */
+    function isAllowed(bytes32 handle, address account) external view returns (bool) {
+        return TFHE.isAllowed(_ciphertext(handle), account);
+    }
+
+    /**
+     * @dev Ask the Gateway to decrypt a ciphertext the caller is allowed on
+     * @param handle Ciphertext to decrypt
+     * @return requestId Gateway request id, reported again when the plaintext arrives
+     */
+    function requestDecryption(bytes32 handle) external onlyAllowed(handle) returns (uint256 requestId) {
+        uint256[] memory handles = new uint256[](1);
+        handles[0] = uint256(handle);
+        requestId = Gateway.requestDecryption(
+            handles,
+            this.fulfillDecryption.selector,
+            0,
+            block.timestamp + DECRYPTION_TIMEOUT,
+            false
+        );
+        pendingDecryptions[requestId] = handle;
+        emit DecryptionRequested(handle, requestId);
+    }
+
+    /**
+     * @dev Gateway callback delivering a requested plaintext
+     * @param requestId Request being answered
+     * @param value The plaintext value
+     */
+    function fulfillDecryption(uint256 requestId, uint32 value) external onlyGateway {
+        bytes32 handle = pendingDecryptions[requestId];
+        require(handle != bytes32(0), "Unknown request");
+        delete pendingDecryptions[requestId];
+
+        decryptedValues[handle] = value;
+        isDecrypted[handle] = true;
+        emit DecryptionFulfilled(handle, requestId);
+    }
+
+    /**
+     * @dev Plaintext of a ciphertext the caller is allowed on, once the Gateway delivered it
+     * @param handle Ciphertext to decrypt
+     * @return The plaintext value
+     */
+    function decrypt(bytes32 handle) external view onlyAllowed(handle) returns (uint32) {
+        require(isDecrypted[handle], "Decryption not fulfilled");
+        return decryptedValues[handle];
+    }
+
+    /**
+     * @dev Allow this contract and the caller on a new ciphertext and return its handle
+     * @param value The new ciphertext
+     * @return handle Handle of the ciphertext
+     */
+    function _own(euint32 value) internal returns (bytes32 handle) {
+        TFHE.allow(value, address(this));
+        TFHE.allow(value, msg.sender);
+        return bytes32(euint32.unwrap(value));
+    }
+
+    function _ciphertext(bytes32 handle) internal pure returns (euint32) {
+        return euint32.wrap(uint256(handle));
+    }
+}
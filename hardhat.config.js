@@ -18,6 +18,8 @@ module.exports = {
         runs: 200,
       },
       viaIR: true,
+      // fhevm 0.5 uses transient storage and mcopy
+      evmVersion: "cancun",
     },
   },
 
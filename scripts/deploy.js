@@ -1,7 +1,12 @@
-const { ethers } = require("hardhat");
+const path = require("path");
+const { ethers, network } = require("hardhat");
+const { describeDeployment, writeDeployment } = require("./deployments");
+
+// Chain ids of the fhEVM networks in hardhat.config.js
+const FHEVM_CHAIN_IDS = [8009n, 9000n];
 
 async function main() {
-  console.log("Deploying Academic Peer Review System to Sepolia...");
+  console.log(`Deploying Academic Peer Review System to ${network.name}...`);
 
   // Get the deployer account
   const [deployer] = await ethers.getSigners();
@@ -10,33 +15,93 @@ async function main() {
   const balance = await ethers.provider.getBalance(deployer.address);
   console.log("Account balance:", ethers.formatEther(balance), "ETH");
 
-  // Deploy FHECore contract first
+  // Deploy the encryption backend: TFHE on fhEVM networks, the plaintext-tracking mock elsewhere
+  const { chainId } = await ethers.provider.getNetwork();
+  const contracts = {};
+  const backendName = FHEVM_CHAIN_IDS.includes(chainId) ? "TFHEBackend" : "MockFHEBackend";
+  console.log(`\n--- Deploying ${backendName} Contract ---`);
+  const Backend = await ethers.getContractFactory(backendName);
+  const backend = await Backend.deploy();
+  await backend.waitForDeployment();
+
+  const backendAddress = await backend.getAddress();
+  contracts[backendName] = await describeDeployment(Backend, backend);
+  console.log(`${backendName} deployed to:`, backendAddress);
+
+  // Deploy FHECore on top of the backend
   console.log("\n--- Deploying FHECore Contract ---");
   const FHECore = await ethers.getContractFactory("FHECore");
-  const fheCore = await FHECore.deploy();
+  const fheCore = await FHECore.deploy(backendAddress);
   await fheCore.waitForDeployment();
   
   const fheCoreAddress = await fheCore.getAddress();
+  contracts.FHECore = await describeDeployment(FHECore, fheCore);
   console.log("FHECore deployed to:", fheCoreAddress);
 
-  // Deploy AcademicPeerReview contract (simplified - no constructor parameters)
+  // Deploy the reputation contract that the submissions contract delegates reviewer reputation to
+  console.log("\n--- Deploying AcademicPeerReviewReputation Contract ---");
+  const Reputation = await ethers.getContractFactory("AcademicPeerReviewReputation");
+  const reputation = await Reputation.deploy();
+  await reputation.waitForDeployment();
+
+  const reputationAddress = await reputation.getAddress();
+  contracts.AcademicPeerReviewReputation = await describeDeployment(Reputation, reputation);
+  console.log("AcademicPeerReviewReputation deployed to:", reputationAddress);
+
+  // Deploy the submissions contract that the extension delegates blind submissions, triage and listings to
+  console.log("\n--- Deploying AcademicPeerReviewSubmissions Contract ---");
+  const Submissions = await ethers.getContractFactory("AcademicPeerReviewSubmissions");
+  const submissions = await Submissions.deploy(reputationAddress);
+  await submissions.waitForDeployment();
+
+  const submissionsAddress = await submissions.getAddress();
+  contracts.AcademicPeerReviewSubmissions = await describeDeployment(Submissions, submissions);
+  console.log("AcademicPeerReviewSubmissions deployed to:", submissionsAddress);
+
+  // Deploy the extension that AcademicPeerReview delegates rebuttals and decisions to
+  console.log("\n--- Deploying AcademicPeerReviewExtension Contract ---");
+  const Extension = await ethers.getContractFactory("AcademicPeerReviewExtension");
+  const extension = await Extension.deploy(submissionsAddress);
+  await extension.waitForDeployment();
+
+  const extensionAddress = await extension.getAddress();
+  contracts.AcademicPeerReviewExtension = await describeDeployment(Extension, extension);
+  console.log("AcademicPeerReviewExtension deployed to:", extensionAddress);
+
+  // Deploy AcademicPeerReview contract
   console.log("\n--- Deploying AcademicPeerReview Contract ---");
   const AcademicPeerReview = await ethers.getContractFactory("AcademicPeerReview");
-  const academicReview = await AcademicPeerReview.deploy();
+  const academicReview = await AcademicPeerReview.deploy(extensionAddress);
   await academicReview.waitForDeployment();
   
   const academicReviewAddress = await academicReview.getAddress();
+  contracts.AcademicPeerReview = await describeDeployment(AcademicPeerReview, academicReview);
   console.log("AcademicPeerReview deployed to:", academicReviewAddress);
 
+  // Deploy KeyRegistry for encrypted review comments
+  console.log("\n--- Deploying KeyRegistry Contract ---");
+  const KeyRegistry = await ethers.getContractFactory("KeyRegistry");
+  const keyRegistry = await KeyRegistry.deploy();
+  await keyRegistry.waitForDeployment();
+
+  const keyRegistryAddress = await keyRegistry.getAddress();
+  contracts.KeyRegistry = await describeDeployment(KeyRegistry, keyRegistry);
+  console.log("KeyRegistry deployed to:", keyRegistryAddress);
+
+  // Papers are always submitted to a venue, so open a rolling default track chaired by the deployer
+  console.log("\n--- Creating Default Venue ---");
+  const venueTx = await academicReview.createVenue("General Track", [deployer.address], 0, 0, 0, 0, 0);
+  await venueTx.wait();
+  console.log("General Track venue created (id 1)");
+
   // Verify deployment
   console.log("\n--- Verifying Deployment ---");
   
   // Test FHECore
   const testValue = 100;
-  const testPubKey = ethers.keccak256(ethers.toUtf8Bytes("test_key"));
   
   try {
-    const encryptTx = await fheCore.encryptValue(testValue, testPubKey);
+    const encryptTx = await fheCore.encryptValue(testValue);
     await encryptTx.wait();
     console.log("✓ FHECore encryption test successful");
   } catch (error) {
@@ -53,31 +118,44 @@ async function main() {
 
   // Display contract addresses for frontend
   console.log("\n=== DEPLOYMENT SUMMARY ===");
-  console.log("Network: Sepolia Testnet");
+  console.log(`Network: ${network.name} (chain id ${chainId})`);
   console.log("Deployer:", deployer.address);
+  console.log(`${backendName} Address:`, backendAddress);
   console.log("FHECore Address:", fheCoreAddress);
   console.log("AcademicPeerReview Address:", academicReviewAddress);
+  console.log("AcademicPeerReviewExtension Address:", extensionAddress);
+  console.log("AcademicPeerReviewSubmissions Address:", submissionsAddress);
+  console.log("AcademicPeerReviewReputation Address:", reputationAddress);
+  console.log("KeyRegistry Address:", keyRegistryAddress);
   
-  console.log("\n=== UPDATE FRONTEND CONFIG ===");
-  console.log("Update the following addresses in frontend/src/App.js:");
-  console.log(`const ACADEMIC_REVIEW_ADDRESS = "${academicReviewAddress}";`);
-  console.log(`const FHE_CORE_ADDRESS = "${fheCoreAddress}";`);
-
-  // Save deployment info
+  // Save the deployment registry; the frontend picks the addresses up from src/deployments.json
   const deploymentInfo = {
-    network: "sepolia",
+    network: network.name,
+    chainId: Number(chainId),
     deployer: deployer.address,
     timestamp: new Date().toISOString(),
-    contracts: {
-      FHECore: fheCoreAddress,
-      AcademicPeerReview: academicReviewAddress
-    }
+    contracts
   };
 
+  console.log("\n=== DEPLOYMENT REGISTRY ===");
+  if (network.name === "hardhat") {
+    // The in-process network is discarded when this script exits, so its addresses are useless
+    console.log("Not saved: the in-process hardhat network ends with this script, deploy to localhost instead");
+  } else {
+    const registryFile = writeDeployment(deploymentInfo);
+    console.log("Saved to", path.relative(process.cwd(), registryFile));
+    console.log("Frontend address book updated for chain id", Number(chainId));
+  }
+
   console.log("\n=== ETHERSCAN VERIFICATION ===");
   console.log("To verify contracts on Etherscan, run:");
-  console.log(`npx hardhat verify --network sepolia ${fheCoreAddress}`);
-  console.log(`npx hardhat verify --network sepolia ${academicReviewAddress} ${fheCoreAddress}`);
+  console.log(`npx hardhat verify --network ${network.name} ${backendAddress}`);
+  console.log(`npx hardhat verify --network ${network.name} ${fheCoreAddress} ${backendAddress}`);
+  console.log(`npx hardhat verify --network ${network.name} ${reputationAddress}`);
+  console.log(`npx hardhat verify --network ${network.name} ${submissionsAddress} ${reputationAddress}`);
+  console.log(`npx hardhat verify --network ${network.name} ${extensionAddress} ${submissionsAddress}`);
+  console.log(`npx hardhat verify --network ${network.name} ${academicReviewAddress} ${extensionAddress}`);
+  console.log(`npx hardhat verify --network ${network.name} ${keyRegistryAddress}`);
 
   return deploymentInfo;
 }
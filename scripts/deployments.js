@@ -0,0 +1,61 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("hardhat");
+
+// Deployment registry. scripts/deploy.js records every contract it deploys in
+// deployments/<network>.json, and the relayer and indexer read their contract from it. The
+// frontend cannot import files outside src, so the addresses it needs are also copied into
+// src/deployments.json, keyed by chain id. Local chains start over on restart, so their
+// addresses go to the git-ignored src/deployments.local.json instead.
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+const ADDRESS_BOOK = path.join(__dirname, "..", "src", "deployments.json");
+const LOCAL_ADDRESS_BOOK = path.join(__dirname, "..", "src", "deployments.local.json");
+
+// Networks in hardhat.config.js whose chains do not outlive the node
+const LOCAL_NETWORKS = ["localhost", "fhevmLocal"];
+
+// Contracts the frontend connects to
+const FRONTEND_CONTRACTS = ["AcademicPeerReview", "FHECore", "KeyRegistry"];
+
+const readJson = (file) => fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+
+const writeJson = (file, value) => fs.writeFileSync(file, JSON.stringify(value, null, 2) + "\n");
+
+// Registry entry of a freshly deployed contract. The ABI hash shows whether a deployment still
+// matches the compiled artifacts, and the block number is where its events start
+async function describeDeployment(factory, contract) {
+  const receipt = await contract.deploymentTransaction().wait();
+  return {
+    address: await contract.getAddress(),
+    abiHash: ethers.id(factory.interface.formatJson()),
+    blockNumber: receipt.blockNumber,
+    transactionHash: receipt.hash
+  };
+}
+
+// Registry of a network by its name in hardhat.config.js, or null if nothing was deployed there
+function readDeployment(networkName) {
+  return readJson(path.join(DEPLOYMENTS_DIR, `${networkName}.json`));
+}
+
+// Save a network's registry and point the frontend's entry for its chain at the new contracts.
+// Returns the path of the registry file
+function writeDeployment(deployment) {
+  fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+  const file = path.join(DEPLOYMENTS_DIR, `${deployment.network}.json`);
+  writeJson(file, deployment);
+
+  const addressBookFile = LOCAL_NETWORKS.includes(deployment.network) ? LOCAL_ADDRESS_BOOK : ADDRESS_BOOK;
+  const addressBook = readJson(addressBookFile) || {};
+  addressBook[deployment.chainId] = {
+    network: deployment.network,
+    contracts: Object.fromEntries(
+      FRONTEND_CONTRACTS.map((name) => [name, deployment.contracts[name].address])
+    )
+  };
+  writeJson(addressBookFile, addressBook);
+  return file;
+}
+
+module.exports = { describeDeployment, readDeployment, writeDeployment };
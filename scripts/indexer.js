@@ -0,0 +1,485 @@
+const http = require("http");
+const path = require("path");
+const Database = require("better-sqlite3");
+const { ethers, network } = require("hardhat");
+const { readDeployment } = require("./deployments");
+
+// Indexes the review contract's events into SQLite and serves them over a small REST API for
+// paper search, filters and timelines. Run it next to a local node:
+//
+//   npx hardhat run scripts/indexer.js --network localhost
+//
+// and point the frontend at it with REACT_APP_INDEXER_URL=http://localhost:3002
+//
+// It indexes the contract scripts/deploy.js recorded for the network from its deployment block,
+// or ACADEMIC_REVIEW_ADDRESS from INDEXER_START_BLOCK.
+
+const PORT = Number(process.env.INDEXER_PORT || 3002);
+const ALLOWED_ORIGIN = process.env.INDEXER_ALLOWED_ORIGIN || "*";
+const DB_PATH = process.env.INDEXER_DB || path.join(__dirname, "..", "indexer.sqlite");
+const POLL_INTERVAL = 2000;
+const BATCH_SIZE = 2000; // Blocks per log query
+const REORG_DEPTH = 64; // Recent block hashes kept to find where a reorg forked
+const MAX_PAGE_SIZE = 100;
+
+// Events the indexer stores. ReviewReassigned keeps panels right after a chair swaps a reviewer
+const INDEXED_EVENTS = [
+  "PaperSubmitted",
+  "ReviewerAssigned",
+  "ReviewReassigned",
+  "ReviewSubmitted",
+  "PaperStatusChanged",
+  "ScoreRevealed",
+  "ReviewerVerified"
+];
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+  CREATE TABLE IF NOT EXISTS blocks (number INTEGER PRIMARY KEY, hash TEXT NOT NULL, timestamp INTEGER NOT NULL);
+  CREATE TABLE IF NOT EXISTS events (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    name TEXT NOT NULL,
+    paper_id INTEGER,
+    account TEXT,
+    args TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS events_by_paper ON events (paper_id, block_number, log_index);
+  CREATE INDEX IF NOT EXISTS events_by_account ON events (account);
+  CREATE TABLE IF NOT EXISTS papers (
+    paper_id INTEGER PRIMARY KEY,
+    author TEXT NOT NULL,
+    title TEXT NOT NULL,
+    status INTEGER NOT NULL,
+    submitted_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL,
+    review_count INTEGER NOT NULL,
+    average_score INTEGER
+  );
+  CREATE INDEX IF NOT EXISTS papers_by_status ON papers (status);
+  CREATE INDEX IF NOT EXISTS papers_by_author ON papers (author);
+  CREATE TABLE IF NOT EXISTS assignments (
+    paper_id INTEGER NOT NULL,
+    reviewer TEXT NOT NULL,
+    PRIMARY KEY (paper_id, reviewer)
+  );
+  CREATE INDEX IF NOT EXISTS assignments_by_reviewer ON assignments (reviewer);
+`;
+
+// The review contract and the block to index it from
+async function loadContract() {
+  const deployment = readDeployment(network.name);
+  const recorded = deployment && deployment.contracts.AcademicPeerReview;
+  const address = process.env.ACADEMIC_REVIEW_ADDRESS || (recorded && recorded.address);
+  if (!ethers.isAddress(address)) {
+    throw new Error(`No deployment recorded for ${network.name}; deploy with scripts/deploy.js or set ACADEMIC_REVIEW_ADDRESS`);
+  }
+  // Nothing happened on the recorded contract before its deployment block
+  const startBlock = process.env.INDEXER_START_BLOCK
+    ? Number(process.env.INDEXER_START_BLOCK)
+    : (recorded && recorded.address === address ? recorded.blockNumber : 0);
+
+  // AcademicPeerReview serves the delegated contracts' functions at its own address
+  const factories = await Promise.all([
+    "AcademicPeerReview",
+    "AcademicPeerReviewExtension",
+    "AcademicPeerReviewSubmissions",
+    "AcademicPeerReviewReputation"
+  ].map((name) => ethers.getContractFactory(name)));
+  const fragments = factories.flatMap((factory, index) => factory.interface.fragments.filter(
+    (fragment) => index === 0 || (fragment.type !== "constructor" && fragment.type !== "fallback")
+  ));
+  return { contract: new ethers.Contract(address, fragments, ethers.provider), startBlock };
+}
+
+// Open the database, starting over if it indexed another contract or chain
+function openDatabase(chainId, address, file = DB_PATH) {
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.exec(SCHEMA);
+
+  const source = `${chainId}:${address.toLowerCase()}`;
+  const indexed = db.prepare("SELECT value FROM meta WHERE key = 'source'").get();
+  if (indexed && indexed.value !== source) {
+    console.log(`Database indexed ${indexed.value}, re-indexing for ${source}`);
+    db.exec("DELETE FROM blocks; DELETE FROM events; DELETE FROM papers; DELETE FROM assignments;");
+  }
+  db.prepare("INSERT OR REPLACE INTO meta (key, value) VALUES ('source', ?)").run(source);
+  return db;
+}
+
+function createIndexer(db, contract, startBlock) {
+  const provider = contract.runner.provider;
+  const topics = [INDEXED_EVENTS.map((name) => contract.interface.getEvent(name).topicHash)];
+  const statements = {
+    tip: db.prepare("SELECT number, hash FROM blocks ORDER BY number DESC LIMIT 1"),
+    recentBlocks: db.prepare("SELECT number, hash FROM blocks ORDER BY number DESC LIMIT ?"),
+    insertBlock: db.prepare("INSERT OR REPLACE INTO blocks (number, hash, timestamp) VALUES (?, ?, ?)"),
+    insertEvent: db.prepare(`
+      INSERT OR REPLACE INTO events (block_number, log_index, tx_hash, name, paper_id, account, args)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `),
+    pruneBlocks: db.prepare(
+      "DELETE FROM blocks WHERE number < ? AND number NOT IN (SELECT block_number FROM events)"
+    ),
+    papersAfter: db.prepare("SELECT DISTINCT paper_id FROM events WHERE block_number > ? AND paper_id IS NOT NULL"),
+    deleteEventsAfter: db.prepare("DELETE FROM events WHERE block_number > ?"),
+    deleteBlocksAfter: db.prepare("DELETE FROM blocks WHERE number > ?"),
+    paperEvents: db.prepare(`
+      SELECT events.name, events.account, events.args, blocks.timestamp
+      FROM events JOIN blocks ON blocks.number = events.block_number
+      WHERE events.paper_id = ?
+      ORDER BY events.block_number, events.log_index
+    `),
+    upsertPaper: db.prepare(`
+      INSERT OR REPLACE INTO papers
+        (paper_id, author, title, status, submitted_at, updated_at, review_count, average_score)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `),
+    deletePaper: db.prepare("DELETE FROM papers WHERE paper_id = ?"),
+    deleteAssignments: db.prepare("DELETE FROM assignments WHERE paper_id = ?"),
+    insertAssignment: db.prepare("INSERT OR IGNORE INTO assignments (paper_id, reviewer) VALUES (?, ?)")
+  };
+
+  // Recompute a paper's row and panel from its events, e.g. after new events or a reorg
+  const rebuildPaper = (paperId) => {
+    let paper = null;
+    const panel = new Set();
+    for (const event of statements.paperEvents.all(paperId)) {
+      const args = JSON.parse(event.args);
+      if (event.name === "PaperSubmitted") {
+        paper = {
+          author: args.author,
+          title: args.title,
+          status: null, // Set by the PaperStatusChanged the submission emits next
+          submittedAt: event.timestamp,
+          reviewCount: 0,
+          averageScore: null
+        };
+      }
+      if (!paper) continue;
+      paper.updatedAt = event.timestamp;
+      if (event.name === "ReviewerAssigned") panel.add(event.account);
+      if (event.name === "ReviewReassigned") panel.delete(args.previousReviewer.toLowerCase());
+      if (event.name === "ReviewSubmitted") paper.reviewCount++;
+      if (event.name === "PaperStatusChanged") paper.status = Number(args.newStatus);
+      if (event.name === "ScoreRevealed") paper.averageScore = Number(args.averageScore);
+    }
+
+    statements.deleteAssignments.run(paperId);
+    if (!paper) {
+      // Submitted before the start block, or removed by a reorg
+      statements.deletePaper.run(paperId);
+      return;
+    }
+    statements.upsertPaper.run(
+      paperId,
+      paper.author.toLowerCase(),
+      paper.title,
+      paper.status,
+      paper.submittedAt,
+      paper.updatedAt,
+      paper.reviewCount,
+      paper.averageScore
+    );
+    for (const reviewer of panel) {
+      statements.insertAssignment.run(paperId, reviewer);
+    }
+  };
+
+  // Decode a batch of logs, reading the blocks the database writes need before opening a transaction
+  const decodeLogs = async (logs) => {
+    const blockNumbers = [...new Set(logs.map((log) => log.blockNumber))];
+    const blocks = await Promise.all(blockNumbers.map((number) => provider.getBlock(number)));
+    const events = logs.map((log) => {
+      const event = contract.interface.parseLog(log);
+      const args = Object.fromEntries(event.fragment.inputs.map((input, index) => [
+        input.name,
+        typeof event.args[index] === "bigint" ? event.args[index].toString() : event.args[index]
+      ]));
+      const account = args.author || args.reviewer || args.backupReviewer || null;
+      return {
+        blockNumber: log.blockNumber,
+        logIndex: log.index,
+        txHash: log.transactionHash,
+        name: event.name,
+        paperId: args.paperId === undefined ? null : Number(args.paperId),
+        account: account && account.toLowerCase(),
+        args
+      };
+    });
+    return { blocks, events };
+  };
+
+  const store = db.transaction((blocks, events, tip) => {
+    for (const block of [...blocks, tip]) {
+      statements.insertBlock.run(block.number, block.hash, block.timestamp);
+    }
+    for (const event of events) {
+      statements.insertEvent.run(
+        event.blockNumber,
+        event.logIndex,
+        event.txHash,
+        event.name,
+        event.paperId,
+        event.account,
+        JSON.stringify(event.args)
+      );
+    }
+    for (const paperId of new Set(events.map((event) => event.paperId).filter((id) => id !== null))) {
+      rebuildPaper(paperId);
+    }
+    statements.pruneBlocks.run(tip.number - REORG_DEPTH);
+  });
+
+  const rollback = db.transaction((ancestor) => {
+    const affected = statements.papersAfter.all(ancestor).map((row) => row.paper_id);
+    statements.deleteEventsAfter.run(ancestor);
+    statements.deleteBlocksAfter.run(ancestor);
+    for (const paperId of affected) {
+      rebuildPaper(paperId);
+    }
+    return affected.length;
+  });
+
+  // Latest stored block still on the canonical chain, or -1 when none of the recent ones is
+  const findCommonAncestor = async () => {
+    for (const stored of statements.recentBlocks.all(REORG_DEPTH)) {
+      const block = await provider.getBlock(stored.number);
+      if (block && block.hash === stored.hash) return stored.number;
+    }
+    return -1;
+  };
+
+  return {
+    // Index every block up to the chain head, undoing blocks a reorg replaced first
+    async sync() {
+      let tip = statements.tip.get();
+      if (tip) {
+        const block = await provider.getBlock(tip.number);
+        if (!block || block.hash !== tip.hash) {
+          const ancestor = await findCommonAncestor();
+          const affected = rollback(ancestor);
+          console.log(`Reorg below block ${tip.number}: rolled back to ${ancestor}, ${affected} paper(s) rebuilt`);
+          tip = statements.tip.get();
+        }
+      }
+
+      const head = await provider.getBlockNumber();
+      for (let fromBlock = tip ? tip.number + 1 : startBlock; fromBlock <= head; fromBlock += BATCH_SIZE) {
+        const toBlock = Math.min(fromBlock + BATCH_SIZE - 1, head);
+        const logs = await provider.getLogs({ address: contract.target, topics, fromBlock, toBlock });
+        const { blocks, events } = await decodeLogs(logs);
+        const tipBlock = await provider.getBlock(toBlock);
+        store(blocks, events, tipBlock);
+        if (events.length > 0) {
+          console.log(`Indexed ${events.length} event(s) up to block ${toBlock}`);
+        }
+      }
+    },
+
+    indexedBlock() {
+      const tip = statements.tip.get();
+      return tip ? tip.number : null;
+    }
+  };
+}
+
+const formatPaper = (row) => ({
+  paperId: row.paper_id,
+  author: row.author,
+  title: row.title,
+  status: row.status,
+  submittedAt: row.submitted_at,
+  updatedAt: row.updated_at,
+  reviewCount: row.review_count,
+  averageScore: row.average_score
+});
+
+const formatEvent = (row) => ({
+  name: row.name,
+  paperId: row.paper_id,
+  account: row.account,
+  blockNumber: row.block_number,
+  logIndex: row.log_index,
+  transactionHash: row.tx_hash,
+  timestamp: row.timestamp,
+  args: JSON.parse(row.args)
+});
+
+// Limit and offset of a page, capped at MAX_PAGE_SIZE
+function pageOf(params) {
+  const limit = Math.min(Math.max(Number(params.get("limit")) || 20, 1), MAX_PAGE_SIZE);
+  const offset = Math.max(Number(params.get("offset")) || 0, 0);
+  return { limit, offset };
+}
+
+// GET handlers keyed by path; each returns the response body or null for unknown resources
+function createRoutes(db, indexer, chainId, contract) {
+  const eventColumns = `
+    SELECT events.*, blocks.timestamp
+    FROM events JOIN blocks ON blocks.number = events.block_number
+  `;
+
+  return [
+    [/^\/status$/, () => ({
+      chainId: chainId.toString(),
+      contract: contract.target,
+      indexedBlock: indexer.indexedBlock()
+    })],
+
+    // Papers matching a title search and filters, most recent first
+    [/^\/papers$/, (params) => {
+      const conditions = [];
+      const values = [];
+      if (params.get("q")) {
+        conditions.push("title LIKE ?");
+        values.push(`%${params.get("q")}%`);
+      }
+      if (params.get("status")) {
+        const statuses = params.get("status").split(",").map(Number);
+        conditions.push(`status IN (${statuses.map(() => "?").join(", ")})`);
+        values.push(...statuses);
+      }
+      if (params.get("author")) {
+        conditions.push("author = ?");
+        values.push(params.get("author").toLowerCase());
+      }
+      if (params.get("reviewer")) {
+        conditions.push("paper_id IN (SELECT paper_id FROM assignments WHERE reviewer = ?)");
+        values.push(params.get("reviewer").toLowerCase());
+      }
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+      const { limit, offset } = pageOf(params);
+
+      const { total } = db.prepare(`SELECT COUNT(*) AS total FROM papers ${where}`).get(...values);
+      const rows = db.prepare(`SELECT * FROM papers ${where} ORDER BY paper_id DESC LIMIT ? OFFSET ?`)
+        .all(...values, limit, offset);
+      return { total, papers: rows.map(formatPaper) };
+    }],
+
+    // A paper with its current panel and every indexed event about it, oldest first
+    [/^\/papers\/(\d+)$/, (params, [, paperId]) => {
+      const paper = db.prepare("SELECT * FROM papers WHERE paper_id = ?").get(Number(paperId));
+      if (!paper) return null;
+      const reviewers = db.prepare("SELECT reviewer FROM assignments WHERE paper_id = ?").all(Number(paperId));
+      const timeline = db.prepare(`${eventColumns} WHERE events.paper_id = ? ORDER BY block_number, log_index`)
+        .all(Number(paperId));
+      return {
+        ...formatPaper(paper),
+        reviewers: reviewers.map((row) => row.reviewer),
+        timeline: timeline.map(formatEvent)
+      };
+    }],
+
+    // Recent activity, optionally for one account or event type, newest first
+    [/^\/events$/, (params) => {
+      const conditions = [];
+      const values = [];
+      if (params.get("name")) {
+        conditions.push("events.name = ?");
+        values.push(params.get("name"));
+      }
+      if (params.get("account")) {
+        conditions.push("events.account = ?");
+        values.push(params.get("account").toLowerCase());
+      }
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+      const { limit, offset } = pageOf(params);
+      const rows = db.prepare(`${eventColumns} ${where} ORDER BY block_number DESC, log_index DESC LIMIT ? OFFSET ?`)
+        .all(...values, limit, offset);
+      return { events: rows.map(formatEvent) };
+    }],
+
+    // Verified reviewers with the number of papers they are assigned to
+    [/^\/reviewers$/, () => {
+      const rows = db.prepare(`
+        SELECT events.account AS address, events.args, blocks.timestamp,
+          (SELECT COUNT(*) FROM assignments WHERE assignments.reviewer = events.account) AS assignments
+        FROM events JOIN blocks ON blocks.number = events.block_number
+        WHERE events.name = 'ReviewerVerified'
+        ORDER BY events.block_number, events.log_index
+      `).all();
+      return {
+        reviewers: rows.map((row) => ({
+          address: row.address,
+          expertise: JSON.parse(row.args).expertise,
+          verifiedAt: row.timestamp,
+          assignments: row.assignments
+        }))
+      };
+    }]
+  ];
+}
+
+function respond(response, status, payload) {
+  response.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": ALLOWED_ORIGIN,
+    "Access-Control-Allow-Methods": "GET, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type"
+  });
+  response.end(payload === undefined ? undefined : JSON.stringify(payload));
+}
+
+async function main() {
+  const { contract, startBlock } = await loadContract();
+  const { chainId } = await ethers.provider.getNetwork();
+  const db = openDatabase(chainId, contract.target);
+  const indexer = createIndexer(db, contract, startBlock);
+  const routes = createRoutes(db, indexer, chainId, contract);
+
+  // Poll for new blocks; failures are retried on the next round
+  const poll = async () => {
+    try {
+      await indexer.sync();
+    } catch (error) {
+      console.error("Sync failed:", error.message);
+    }
+    setTimeout(poll, POLL_INTERVAL);
+  };
+  await poll();
+
+  const server = http.createServer((request, response) => {
+    if (request.method === "OPTIONS") {
+      respond(response, 204);
+      return;
+    }
+    const url = new URL(request.url, "http://localhost");
+    const route = request.method === "GET" && routes.find(([pattern]) => pattern.test(url.pathname));
+    if (!route) {
+      respond(response, 404, { error: "Unknown endpoint" });
+      return;
+    }
+
+    try {
+      const body = route[1](url.searchParams, route[0].exec(url.pathname));
+      if (body === null) {
+        respond(response, 404, { error: "Not found" });
+        return;
+      }
+      respond(response, 200, body);
+    } catch (error) {
+      console.error(`${url.pathname}: query failed:`, error.message);
+      respond(response, 500, { error: "Query failed" });
+    }
+  });
+
+  server.listen(PORT, () => {
+    console.log(`Indexer for AcademicPeerReview ${contract.target} on chain ${chainId}`);
+    console.log(`Database ${DB_PATH}, indexed up to block ${indexer.indexedBlock()}`);
+    console.log(`Listening on http://localhost:${PORT} (GET /status, /papers, /papers/:id, /events, /reviewers)`);
+  });
+}
+
+// Run as a script; the tests require the module for its indexer and routes
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌ Indexer failed to start:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = { openDatabase, createIndexer, createRoutes };
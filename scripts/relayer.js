@@ -0,0 +1,179 @@
+const http = require("http");
+const { ethers, network } = require("hardhat");
+const { readDeployment } = require("./deployments");
+
+// Relays signed reviews, score reveals and updates, pseudonym registrations and blind paper
+// submissions and pays their gas, so reviewers, their pseudonyms and double-blind authors never
+// need ETH and leave no funding trail. Run it next
+// to a local node:
+//
+//   npx hardhat run scripts/relayer.js --network localhost
+//
+// and point the frontend at it with REACT_APP_RELAYER_URL=http://localhost:3001
+//
+// It relays to the contract scripts/deploy.js recorded for the network, or to ACADEMIC_REVIEW_ADDRESS.
+
+const PORT = Number(process.env.RELAYER_PORT || 3001);
+const ALLOWED_ORIGIN = process.env.RELAYER_ALLOWED_ORIGIN || "*";
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Requests the relayer accepts, mapped to the contract call they make. Each carries its own
+// authorization: an EIP-712 signature by the reviewer or a ring signature over the pseudonym.
+// Blind submissions need none, as anyone may send them; relaying keeps the author's account off them
+const ROUTES = {
+  "/reviews": (contract, body) => {
+    const signature = ethers.Signature.from(body.signature);
+    return [contract.submitReviewBySig, [
+      body.paperId,
+      body.reviewer,
+      body.scoreCommitment,
+      body.commentsHash,
+      body.deadline,
+      signature.v,
+      signature.r,
+      signature.s
+    ]];
+  },
+  "/reveals": (contract, body) => {
+    const signature = ethers.Signature.from(body.signature);
+    return [contract.revealReviewScoreBySig, [
+      body.paperId,
+      body.reviewer,
+      body.scores,
+      body.salt,
+      body.deadline,
+      signature.v,
+      signature.r,
+      signature.s
+    ]];
+  },
+  "/score-updates": (contract, body) => {
+    const signature = ethers.Signature.from(body.signature);
+    return [contract.updateReviewBySig, [
+      body.paperId,
+      body.reviewer,
+      body.scoreCommitment,
+      body.deadline,
+      signature.v,
+      signature.r,
+      signature.s
+    ]];
+  },
+  "/pseudonyms": (contract, body) => [contract.registerPseudonym, [body.paperId, body.pseudonym, body.signature]],
+  "/papers": (contract, body) => [contract.submitBlindPaper, [
+    body.venueId,
+    body.title,
+    body.abstractText,
+    body.ipfsHash,
+    body.authorCommitment,
+    body.authorKey,
+    body.conflictHashes,
+    body.conflictedAddresses,
+    body.conflictedInstitutions
+  ]]
+};
+
+async function loadContract(relayer) {
+  const deployment = readDeployment(network.name);
+  const address = process.env.ACADEMIC_REVIEW_ADDRESS || (deployment && deployment.contracts.AcademicPeerReview.address);
+  if (!ethers.isAddress(address)) {
+    throw new Error(`No deployment recorded for ${network.name}; deploy with scripts/deploy.js or set ACADEMIC_REVIEW_ADDRESS`);
+  }
+
+  // AcademicPeerReview serves the delegated contracts' functions at its own address
+  const factories = await Promise.all([
+    "AcademicPeerReview",
+    "AcademicPeerReviewExtension",
+    "AcademicPeerReviewSubmissions",
+    "AcademicPeerReviewReputation"
+  ].map((name) => ethers.getContractFactory(name)));
+  const fragments = factories.flatMap((factory, index) => factory.interface.fragments.filter(
+    (fragment) => index === 0 || (fragment.type !== "constructor" && fragment.type !== "fallback")
+  ));
+  return new ethers.Contract(address, fragments, relayer);
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    request.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new Error("Request too large"));
+        request.destroy();
+      }
+    });
+    request.on("end", () => resolve(body));
+    request.on("error", reject);
+  });
+}
+
+// Revert reason of a failed dry run, which the local node reports inside its error message
+function revertReason(error) {
+  const match = /reverted with reason string '(.*)'/.exec(error.message);
+  return (match && match[1]) || error.reason || error.shortMessage || error.message;
+}
+
+function respond(response, status, payload) {
+  response.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": ALLOWED_ORIGIN,
+    "Access-Control-Allow-Methods": "POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type"
+  });
+  response.end(payload === undefined ? undefined : JSON.stringify(payload));
+}
+
+async function main() {
+  const [relayer] = await ethers.getSigners();
+  const contract = await loadContract(relayer);
+  const { chainId } = await ethers.provider.getNetwork();
+
+  const server = http.createServer(async (request, response) => {
+    if (request.method === "OPTIONS") {
+      respond(response, 204);
+      return;
+    }
+    const route = ROUTES[request.url];
+    if (request.method !== "POST" || !route) {
+      respond(response, 404, { error: "Unknown endpoint" });
+      return;
+    }
+
+    let method;
+    let args;
+    try {
+      [method, args] = route(contract, JSON.parse(await readBody(request)));
+      // Dry-run first so invalid requests are refused without spending gas
+      await method.staticCall(...args);
+    } catch (error) {
+      respond(response, 400, { error: revertReason(error) });
+      return;
+    }
+
+    try {
+      const tx = await method(...args);
+      console.log(`${request.url}: relayed ${tx.hash}`);
+      respond(response, 200, { hash: tx.hash });
+    } catch (error) {
+      console.error(`${request.url}: relay failed:`, error.message);
+      respond(response, 500, { error: "Relayer could not send the transaction" });
+    }
+  });
+
+  server.listen(PORT, () => {
+    console.log(`Relayer for AcademicPeerReview ${contract.target} on chain ${chainId}`);
+    console.log(`Paying gas from ${relayer.address}`);
+    console.log(`Listening on http://localhost:${PORT} (POST ${Object.keys(ROUTES).join(", POST ")})`);
+  });
+}
+
+// Run as a script; the tests require the module for its routes
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌ Relayer failed to start:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = { ROUTES };
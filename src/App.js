@@ -1,27 +1,417 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import toast, { Toaster } from 'react-hot-toast';
 import { ethers } from 'ethers';
+import {
+  encryptForRecipients,
+  decryptEnvelope,
+  serializeEnvelope,
+  parseEnvelope
+} from './crypto/reviewEncryption';
+import {
+  deriveEncryptionKey,
+  exportKeyBackup,
+  importKeyBackup,
+  keyPairFromPrivateKey
+} from './crypto/keyManagement';
+import { deriveRingKey, derivePseudonymWallet, signRing } from './crypto/ringSignature';
+import { createContentStore } from './storage/contentStore';
+import { createPaperCache } from './data/paperCache';
+import { subscribeToPaperEvents } from './data/paperEvents';
+import { createDemoSession } from './demo/demoContracts';
+import PUBLIC_DEPLOYMENTS from './deployments.json';
 
 // Academic Peer Review Contract ABIs
 const ACADEMIC_REVIEW_ABI = [
-  "function submitPaper(string memory title, string memory abstractText, string memory ipfsHash) external returns (uint256)",
+  "function createVenue(string memory name, address[] memory chairs, uint256 submissionDeadline, uint256 reviewPeriod, uint256 minScore, uint256 maxScore, uint256 acceptanceThreshold) external returns (uint256)",
+  "function addVenueReviewers(uint256 venueId, address[] memory reviewerAddresses) external",
+  "function setVenueActive(uint256 venueId, bool isActive) external",
+  "function venueCount() external view returns (uint256)",
+  "function getVenue(uint256 venueId) external view returns (tuple(uint256 venueId, string name, address[] chairs, uint256 submissionDeadline, uint256 reviewPeriod, uint256 minScore, uint256 maxScore, uint256 acceptanceThreshold, bool isActive))",
+  "function getPapersByVenue(uint256 venueId) external view returns (uint256[] memory)",
+  "function submitPaper(uint256 venueId, string memory title, string memory abstractText, string memory ipfsHash, address[] memory conflictedAddresses, string[] memory conflictedInstitutions) external returns (uint256)",
+  "function submitBlindPaper(uint256 venueId, string memory title, string memory abstractText, string memory ipfsHash, bytes32 authorCommitment, bytes memory authorKey, bytes32[] memory conflictHashes, address[] memory conflictedAddresses, string[] memory conflictedInstitutions) external returns (uint256)",
+  "function proveAuthorship(uint256 paperId, bytes32 salt) external",
+  "function authorCommitments(uint256 paperId) external view returns (bytes32)",
+  "function blindAuthorKeys(uint256 paperId) external view returns (bytes)",
+  "function setDoubleBlind(uint256 venueId, bool doubleBlind) external",
+  "function venueDoubleBlind(uint256 venueId) external view returns (bool)",
+  "function setAnonymousReviews(uint256 venueId, bool anonymousReviews) external",
+  "function venueAnonymousReviews(uint256 venueId) external view returns (bool)",
+  "function registerRingKey(uint256[2] publicKey) external",
+  "function reviewerRingKeys(address reviewer) external view returns (uint256 x, uint256 y)",
+  "function registerPseudonym(uint256 paperId, address pseudonym, tuple(tuple(uint256 x, uint256 y) keyImage, uint256 c0, uint256[] s) signature) external",
+  "function getReviewRing(uint256 paperId) external view returns (tuple(uint256 x, uint256 y)[])",
+  "function pseudonymMessage(uint256 paperId, address pseudonym) external view returns (bytes32)",
+  "function paperPseudonyms(uint256 paperId, address pseudonym) external view returns (bool)",
+  "function withdrawPaper(uint256 paperId) external",
+  "function withdrawBlindPaper(uint256 paperId, bytes32 authorSalt) external",
+  "function resubmitPaper(uint256 previousPaperId, string memory title, string memory abstractText, string memory ipfsHash, address[] memory conflictedAddresses, string[] memory conflictedInstitutions) external returns (uint256)",
+  "function resubmitBlindPaper(uint256 previousPaperId, string memory title, string memory abstractText, string memory ipfsHash, bytes32 authorSalt, bytes32[] memory conflictHashes, address[] memory conflictedAddresses, string[] memory conflictedInstitutions) external returns (uint256)",
+  "function getPaperVersions(uint256 paperId) external view returns (uint256[] memory)",
   "function registerReviewer(string memory expertise) external", 
-  "function submitReview(uint256 paperId, uint8 score, bytes32 inputProof, string memory comments) external",
+  "function declareReviewerConflicts(string memory institution, address[] memory conflictedAuthors) external",
+  "function getConflictReason(uint256 paperId, address reviewer) external view returns (string memory)",
+  "function submitReview(uint256 paperId, bytes32 scoreCommitment, bytes32 commentsHash) external",
+  "function submitReviewBySig(uint256 paperId, address reviewer, bytes32 scoreCommitment, bytes32 commentsHash, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external",
+  "function domainSeparator() external view returns (bytes32)",
+  "function nonces(address signer) external view returns (uint256)",
+  "function revealReviewScoreBySig(uint256 paperId, address reviewer, uint8[] scores, bytes32 salt, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external",
+  "function updateReviewBySig(uint256 paperId, address reviewer, bytes32 scoreCommitment, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external",
+  "function revealReviewScore(uint256 paperId, uint8 score, bytes32 salt) external",
+  "function assignReviewers(uint256 paperId, address[] memory reviewerAddresses) external",
   "function paperCount() external view returns (uint256)",
+  "function getRoles(address account) external view returns (bool isAdmin, bool isProgramChair, bool isAreaChair, bool isReviewer, bool isAuthor)",
+  "function grantRole(bytes32 role, address account) external",
+  "function revokeRole(bytes32 role, address account) external",
+  "function verifyReviewer(address reviewer) external",
+  "function reviewers(address reviewer) external view returns (address reviewerAddress, bool isVerified, uint256 reputation, string expertise, uint256 reviewsCompleted)",
+  "function strictAssignment() external view returns (bool)",
+  "function getReviewProgress(uint256 paperId) external view returns (uint256 submitted, uint256 required)",
+  "function finalizeAfterDeadline(uint256 paperId) external",
+  "function getPaper(uint256 paperId) external view returns (tuple(uint256 paperId, uint256 venueId, address author, string title, string abstractText, string ipfsHash, uint8 status, uint256 submissionTime, uint256 reviewDeadline, bytes32[] scoreCommitments, uint256 revealedScoreSum, uint256 revealedCount, uint256 averageScore, uint256 reviewerCount, bool isFinalized))",
+  "function reviews(uint256 paperId, address reviewer) external view returns (uint256 paperId, address reviewer, bytes32 scoreCommitment, bytes32 commentsHash, uint256 timestamp, bool isSubmitted, bool isRevealed, uint8 round, uint8 score)",
+  "function getPaperReviewers(uint256 paperId) external view returns (address[] memory)",
   "function getPapersByAuthor(address author) external view returns (uint256[] memory)",
   "function getReviewerAssignments(address reviewer) external view returns (uint256[] memory)", 
   "function getAllPapers(uint256 offset, uint256 limit) external view returns (uint256[] memory)",
-  "function requestScoreReveal(uint256 paperId) external"
+  "function requestScoreReveal(uint256 paperId) external",
+  "function requestBlindScoreReveal(uint256 paperId, bytes32 authorSalt) external",
+  "function decidePaper(uint256 paperId, uint8 outcome) external",
+  "function triagePaper(uint256 paperId, uint8 decision, bytes32 reasonHash) external",
+  "function paperTriage(uint256 paperId) external view returns (uint8)",
+  "function triageReasons(uint256 paperId) external view returns (bytes32)",
+  "function getReviewComments(uint256 paperId) external view returns (bytes32[] memory)",
+  "function setRebuttalPeriod(uint256 venueId, uint256 rebuttalPeriod) external",
+  "function venueRebuttalPeriods(uint256 venueId) external view returns (uint256)",
+  "function openRebuttal(uint256 paperId) external",
+  "function openBlindRebuttal(uint256 paperId, bytes32 authorSalt) external",
+  "function submitRebuttal(uint256 paperId, bytes32 contentHash) external",
+  "function submitBlindRebuttal(uint256 paperId, bytes32 contentHash, bytes32 authorSalt) external",
+  "function updateReviewScore(uint256 paperId, bytes32 scoreCommitment) external",
+  "function getRebuttal(uint256 paperId) external view returns (tuple(bytes32 contentHash, uint256 rebuttalDeadline, uint256 updateDeadline, uint256 pendingUpdates))",
+  "function setReviewForm(uint256 venueId, tuple(string name, uint8 minScore, uint8 maxScore, uint8 kind)[] criteria) external",
+  "function getReviewForm(uint256 venueId) external view returns (tuple(string name, uint8 minScore, uint8 maxScore, uint8 kind)[])",
+  "function venueSettingsLocked(uint256 venueId) external view returns (bool)",
+  "function revealReviewScores(uint256 paperId, uint8[] memory scores, bytes32 salt) external",
+  "function getCriterionAverages(uint256 paperId) external view returns (uint256[] memory)",
+  "function setDecisionPolicy(uint256 venueId, tuple(uint8 rule, uint8 trimCount, uint8 vetoScore) settings, bool chairOverride) external",
+  "function venueDecisionPolicies(uint256 venueId) external view returns (uint8 rule, uint8 trimCount, uint8 vetoScore)",
+  "function venueChairOverrides(uint256 venueId) external view returns (bool)",
+  "function overrideDecision(uint256 paperId, bool accept, bytes32 reasonHash) external",
+  "function decisionOverrideReasons(uint256 paperId) external view returns (bytes32)",
+  "function settleReputation(uint256 paperId) external",
+  "function reputationSettled(uint256 paperId) external view returns (bool)",
+  "function rateReview(uint256 paperId, address reviewer, uint8 rating) external",
+  "function reviewRatedBy(uint256 paperId, address reviewer, address rater) external view returns (bool)",
+  "function reputationOf(address reviewer) external view returns (uint256)",
+  "function getReputationHistory(address reviewer) external view returns (tuple(uint256 paperId, uint8 reason, int256 delta, uint256 reputation, uint256 timestamp)[])",
+  "function getReviewerReputations(uint256 offset, uint256 limit) external view returns (address[] reviewerAddresses, uint256[] reputations)",
+  "function getReviewerCount() external view returns (uint256)",
+  "function extendReviewDeadline(uint256 paperId, uint256 newDeadline) external",
+  "function extendReviewerDeadline(uint256 paperId, address reviewer, uint256 newDeadline) external",
+  "function reassignReview(uint256 paperId, address reviewer, address backupReviewer, uint256 deadline) external",
+  "function getReviewDeadline(uint256 paperId, address reviewer) external view returns (uint256)",
+  "event PaperSubmitted(uint256 indexed paperId, address indexed author, string title)",
+  "event AuthorshipProven(uint256 indexed paperId, address indexed author)",
+  "event PseudonymRegistered(uint256 indexed paperId, address indexed pseudonym, bytes32 nullifier)",
+  "event ScoreRevealed(uint256 indexed paperId, uint256 averageScore)",
+  "event PaperStatusChanged(uint256 indexed paperId, uint8 newStatus)",
+  "event PaperTriaged(uint256 indexed paperId, address indexed editor, uint8 decision, bytes32 reasonHash)",
+  "event DecisionOverridden(uint256 indexed paperId, address indexed chair, uint8 newStatus, bytes32 reasonHash)",
+  "event PaperResubmitted(uint256 indexed paperId, uint256 indexed previousPaperId)",
+  "event ReputationChanged(address indexed reviewer, uint256 indexed paperId, uint8 reason, int256 delta, uint256 reputation)",
+  "event ReviewRated(uint256 indexed paperId, address indexed reviewer, address indexed rater, uint8 rating)",
+  "event ReviewerAssigned(uint256 indexed paperId, address indexed reviewer)",
+  "event ReviewSubmitted(uint256 indexed paperId, address indexed reviewer)",
+  "event ReviewScoreRevealed(uint256 indexed paperId, address indexed reviewer)",
+  "event ReviewsFinalized(uint256 indexed paperId, uint256 reviewCount)",
+  "event ReviewDeadlineExtended(uint256 indexed paperId, address indexed reviewer, uint256 deadline)",
+  "event ReviewReassigned(uint256 indexed paperId, address indexed previousReviewer, address indexed backupReviewer, uint256 deadline)",
+  "event PaperWithdrawn(uint256 indexed paperId, address indexed author)",
+  "event RebuttalOpened(uint256 indexed paperId, uint256 rebuttalDeadline, uint256 updateDeadline)",
+  "event RebuttalSubmitted(uint256 indexed paperId, bytes32 contentHash)",
+  "event ReviewScoreUpdated(uint256 indexed paperId, address indexed reviewer, uint8 round)",
+  "event PaperConflictsDeclared(uint256 indexed paperId, uint256 addressCount, uint256 institutionCount)",
+  "event ReputationSettled(uint256 indexed paperId)",
+  "event VenueCreated(uint256 indexed venueId, string name)",
+  "event VenueChairAdded(uint256 indexed venueId, address indexed chair)",
+  "event VenueReviewerAdded(uint256 indexed venueId, address indexed reviewer)",
+  "event VenueStatusChanged(uint256 indexed venueId, bool isActive)",
+  "event DecisionPolicyChanged(uint256 indexed venueId, uint8 rule, bool chairOverride)",
+  "event ReviewFormChanged(uint256 indexed venueId, uint256 criterionCount)",
+  "event RebuttalPeriodChanged(uint256 indexed venueId, uint256 rebuttalPeriod)",
+  "event DoubleBlindChanged(uint256 indexed venueId, bool doubleBlind)",
+  "event AnonymousReviewsChanged(uint256 indexed venueId, bool anonymousReviews)",
+  "event AssignmentModeChanged(bool strictAssignment)",
+  "event FallbackQuorumChanged(uint256 fallbackQuorum)",
+  "event ReviewerRegistered(address indexed reviewer, string expertise)",
+  "event ReviewerVerified(address indexed reviewer, string expertise)",
+  "event ReviewerConflictsDeclared(address indexed reviewer, string institution, uint256 authorCount)",
+  "event RingKeyRegistered(address indexed reviewer, uint256 x, uint256 y)",
+  "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+  "event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)"
 ];
 
+const KEY_REGISTRY_ABI = [
+  "function registerPublicKey(bytes publicKey) external",
+  "function getPublicKey(address account) external view returns (bytes memory)"
+];
+
+// Encrypted score arithmetic; see src/crypto/encryptionBackend.js for the client
 const FHE_CORE_ABI = [
-  "function encryptValue(uint256 value, bytes32 publicKey) external returns (bytes32 ciphertext)",
-  "function decryptValue(bytes32 ciphertext, bytes32 privateKey) external returns (uint256 value)"
+  "function backend() external view returns (address)",
+  "function encryptValue(uint32 value) external returns (bytes32 ciphertext)",
+  "function decryptValue(bytes32 ciphertext) external view returns (uint32 plaintext)",
+  "function allow(bytes32 ciphertext, address account) external",
+  "function homomorphicAdd(bytes32 a, bytes32 b) external returns (bytes32 result)",
+  "function homomorphicMul(bytes32 a, bytes32 b) external returns (bytes32 result)",
+  "function sum(bytes32[] ciphertexts) external returns (bytes32 result)",
+  "function average(bytes32[] ciphertexts) external returns (bytes32 result)",
+  "event ValueEncrypted(bytes32 indexed ciphertext, address indexed owner)",
+  "event HomomorphicOperation(bytes32 indexed result, bytes32 a, bytes32 b)",
+  "event ValuesAggregated(bytes32 indexed result, uint256 count)"
+];
+
+// Networks from hardhat.config.js the app can run on, by chain id. Contract addresses come from
+// src/deployments.json, which scripts/deploy.js updates for each network it deploys to, and for
+// local chains from the git-ignored src/deployments.local.json when a local deploy wrote one
+const SUPPORTED_NETWORKS = {
+  31337: { name: 'Localhost', rpcUrl: 'http://127.0.0.1:8545' },
+  11155111: { name: 'Sepolia', rpcUrl: 'https://sepolia.infura.io/v3/', explorerUrl: 'https://sepolia.etherscan.io/' },
+  8009: { name: 'Zama fhEVM Devnet', rpcUrl: 'https://devnet.zama.ai' },
+  9000: { name: 'fhEVM Local', rpcUrl: 'http://localhost:8545' }
+};
+const LOCAL_DEPLOYMENTS = require.context('.', false, /^\.\/deployments\.local\.json$/);
+const DEPLOYMENTS = Object.assign({}, PUBLIC_DEPLOYMENTS, ...LOCAL_DEPLOYMENTS.keys().map(LOCAL_DEPLOYMENTS));
+
+// Network the wallet is asked to switch to when its current one has no deployment
+const DEFAULT_CHAIN_ID = Number(process.env.REACT_APP_DEFAULT_CHAIN_ID || 11155111);
+
+// Overrides the key registry of every network; encrypted review comments are disabled on
+// networks without one
+const KEY_REGISTRY_ADDRESS = process.env.REACT_APP_KEY_REGISTRY_ADDRESS || '';
+
+// Optional scripts/relayer.js endpoint; when set, reviews are signed and the relayer pays the gas
+const RELAYER_URL = process.env.REACT_APP_RELAYER_URL || '';
+
+// Optional scripts/indexer.js endpoint; when set, paper search, filters and timelines query it
+const INDEXER_URL = process.env.REACT_APP_INDEXER_URL || '';
+
+// Demo mode runs the app against an in-browser chain with sample papers instead of a wallet
+// and a network, see src/demo. Always on with REACT_APP_DEMO_MODE=true, or opened with ?demo
+const DEMO_ONLY = process.env.REACT_APP_DEMO_MODE === 'true';
+export const DEMO_MODE = DEMO_ONLY || new URLSearchParams(window.location.search).has('demo');
+
+// EIP-712 types of a signed review, score reveal and score update, matching REVIEW_TYPEHASH,
+// SCORE_REVEAL_TYPEHASH and SCORE_UPDATE_TYPEHASH in the contract
+const REVIEW_TYPES = {
+  Review: [
+    { name: 'paperId', type: 'uint256' },
+    { name: 'reviewer', type: 'address' },
+    { name: 'scoreCommitment', type: 'bytes32' },
+    { name: 'commentsHash', type: 'bytes32' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+const SCORE_REVEAL_TYPES = {
+  ScoreReveal: [
+    { name: 'paperId', type: 'uint256' },
+    { name: 'reviewer', type: 'address' },
+    { name: 'scores', type: 'uint8[]' },
+    { name: 'salt', type: 'bytes32' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+const SCORE_UPDATE_TYPES = {
+  ScoreUpdate: [
+    { name: 'paperId', type: 'uint256' },
+    { name: 'reviewer', type: 'address' },
+    { name: 'scoreCommitment', type: 'bytes32' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+// How long the relayer may hold a signed request before it expires, in seconds of chain time
+const SIGNED_REVIEW_TTL = 60 * 60;
+
+// Post a signed request to the relayer and return the hash of the transaction it sent
+const relay = async (path, body) => {
+  const response = await fetch(`${RELAYER_URL}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body, (key, value) => typeof value === 'bigint' ? value.toString() : value)
+  });
+  const payload = await response.json();
+  if (!response.ok) {
+    throw new Error(`Relayer refused the request: ${payload.error}`);
+  }
+  return payload.hash;
+};
+
+// GET a resource from the indexer; empty query parameters are left out
+const queryIndexer = async (path, params = {}) => {
+  const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value !== '' && value !== undefined));
+  const response = await fetch(`${INDEXER_URL}${path}${query.toString() ? `?${query}` : ''}`);
+  const payload = await response.json();
+  if (!response.ok) {
+    throw new Error(`Indexer query failed: ${payload.error}`);
+  }
+  return payload;
+};
+
+// How long typing pauses before the paper search queries the indexer, in milliseconds
+const PAPER_SEARCH_DELAY = 300;
+
+// Papers requested per indexer query, the most the indexer returns at once
+const INDEXER_PAGE_SIZE = 100;
+
+// Supported network and contract addresses for a chain id, or null when the app has no
+// deployment there
+const getDeployment = (chainId) => {
+  const network = SUPPORTED_NETWORKS[Number(chainId)];
+  const deployment = DEPLOYMENTS[Number(chainId)];
+  if (!network || !deployment || !ethers.isAddress(deployment.contracts.AcademicPeerReview)) return null;
+  return { chainId: Number(chainId), network, addresses: deployment.contracts };
+};
+
+// Names of the networks the app has contracts on, for error messages
+const deployedNetworkNames = () => Object.keys(SUPPORTED_NETWORKS)
+  .filter(getDeployment)
+  .map(chainId => SUPPORTED_NETWORKS[chainId].name)
+  .join(', ') || 'a network with deployed contracts';
+
+// Contracts of a deployment connected to `runner`; FHECore and the key registry are optional
+const createContracts = ({ addresses }, runner) => {
+  const keyRegistryAddress = KEY_REGISTRY_ADDRESS || addresses.KeyRegistry;
+  return {
+    reviewContract: new ethers.Contract(addresses.AcademicPeerReview, ACADEMIC_REVIEW_ABI, runner),
+    fheContract: ethers.isAddress(addresses.FHECore) ? new ethers.Contract(addresses.FHECore, FHE_CORE_ABI, runner) : null,
+    keyRegistry: ethers.isAddress(keyRegistryAddress) ? new ethers.Contract(keyRegistryAddress, KEY_REGISTRY_ABI, runner) : null
+  };
+};
+
+// Parameters for wallet_addEthereumChain
+const addChainParams = (chainId) => {
+  const network = SUPPORTED_NETWORKS[chainId];
+  return {
+    chainId: ethers.toQuantity(chainId),
+    chainName: network.name,
+    rpcUrls: [network.rpcUrl],
+    nativeCurrency: { name: 'ETH', symbol: 'ETH', decimals: 18 },
+    ...(network.explorerUrl ? { blockExplorerUrls: [network.explorerUrl] } : {})
+  };
+};
+
+// Encrypted review comments live off-chain; only their content hash is committed
+const contentStore = createContentStore({ demoMode: DEMO_MODE });
+
+// Deploy and seed the demo contracts; index.js starts the app with the session in demo mode
+export const startDemoSession = () => createDemoSession({
+  reviewAbi: ACADEMIC_REVIEW_ABI,
+  keyRegistryAbi: KEY_REGISTRY_ABI,
+  contentStore
+});
+
+// Chain time the demo clock moves forward by, in seconds
+const DEMO_TIME_STEPS = [
+  { label: '+1 day', seconds: 24 * 60 * 60 },
+  { label: '+1 week', seconds: 7 * 24 * 60 * 60 }
+];
+
+// Average scores are reported on-chain with two decimals (e.g. 833 = 8.33)
+const SCORE_PRECISION = 100;
+
+// Score scale used when a paper's venue has not been loaded yet
+const DEFAULT_SCORE_SCALE = { minScore: 1, maxScore: 10 };
+
+// Review form criterion kinds, in the contract's CriterionKind order
+const CRITERION_KINDS = ['Score', 'Confidence', 'Recommendation'];
+
+// Decision rules in the contract's DecisionPolicy.Rule order, with the label of the score each produces
+const DECISION_RULES = [
+  { name: 'Mean', scoreLabel: 'Average Score' },
+  { name: 'Confidence-weighted mean', scoreLabel: 'Weighted Score' },
+  { name: 'Median', scoreLabel: 'Median Score' },
+  { name: 'Trimmed mean', scoreLabel: 'Trimmed Mean Score' },
+  { name: 'Unanimous veto', scoreLabel: 'Average Score' }
+];
+
+// Sealed commitment to a review's scores; venues with a review form commit to every criterion
+const computeReviewCommitment = (paperId, reviewer, scores, salt, hasReviewForm) => hasReviewForm
+  ? ethers.solidityPackedKeccak256(
+    ['uint256', 'address', 'uint8[]', 'bytes32'],
+    [paperId, reviewer, scores, salt]
+  )
+  : ethers.solidityPackedKeccak256(
+    ['uint256', 'address', 'uint8', 'bytes32'],
+    [paperId, reviewer, scores[0], salt]
+  );
+
+// Scores entered for each criterion, or an error naming the first invalid one
+const readCriterionScores = (criteria, values) => {
+  const scores = criteria.map((_, index) => Number(values[index]));
+  const invalid = criteria.find((criterion, index) =>
+    !Number.isInteger(scores[index]) || scores[index] < criterion.minScore || scores[index] > criterion.maxScore
+  );
+  return invalid
+    ? { error: `${invalid.name} must be between ${invalid.minScore} and ${invalid.maxScore}` }
+    : { scores };
+};
+
+// Salts for sealed scores stay in this browser until the reviewer reveals them, kept apart per
+// review contract so deployments on different networks do not mix
+const scoreSecretKey = (contractAddress, paperId, reviewer) =>
+  `score-secret:${contractAddress}:${paperId}:${reviewer.toLowerCase()}`;
+
+// Commitment a double-blind submission stores in place of its author; matches computeAuthorCommitment
+const computeAuthorCommitment = (author, salt) =>
+  ethers.solidityPackedKeccak256(['address', 'bytes32'], [author, salt]);
+
+// Hidden conflicts of a double-blind submission are hashes of the conflicted addresses
+const conflictHash = (address) => ethers.solidityPackedKeccak256(['address'], [address]);
+
+// Blind submissions of an author, keyed by paper id: the salt of the author commitment and the
+// private key of the paper's author key. Without them the author can neither act on the paper
+// nor read its reviews
+const blindSubmissionsKey = (contractAddress, author) =>
+  `blind-submissions:${contractAddress}:${author.toLowerCase()}`;
+
+const loadBlindSubmissions = (contractAddress, author) =>
+  JSON.parse(localStorage.getItem(blindSubmissionsKey(contractAddress, author)) || '{}');
+
+const saveBlindSubmission = (contractAddress, author, paperId, submission) => {
+  localStorage.setItem(
+    blindSubmissionsKey(contractAddress, author),
+    JSON.stringify({ ...loadBlindSubmissions(contractAddress, author), [paperId]: submission })
+  );
+};
+
+// Unlocked encryption keys are cached for this tab only; the wallet can always re-derive them
+const encryptionKeyStorageKey = (account) => `encryption-key:${account.toLowerCase()}`;
+
+const loadSessionEncryptionKey = (account) => {
+  const privateKey = sessionStorage.getItem(encryptionKeyStorageKey(account));
+  return privateKey ? keyPairFromPrivateKey(privateKey) : null;
+};
+
+// Role identifiers match the contract's keccak256 role constants
+const ROLES = [
+  { id: 'ADMIN_ROLE', label: 'Admin', flag: 'isAdmin' },
+  { id: 'PROGRAM_CHAIR_ROLE', label: 'Program Chair', flag: 'isProgramChair' },
+  { id: 'AREA_CHAIR_ROLE', label: 'Area Chair', flag: 'isAreaChair' },
+  { id: 'REVIEWER_ROLE', label: 'Reviewer', flag: 'isReviewer' },
+  { id: 'AUTHOR_ROLE', label: 'Author', flag: 'isAuthor' }
 ];
 
-// Real Sepolia contract addresses - deployed for production use
-const ACADEMIC_REVIEW_ADDRESS = "0x90DD935d005781Fd7B20DE72dD04b9c1EB54E117";
-const FHE_CORE_ADDRESS = "0x90DD935d005781Fd7B20DE72dD04b9c1EB54E117";
+const NO_ROLES = {
+  isAdmin: false,
+  isProgramChair: false,
+  isAreaChair: false,
+  isReviewer: false,
+  isAuthor: false
+};
 
 // Paper status mapping
 const PAPER_STATUS = {
@@ -29,153 +419,615 @@ const PAPER_STATUS = {
   1: 'Under Review',
   2: 'Accepted',
   3: 'Rejected',
-  4: 'Withdrawn'
+  4: 'Withdrawn',
+  5: 'Major Revision',
+  6: 'Minor Revision',
+  7: 'Conditional Accept',
+  8: 'Desk Reject'
+};
+
+const PAPER_STATUS_STYLES = {
+  'Submitted': 'bg-gray-100 text-gray-800',
+  'Under Review': 'bg-yellow-100 text-yellow-800',
+  'Accepted': 'bg-green-100 text-green-800',
+  'Rejected': 'bg-red-100 text-red-800',
+  'Withdrawn': 'bg-gray-100 text-gray-500',
+  'Major Revision': 'bg-orange-100 text-orange-800',
+  'Minor Revision': 'bg-blue-100 text-blue-800',
+  'Conditional Accept': 'bg-teal-100 text-teal-800',
+  'Desk Reject': 'bg-rose-100 text-rose-800'
+};
+
+// Reviewed outcomes; they release the scores and comments to the author
+const DECIDED_STATUSES = ['Accepted', 'Rejected', 'Major Revision', 'Minor Revision', 'Conditional Accept'];
+
+// Labels of the indexed events shown in a paper's timeline
+const TIMELINE_LABELS = {
+  PaperSubmitted: '📄 Submitted',
+  ReviewerAssigned: '👥 Reviewer assigned',
+  ReviewReassigned: '🔁 Review reassigned',
+  ReviewSubmitted: '✍️ Review submitted',
+  PaperStatusChanged: '🔄 Status changed',
+  ScoreRevealed: '🔍 Score revealed'
+};
+
+// Outcomes venue chairs record with decidePaper, keyed by the contract's PaperStatus value
+const EDITORIAL_OUTCOMES = { 2: 'Accept', 3: 'Reject', 5: 'Major revision', 6: 'Minor revision', 7: 'Conditional accept' };
+
+// Why a reviewer's reputation changed, in the contract's ReviewerReputation.Reason order
+const REPUTATION_REASONS = [
+  'Timely review',
+  'Agreed with the decision',
+  'Helpfulness rating',
+  'Score never revealed',
+  'Missed assigned review',
+  'Inactivity decay'
+];
+
+// Helpfulness ratings authors and chairs give reviews of decided papers
+const HELPFULNESS_RATINGS = { 1: 'Unhelpful', 2: 'Somewhat unhelpful', 3: 'Neutral', 4: 'Helpful', 5: 'Very helpful' };
+
+// Reviewers read for the leaderboard, and how many of them it ranks
+const LEADERBOARD_PAGE_SIZE = 100;
+const LEADERBOARD_SIZE = 10;
+
+// Convert a ReviewerReputation.Change returned by getReputationHistory into the shape used by the UI
+const formatReputationChange = (change) => ({
+  paperId: Number(change.paperId),
+  reason: REPUTATION_REASONS[Number(change.reason)],
+  delta: Number(change.delta),
+  reputation: Number(change.reputation),
+  timestamp: new Date(Number(change.timestamp) * 1000)
+});
+
+// Editor triage decisions, in the contract's TriageDecision order
+const TRIAGE_DECISIONS = ['Awaiting Triage', 'Sent to Review', 'Desk Rejected', 'Out of Scope'];
+
+// Statuses the author can still withdraw from, and those a revised version can follow
+const WITHDRAWABLE_STATUSES = ['Submitted', 'Under Review', 'Major Revision', 'Minor Revision', 'Conditional Accept'];
+const RESUBMITTABLE_STATUSES = ['Withdrawn', 'Rejected', 'Desk Reject', 'Major Revision', 'Minor Revision'];
+
+// Split a comma or newline separated input into trimmed entries
+const parseList = (text) => text
+  .split(/[,\n]+/)
+  .map(entry => entry.trim())
+  .filter(Boolean);
+
+// Convert a Paper struct returned by getPaper into the shape used by the UI
+const formatPaper = (paper) => {
+  const status = PAPER_STATUS[Number(paper.status)];
+  return {
+    id: Number(paper.paperId),
+    venueId: Number(paper.venueId),
+    author: paper.author,
+    title: paper.title,
+    abstract: paper.abstractText,
+    ipfs: paper.ipfsHash,
+    status,
+    submissionTime: new Date(Number(paper.submissionTime) * 1000),
+    reviewDeadline: new Date(Number(paper.reviewDeadline) * 1000),
+    reviewerCount: Number(paper.reviewerCount),
+    isFinalized: paper.isFinalized,
+    averageScore: DECIDED_STATUSES.includes(status)
+      ? Number(paper.averageScore) / SCORE_PRECISION
+      : undefined,
+    category: 'General',
+    keywords: []
+  };
+};
+
+// Papers read from the contract, kept across reloads and accounts
+const paperCache = createPaperCache(formatPaper);
+
+// Convert a Venue struct returned by getVenue into the shape used by the UI
+const formatVenue = (
+  venue,
+  rebuttalPeriod = 0,
+  reviewForm = [],
+  settingsLocked = false,
+  decisionPolicy = { rule: 0, trimCount: 0, vetoScore: 0 },
+  chairOverride = false,
+  doubleBlind = false,
+  anonymousReviews = false
+) => ({
+  id: Number(venue.venueId),
+  name: venue.name,
+  chairs: venue.chairs.map(chair => chair.toLowerCase()),
+  submissionDeadline: Number(venue.submissionDeadline) > 0
+    ? new Date(Number(venue.submissionDeadline) * 1000)
+    : null,
+  reviewPeriodDays: Number(venue.reviewPeriod) / (24 * 60 * 60),
+  minScore: Number(venue.minScore),
+  maxScore: Number(venue.maxScore),
+  acceptanceThreshold: Number(venue.acceptanceThreshold) / SCORE_PRECISION,
+  rebuttalPeriodDays: Number(rebuttalPeriod) / (24 * 60 * 60),
+  reviewForm: reviewForm.map(criterion => ({
+    name: criterion.name,
+    minScore: Number(criterion.minScore),
+    maxScore: Number(criterion.maxScore),
+    kind: CRITERION_KINDS[Number(criterion.kind)]
+  })),
+  settingsLocked,
+  decisionPolicy: {
+    rule: Number(decisionPolicy.rule),
+    trimCount: Number(decisionPolicy.trimCount),
+    vetoScore: Number(decisionPolicy.vetoScore)
+  },
+  chairOverride,
+  doubleBlind,
+  anonymousReviews,
+  isActive: venue.isActive
+});
+
+// Convert a Rebuttal struct returned by getRebuttal into the shape used by the UI
+const formatRebuttal = (rebuttal) => ({
+  isOpen: Number(rebuttal.rebuttalDeadline) > 0,
+  hasResponse: rebuttal.contentHash !== ethers.ZeroHash,
+  contentHash: rebuttal.contentHash,
+  rebuttalDeadline: new Date(Number(rebuttal.rebuttalDeadline) * 1000),
+  updateDeadline: new Date(Number(rebuttal.updateDeadline) * 1000),
+  pendingUpdates: Number(rebuttal.pendingUpdates)
+});
+
+// Phase of an opened rebuttal round: author response, then score updates, then the final reveal
+const getRebuttalPhase = (rebuttal, now = new Date()) => {
+  if (!rebuttal || !rebuttal.isOpen) return null;
+  if (now <= rebuttal.rebuttalDeadline) return 'Rebuttal';
+  if (now <= rebuttal.updateDeadline) return 'Score Update';
+  return 'Final Reveal';
+};
+
+// Deadlines are compared with the latest block's timestamp, which the contract checks them
+// against; countdowns tick locally in between and re-read the chain every few minutes
+const CLOCK_TICK_INTERVAL = 30 * 1000;
+const CLOCK_SYNC_INTERVAL = 5 * 60 * 1000;
+// Reviews due within this window are flagged in the reviewer's reminders
+const DEADLINE_REMINDER_WINDOW = 2 * 24 * 60 * 60 * 1000;
+
+// Compact duration such as "3d 4h", "5h 12m" or "12m"
+const formatDuration = (milliseconds) => {
+  const minutes = Math.floor(Math.abs(milliseconds) / 60000);
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes % 60}m`;
+  return `${minutes}m`;
+};
+
+// Assigned reviewers of a paper with their own deadline and whether they have submitted
+const fetchReviewPanel = async (contract, paperId) => {
+  const panel = await contract.getPaperReviewers(paperId);
+  return Promise.all(panel.map(async (reviewer) => {
+    const [review, deadline] = await Promise.all([
+      contract.reviews(paperId, reviewer),
+      contract.getReviewDeadline(paperId, reviewer)
+    ]);
+    return { reviewer, isSubmitted: review.isSubmitted, deadline: new Date(Number(deadline) * 1000) };
+  }));
+};
+
+// Per-assignment progress for the connected reviewer
+const getAssignmentStatus = (paper, review) => {
+  const isUpdate = Number(review.round) > 1;
+  if (review.isRevealed) return isUpdate ? 'Updated Score Revealed' : 'Score Revealed';
+  if (review.isSubmitted) return isUpdate ? 'Updated Score Sealed' : 'Review Sealed';
+  if (paper.status !== 'Under Review') return paper.status;
+  return 'Awaiting Review';
+};
+
+// Assigned papers with the status of each review; on anonymous-review venues the review is
+// filed under the pseudonym, which the ring key unlocked in this tab derives
+const fetchAssignments = async (contract, userAccount, assignmentIds) => {
+  const sessionKey = loadSessionEncryptionKey(userAccount);
+  const sessionRingKey = sessionKey && deriveRingKey(sessionKey.privateKey);
+  return Promise.all(assignmentIds.map(async (paperId) => {
+    const { paper } = await paperCache.get(contract, paperId);
+    const isAnonymous = await contract.venueAnonymousReviews(paper.venueId);
+    const reviewer = isAnonymous && sessionRingKey
+      ? derivePseudonymWallet(sessionRingKey.secret, paperId).address
+      : userAccount;
+    const [review, deadline] = await Promise.all([
+      contract.reviews(paperId, reviewer),
+      contract.getReviewDeadline(paperId, reviewer)
+    ]);
+    return {
+      ...paper,
+      assignmentStatus: getAssignmentStatus(paper, review),
+      reviewRound: Number(review.round),
+      deadline: new Date(Number(deadline) * 1000)
+    };
+  }));
+};
+
+const isSameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+// Statuses authors are notified about when their paper reaches one
+const NOTIFIED_STATUSES = [...DECIDED_STATUSES, 'Desk Reject'];
+
+// Progress of submitted reviews towards the paper's quorum
+function ReviewProgressBar({ progress }) {
+  if (!progress) return null;
+  
+  const percent = progress.required > 0
+    ? Math.min(100, Math.round((progress.submitted / progress.required) * 100))
+    : 0;
+  
+  return (
+    <div className="mb-3">
+      <div className="flex justify-between text-xs text-gray-500 mb-1">
+        <span>Review progress</span>
+        <span>{progress.submitted}/{progress.required} reviews</span>
+      </div>
+      <div className="w-full bg-gray-200 rounded-full h-2">
+        <div
+          className={`h-2 rounded-full ${percent >= 100 ? 'bg-green-500' : 'bg-indigo-500'}`}
+          style={{ width: `${percent}%` }}
+        />
+      </div>
+    </div>
+  );
+}
+
+// Countdown to a review deadline, or how long ago it passed
+function DeadlineBadge({ deadline, now, done = false }) {
+  if (done) {
+    return <span className="text-xs text-gray-500">Due: {deadline.toLocaleDateString()}</span>;
+  }
+  
+  const remaining = deadline - now;
+  if (remaining < 0) {
+    return (
+      <span className="px-2 py-0.5 text-xs font-medium rounded-full bg-red-100 text-red-800" title={deadline.toLocaleString()}>
+        ⚠️ Overdue by {formatDuration(remaining)}
+      </span>
+    );
+  }
+  return (
+    <span
+      className={`px-2 py-0.5 text-xs rounded-full ${
+        remaining < DEADLINE_REMINDER_WINDOW ? 'bg-orange-100 text-orange-800' : 'bg-gray-100 text-gray-700'
+      }`}
+      title={deadline.toLocaleString()}
+    >
+      ⏳ {formatDuration(remaining)} left
+    </span>
+  );
+}
+
+// Deadlines of a paper's rebuttal round, highlighting the current phase
+function RebuttalTimeline({ rebuttal }) {
+  const phase = getRebuttalPhase(rebuttal);
+  if (!phase) return null;
+  
+  const steps = [
+    { phase: 'Rebuttal', label: 'Author response', until: rebuttal.rebuttalDeadline },
+    { phase: 'Score Update', label: 'Score updates', until: rebuttal.updateDeadline },
+    { phase: 'Final Reveal', label: 'Final reveal & decision' }
+  ];
+  
+  return (
+    <div className="mb-3">
+      <div className="flex flex-wrap gap-1 text-xs">
+        {steps.map(step => (
+          <span
+            key={step.phase}
+            className={`px-2 py-0.5 rounded ${
+              step.phase === phase ? 'bg-indigo-100 text-indigo-800 font-medium' : 'bg-gray-100 text-gray-500'
+            }`}
+          >
+            {step.label}{step.until && ` until ${step.until.toLocaleString()}`}
+          </span>
+        ))}
+      </div>
+      <p className="text-xs text-gray-500 mt-1">
+        {rebuttal.hasResponse ? 'Author response submitted' : 'No author response yet'}
+        {phase === 'Final Reveal' && rebuttal.pendingUpdates > 0 &&
+          ` · ${rebuttal.pendingUpdates} updated score(s) awaiting reveal`}
+      </p>
+    </div>
+  );
+}
+
+// Indexed events of a paper, oldest first. Reviewer addresses are left out to keep reviews anonymous
+function PaperTimeline({ timeline }) {
+  if (timeline.length === 0) {
+    return <p className="text-xs text-gray-500 mb-3">No indexed activity yet</p>;
+  }
+  
+  return (
+    <ol className="mb-3 border-l-2 border-indigo-100 pl-3 space-y-1">
+      {timeline.map(event => (
+        <li key={`${event.blockNumber}-${event.logIndex}`} className="text-xs text-gray-600">
+          <span className="font-medium text-gray-800">{TIMELINE_LABELS[event.name] || event.name}</span>
+          {event.name === 'PaperStatusChanged' && `: ${PAPER_STATUS[event.args.newStatus]}`}
+          {event.name === 'ScoreRevealed' && `: ${(Number(event.args.averageScore) / SCORE_PRECISION).toFixed(2)}`}
+          <span className="text-gray-400"> · {new Date(event.timestamp * 1000).toLocaleString()}</span>
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+// Score inputs rendered from a venue's review form
+function ReviewFormFields({ criteria, values, onChange, compact = false }) {
+  return (
+    <div className={compact ? 'grid grid-cols-2 gap-2' : 'space-y-3'}>
+      {criteria.map((criterion, index) => (
+        <label key={index} className="block">
+          <span className="text-xs font-medium text-gray-700">
+            {criterion.name}
+            {criterion.kind !== 'Score' && (
+              <span className="ml-1 text-gray-400">({criterion.kind.toLowerCase()})</span>
+            )}
+          </span>
+          <input
+            type="number"
+            placeholder={`${criterion.minScore}-${criterion.maxScore}`}
+            min={criterion.minScore}
+            max={criterion.maxScore}
+            value={values[index] || ''}
+            onChange={(e) => onChange(index, e.target.value)}
+            className={`w-full border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 ${
+              compact ? 'px-2 py-1 text-xs' : 'px-3 py-2'
+            }`}
+          />
+        </label>
+      ))}
+    </div>
+  );
+}
+
+// Decrypted review comments, with helpfulness ratings once the paper is decided
+function ReviewCommentList({ paperId, comments, reviewers = [], canRate, ratingDrafts, ratedReviews, onRatingChange, onRate, disabled }) {
+  return (
+    <div className="space-y-2">
+      {comments.map((comment, index) => {
+        const reviewer = reviewers[index];
+        const key = `${paperId}-${reviewer}`;
+        return (
+          <div key={index} className="text-sm bg-gray-50 border border-gray-100 rounded p-2">
+            <span className="text-xs font-medium text-gray-500">Reviewer {index + 1}</span>
+            <p className={comment ? 'text-gray-700' : 'text-gray-400 italic'}>
+              {comment || 'Could not decrypt these comments with your key'}
+            </p>
+            {canRate && reviewer && (ratedReviews[key] ? (
+              <p className="text-xs text-green-600 mt-1">⭐ You rated this review</p>
+            ) : (
+              <div className="flex gap-2 mt-1">
+                <select
+                  value={ratingDrafts[key] || ''}
+                  onChange={(e) => onRatingChange(key, e.target.value)}
+                  className="flex-1 px-2 py-1 border border-gray-300 rounded text-xs"
+                >
+                  <option value="">How helpful was this review?</option>
+                  {Object.entries(HELPFULNESS_RATINGS).map(([value, label]) => (
+                    <option key={value} value={value}>{value} - {label}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => onRate(reviewer)}
+                  disabled={disabled || !ratingDrafts[key]}
+                  className="text-xs bg-indigo-50 hover:bg-indigo-100 text-indigo-700 px-2 py-1 rounded disabled:opacity-50"
+                >
+                  ⭐ Rate
+                </button>
+              </div>
+            ))}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+const ASSIGNMENT_STATUS_STYLES = {
+  'Awaiting Review': 'bg-yellow-100 text-yellow-800',
+  'Review Sealed': 'bg-purple-100 text-purple-800',
+  'Score Revealed': 'bg-green-100 text-green-800',
+  'Updated Score Sealed': 'bg-purple-100 text-purple-800',
+  'Updated Score Revealed': 'bg-green-100 text-green-800'
 };
 
-function App() {
+// `demoSession` comes from startDemoSession in demo mode and replaces the wallet and network
+function App({ demoSession = null }) {
   // State management
-  const [account, setAccount] = useState('');
-  const [provider, setProvider] = useState(null);
-  const [reviewContract, setReviewContract] = useState(null);
+  const [account, setAccount] = useState(demoSession ? demoSession.account : '');
+  const [provider, setProvider] = useState(demoSession ? demoSession.provider : null);
+  const [reviewContract, setReviewContract] = useState(demoSession ? demoSession.reviewContract : null);
   const [fheContract, setFheContract] = useState(null);
-  const [isConnected, setIsConnected] = useState(false);
+  const [keyRegistry, setKeyRegistry] = useState(demoSession ? demoSession.keyRegistry : null);
+  const [isConnected, setIsConnected] = useState(Boolean(demoSession));
+  const [networkName, setNetworkName] = useState('');
   const [loading, setLoading] = useState(false);
+  // Bumped when the demo clock moves, to resync the chain clock
+  const [demoClockVersion, setDemoClockVersion] = useState(0);
   
   // Paper submission state
   const [paperTitle, setPaperTitle] = useState('');
   const [paperAbstract, setPaperAbstract] = useState('');
   const [paperIpfs, setPaperIpfs] = useState('');
+  const [paperConflictAddresses, setPaperConflictAddresses] = useState('');
+  const [paperConflictInstitutions, setPaperConflictInstitutions] = useState('');
+  const [blindAuthorAddress, setBlindAuthorAddress] = useState('');
+  const [revisionOf, setRevisionOf] = useState(null);
+  const [paperVersions, setPaperVersions] = useState({});
   
   // Reviewer registration state
   const [reviewerExpertise, setReviewerExpertise] = useState('');
+  const [reviewerInstitution, setReviewerInstitution] = useState('');
+  const [reviewerConflictAuthors, setReviewerConflictAuthors] = useState('');
   
   // Review submission state
   const [reviewPaperId, setReviewPaperId] = useState('');
-  const [reviewScore, setReviewScore] = useState('');
+  const [reviewScores, setReviewScores] = useState({});
   const [reviewComments, setReviewComments] = useState('');
   
-  // Predefined academic papers for demonstration
-  const defaultPapers = [
-    {
-      id: 1,
-      author: "0x90DD935d005781Fd7B20DE72dD04b9c1EB54E117",
-      title: "Privacy-Preserving Peer Review Systems Using Fully Homomorphic Encryption",
-      abstract: "This paper presents a novel approach to academic peer review that ensures complete privacy of reviewers and their evaluations through FHE technology. Our system enables anonymous voting while maintaining the integrity and transparency of the review process.",
-      ipfs: "QmPr1v4cyPeerR3v13wSyst3mFH3Encrypt10nT3chn0l0gy",
-      status: "Under Review",
-      submissionTime: new Date('2025-01-15'),
-      reviewDeadline: new Date('2026-02-15'),
-      reviewerCount: 3,
-      isFinalized: false,
-      category: "Cryptography",
-      keywords: ["Privacy", "FHE", "Peer Review", "Blockchain"]
-    },
-    {
-      id: 2,
-      author: "0x90DD935d005781Fd7B20DE72dD04b9c1EB54E117",
-      title: "Blockchain-Based Academic Publication Verification with Zero-Knowledge Proofs",
-      abstract: "We introduce a decentralized system for verifying academic publications using blockchain technology and zero-knowledge proofs. This ensures authenticity while preserving author privacy during the review process.",
-      ipfs: "QmB10ckch41nAc4d3m1cPub11c4t10nV3r1f1c4t10nSyst3m",
-      status: "Accepted",
-      submissionTime: new Date('2025-01-10'),
-      reviewDeadline: new Date('2026-02-10'),
-      reviewerCount: 4,
-      isFinalized: true,
-      category: "Blockchain",
-      keywords: ["Zero-Knowledge", "Verification", "Academic Publishing", "Decentralization"]
-    },
-    {
-      id: 3,
-      author: "0x90DD935d005781Fd7B20DE72dD04b9c1EB54E117",
-      title: "Secure Multi-Party Computation for Collaborative Research Evaluation",
-      abstract: "This work proposes a secure multi-party computation protocol for collaborative research evaluation, enabling multiple reviewers to jointly assess research without revealing individual opinions or biases.",
-      ipfs: "QmS3cur3MPC0114b0r4t1v3R3s34rchEv41u4t10nM3th0d",
-      status: "Under Review",
-      submissionTime: new Date('2025-01-20'),
-      reviewDeadline: new Date('2026-02-20'),
-      reviewerCount: 5,
-      isFinalized: false,
-      category: "Cryptography",
-      keywords: ["MPC", "Collaborative Review", "Security", "Privacy"]
-    },
-    {
-      id: 4,
-      author: "0x90DD935d005781Fd7B20DE72dD04b9c1EB54E117",
-      title: "Incentive Mechanisms for Honest Peer Review in Decentralized Academic Systems",
-      abstract: "We design game-theoretic incentive mechanisms that encourage honest and thorough peer review in decentralized academic publishing systems, addressing the free-rider problem in academic evaluation.",
-      ipfs: "QmInc3nt1v3M3ch4n1smH0n3stP33rR3v13wG4m3Th30ry",
-      status: "Submitted",
-      submissionTime: new Date('2025-01-25'),
-      reviewDeadline: new Date('2026-02-25'),
-      reviewerCount: 0,
-      isFinalized: false,
-      category: "Game Theory",
-      keywords: ["Incentives", "Game Theory", "Academic Systems", "Mechanism Design"]
-    },
-    {
-      id: 5,
-      author: "0x90DD935d005781Fd7B20DE72dD04b9c1EB54E117",
-      title: "Differential Privacy in Academic Peer Review: Balancing Transparency and Anonymity",
-      abstract: "This paper explores the application of differential privacy techniques to academic peer review systems, providing mathematical guarantees for reviewer anonymity while maintaining system transparency and accountability.",
-      ipfs: "QmD1ff3r3nt14lPr1v4cyAc4d3m1cP33rR3v13wSyst3m",
-      status: "Rejected",
-      submissionTime: new Date('2025-01-05'),
-      reviewDeadline: new Date('2026-02-05'),
-      reviewerCount: 3,
-      isFinalized: true,
-      category: "Privacy",
-      keywords: ["Differential Privacy", "Anonymity", "Academic Review", "Mathematical Guarantees"]
-    },
-    {
-      id: 6,
-      author: "0x90DD935d005781Fd7B20DE72dD04b9c1EB54E117",
-      title: "Smart Contract Architecture for Decentralized Academic Journal Management",
-      abstract: "We present a comprehensive smart contract architecture for managing academic journals on blockchain, including submission, review assignment, evaluation aggregation, and publication processes with full transparency.",
-      ipfs: "QmSm4rtC0ntr4ctArch1t3ctur3Ac4d3m1cJ0urn41Mgmt",
-      status: "Under Review",
-      submissionTime: new Date('2025-01-30'),
-      reviewDeadline: new Date('2026-03-01'),
-      reviewerCount: 4,
-      isFinalized: false,
-      category: "Blockchain",
-      keywords: ["Smart Contracts", "Academic Publishing", "Journal Management", "Decentralization"]
-    }
-  ];
-
   // Data display state
-  const [papers, setPapers] = useState(defaultPapers);
+  const [papers, setPapers] = useState([]);
   const [myPapers, setMyPapers] = useState([]);
   const [myAssignments, setMyAssignments] = useState([]);
+  const [reviewProgress, setReviewProgress] = useState({});
   const [reviewerInfo, setReviewerInfo] = useState(null);
   
-  // Crypto keys (simplified for demo)
-  const [publicKey, setPublicKey] = useState('');
-  const [privateKey, setPrivateKey] = useState('');
+  // Venue state
+  const [venues, setVenues] = useState([]);
+  const [selectedVenueId, setSelectedVenueId] = useState('');
+  const [venuePapers, setVenuePapers] = useState([]);
+  const [roles, setRoles] = useState(NO_ROLES);
+  const [roleAccount, setRoleAccount] = useState('');
+  const [roleName, setRoleName] = useState('AREA_CHAIR_ROLE');
+  const [verifyAddress, setVerifyAddress] = useState('');
+  const [newVenueName, setNewVenueName] = useState('');
+  const [newVenueChairs, setNewVenueChairs] = useState('');
+  const [newVenueDeadline, setNewVenueDeadline] = useState('');
+  const [newVenueReviewDays, setNewVenueReviewDays] = useState('');
+  const [newVenueMaxScore, setNewVenueMaxScore] = useState('');
+  const [newVenueThreshold, setNewVenueThreshold] = useState('');
+  
+  // Venue chair assignment state
+  const [poolReviewerList, setPoolReviewerList] = useState('');
+  const [assignPaperId, setAssignPaperId] = useState('');
+  const [assignReviewerList, setAssignReviewerList] = useState('');
+  
+  // Comment encryption state
+  const [encryptionKey, setEncryptionKey] = useState(null);
+  const [registeredKey, setRegisteredKey] = useState('0x');
+  const [registeredRingKey, setRegisteredRingKey] = useState(null);
+  const [backupPassphrase, setBackupPassphrase] = useState('');
+  const [paperComments, setPaperComments] = useState({});
+  
+  // Rebuttal round state
+  const [rebuttals, setRebuttals] = useState({});
+  const [rebuttalDrafts, setRebuttalDrafts] = useState({});
+  const [rebuttalTexts, setRebuttalTexts] = useState({});
+  const [updatedScores, setUpdatedScores] = useState({});
+  const [venueRebuttalDays, setVenueRebuttalDays] = useState('');
+  
+  // Review form state
+  const [reviewFormDraft, setReviewFormDraft] = useState([]);
+  const [criterionAverages, setCriterionAverages] = useState({});
+  
+  // Decision policy state
+  const [decisionPolicyDraft, setDecisionPolicyDraft] = useState({ rule: 0, trimCount: 1, vetoScore: '', chairOverride: false });
+  const [decisionOverrides, setDecisionOverrides] = useState({});
+  const [editorialOutcomes, setEditorialOutcomes] = useState({});
+  
+  // Editor dashboard state
+  const [activeView, setActiveView] = useState('workspace');
+  const [paperTriage, setPaperTriage] = useState({});
+  const [triageDrafts, setTriageDrafts] = useState({});
+  const [triageReasonTexts, setTriageReasonTexts] = useState({});
+  const [overrideReasons, setOverrideReasons] = useState({});
+  
+  // Reviewer reputation state
+  const [reputationHistory, setReputationHistory] = useState([]);
+  const [leaderboard, setLeaderboard] = useState([]);
+  const [reputationSettled, setReputationSettled] = useState({});
+  const [commentReviewers, setCommentReviewers] = useState({});
+  const [ratingDrafts, setRatingDrafts] = useState({});
+  const [ratedReviews, setRatedReviews] = useState({});
+  
+  // Review deadlines: chain time for countdowns, panels of papers under review and chair drafts
+  const [chainTime, setChainTime] = useState(() => new Date());
+  const [reviewPanels, setReviewPanels] = useState({});
+  const [deadlineDrafts, setDeadlineDrafts] = useState({});
+  const [backupReviewers, setBackupReviewers] = useState({});
+  
+  // Paper search and filters, and the indexed timelines the user opened
+  const [paperSearch, setPaperSearch] = useState('');
+  const [paperStatusFilter, setPaperStatusFilter] = useState('');
+  const [searchResults, setSearchResults] = useState(null);
+  const [paperTimelines, setPaperTimelines] = useState({});
 
-  // Initialize provider and contracts
+  // Initialize provider and contracts; demo sessions start connected
   useEffect(() => {
+    if (demoSession) {
+      loadUserData(demoSession.account);
+      return;
+    }
     initializeProvider();
-    generateKeys();
     checkExistingConnection();
-  }, []);
+  }, [demoSession]);
 
-  // Watch for account changes
+  // Public key currently published for the connected account
   useEffect(() => {
-    if (typeof window.ethereum !== 'undefined') {
+    if (!keyRegistry || !account) {
+      setRegisteredKey('0x');
+      return;
+    }
+    
+    let cancelled = false;
+    keyRegistry.getPublicKey(account)
+      .then(key => {
+        if (!cancelled) setRegisteredKey(key);
+      })
+      .catch(error => console.log('Could not load registered key:', error.message));
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [keyRegistry, account]);
+
+  // Ring key registered for the connected account, if any
+  useEffect(() => {
+    if (!reviewContract || !account || demoSession) {
+      setRegisteredRingKey(null);
+      return;
+    }
+    
+    let cancelled = false;
+    reviewContract.reviewerRingKeys(account)
+      .then(({ x, y }) => {
+        if (!cancelled) setRegisteredRingKey(x === 0n ? null : { x, y });
+      })
+      .catch(error => console.log('Could not load ring key:', error.message));
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [reviewContract, account, demoSession]);
+
+  // Chain clock for deadline countdowns; the wall clock until a provider is available
+  useEffect(() => {
+    if (!provider) return undefined;
+    
+    let cancelled = false;
+    let offset = 0;
+    const syncClock = async () => {
+      try {
+        const block = await provider.getBlock('latest');
+        offset = Number(block.timestamp) * 1000 - Date.now();
+      } catch (error) {
+        console.log('Could not read chain time:', error.message);
+      }
+      if (!cancelled) setChainTime(new Date(Date.now() + offset));
+    };
+    syncClock();
+    const tick = setInterval(() => setChainTime(new Date(Date.now() + offset)), CLOCK_TICK_INTERVAL);
+    const sync = setInterval(syncClock, CLOCK_SYNC_INTERVAL);
+    
+    return () => {
+      cancelled = true;
+      clearInterval(tick);
+      clearInterval(sync);
+    };
+  }, [provider, demoClockVersion]);
+
+  // Watch for account and network changes; the demo account is not the wallet's
+  useEffect(() => {
+    if (typeof window.ethereum !== 'undefined' && !demoSession) {
       const handleAccountsChanged = async (accounts) => {
         if (accounts.length > 0) {
           try {
             // Re-initialize provider and contracts with new account
             const provider = new ethers.BrowserProvider(window.ethereum);
+            const deployment = getDeployment((await provider.getNetwork()).chainId);
+            if (!deployment) return;
             const signer = await provider.getSigner();
             
-            const contractInstance = new ethers.Contract(ACADEMIC_REVIEW_ADDRESS, ACADEMIC_REVIEW_ABI, signer);
-            const fheInstance = new ethers.Contract(FHE_CORE_ADDRESS, FHE_CORE_ABI, signer);
-            
             setAccount(accounts[0]);
             setProvider(provider);
-            setReviewContract(contractInstance);
-            setFheContract(fheInstance);
+            connectContracts(deployment, signer);
             setIsConnected(true);
             
             loadUserData(accounts[0]);
@@ -186,22 +1038,42 @@ function App() {
           setAccount('');
           setIsConnected(false);
           setMyPapers([]);
+          setPaperVersions({});
+          setRevisionOf(null);
           setMyAssignments([]);
           setReviewerInfo(null);
+          setRoles(NO_ROLES);
           setProvider(null);
           setReviewContract(null);
           setFheContract(null);
+          setKeyRegistry(null);
+          setEncryptionKey(null);
+          setPaperComments({});
         }
       };
 
+      // Every cached paper, key and storage entry belongs to one chain's contracts, so start over
+      const handleChainChanged = () => window.location.reload();
+      
       window.ethereum.on('accountsChanged', handleAccountsChanged);
+      window.ethereum.on('chainChanged', handleChainChanged);
       
       return () => {
         window.ethereum.removeListener('accountsChanged', handleAccountsChanged);
+        window.ethereum.removeListener('chainChanged', handleChainChanged);
       };
     }
-  }, []);
+  }, [demoSession]);
 
+  // Point the app at the contracts of the wallet's network
+  const connectContracts = (deployment, runner) => {
+    const contracts = createContracts(deployment, runner);
+    setReviewContract(contracts.reviewContract);
+    setFheContract(contracts.fheContract);
+    setKeyRegistry(contracts.keyRegistry);
+    setNetworkName(deployment.network.name);
+  };
+  
   // Check if wallet is already connected
   const checkExistingConnection = async () => {
     if (typeof window.ethereum !== 'undefined') {
@@ -213,15 +1085,14 @@ function App() {
         if (accounts.length > 0) {
           // Re-initialize provider and contracts with signer for existing connection
           const provider = new ethers.BrowserProvider(window.ethereum);
+          // initializeProvider reports networks without a deployment
+          const deployment = getDeployment((await provider.getNetwork()).chainId);
+          if (!deployment) return;
           const signer = await provider.getSigner();
           
-          const contractInstance = new ethers.Contract(ACADEMIC_REVIEW_ADDRESS, ACADEMIC_REVIEW_ABI, signer);
-          const fheInstance = new ethers.Contract(FHE_CORE_ADDRESS, FHE_CORE_ABI, signer);
-          
           setAccount(accounts[0]);
           setProvider(provider);
-          setReviewContract(contractInstance);
-          setFheContract(fheInstance);
+          connectContracts(deployment, signer);
           setIsConnected(true);
           
           console.log('Wallet already connected:', accounts[0]);
@@ -243,45 +1114,18 @@ function App() {
         const provider = new ethers.BrowserProvider(window.ethereum);
         const network = await provider.getNetwork();
         
-        // Check for Sepolia testnet
-        if (network.chainId !== 11155111n) {
-          toast.error('Please switch to Sepolia testnet (Chain ID: 11155111)');
+        // Use the contracts deployed on the wallet's current network
+        const deployment = getDeployment(network.chainId);
+        if (!deployment) {
+          toast.error(`No contracts deployed on chain ${network.chainId}; switch to ${deployedNetworkNames()}`);
           return;
         }
         
         setProvider(provider);
+        connectContracts(deployment, provider);
         
-        // Validate contract addresses before creating contracts
-        if (!ethers.isAddress(ACADEMIC_REVIEW_ADDRESS)) {
-          console.error('Invalid Academic Review contract address');
-          toast.error('Invalid contract configuration');
-          return;
-        }
-        
-        if (!ethers.isAddress(FHE_CORE_ADDRESS)) {
-          console.error('Invalid FHE Core contract address');
-          toast.error('Invalid contract configuration');
-          return;
-        }
-        
-        const reviewContract = new ethers.Contract(
-          ACADEMIC_REVIEW_ADDRESS,
-          ACADEMIC_REVIEW_ABI,
-          provider
-        );
-        
-        const fheContract = new ethers.Contract(
-          FHE_CORE_ADDRESS,
-          FHE_CORE_ABI,
-          provider
-        );
-        
-        setReviewContract(reviewContract);
-        setFheContract(fheContract);
-        
-        console.log('Contracts initialized successfully');
-        console.log('Academic Review Address:', ACADEMIC_REVIEW_ADDRESS);
-        console.log('FHE Core Address:', FHE_CORE_ADDRESS);
+        console.log('Contracts initialized successfully on', deployment.network.name);
+        console.log('Academic Review Address:', deployment.addresses.AcademicPeerReview);
         
       } catch (error) {
         console.error('Provider initialization error:', error);
@@ -292,14 +1136,6 @@ function App() {
     }
   };
 
-  const generateKeys = () => {
-    // Simple key generation for demo (in production, use proper FHE key generation)
-    const pubKey = ethers.keccak256(ethers.toUtf8Bytes('public_key_' + Date.now()));
-    const privKey = ethers.keccak256(ethers.toUtf8Bytes('private_key_' + Date.now()));
-    setPublicKey(pubKey);
-    setPrivateKey(privKey);
-  };
-
   const connectWallet = async () => {
     try {
       if (!window.ethereum) {
@@ -314,48 +1150,38 @@ function App() {
         method: 'eth_requestAccounts'
       });
 
-      // Check Sepolia network
+      // Stay on the wallet's network if the app is deployed there, otherwise ask to switch
       const chainId = await window.ethereum.request({ method: 'eth_chainId' });
-      if (chainId !== '0xaa36a7') { // Sepolia chain ID
+      if (!getDeployment(chainId) && getDeployment(DEFAULT_CHAIN_ID)) {
         try {
           await window.ethereum.request({
             method: 'wallet_switchEthereumChain',
-            params: [{ chainId: '0xaa36a7' }],
+            params: [{ chainId: ethers.toQuantity(DEFAULT_CHAIN_ID) }],
           });
         } catch (switchError) {
           if (switchError.code === 4902) {
             await window.ethereum.request({
               method: 'wallet_addEthereumChain',
-              params: [{
-                chainId: '0xaa36a7',
-                chainName: 'Sepolia Test Network',
-                rpcUrls: ['https://sepolia.infura.io/v3/'],
-                nativeCurrency: {
-                  name: 'ETH',
-                  symbol: 'ETH',
-                  decimals: 18
-                },
-                blockExplorerUrls: ['https://sepolia.etherscan.io/']
-              }]
+              params: [addChainParams(DEFAULT_CHAIN_ID)]
             });
           }
         }
       }
 
       const provider = new ethers.BrowserProvider(window.ethereum);
+      const deployment = getDeployment((await provider.getNetwork()).chainId);
+      if (!deployment) {
+        toast.error(`No contracts deployed on this network; switch to ${deployedNetworkNames()}`, { id: 'connect' });
+        return;
+      }
       const signer = await provider.getSigner();
-      
-      // Re-initialize contracts with signer
-      const contractInstance = new ethers.Contract(ACADEMIC_REVIEW_ADDRESS, ACADEMIC_REVIEW_ABI, signer);
-      const fheInstance = new ethers.Contract(FHE_CORE_ADDRESS, FHE_CORE_ABI, signer);
 
       setAccount(accounts[0]);
       setProvider(provider);
-      setReviewContract(contractInstance);
-      setFheContract(fheInstance);
+      connectContracts(deployment, signer);
       setIsConnected(true);
       
-      toast.success('Connected to Sepolia! ✅', { id: 'connect' });
+      toast.success(`Connected to ${deployment.network.name}! ✅`, { id: 'connect' });
       
       // Load initial state
       setTimeout(() => {
@@ -374,297 +1200,2156 @@ function App() {
     }
   };
 
+  // Demo mode reloads the app on a fresh in-browser chain; leaving it discards that chain
+  const openDemo = () => {
+    window.location.search = '?demo';
+  };
+  
+  const exitDemo = () => {
+    window.location.search = '';
+  };
+  
+  // Move the demo clock forward, e.g. past a review deadline to reveal scores
+  const advanceDemoTime = async ({ label, seconds }) => {
+    try {
+      setLoading(true);
+      demoSession.advanceTime(seconds);
+      setDemoClockVersion(version => version + 1);
+      await loadUserData(account);
+      toast.success(`⏩ Demo clock moved ${label}`);
+    } catch (error) {
+      console.error('Demo clock error:', error);
+      toast.error(error.message || 'Failed to move the demo clock');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const loadUserData = async (userAccount) => {
     if (!reviewContract) return;
     
     try {
-      // For simplified demo, just use default papers with updated status
-      const paperCount = await reviewContract.paperCount();
-      console.log('Paper count from contract:', Number(paperCount));
-      
-      // Use default papers but update with any new submitted papers
-      const updatedPapers = [...defaultPapers];
+      // Every paper on-chain with its review progress; the cache only refetches changed papers
+      let allPapers = [];
+      try {
+        const entries = await paperCache.load(reviewContract);
+        allPapers = entries.map(entry => entry.paper);
+        setReviewProgress(Object.fromEntries(entries.map(entry => [entry.paper.id, entry.progress])));
+      } catch (error) {
+        console.log('Could not load papers:', error.message);
+      }
+      setPapers(allPapers);
       
-      // Try to load user's papers
       try {
-        const userPaperIds = await reviewContract.getPapersByAuthor(userAccount);
-        console.log('User paper IDs:', userPaperIds.map(id => Number(id)));
-        setMyPapers(updatedPapers.filter(p => userPaperIds.map(id => Number(id)).includes(p.id)));
+        const provenIds = (await reviewContract.getPapersByAuthor(userAccount)).map(id => Number(id));
+        // Blind submissions are only listed under their author once authorship is proven
+        const blindIds = Object.keys(loadBlindSubmissions(reviewContract.target, userAccount))
+          .map(Number)
+          .filter(id => !provenIds.includes(id));
+        const userPaperIds = [...provenIds, ...blindIds];
+        setMyPapers(allPapers.filter(paper => userPaperIds.includes(paper.id)));
+        
+        // Revision chain of every paper, keyed by each of its versions
+        const chains = await Promise.all(userPaperIds.map(id => reviewContract.getPaperVersions(id)));
+        setPaperVersions(Object.fromEntries(chains.map((chain, index) => [
+          Number(userPaperIds[index]),
+          chain.map(id => Number(id))
+        ])));
+        await loadRebuttals(userPaperIds);
+        await loadCriterionAverages(userPaperIds);
+        await loadDecisionOverrides(userPaperIds);
       } catch (error) {
         console.log('Could not load user papers:', error.message);
         setMyPapers([]);
+        setPaperVersions({});
       }
       
-      // Try to load reviewer assignments  
+      // Load reviewer assignments with the status of each review
       try {
-        const assignments = await reviewContract.getReviewerAssignments(userAccount);
-        setMyAssignments([]);
+        const assignmentIds = await reviewContract.getReviewerAssignments(userAccount);
+        setMyAssignments(await fetchAssignments(reviewContract, userAccount, assignmentIds));
+        await loadRebuttals(assignmentIds);
       } catch (error) {
         console.log('Could not load assignments:', error.message);
         setMyAssignments([]);
       }
       
-      // Simple reviewer info check
-      setReviewerInfo({
-        address: userAccount,
-        isVerified: true,
-        reputation: 100,
-        expertise: "General",
-        reviewsCompleted: 0
-      });
+      try {
+        const accountRoles = await reviewContract.getRoles(userAccount);
+        setRoles({
+          isAdmin: accountRoles.isAdmin,
+          isProgramChair: accountRoles.isProgramChair,
+          isAreaChair: accountRoles.isAreaChair,
+          isReviewer: accountRoles.isReviewer,
+          isAuthor: accountRoles.isAuthor
+        });
+      } catch (error) {
+        console.log('Could not load roles:', error.message);
+        setRoles(NO_ROLES);
+      }
       
-      setPapers(updatedPapers);
+      await loadVenues();
       
+      // Restore a key unlocked earlier in this tab
+      setEncryptionKey(loadSessionEncryptionKey(userAccount));
+      
+      // Reviewer profile; unregistered accounts get the registration form
+      try {
+        const reviewer = await reviewContract.reviewers(userAccount);
+        if (reviewer.reviewerAddress === ethers.ZeroAddress) {
+          setReviewerInfo(null);
+          setReputationHistory([]);
+        } else {
+          await loadReputation(userAccount, reviewer);
+        }
+      } catch (error) {
+        console.log('Could not load reviewer profile:', error.message);
+        setReviewerInfo(null);
+        setReputationHistory([]);
+      }
+      await loadLeaderboard();
     } catch (error) {
       console.error('Error loading user data:', error);
     }
   };
 
-  const submitPaper = async () => {
-    if (!account || !paperTitle || !paperAbstract || !paperIpfs) {
-      toast.error('Please fill all fields and connect wallet');
-      return;
-    }
-    
+  const loadVenues = async () => {
     try {
-      setLoading(true);
-      toast.loading('📝 Simulating paper submission to blockchain...', { id: 'submit-paper' });
-      
-      // Simulate processing time
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
-      // Generate paper ID
-      const paperId = papers.length + 1;
-      
-      // Create new paper
-      const newPaper = {
-        id: paperId,
-        author: account,
-        title: paperTitle,
-        abstract: paperAbstract,
-        ipfs: paperIpfs,
-        status: 'Submitted',
-        submissionTime: new Date(),
-        reviewDeadline: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
-        reviewerCount: 0,
-        isFinalized: false,
-        category: 'General',
-        keywords: ['Research', 'Academic', 'Peer Review']
-      };
-      
-      // Add to papers list
-      setPapers([...papers, newPaper]);
-      setMyPapers([...myPapers, newPaper]);
-      
-      toast.success(`📄 Paper submitted successfully! (Demo Mode)`, { 
-        id: 'submit-paper',
-        duration: 6000 
-      });
-      
-      // Clear form
-      setPaperTitle('');
-      setPaperAbstract('');
-      setPaperIpfs('');
-      
-      // Optional: Try real blockchain transaction if contract exists
-      if (reviewContract && provider) {
-        try {
-          const signer = await provider.getSigner();
-          const contractWithSigner = reviewContract.connect(signer);
-          
-          // Check if contract exists
-          const code = await provider.getCode(ACADEMIC_REVIEW_ADDRESS);
-          if (code !== '0x') {
-            const tx = await contractWithSigner.submitPaper(
-              paperTitle,
-              paperAbstract,
-              paperIpfs,
-              { gasLimit: 500000 }
-            );
-            
-            const receipt = await tx.wait();
-            console.log('Real blockchain transaction completed:', receipt.hash);
-          }
-        } catch (contractError) {
-          console.log('Contract interaction failed (expected in demo):', contractError.message);
-        }
-      }
-      
+      const count = Number(await reviewContract.venueCount());
+      // Demo venues have only their core settings; the others keep formatVenue's defaults
+      const loaded = await Promise.all(
+        Array.from({ length: count }, (_, index) => Promise.all(demoSession ? [reviewContract.getVenue(index + 1)] : [
+          reviewContract.getVenue(index + 1),
+          reviewContract.venueRebuttalPeriods(index + 1),
+          reviewContract.getReviewForm(index + 1),
+          reviewContract.venueSettingsLocked(index + 1),
+          reviewContract.venueDecisionPolicies(index + 1),
+          reviewContract.venueChairOverrides(index + 1),
+          reviewContract.venueDoubleBlind(index + 1),
+          reviewContract.venueAnonymousReviews(index + 1)
+        ]))
+      );
+      setVenues(loaded.map(venueData => formatVenue(...venueData)));
     } catch (error) {
-      console.error('Paper submission error:', error);
-      toast.error('Demo submission failed', { id: 'submit-paper' });
-    } finally {
-      setLoading(false);
+      console.log('Could not load venues:', error.message);
+      setVenues([]);
     }
   };
 
-  const registerAsReviewer = async () => {
-    if (!account || !reviewerExpertise) {
-      toast.error('Please provide expertise and connect wallet');
-      return;
-    }
-    
-    try {
-      setLoading(true);
-      toast.loading('🎓 Simulating reviewer registration...', { id: 'register-reviewer' });
-      
-      // Simulate processing time
-      await new Promise(resolve => setTimeout(resolve, 1500));
-      
-      // Set reviewer info (auto-verified for demo)
-      setReviewerInfo({
-        address: account,
-        isVerified: true,
-        reputation: 100,
-        expertise: reviewerExpertise,
-        reviewsCompleted: 0
+  // Rebuttal rounds of the given papers, merged into the ones already loaded; demo mode has none
+  const loadRebuttals = async (paperIds) => {
+    if (demoSession) return;
+    const loaded = await Promise.all(paperIds.map(async (paperId) => {
+      try {
+        return [Number(paperId), formatRebuttal(await reviewContract.getRebuttal(paperId))];
+      } catch (error) {
+        return null;
+      }
+    }));
+    setRebuttals(current => ({ ...current, ...Object.fromEntries(loaded.filter(Boolean)) }));
+  };
+
+  // Per-criterion averages of the given papers, for venues with a review form (never in demo mode)
+  const loadCriterionAverages = async (paperIds) => {
+    if (demoSession) return;
+    const loaded = await Promise.all(paperIds.map(async (paperId) => {
+      try {
+        const averages = await reviewContract.getCriterionAverages(paperId);
+        return [Number(paperId), averages.map(average => Number(average) / SCORE_PRECISION)];
+      } catch (error) {
+        return null;
+      }
+    }));
+    setCriterionAverages(current => ({ ...current, ...Object.fromEntries(loaded.filter(Boolean)) }));
+  };
+
+  // A reviewer's profile with their current, decayed reputation and its history
+  const loadReputation = async (userAccount, reviewer) => {
+    const [reputation, history] = await Promise.all([
+      reviewContract.reputationOf(userAccount),
+      demoSession ? [] : reviewContract.getReputationHistory(userAccount)
+    ]);
+    setReviewerInfo({
+      address: userAccount,
+      isVerified: reviewer.isVerified,
+      reputation: Number(reputation),
+      expertise: reviewer.expertise,
+      reviewsCompleted: Number(reviewer.reviewsCompleted)
+    });
+    setReputationHistory(history.map(formatReputationChange).reverse());
+  };
+  
+  // Rank every registered reviewer by current reputation
+  const loadLeaderboard = async () => {
+    try {
+      const count = Number(await reviewContract.getReviewerCount());
+      const pages = await Promise.all(
+        Array.from({ length: Math.ceil(count / LEADERBOARD_PAGE_SIZE) }, (_, page) =>
+          reviewContract.getReviewerReputations(page * LEADERBOARD_PAGE_SIZE, LEADERBOARD_PAGE_SIZE))
+      );
+      const ranked = pages
+        .flatMap(([addresses, reputations]) => addresses.map((address, index) => ({
+          address,
+          reputation: Number(reputations[index])
+        })))
+        .sort((a, b) => b.reputation - a.reputation);
+      setLeaderboard(ranked.slice(0, LEADERBOARD_SIZE));
+    } catch (error) {
+      console.log('Could not load reviewer leaderboard:', error.message);
+      setLeaderboard([]);
+    }
+  };
+  
+  // Reason hashes of chair-overridden decisions among the given papers; demo mode has none
+  const loadDecisionOverrides = async (paperIds) => {
+    if (demoSession) return;
+    const loaded = await Promise.all(paperIds.map(async (paperId) => {
+      try {
+        return [Number(paperId), await reviewContract.decisionOverrideReasons(paperId)];
+      } catch (error) {
+        return null;
+      }
+    }));
+    setDecisionOverrides(current => ({ ...current, ...Object.fromEntries(loaded.filter(Boolean)) }));
+  };
+
+  // Start the form editor from the selected venue's current form
+  useEffect(() => {
+    const venue = venues.find(venue => venue.id === Number(selectedVenueId));
+    setReviewFormDraft(venue ? venue.reviewForm : []);
+    setDecisionPolicyDraft(venue
+      ? {
+        rule: venue.decisionPolicy.rule,
+        trimCount: venue.decisionPolicy.trimCount || 1,
+        vetoScore: venue.decisionPolicy.vetoScore || '',
+        chairOverride: venue.chairOverride
+      }
+      : { rule: 0, trimCount: 1, vetoScore: '', chairOverride: false });
+  }, [venues, selectedVenueId]);
+
+  // Papers of the selected venue, read straight from the contract
+  useEffect(() => {
+    if (!reviewContract || !selectedVenueId) {
+      setVenuePapers([]);
+      return;
+    }
+    
+    let cancelled = false;
+    const loadVenuePapers = async () => {
+      try {
+        const paperIds = await reviewContract.getPapersByVenue(selectedVenueId);
+        const [loaded, progress] = await Promise.all([
+          Promise.all(paperIds.map(paperId => reviewContract.getPaper(paperId))),
+          Promise.all(paperIds.map(paperId => reviewContract.getReviewProgress(paperId)))
+        ]);
+        if (cancelled) return;
+        const formatted = loaded.map(formatPaper);
+        setVenuePapers(formatted);
+        setReviewProgress(current => ({
+          ...current,
+          ...Object.fromEntries(paperIds.map((paperId, index) => [
+            Number(paperId),
+            { submitted: Number(progress[index].submitted), required: Number(progress[index].required) }
+          ]))
+        }));
+        
+        // Demo contracts have no rebuttals, overrides, triage or reputation settlement
+        if (!demoSession) {
+          const [loadedRebuttals, overrides, triage, settled] = await Promise.all([
+            Promise.all(paperIds.map(paperId => reviewContract.getRebuttal(paperId))),
+            Promise.all(paperIds.map(paperId => reviewContract.decisionOverrideReasons(paperId))),
+            Promise.all(paperIds.map(paperId => reviewContract.paperTriage(paperId))),
+            Promise.all(paperIds.map(paperId => reviewContract.reputationSettled(paperId)))
+          ]);
+          if (cancelled) return;
+          setRebuttals(current => ({
+            ...current,
+            ...Object.fromEntries(paperIds.map((paperId, index) => [
+              Number(paperId),
+              formatRebuttal(loadedRebuttals[index])
+            ]))
+          }));
+          setDecisionOverrides(current => ({
+            ...current,
+            ...Object.fromEntries(paperIds.map((paperId, index) => [Number(paperId), overrides[index]]))
+          }));
+          setPaperTriage(current => ({
+            ...current,
+            ...Object.fromEntries(paperIds.map((paperId, index) => [Number(paperId), Number(triage[index])]))
+          }));
+          setReputationSettled(current => ({
+            ...current,
+            ...Object.fromEntries(paperIds.map((paperId, index) => [Number(paperId), settled[index]]))
+          }));
+        }
+        
+        const awaitingReviews = formatted.filter(paper => paper.status === 'Under Review' && !paper.isFinalized);
+        const panels = await Promise.all(awaitingReviews.map(paper => fetchReviewPanel(reviewContract, paper.id)));
+        if (cancelled) return;
+        setReviewPanels(current => ({
+          ...current,
+          ...Object.fromEntries(awaitingReviews.map((paper, index) => [paper.id, panels[index]]))
+        }));
+      } catch (error) {
+        console.log('Could not load venue papers:', error.message);
+        if (!cancelled) setVenuePapers([]);
+      }
+    };
+    loadVenuePapers();
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [reviewContract, selectedVenueId, demoSession]);
+
+  // Follow the contract's events so every user's transactions update paper cards, dashboards
+  // and assignments without a reload, and tell the connected account about its papers and reviews
+  useEffect(() => {
+    if (!reviewContract) return undefined;
+    
+    let cancelled = false;
+    const unsubscribe = subscribeToPaperEvents(reviewContract, async (events) => {
+      try {
+        // The cache refetches only the papers these events are about
+        const entries = await paperCache.load(reviewContract);
+        if (cancelled) return;
+        const loaded = new Map(entries.map(entry => [entry.paper.id, entry.paper]));
+        const refresh = (paper) => loaded.has(paper.id) ? { ...paper, ...loaded.get(paper.id) } : paper;
+        const submitted = events
+          .filter(event => event.name === 'PaperSubmitted')
+          .map(event => loaded.get(event.paperId))
+          .filter(Boolean);
+        const isOwnPaper = (paper) => isSameAddress(paper.author, account) ||
+          Boolean(account && loadBlindSubmissions(reviewContract.target, account)[paper.id]);
+        
+        setPapers(entries.map(entry => entry.paper));
+        setReviewProgress(current => ({
+          ...current,
+          ...Object.fromEntries(entries.map(entry => [entry.paper.id, entry.progress]))
+        }));
+        setMyPapers(current => [
+          ...current.map(refresh),
+          ...submitted.filter(paper => isOwnPaper(paper) && !current.some(own => own.id === paper.id))
+        ]);
+        setVenuePapers(current => [
+          ...current.map(refresh),
+          ...submitted.filter(paper => paper.venueId === Number(selectedVenueId) &&
+            !current.some(listed => listed.id === paper.id))
+        ]);
+        
+        // Deadlines and submissions of the panels chairs see on the dashboard
+        const panelIds = [...new Set(events
+          .filter(event => event.name !== 'PaperSubmitted')
+          .map(event => event.paperId))]
+          .filter(paperId => loaded.has(paperId) && loaded.get(paperId).status === 'Under Review');
+        const panels = await Promise.all(panelIds.map(paperId => fetchReviewPanel(reviewContract, paperId)));
+        if (cancelled) return;
+        setReviewPanels(current => ({
+          ...current,
+          ...Object.fromEntries(panelIds.map((paperId, index) => [paperId, panels[index]]))
+        }));
+        
+        if (!account) return;
+        const assignmentIds = (await reviewContract.getReviewerAssignments(account)).map(Number);
+        const unassigned = events.some(event =>
+          event.name === 'ReviewReassigned' && isSameAddress(event.args.previousReviewer, account)
+        );
+        if (unassigned || events.some(event => assignmentIds.includes(event.paperId))) {
+          const assignments = await fetchAssignments(reviewContract, account, assignmentIds);
+          if (cancelled) return;
+          setMyAssignments(assignments);
+        }
+        
+        for (const event of events) {
+          const paper = loaded.get(event.paperId);
+          if (!paper) continue;
+          const status = event.name === 'PaperStatusChanged' && PAPER_STATUS[Number(event.args.newStatus)];
+          if (event.name === 'ReviewSubmitted' && isOwnPaper(paper)) {
+            toast.success(`✍️ A review was submitted on your paper "${paper.title}"`, { duration: 6000 });
+          } else if (status && NOTIFIED_STATUSES.includes(status) && isOwnPaper(paper)) {
+            toast.success(`📢 Your paper "${paper.title}" was decided: ${status}`, { duration: 8000 });
+          } else if (
+            (event.name === 'ReviewerAssigned' && isSameAddress(event.args.reviewer, account)) ||
+            (event.name === 'ReviewReassigned' && isSameAddress(event.args.backupReviewer, account))
+          ) {
+            toast.success(`👥 You were assigned to review "${paper.title}"`, { duration: 6000 });
+          }
+        }
+      } catch (error) {
+        console.log('Could not apply contract events:', error.message);
+      }
+    });
+    
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [reviewContract, account, selectedVenueId]);
+
+  // Demo sessions have no relayer or indexer to talk to
+  const isRelayed = Boolean(RELAYER_URL) && !demoSession;
+  const isIndexed = Boolean(INDEXER_URL) && !demoSession;
+
+  // Search papers through the indexer; without one, or when it fails, the list is filtered locally
+  useEffect(() => {
+    if (!isIndexed || (!paperSearch && !paperStatusFilter)) {
+      setSearchResults(null);
+      return undefined;
+    }
+    
+    let cancelled = false;
+    const search = setTimeout(async () => {
+      try {
+        const matches = [];
+        let total = Infinity;
+        while (matches.length < total) {
+          const page = await queryIndexer('/papers', {
+            q: paperSearch,
+            status: paperStatusFilter,
+            limit: INDEXER_PAGE_SIZE,
+            offset: matches.length
+          });
+          if (page.papers.length === 0) break;
+          total = page.total;
+          matches.push(...page.papers);
+        }
+        if (!cancelled) setSearchResults(new Set(matches.map(paper => paper.paperId)));
+      } catch (error) {
+        console.log('Could not search the indexer:', error.message);
+        if (!cancelled) setSearchResults(null);
+      }
+    }, PAPER_SEARCH_DELAY);
+    
+    return () => {
+      cancelled = true;
+      clearTimeout(search);
+    };
+  }, [isIndexed, paperSearch, paperStatusFilter]);
+
+  const selectedVenue = venues.find(venue => venue.id === Number(selectedVenueId));
+  const isSelectedVenueChair = Boolean(
+    selectedVenue && account && selectedVenue.chairs.includes(account.toLowerCase())
+  );
+  const displayedPapers = selectedVenue ? venuePapers : papers;
+  const matchesPaperSearch = (paper) => {
+    if (searchResults) return searchResults.has(paper.id);
+    return paper.title.toLowerCase().includes(paperSearch.trim().toLowerCase()) &&
+      (!paperStatusFilter || paper.status === PAPER_STATUS[paperStatusFilter]);
+  };
+  const filteredPapers = displayedPapers.filter(matchesPaperSearch);
+  const isChair = roles.isProgramChair || roles.isAreaChair;
+  const canManageRoles = roles.isAdmin || roles.isProgramChair;
+  // Admins manage every role; program chairs only appoint area chairs and reviewers
+  const manageableRoles = ROLES.filter(role =>
+    roles.isAdmin || role.id === 'AREA_CHAIR_ROLE' || role.id === 'REVIEWER_ROLE'
+  );
+  
+  const getScoreScale = (venueId) => venues.find(venue => venue.id === venueId) || DEFAULT_SCORE_SCALE;
+  
+  const hasReviewForm = (venueId) => {
+    const venue = venues.find(venue => venue.id === venueId);
+    return Boolean(venue && venue.reviewForm.length > 0);
+  };
+  
+  // Criteria reviewers score for a venue; venues without a form use one overall score
+  const getReviewCriteria = (venueId) => {
+    const venue = venues.find(venue => venue.id === venueId);
+    if (venue && venue.reviewForm.length > 0) return venue.reviewForm;
+    const { minScore, maxScore } = getScoreScale(venueId);
+    return [{ name: 'Overall score', minScore, maxScore, kind: 'Recommendation' }];
+  };
+  
+  // Label of the aggregate a venue's decision rule reports
+  const getScoreLabel = (venueId) => {
+    const venue = venues.find(venue => venue.id === venueId);
+    return DECISION_RULES[venue ? venue.decisionPolicy.rule : 0].scoreLabel;
+  };
+  
+  const isOverridden = (paperId) => Boolean(decisionOverrides[paperId]) && decisionOverrides[paperId] !== ethers.ZeroHash;
+  
+  const canOverrideDecision = (paper) => (paper.status === 'Accepted' || paper.status === 'Rejected') &&
+    !isOverridden(paper.id) &&
+    Boolean(selectedVenue && selectedVenue.chairOverride);
+  
+  const hasRebuttalRound = (venueId) => {
+    const venue = venues.find(venue => venue.id === venueId);
+    return Boolean(venue && venue.rebuttalPeriodDays > 0);
+  };
+  
+  // Venues with rebuttals decide papers only once the round is over
+  const isDecisionPhase = (paper) => {
+    const phase = getRebuttalPhase(rebuttals[paper.id]);
+    return phase ? phase === 'Final Reveal' : !hasRebuttalRound(paper.venueId);
+  };
+  
+  // Papers the editors have not screened yet; triage closes with the first review
+  const isAwaitingTriage = (paper) => !demoSession && !paperTriage[paper.id] &&
+    (paper.status === 'Submitted' || paper.status === 'Under Review') &&
+    !(reviewProgress[paper.id] && reviewProgress[paper.id].submitted > 0);
+  const showEditorDashboard = activeView === 'editor' && isSelectedVenueChair;
+  
+  // Reviews the connected reviewer still owes, for deadline reminders
+  const pendingReviews = myAssignments.filter(paper =>
+    paper.status === 'Under Review' && paper.assignmentStatus === 'Awaiting Review'
+  );
+  const overdueReviews = pendingReviews.filter(paper => paper.deadline < chainTime).length;
+  const reviewsDueSoon = pendingReviews.filter(paper =>
+    paper.deadline >= chainTime && paper.deadline - chainTime < DEADLINE_REMINDER_WINDOW
+  ).length;
+  
+  // Double-blind venues show the author only to themselves until the paper is decided
+  const displayAuthor = (paper) => {
+    const venue = venues.find(venue => venue.id === paper.venueId);
+    const isOwnPaper = Boolean(account) && paper.author.toLowerCase() === account.toLowerCase();
+    const isHidden = paper.author === ethers.ZeroAddress ||
+      (venue && venue.doubleBlind && !isOwnPaper && !DECIDED_STATUSES.includes(paper.status));
+    return isHidden ? 'Anonymous' : `${paper.author.substring(0, 10)}...`;
+  };
+
+  // Blind submissions have no author on-chain; once decided, claim one with its stored salt before rating its reviews
+  const ensureAuthorship = async (contractWithSigner, paperId) => {
+    const paper = await reviewContract.getPaper(paperId);
+    if (paper.author !== ethers.ZeroAddress) return;
+    
+    const blindSubmission = loadBlindSubmissions(reviewContract.target, account)[paperId];
+    if (!blindSubmission) {
+      throw new Error(`This browser holds no authorship proof for paper #${paperId}`);
+    }
+    const { salt } = blindSubmission;
+    
+    toast.loading(`🪪 Proving authorship of paper #${paperId}...`, { id: 'prove-authorship' });
+    await contractWithSigner.proveAuthorship.staticCall(paperId, salt);
+    const tx = await contractWithSigner.proveAuthorship(paperId, salt, { gasLimit: 150000 });
+    await tx.wait();
+    toast.success(`🪪 Authorship of paper #${paperId} proven`, { id: 'prove-authorship' });
+    
+    const prove = (current) => current.id === paperId ? { ...current, author: account } : current;
+    setPapers(current => current.map(prove));
+    setMyPapers(current => current.map(prove));
+    setVenuePapers(current => current.map(prove));
+  };
+
+  // Before the decision, the author of a blind submission acts with the salt of its author commitment
+  // instead of proving authorship; null for other papers and for callers without the salt
+  const blindAuthorSalt = async (paperId) => {
+    const paper = await reviewContract.getPaper(paperId);
+    const blindSubmission = loadBlindSubmissions(reviewContract.target, account)[paperId];
+    return paper.author === ethers.ZeroAddress && blindSubmission ? blindSubmission.salt : null;
+  };
+
+  const canOpenRebuttal = (paper) => paper.status === 'Under Review' &&
+    paper.isFinalized &&
+    hasRebuttalRound(paper.venueId) &&
+    !(rebuttals[paper.id] && rebuttals[paper.id].isOpen);
+  const reviewAssignment = myAssignments.find(paper => paper.id === Number(reviewPaperId));
+  const reviewCriteria = getReviewCriteria(reviewAssignment && reviewAssignment.venueId);
+
+  const createVenue = async () => {
+    const chairs = parseList(newVenueChairs);
+    
+    if (!newVenueName || chairs.length === 0) {
+      toast.error('Please enter a venue name and at least one chair');
+      return;
+    }
+    
+    if (!chairs.every(address => ethers.isAddress(address))) {
+      toast.error('One or more chair addresses are invalid');
+      return;
+    }
+    
+    try {
+      setLoading(true);
+      toast.loading('🏛️ Creating venue...', { id: 'create-venue' });
+      
+      const signer = await provider.getSigner();
+      const contractWithSigner = reviewContract.connect(signer);
+      
+      // Empty fields fall back to the contract defaults
+      const submissionDeadline = newVenueDeadline
+        ? Math.floor(new Date(newVenueDeadline).getTime() / 1000)
+        : 0;
+      const reviewPeriod = newVenueReviewDays ? Number(newVenueReviewDays) * 24 * 60 * 60 : 0;
+      const maxScore = newVenueMaxScore ? Number(newVenueMaxScore) : 0;
+      const threshold = newVenueThreshold ? Math.round(Number(newVenueThreshold) * SCORE_PRECISION) : 0;
+      const args = [newVenueName, chairs, submissionDeadline, reviewPeriod, 0, maxScore, threshold];
+      
+      await contractWithSigner.createVenue.staticCall(...args);
+      const tx = await contractWithSigner.createVenue(...args, { gasLimit: 500000 });
+      await tx.wait();
+      
+      await loadVenues();
+      toast.success(`✅ Venue "${newVenueName}" created`, { id: 'create-venue' });
+      
+      setNewVenueName('');
+      setNewVenueChairs('');
+      setNewVenueDeadline('');
+      setNewVenueReviewDays('');
+      setNewVenueMaxScore('');
+      setNewVenueThreshold('');
+      
+    } catch (error) {
+      console.error('Venue creation error:', error);
+      toast.error(error.reason || 'Failed to create venue', { id: 'create-venue' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const addReviewersToVenuePool = async () => {
+    const reviewerAddresses = parseList(poolReviewerList);
+    
+    if (!selectedVenue || reviewerAddresses.length === 0) {
+      toast.error('Please select a venue and enter reviewer addresses');
+      return;
+    }
+    
+    if (!reviewerAddresses.every(address => ethers.isAddress(address))) {
+      toast.error('One or more reviewer addresses are invalid');
+      return;
+    }
+    
+    try {
+      setLoading(true);
+      toast.loading('👥 Updating reviewer pool...', { id: 'venue-pool' });
+      
+      const signer = await provider.getSigner();
+      const contractWithSigner = reviewContract.connect(signer);
+      
+      await contractWithSigner.addVenueReviewers.staticCall(selectedVenue.id, reviewerAddresses);
+      const tx = await contractWithSigner.addVenueReviewers(selectedVenue.id, reviewerAddresses, {
+        gasLimit: 300000
+      });
+      await tx.wait();
+      
+      toast.success(`✅ ${reviewerAddresses.length} reviewers added to ${selectedVenue.name}`, {
+        id: 'venue-pool'
+      });
+      setPoolReviewerList('');
+      
+    } catch (error) {
+      console.error('Reviewer pool error:', error);
+      toast.error(error.reason || 'Failed to update reviewer pool', { id: 'venue-pool' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateRebuttalPeriod = async () => {
+    if (!selectedVenue || venueRebuttalDays === '' || Number(venueRebuttalDays) < 0) {
+      toast.error('Please select a venue and enter the rebuttal period in days (0 to disable)');
+      return;
+    }
+    
+    try {
+      setLoading(true);
+      toast.loading('💬 Updating rebuttal period...', { id: 'rebuttal-period' });
+      
+      const signer = await provider.getSigner();
+      const contractWithSigner = reviewContract.connect(signer);
+      const rebuttalPeriod = Math.round(Number(venueRebuttalDays) * 24 * 60 * 60);
+      
+      await contractWithSigner.setRebuttalPeriod.staticCall(selectedVenue.id, rebuttalPeriod);
+      const tx = await contractWithSigner.setRebuttalPeriod(selectedVenue.id, rebuttalPeriod, {
+        gasLimit: 100000
+      });
+      await tx.wait();
+      
+      await loadVenues();
+      toast.success(
+        rebuttalPeriod > 0
+          ? `✅ ${selectedVenue.name} authors get ${venueRebuttalDays} days to respond to reviews`
+          : `✅ Rebuttals disabled for ${selectedVenue.name}`,
+        { id: 'rebuttal-period' }
+      );
+      setVenueRebuttalDays('');
+    } catch (error) {
+      console.error('Rebuttal period error:', error);
+      toast.error(error.reason || 'Failed to update rebuttal period', { id: 'rebuttal-period' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateDoubleBlind = async (doubleBlind) => {
+    try {
+      setLoading(true);
+      toast.loading('🙈 Updating author anonymity...', { id: 'double-blind' });
+      
+      const signer = await provider.getSigner();
+      const contractWithSigner = reviewContract.connect(signer);
+      
+      await contractWithSigner.setDoubleBlind.staticCall(selectedVenue.id, doubleBlind);
+      const tx = await contractWithSigner.setDoubleBlind(selectedVenue.id, doubleBlind, { gasLimit: 100000 });
+      await tx.wait();
+      
+      await loadVenues();
+      toast.success(
+        doubleBlind
+          ? `✅ ${selectedVenue.name} is now double-blind`
+          : `✅ ${selectedVenue.name} now shows authors to reviewers`,
+        { id: 'double-blind' }
+      );
+    } catch (error) {
+      console.error('Double-blind setting error:', error);
+      toast.error(error.reason || 'Failed to update the double-blind setting', { id: 'double-blind' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateAnonymousReviews = async (anonymousReviews) => {
+    try {
+      setLoading(true);
+      toast.loading('🎭 Updating reviewer anonymity...', { id: 'anonymous-reviews' });
+      
+      const signer = await provider.getSigner();
+      const contractWithSigner = reviewContract.connect(signer);
+      
+      await contractWithSigner.setAnonymousReviews.staticCall(selectedVenue.id, anonymousReviews);
+      const tx = await contractWithSigner.setAnonymousReviews(selectedVenue.id, anonymousReviews, {
+        gasLimit: 100000
+      });
+      await tx.wait();
+      
+      await loadVenues();
+      toast.success(
+        anonymousReviews
+          ? `✅ ${selectedVenue.name} reviewers now review through pseudonyms`
+          : `✅ ${selectedVenue.name} reviews are now filed under reviewer addresses`,
+        { id: 'anonymous-reviews' }
+      );
+    } catch (error) {
+      console.error('Anonymous review setting error:', error);
+      toast.error(error.reason || 'Failed to update the anonymous review setting', { id: 'anonymous-reviews' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateReviewFormDraft = (index, changes) => {
+    setReviewFormDraft(current => current.map((criterion, i) => i === index ? { ...criterion, ...changes } : criterion));
+  };
+
+  const saveReviewForm = async () => {
+    if (!selectedVenue) {
+      toast.error('Please select a venue');
+      return;
+    }
+    
+    try {
+      setLoading(true);
+      toast.loading('📋 Saving review form...', { id: 'review-form' });
+      
+      const signer = await provider.getSigner();
+      const contractWithSigner = reviewContract.connect(signer);
+      const criteria = reviewFormDraft.map(criterion => ({
+        name: criterion.name.trim(),
+        minScore: Number(criterion.minScore),
+        maxScore: Number(criterion.maxScore),
+        kind: CRITERION_KINDS.indexOf(criterion.kind)
+      }));
+      
+      // Dry-run first so schema validation reverts surface with their reason
+      await contractWithSigner.setReviewForm.staticCall(selectedVenue.id, criteria);
+      const tx = await contractWithSigner.setReviewForm(selectedVenue.id, criteria, { gasLimit: 800000 });
+      await tx.wait();
+      
+      await loadVenues();
+      toast.success(
+        criteria.length > 0
+          ? `✅ ${selectedVenue.name} reviews now score ${criteria.length} criteria`
+          : `✅ ${selectedVenue.name} reviews use a single score`,
+        { id: 'review-form' }
+      );
+    } catch (error) {
+      console.error('Review form error:', error);
+      toast.error(error.reason || 'Failed to save review form', { id: 'review-form' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const saveDecisionPolicy = async () => {
+    if (!selectedVenue) {
+      toast.error('Please select a venue');
+      return;
+    }
+    
+    try {
+      setLoading(true);
+      toast.loading('⚖️ Saving decision policy...', { id: 'decision-policy' });
+      
+      const signer = await provider.getSigner();
+      const contractWithSigner = reviewContract.connect(signer);
+      const rule = Number(decisionPolicyDraft.rule);
+      const settings = {
+        rule,
+        trimCount: DECISION_RULES[rule].name === 'Trimmed mean' ? Number(decisionPolicyDraft.trimCount) : 0,
+        vetoScore: DECISION_RULES[rule].name === 'Unanimous veto' ? Number(decisionPolicyDraft.vetoScore) : 0
+      };
+      
+      await contractWithSigner.setDecisionPolicy.staticCall(selectedVenue.id, settings, decisionPolicyDraft.chairOverride);
+      const tx = await contractWithSigner.setDecisionPolicy(
+        selectedVenue.id,
+        settings,
+        decisionPolicyDraft.chairOverride,
+        { gasLimit: 200000 }
+      );
+      await tx.wait();
+      
+      await loadVenues();
+      toast.success(
+        `✅ ${selectedVenue.name} decides papers by ${DECISION_RULES[rule].name.toLowerCase()}`,
+        { id: 'decision-policy' }
+      );
+    } catch (error) {
+      console.error('Decision policy error:', error);
+      toast.error(error.reason || 'Failed to save decision policy', { id: 'decision-policy' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Chairs reverse a decided paper; the justification is published off-chain and its hash recorded
+  const overridePaperDecision = async (paper) => {
+    const reason = (overrideReasons[paper.id] || '').trim();
+    if (!reason) {
+      toast.error('Please explain the override');
+      return;
+    }
+    
+    try {
+      setLoading(true);
+      toast.loading('⚖️ Overriding decision...', { id: 'override-decision' });
+      
+      const reasonHash = await contentStore.put(ethers.toUtf8Bytes(reason));
+      const accept = paper.status === 'Rejected';
+      
+      const signer = await provider.getSigner();
+      const contractWithSigner = reviewContract.connect(signer);
+      await contractWithSigner.overrideDecision.staticCall(paper.id, accept, reasonHash);
+      const tx = await contractWithSigner.overrideDecision(paper.id, accept, reasonHash, { gasLimit: 200000 });
+      await tx.wait();
+      
+      const status = accept ? 'Accepted' : 'Rejected';
+      const applyOverride = (current) => current.id === paper.id ? { ...current, status } : current;
+      setPapers(current => current.map(applyOverride));
+      setVenuePapers(current => current.map(applyOverride));
+      setDecisionOverrides(current => ({ ...current, [paper.id]: reasonHash }));
+      setOverrideReasons(current => ({ ...current, [paper.id]: reason }));
+      toast.success(`✅ Paper #${paper.id} is now ${status.toLowerCase()}`, { id: 'override-decision' });
+    } catch (error) {
+      console.error('Override error:', error);
+      toast.error(error.reason || 'Failed to override decision', { id: 'override-decision' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Credit and penalize a decided paper's reviewers; anyone may do it, once per paper
+  const settlePaperReputation = async (paperId) => {
+    try {
+      setLoading(true);
+      toast.loading('🏅 Settling reviewer reputation...', { id: 'settle-reputation' });
+      
+      const signer = await provider.getSigner();
+      const contractWithSigner = reviewContract.connect(signer);
+      await contractWithSigner.settleReputation.staticCall(paperId);
+      const tx = await contractWithSigner.settleReputation(paperId, { gasLimit: 500000 });
+      await tx.wait();
+      
+      setReputationSettled(current => ({ ...current, [paperId]: true }));
+      await loadLeaderboard();
+      toast.success(`✅ Reviewers of paper #${paperId} credited for timeliness and agreement`, {
+        id: 'settle-reputation'
+      });
+    } catch (error) {
+      console.error('Settle reputation error:', error);
+      toast.error(error.reason || 'Failed to settle reviewer reputation', { id: 'settle-reputation' });
+    } finally {
+      setLoading(false);
+    }
+  };
+  
+  // Authors and venue chairs rate each review of a decided paper once
+  const rateReviewHelpfulness = async (paperId, reviewer, { asAuthor = false } = {}) => {
+    const key = `${paperId}-${reviewer}`;
+    const rating = Number(ratingDrafts[key]);
+    if (!rating) {
+      toast.error('Please choose a rating');
+      return;
+    }
+    
+    try {
+      setLoading(true);
+      toast.loading('⭐ Rating review...', { id: 'rate-review' });
+      
+      const signer = await provider.getSigner();
+      const contractWithSigner = reviewContract.connect(signer);
+      if (asAuthor) {
+        await ensureAuthorship(contractWithSigner, paperId);
+      }
+      await contractWithSigner.rateReview.staticCall(paperId, reviewer, rating);
+      const tx = await contractWithSigner.rateReview(paperId, reviewer, rating, { gasLimit: 250000 });
+      await tx.wait();
+      
+      setRatedReviews(current => ({ ...current, [key]: true }));
+      await loadLeaderboard();
+      toast.success(`✅ Review rated: ${HELPFULNESS_RATINGS[rating].toLowerCase()}`, { id: 'rate-review' });
+    } catch (error) {
+      console.error('Rate review error:', error);
+      toast.error(error.reason || error.message || 'Failed to rate review', { id: 'rate-review' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Re-read a paper after a status change and update every list showing it
+  const refreshPaperStatus = async (paperId) => {
+    const updated = formatPaper(await reviewContract.getPaper(paperId));
+    const refreshPaper = (paper) => paper.id === paperId
+      ? { ...paper, status: updated.status, isFinalized: updated.isFinalized, averageScore: updated.averageScore }
+      : paper;
+    setPapers(current => current.map(refreshPaper));
+    setMyPapers(current => current.map(refreshPaper));
+    setVenuePapers(current => current.map(refreshPaper));
+    return updated;
+  };
+
+  const recordEditorialDecision = async (paperId, outcome) => {
+    try {
+      setLoading(true);
+      toast.loading('📝 Recording decision...', { id: 'editorial-decision' });
+      
+      const signer = await provider.getSigner();
+      const contractWithSigner = reviewContract.connect(signer);
+      await contractWithSigner.decidePaper.staticCall(paperId, outcome);
+      const tx = await contractWithSigner.decidePaper(paperId, outcome, { gasLimit: 400000 });
+      await tx.wait();
+      
+      const updated = await refreshPaperStatus(paperId);
+      await loadCriterionAverages([paperId]);
+      toast.success(`✅ Paper #${paperId}: ${updated.status}`, { id: 'editorial-decision' });
+    } catch (error) {
+      console.error('Editorial decision error:', error);
+      toast.error(error.reason || 'Failed to record decision', { id: 'editorial-decision' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Editors screen new papers; rejections publish the reason and record its hash
+  const triageSubmission = async (paperId, decision) => {
+    const sendToReview = TRIAGE_DECISIONS[decision] === 'Sent to Review';
+    const reason = (triageDrafts[paperId] || '').trim();
+    if (!sendToReview && !reason) {
+      toast.error('Please give the author a reason');
+      return;
+    }
+    
+    try {
+      setLoading(true);
+      toast.loading('🗂️ Recording triage...', { id: 'triage' });
+      
+      const reasonHash = sendToReview ? ethers.ZeroHash : await contentStore.put(ethers.toUtf8Bytes(reason));
+      const signer = await provider.getSigner();
+      const contractWithSigner = reviewContract.connect(signer);
+      await contractWithSigner.triagePaper.staticCall(paperId, decision, reasonHash);
+      const tx = await contractWithSigner.triagePaper(paperId, decision, reasonHash, { gasLimit: 200000 });
+      await tx.wait();
+      
+      setPaperTriage(current => ({ ...current, [paperId]: decision }));
+      if (!sendToReview) {
+        setTriageReasonTexts(current => ({ ...current, [paperId]: reason }));
+        await refreshPaperStatus(paperId);
+      }
+      toast.success(`Paper #${paperId}: ${TRIAGE_DECISIONS[decision]}`, { id: 'triage' });
+    } catch (error) {
+      console.error('Triage error:', error);
+      toast.error(error.reason || 'Failed to triage paper', { id: 'triage' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadReviewPanel = async (paperId) => {
+    const panel = await fetchReviewPanel(reviewContract, paperId);
+    setReviewPanels(current => ({ ...current, [paperId]: panel }));
+  };
+
+  // Show or hide a paper's indexed history
+  const togglePaperTimeline = async (paperId) => {
+    if (paperTimelines[paperId]) {
+      setPaperTimelines(current => ({ ...current, [paperId]: null }));
+      return;
+    }
+    
+    try {
+      const { timeline } = await queryIndexer(`/papers/${paperId}`);
+      setPaperTimelines(current => ({ ...current, [paperId]: timeline }));
+    } catch (error) {
+      console.error('Error loading paper timeline:', error);
+      toast.error(error.message || 'Could not load the paper timeline');
+    }
+  };
+
+  // Extend a paper's review deadline, or one reviewer's, to the drafted date
+  const extendDeadline = async (paperId, reviewer) => {
+    const draft = deadlineDrafts[paperId];
+    if (!draft) {
+      toast.error('Please pick a new deadline');
+      return;
+    }
+    const deadline = Math.floor(new Date(draft).getTime() / 1000);
+    
+    try {
+      setLoading(true);
+      toast.loading('⏰ Extending deadline...', { id: 'extend-deadline' });
+      
+      const signer = await provider.getSigner();
+      const contractWithSigner = reviewContract.connect(signer);
+      const [method, args] = reviewer
+        ? [contractWithSigner.extendReviewerDeadline, [paperId, reviewer, deadline]]
+        : [contractWithSigner.extendReviewDeadline, [paperId, deadline]];
+      await method.staticCall(...args);
+      const tx = await method(...args, { gasLimit: 150000 });
+      await tx.wait();
+      
+      if (!reviewer) {
+        const updated = formatPaper(await reviewContract.getPaper(paperId));
+        const refreshPaper = (paper) => paper.id === paperId
+          ? { ...paper, reviewDeadline: updated.reviewDeadline }
+          : paper;
+        setPapers(current => current.map(refreshPaper));
+        setMyPapers(current => current.map(refreshPaper));
+        setVenuePapers(current => current.map(refreshPaper));
+      }
+      await loadReviewPanel(paperId);
+      toast.success(
+        reviewer
+          ? `⏰ ${reviewer.substring(0, 10)}... now has until ${new Date(deadline * 1000).toLocaleString()}`
+          : `⏰ Paper #${paperId} is now due ${new Date(deadline * 1000).toLocaleString()}`,
+        { id: 'extend-deadline' }
+      );
+    } catch (error) {
+      console.error('Deadline extension error:', error);
+      toast.error(error.reason || 'Failed to extend the deadline', { id: 'extend-deadline' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Hand a reviewer's pending review to a backup reviewer, due by the drafted date
+  const reassignPendingReview = async (paperId, reviewer) => {
+    const backupReviewer = (backupReviewers[`${paperId}-${reviewer}`] || '').trim();
+    if (!ethers.isAddress(backupReviewer)) {
+      toast.error('Please enter the backup reviewer\'s address');
+      return;
+    }
+    const draft = deadlineDrafts[paperId];
+    if (!draft) {
+      toast.error('Please pick a deadline for the backup reviewer');
+      return;
+    }
+    const deadline = Math.floor(new Date(draft).getTime() / 1000);
+    
+    try {
+      setLoading(true);
+      toast.loading('🔄 Reassigning review...', { id: 'reassign-review' });
+      
+      const signer = await provider.getSigner();
+      const contractWithSigner = reviewContract.connect(signer);
+      await contractWithSigner.reassignReview.staticCall(paperId, reviewer, backupReviewer, deadline);
+      const tx = await contractWithSigner.reassignReview(paperId, reviewer, backupReviewer, deadline, { gasLimit: 400000 });
+      await tx.wait();
+      
+      await loadReviewPanel(paperId);
+      setBackupReviewers(current => ({ ...current, [`${paperId}-${reviewer}`]: '' }));
+      toast.success(`🔄 Review of paper #${paperId} reassigned to ${backupReviewer.substring(0, 10)}...`, { id: 'reassign-review' });
+    } catch (error) {
+      console.error('Reassignment error:', error);
+      toast.error(error.reason || 'Failed to reassign the review', { id: 'reassign-review' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadTriageReason = async (paperId) => {
+    try {
+      const reasonHash = await reviewContract.triageReasons(paperId);
+      const reason = ethers.toUtf8String(await contentStore.get(reasonHash));
+      setTriageReasonTexts(current => ({ ...current, [paperId]: reason }));
+    } catch (error) {
+      console.error('Triage reason error:', error);
+      toast.error('Could not load the desk rejection reason');
+    }
+  };
+
+  const loadOverrideReason = async (paperId) => {
+    try {
+      const reason = ethers.toUtf8String(await contentStore.get(decisionOverrides[paperId]));
+      setOverrideReasons(current => ({ ...current, [paperId]: reason }));
+    } catch (error) {
+      console.error('Override reason error:', error);
+      toast.error('Could not load the override reason');
+    }
+  };
+
+  const updateRole = async (grant) => {
+    if (!ethers.isAddress(roleAccount)) {
+      toast.error('Please enter a valid account address');
+      return;
+    }
+    
+    try {
+      setLoading(true);
+      toast.loading(grant ? '🔑 Granting role...' : '🔑 Revoking role...', { id: 'update-role' });
+      
+      const signer = await provider.getSigner();
+      const contractWithSigner = reviewContract.connect(signer);
+      const role = ethers.id(roleName);
+      const method = grant ? contractWithSigner.grantRole : contractWithSigner.revokeRole;
+      
+      await method.staticCall(role, roleAccount);
+      const tx = await method(role, roleAccount, { gasLimit: 200000 });
+      await tx.wait();
+      
+      const { label } = ROLES.find(role => role.id === roleName);
+      toast.success(
+        `✅ ${label} role ${grant ? 'granted to' : 'revoked from'} ${roleAccount.substring(0, 10)}...`,
+        { id: 'update-role' }
+      );
+      setRoleAccount('');
+      
+      if (roleAccount.toLowerCase() === account.toLowerCase()) {
+        loadUserData(account);
+      }
+    } catch (error) {
+      console.error('Role update error:', error);
+      toast.error(error.reason || 'Failed to update role', { id: 'update-role' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const verifyPendingReviewer = async () => {
+    if (!ethers.isAddress(verifyAddress)) {
+      toast.error('Please enter a valid reviewer address');
+      return;
+    }
+    
+    try {
+      setLoading(true);
+      toast.loading('🎓 Verifying reviewer...', { id: 'verify-reviewer' });
+      
+      const signer = await provider.getSigner();
+      const contractWithSigner = reviewContract.connect(signer);
+      
+      await contractWithSigner.verifyReviewer.staticCall(verifyAddress);
+      const tx = await contractWithSigner.verifyReviewer(verifyAddress, { gasLimit: 200000 });
+      await tx.wait();
+      
+      toast.success(`✅ Reviewer ${verifyAddress.substring(0, 10)}... verified`, { id: 'verify-reviewer' });
+      setVerifyAddress('');
+    } catch (error) {
+      console.error('Reviewer verification error:', error);
+      toast.error(error.reason || 'Failed to verify reviewer', { id: 'verify-reviewer' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const isKeyRegistered = Boolean(encryptionKey) && registeredKey === encryptionKey.publicKey;
+  
+  // The ring key follows the encryption key, so key backups cover pseudonymous reviews too
+  const ringKey = useMemo(() => encryptionKey ? deriveRingKey(encryptionKey.privateKey) : null, [encryptionKey]);
+  const isRingKeyRegistered = Boolean(ringKey) && Boolean(registeredRingKey) &&
+    registeredRingKey.x === ringKey.publicKey.x && registeredRingKey.y === ringKey.publicKey.y;
+
+  const activateEncryptionKey = (keyPair) => {
+    sessionStorage.setItem(encryptionKeyStorageKey(account), keyPair.privateKey);
+    setEncryptionKey({ privateKey: keyPair.privateKey, publicKey: keyPair.publicKey });
+  };
+
+  const unlockEncryptionKey = async () => {
+    try {
+      setLoading(true);
+      toast.loading('✍️ Sign the message in your wallet to unlock your key...', { id: 'unlock-key' });
+      
+      const signer = await provider.getSigner();
+      const keyPair = await deriveEncryptionKey(signer, keyRegistry ? keyRegistry.target : '');
+      activateEncryptionKey(keyPair);
+      
+      // Wallets without deterministic signatures derive a different key each time
+      if (registeredKey !== '0x' && registeredKey !== keyPair.publicKey) {
+        toast.error('This key differs from your published key; import your backup to read older comments', {
+          id: 'unlock-key',
+          duration: 8000
+        });
+      } else {
+        toast.success('🔑 Encryption key unlocked', { id: 'unlock-key' });
+      }
+    } catch (error) {
+      console.error('Key derivation error:', error);
+      toast.error(error.code === 'ACTION_REJECTED' ? 'Signature cancelled' : 'Failed to unlock key', {
+        id: 'unlock-key'
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const exportEncryptionKey = async () => {
+    if (!encryptionKey || !backupPassphrase) {
+      toast.error('Please unlock your key and choose a backup passphrase');
+      return;
+    }
+    
+    try {
+      const backup = await exportKeyBackup(encryptionKey, account, backupPassphrase);
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(new Blob([backup], { type: 'application/json' }));
+      link.download = `review-key-backup-${account.substring(0, 10)}.json`;
+      link.click();
+      URL.revokeObjectURL(link.href);
+      
+      setBackupPassphrase('');
+      toast.success('💾 Encrypted key backup downloaded');
+    } catch (error) {
+      console.error('Key export error:', error);
+      toast.error(error.message || 'Failed to export key');
+    }
+  };
+
+  const importEncryptionKey = async (file) => {
+    if (!file || !backupPassphrase) {
+      toast.error('Please enter the backup passphrase first');
+      return;
+    }
+    
+    try {
+      const restored = await importKeyBackup(await file.text(), backupPassphrase);
+      if (restored.account.toLowerCase() !== account.toLowerCase()) {
+        toast.error(`This backup belongs to ${restored.account.substring(0, 10)}...`);
+        return;
+      }
+      
+      activateEncryptionKey(restored);
+      setBackupPassphrase('');
+      toast.success('🔑 Encryption key restored from backup');
+    } catch (error) {
+      console.error('Key import error:', error);
+      toast.error(error.message || 'Failed to import key backup');
+    }
+  };
+
+  const registerEncryptionKey = async () => {
+    if (!keyRegistry || !encryptionKey) {
+      toast.error('Key registry is not configured');
+      return;
+    }
+    
+    try {
+      setLoading(true);
+      toast.loading('🔑 Publishing encryption key...', { id: 'register-key' });
+      
+      const tx = await keyRegistry.registerPublicKey(encryptionKey.publicKey, { gasLimit: 150000 });
+      await tx.wait();
+      
+      setRegisteredKey(encryptionKey.publicKey);
+      toast.success('✅ Encryption key published', { id: 'register-key' });
+    } catch (error) {
+      console.error('Key registration error:', error);
+      toast.error(error.reason || 'Failed to publish encryption key', { id: 'register-key' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const registerRingKey = async () => {
+    try {
+      setLoading(true);
+      toast.loading('🎭 Registering your ring key...', { id: 'register-ring-key' });
+      
+      const signer = await provider.getSigner();
+      const contractWithSigner = reviewContract.connect(signer);
+      const { x, y } = ringKey.publicKey;
+      
+      await contractWithSigner.registerRingKey.staticCall([x, y]);
+      const tx = await contractWithSigner.registerRingKey([x, y], { gasLimit: 150000 });
+      await tx.wait();
+      
+      setRegisteredRingKey({ x, y });
+      toast.success('✅ Ring key registered: you can be assigned to anonymous-review venues', {
+        id: 'register-ring-key'
+      });
+    } catch (error) {
+      console.error('Ring key registration error:', error);
+      toast.error(error.reason || 'Failed to register ring key', { id: 'register-ring-key' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const isAnonymousReview = (venueId) => {
+    const venue = venues.find(venue => venue.id === Number(venueId));
+    return Boolean(venue && venue.anonymousReviews);
+  };
+
+  // Anonymous-review venues take reviews from a per-paper pseudonym account, registered with a
+  // ring signature over the panel's keys so the chain cannot tell which reviewer it belongs to.
+  // Relayed pseudonyms only sign, so they need no gas for registration or submission
+  const getReviewSigner = async (paperId, venueId, { relayed = false } = {}) => {
+    if (!isAnonymousReview(venueId)) {
+      return provider.getSigner();
+    }
+    if (!ringKey) {
+      throw new Error('Unlock your encryption key to review through your pseudonym');
+    }
+    
+    const pseudonym = derivePseudonymWallet(ringKey.secret, paperId).connect(provider);
+    // Funding the pseudonym from your own account would link the two on-chain
+    if (!relayed && await provider.getBalance(pseudonym.address) === 0n) {
+      throw new Error(`Fund your pseudonym ${pseudonym.address} for gas from an account not linked to you`);
+    }
+    
+    if (!(await reviewContract.paperPseudonyms(paperId, pseudonym.address))) {
+      toast.loading('🎭 Registering your pseudonym with a ring signature...', { id: 'register-pseudonym' });
+      const [ring, message] = await Promise.all([
+        reviewContract.getReviewRing(paperId),
+        reviewContract.pseudonymMessage(paperId, pseudonym.address)
+      ]);
+      const signature = signRing(message, paperId, ring, ringKey.secret);
+      
+      if (relayed) {
+        // The ring signature authorizes the registration, whoever sends it
+        const hash = await relay('/pseudonyms', { paperId, pseudonym: pseudonym.address, signature });
+        await provider.waitForTransaction(hash);
+      } else {
+        const contractWithPseudonym = reviewContract.connect(pseudonym);
+        await contractWithPseudonym.registerPseudonym.staticCall(paperId, pseudonym.address, signature);
+        const tx = await contractWithPseudonym.registerPseudonym(paperId, pseudonym.address, signature, {
+          gasLimit: 600000
+        });
+        await tx.wait();
+      }
+      toast.success(`🎭 Pseudonym ${pseudonym.address.substring(0, 10)}... registered`, { id: 'register-pseudonym' });
+    }
+    return pseudonym;
+  };
+
+  // Sign a request as EIP-712 typed data with a deadline and post it to the relayer, which sends
+  // it and pays the gas; returns the hash of the relayer's transaction
+  const relaySigned = async (path, signer, types, request) => {
+    const [{ chainId }, latestBlock] = await Promise.all([provider.getNetwork(), provider.getBlock('latest')]);
+    const signed = { ...request, deadline: latestBlock.timestamp + SIGNED_REVIEW_TTL };
+    const domain = {
+      name: 'AcademicPeerReview',
+      version: '1',
+      chainId,
+      verifyingContract: await reviewContract.getAddress()
+    };
+    const signature = await signer.signTypedData(domain, types, signed);
+    return relay(path, { ...signed, signature });
+  };
+  
+  // Wait for a relayed transaction; the relayer's dry run does not rule out a later revert
+  const waitForRelayed = async (hash) => {
+    const receipt = await provider.waitForTransaction(hash);
+    if (receipt.status !== 1) {
+      throw new Error('The relayed transaction reverted');
+    }
+    return receipt;
+  };
+
+  // Public key reviews of a paper are encrypted to: blind submissions carry a key of their own
+  const authorPublicKey = (paperId, paper) => paper.author === ethers.ZeroAddress
+    ? reviewContract.blindAuthorKeys(paperId)
+    : keyRegistry.getPublicKey(paper.author);
+
+  // Private key the connected author reads a paper's reviews and rebuttal with
+  const authorPrivateKey = (paperId) => {
+    const blindSubmission = loadBlindSubmissions(reviewContract.target, account)[paperId];
+    return blindSubmission ? blindSubmission.privateKey : encryptionKey.privateKey;
+  };
+
+  // Encrypt comments to the paper's author and venue chairs and store them off-chain
+  const storeEncryptedComments = async (paperId, comments) => {
+    if (!keyRegistry) {
+      throw new Error('Key registry is not configured');
+    }
+    
+    const paper = await reviewContract.getPaper(paperId);
+    const venue = await reviewContract.getVenue(paper.venueId);
+    const authorKey = await authorPublicKey(paperId, paper);
+    if (authorKey === '0x') {
+      throw new Error('The author has not published an encryption key yet');
+    }
+    
+    // Chairs without a published key cannot read the comments and are skipped
+    const chairKeys = await Promise.all(venue.chairs.map(chair => keyRegistry.getPublicKey(chair)));
+    const envelope = await encryptForRecipients(
+      comments,
+      [authorKey, ...chairKeys.filter(key => key !== '0x')]
+    );
+    return contentStore.put(serializeEnvelope(envelope));
+  };
+
+  const loadReviewComments = async (paperId) => {
+    try {
+      setLoading(true);
+      toast.loading('📖 Decrypting review comments...', { id: 'load-comments' });
+      
+      const [hashes, panel] = await Promise.all([
+        reviewContract.getReviewComments(paperId),
+        reviewContract.getPaperReviewers(paperId)
+      ]);
+      // Match comments to assigned reviewers through their reviews; open-review papers have no panel
+      const panelReviews = await Promise.all(panel.map(reviewer => reviewContract.reviews(paperId, reviewer)));
+      const authors = hashes.map(hash => {
+        const index = panelReviews.findIndex(review => review.commentsHash === hash);
+        return index === -1 ? null : panel[index];
+      });
+      const rated = await Promise.all(authors.map(reviewer => reviewer && !demoSession
+        ? reviewContract.reviewRatedBy(paperId, reviewer, account)
+        : false));
+      
+      const comments = await Promise.all(hashes.map(async (hash) => {
+        try {
+          const envelope = parseEnvelope(await contentStore.get(hash));
+          return await decryptEnvelope(envelope, authorPrivateKey(paperId));
+        } catch (error) {
+          console.log(`Could not decrypt comments ${hash}:`, error.message);
+          return null;
+        }
+      }));
+      
+      setPaperComments(current => ({ ...current, [paperId]: comments }));
+      setCommentReviewers(current => ({ ...current, [paperId]: authors }));
+      setRatedReviews(current => ({
+        ...current,
+        ...Object.fromEntries(authors
+          .map((reviewer, index) => reviewer && rated[index] ? [`${paperId}-${reviewer}`, true] : null)
+          .filter(Boolean))
+      }));
+      toast.success(`✅ Loaded ${comments.filter(Boolean).length} of ${comments.length} reviews`, {
+        id: 'load-comments'
+      });
+    } catch (error) {
+      console.error('Review comments error:', error);
+      toast.error(error.reason || 'Failed to load review comments', { id: 'load-comments' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Encrypt a rebuttal to the venue chairs, the assigned reviewers and the author, and store it off-chain
+  const storeEncryptedRebuttal = async (paperId, text) => {
+    if (!keyRegistry) {
+      throw new Error('Key registry is not configured');
+    }
+    
+    const paper = await reviewContract.getPaper(paperId);
+    const [venue, paperReviewers] = await Promise.all([
+      reviewContract.getVenue(paper.venueId),
+      reviewContract.getPaperReviewers(paperId)
+    ]);
+    
+    // Recipients without a published key cannot read the rebuttal and are skipped
+    const keys = await Promise.all([
+      authorPublicKey(paperId, paper),
+      ...[...venue.chairs, ...paperReviewers].map(recipient => keyRegistry.getPublicKey(recipient))
+    ]);
+    const envelope = await encryptForRecipients(text, [...new Set(keys.filter(key => key !== '0x'))]);
+    return contentStore.put(serializeEnvelope(envelope));
+  };
+
+  const refreshRebuttal = async (paperId) => {
+    const rebuttal = formatRebuttal(await reviewContract.getRebuttal(paperId));
+    setRebuttals(current => ({ ...current, [paperId]: rebuttal }));
+  };
+
+  const openRebuttal = async (paperId) => {
+    try {
+      setLoading(true);
+      toast.loading('💬 Opening the rebuttal round...', { id: 'open-rebuttal' });
+      
+      const signer = await provider.getSigner();
+      const contractWithSigner = reviewContract.connect(signer);
+      
+      const salt = await blindAuthorSalt(paperId);
+      const open = salt ? contractWithSigner.openBlindRebuttal : contractWithSigner.openRebuttal;
+      const args = salt ? [paperId, salt] : [paperId];
+      
+      // Dry-run first so reveal-period reverts surface with their reason
+      await open.staticCall(...args);
+      const tx = await open(...args, { gasLimit: 150000 });
+      await tx.wait();
+      
+      await refreshRebuttal(paperId);
+      toast.success(`✅ Rebuttal open for paper #${paperId}; reviewer comments are now readable`, {
+        id: 'open-rebuttal'
+      });
+    } catch (error) {
+      console.error('Open rebuttal error:', error);
+      toast.error(error.reason || error.message || 'Failed to open the rebuttal round', { id: 'open-rebuttal' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const submitRebuttal = async (paperId) => {
+    const text = rebuttalDrafts[paperId];
+    if (!text) {
+      toast.error('Please write your response to the reviews');
+      return;
+    }
+    
+    try {
+      setLoading(true);
+      toast.loading('🔐 Encrypting your response for the chairs and reviewers...', { id: 'submit-rebuttal' });
+      
+      const signer = await provider.getSigner();
+      const contractWithSigner = reviewContract.connect(signer);
+      const salt = await blindAuthorSalt(paperId);
+      const contentHash = await storeEncryptedRebuttal(paperId, text);
+      const submit = salt ? contractWithSigner.submitBlindRebuttal : contractWithSigner.submitRebuttal;
+      const args = salt ? [paperId, contentHash, salt] : [paperId, contentHash];
+      
+      await submit.staticCall(...args);
+      const tx = await submit(...args, { gasLimit: 150000 });
+      await tx.wait();
+      
+      await refreshRebuttal(paperId);
+      setRebuttalTexts(current => ({ ...current, [paperId]: text }));
+      setRebuttalDrafts(current => ({ ...current, [paperId]: '' }));
+      toast.success(`✅ Response submitted for paper #${paperId}`, { id: 'submit-rebuttal' });
+    } catch (error) {
+      console.error('Rebuttal submission error:', error);
+      toast.error(error.reason || error.message || 'Failed to submit rebuttal', { id: 'submit-rebuttal' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadRebuttalText = async (paperId) => {
+    try {
+      setLoading(true);
+      toast.loading('📖 Decrypting the author response...', { id: 'load-rebuttal' });
+      
+      const { contentHash } = await reviewContract.getRebuttal(paperId);
+      const envelope = parseEnvelope(await contentStore.get(contentHash));
+      const text = await decryptEnvelope(envelope, authorPrivateKey(paperId));
+      
+      setRebuttalTexts(current => ({ ...current, [paperId]: text }));
+      toast.success('✅ Author response decrypted', { id: 'load-rebuttal' });
+    } catch (error) {
+      console.error('Rebuttal decryption error:', error);
+      toast.error(error.reason || 'Could not decrypt the author response with your key', { id: 'load-rebuttal' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const submitPaper = async () => {
+    if (!account || !paperTitle || !paperAbstract || !paperIpfs) {
+      toast.error('Please fill all fields and connect wallet');
+      return;
+    }
+    
+    if (!selectedVenue) {
+      toast.error('Please select the venue to submit to');
+      return;
+    }
+    
+    const conflictedAddresses = parseList(paperConflictAddresses);
+    const conflictedInstitutions = parseList(paperConflictInstitutions);
+    if (!conflictedAddresses.every(address => ethers.isAddress(address))) {
+      toast.error('One or more conflicting addresses are invalid');
+      return;
+    }
+    
+    // Blind submissions commit to the address the author will act from, which may be another account
+    const committedAuthor = blindAuthorAddress || account;
+    if (selectedVenue.doubleBlind && !ethers.isAddress(committedAuthor)) {
+      toast.error('The authoring address is invalid');
+      return;
+    }
+    
+    try {
+      setLoading(true);
+      toast.loading('📝 Submitting paper...', { id: 'submit-paper' });
+      
+      const signer = await provider.getSigner();
+      const contractWithSigner = reviewContract.connect(signer);
+      
+      let receipt;
+      let blindSubmission = null;
+      if (selectedVenue.doubleBlind) {
+        // Commit to the author instead of storing it, and encrypt reviews to a key made for this
+        // paper so the author's published key does not identify them
+        const paperKey = keyPairFromPrivateKey(ethers.Wallet.createRandom().privateKey);
+        blindSubmission = { salt: ethers.hexlify(ethers.randomBytes(32)), privateKey: paperKey.privateKey };
+        const submission = {
+          venueId: selectedVenue.id,
+          title: paperTitle,
+          abstractText: paperAbstract,
+          ipfsHash: paperIpfs,
+          authorCommitment: computeAuthorCommitment(committedAuthor, blindSubmission.salt),
+          authorKey: paperKey.publicKey,
+          // Both of the author's addresses are kept off the panel without being named
+          conflictHashes: [...new Set([committedAuthor, account].map(address => address.toLowerCase()))]
+            .map(conflictHash),
+          conflictedAddresses,
+          conflictedInstitutions
+        };
+        
+        if (isRelayed) {
+          // The relayer sends the submission, so no account of the author's appears on it
+          receipt = await waitForRelayed(await relay('/papers', submission));
+        } else {
+          // Fields are in the contract's argument order
+          const args = Object.values(submission);
+          await contractWithSigner.submitBlindPaper.staticCall(...args);
+          const tx = await contractWithSigner.submitBlindPaper(...args, { gasLimit: 700000 });
+          receipt = await tx.wait();
+        }
+      } else {
+        const args = [
+          selectedVenue.id,
+          paperTitle,
+          paperAbstract,
+          paperIpfs,
+          conflictedAddresses,
+          conflictedInstitutions
+        ];
+        await contractWithSigner.submitPaper.staticCall(...args);
+        const tx = await contractWithSigner.submitPaper(...args, { gasLimit: 500000 });
+        receipt = await tx.wait();
+      }
+      
+      const submitted = receipt.logs
+        .map(log => {
+          try {
+            return reviewContract.interface.parseLog(log);
+          } catch (error) {
+            return null;
+          }
+        })
+        .find(event => event && event.name === 'PaperSubmitted');
+      const paperId = Number(submitted.args.paperId);
+      if (blindSubmission) {
+        saveBlindSubmission(reviewContract.target, committedAuthor, paperId, blindSubmission);
+      }
+      
+      // The PaperSubmitted event adds the paper to the lists
+      toast.success(`📄 Paper submitted as #${paperId}`, { id: 'submit-paper', duration: 6000 });
+      
+      setPaperTitle('');
+      setPaperAbstract('');
+      setPaperIpfs('');
+      setPaperConflictAddresses('');
+      setPaperConflictInstitutions('');
+      setBlindAuthorAddress('');
+    } catch (error) {
+      console.error('Paper submission error:', error);
+      toast.error(error.reason || error.message || 'Failed to submit paper', { id: 'submit-paper' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const withdrawPaper = async (paperId) => {
+    if (!window.confirm(`Withdraw paper #${paperId}? Its reviews stop and it can only return as a revision.`)) {
+      return;
+    }
+    
+    try {
+      setLoading(true);
+      toast.loading('↩️ Withdrawing paper...', { id: 'withdraw-paper' });
+      
+      const signer = await provider.getSigner();
+      const contractWithSigner = reviewContract.connect(signer);
+      
+      const salt = await blindAuthorSalt(paperId);
+      const tx = salt
+        ? await contractWithSigner.withdrawBlindPaper(paperId, salt, { gasLimit: 150000 })
+        : await contractWithSigner.withdrawPaper(paperId, { gasLimit: 150000 });
+      await tx.wait();
+      
+      const withdraw = (paper) => paper.id === paperId ? { ...paper, status: 'Withdrawn' } : paper;
+      setPapers(current => current.map(withdraw));
+      setMyPapers(current => current.map(withdraw));
+      setVenuePapers(current => current.map(withdraw));
+      
+      toast.success(`Paper #${paperId} withdrawn`, { id: 'withdraw-paper' });
+    } catch (error) {
+      console.error('Withdrawal error:', error);
+      toast.error(error.reason || error.message || 'Failed to withdraw paper', { id: 'withdraw-paper' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Prefill the submission form with the paper being revised
+  const startRevision = (paper) => {
+    setRevisionOf(paper);
+    setPaperTitle(paper.title);
+    setPaperAbstract(paper.abstract);
+    setPaperIpfs('');
+  };
+
+  const resubmitPaper = async () => {
+    if (!paperTitle || !paperAbstract || !paperIpfs) {
+      toast.error('Please fill all fields for the revised version');
+      return;
+    }
+    
+    const conflictedAddresses = parseList(paperConflictAddresses);
+    const conflictedInstitutions = parseList(paperConflictInstitutions);
+    if (!conflictedAddresses.every(address => ethers.isAddress(address))) {
+      toast.error('One or more conflicting addresses are invalid');
+      return;
+    }
+    
+    try {
+      setLoading(true);
+      toast.loading(`📝 Resubmitting paper #${revisionOf.id}...`, { id: 'resubmit-paper' });
+      
+      const signer = await provider.getSigner();
+      const contractWithSigner = reviewContract.connect(signer);
+      
+      // Revisions of a blind submission stay blind under the same commitment and author key
+      const blindSubmission = loadBlindSubmissions(reviewContract.target, account)[revisionOf.id];
+      const tx = blindSubmission
+        ? await contractWithSigner.resubmitBlindPaper(
+          revisionOf.id,
+          paperTitle,
+          paperAbstract,
+          paperIpfs,
+          blindSubmission.salt,
+          [conflictHash(account)],
+          conflictedAddresses,
+          conflictedInstitutions,
+          { gasLimit: 700000 }
+        )
+        : await contractWithSigner.resubmitPaper(
+          revisionOf.id,
+          paperTitle,
+          paperAbstract,
+          paperIpfs,
+          conflictedAddresses,
+          conflictedInstitutions,
+          { gasLimit: 600000 }
+        );
+      const receipt = await tx.wait();
+      
+      const resubmitted = receipt.logs
+        .map(log => {
+          try {
+            return reviewContract.interface.parseLog(log);
+          } catch (error) {
+            return null;
+          }
+        })
+        .find(event => event && event.name === 'PaperResubmitted');
+      const paperId = Number(resubmitted.args.paperId);
+      const [newPaper, chain] = await Promise.all([
+        reviewContract.getPaper(paperId),
+        reviewContract.getPaperVersions(paperId)
+      ]);
+      const versions = chain.map(id => Number(id));
+      
+      if (blindSubmission) {
+        saveBlindSubmission(reviewContract.target, account, paperId, blindSubmission);
+      }
+      
+      setPapers(current => [...current, formatPaper(newPaper)]);
+      setMyPapers(current => [...current, formatPaper(newPaper)]);
+      setPaperVersions(current => ({
+        ...current,
+        ...Object.fromEntries(versions.map(id => [id, versions]))
+      }));
+      
+      toast.success(`📄 Revision submitted as paper #${paperId} (version ${versions.length})`, {
+        id: 'resubmit-paper',
+        duration: 6000
+      });
+      
+      setRevisionOf(null);
+      setPaperTitle('');
+      setPaperAbstract('');
+      setPaperIpfs('');
+      setPaperConflictAddresses('');
+      setPaperConflictInstitutions('');
+    } catch (error) {
+      console.error('Resubmission error:', error);
+      toast.error(error.reason || error.message || 'Failed to resubmit paper', { id: 'resubmit-paper' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const registerAsReviewer = async () => {
+    if (!account || !reviewerExpertise) {
+      toast.error('Please provide expertise and connect wallet');
+      return;
+    }
+    
+    try {
+      setLoading(true);
+      toast.loading('🎓 Registering as reviewer...', { id: 'register-reviewer' });
+      
+      const signer = await provider.getSigner();
+      const contractWithSigner = reviewContract.connect(signer);
+      
+      await contractWithSigner.registerReviewer.staticCall(reviewerExpertise);
+      const tx = await contractWithSigner.registerReviewer(reviewerExpertise, { gasLimit: 300000 });
+      await tx.wait();
+      
+      // New reviewers wait for a chair to verify them
+      await loadReputation(account, await reviewContract.reviewers(account));
+      
+      toast.success('✅ Registered as reviewer; a chair will verify you', {
+        id: 'register-reviewer',
+        duration: 6000
+      });
+      setReviewerExpertise('');
+    } catch (error) {
+      console.error('Reviewer registration error:', error);
+      toast.error(error.reason || error.message || 'Failed to register as reviewer', { id: 'register-reviewer' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const submitReview = async () => {
+    if (!account || !reviewPaperId || !reviewComments) {
+      toast.error('Please fill all review fields');
+      return;
+    }
+    
+    // Scores are validated against the review form of the paper's venue
+    const venueId = reviewAssignment && reviewAssignment.venueId;
+    const { scores, error: scoreError } = readCriterionScores(reviewCriteria, reviewScores);
+    if (scoreError) {
+      toast.error(scoreError);
+      return;
+    }
+    const recommendation = scores[reviewCriteria.findIndex(criterion => criterion.kind === 'Recommendation')];
+    const { maxScore } = getScoreScale(venueId);
+    
+    try {
+      setLoading(true);
+      toast.loading('🔐 Sealing review score...', { id: 'submit-review' });
+      
+      // The wallet, or the paper's pseudonym on anonymous-review venues
+      const signer = await getReviewSigner(reviewPaperId, venueId, { relayed: isRelayed });
+      const contractWithSigner = reviewContract.connect(signer);
+      const reviewer = await signer.getAddress();
+      
+      // Commit to the scores with a random salt; the scores stay off-chain until reveal
+      const salt = ethers.hexlify(ethers.randomBytes(32));
+      const scoreCommitment = computeReviewCommitment(
+        reviewPaperId,
+        reviewer,
+        scores,
+        salt,
+        hasReviewForm(venueId)
+      );
+      localStorage.setItem(
+        scoreSecretKey(reviewContract.target, reviewPaperId, account),
+        JSON.stringify({ scores, salt })
+      );
+      
+      // Only the hash of the encrypted comments goes on-chain
+      toast.loading('🔐 Encrypting comments for the author and chairs...', { id: 'submit-review' });
+      const commentsHash = await storeEncryptedComments(reviewPaperId, reviewComments);
+      
+      let receipt;
+      if (isRelayed) {
+        // Sign the review instead of sending it; the relayer submits it and pays the gas
+        const hash = await relaySigned('/reviews', signer, REVIEW_TYPES, {
+          paperId: reviewPaperId,
+          reviewer,
+          scoreCommitment,
+          commentsHash
+        });
+        toast.loading(`⛓️ Review relayed! Hash: ${hash}`, { id: 'submit-review' });
+        console.log('Relayed review transaction hash:', hash);
+        
+        receipt = await waitForRelayed(hash);
+      } else {
+        // Dry-run first so assignment and conflict reverts surface with their reason
+        await contractWithSigner.submitReview.staticCall(reviewPaperId, scoreCommitment, commentsHash);
+        
+        const tx = await contractWithSigner.submitReview(
+          reviewPaperId,
+          scoreCommitment,
+          commentsHash,
+          {
+            gasLimit: 400000 // Set reasonable gas limit
+          }
+        );
+        
+        toast.loading(`⛓️ Transaction sent! Hash: ${tx.hash}`, { id: 'submit-review' });
+        console.log('Review transaction hash:', tx.hash);
+        
+        // Wait for confirmation
+        receipt = await tx.wait();
+      }
+      // The ReviewSubmitted event refreshes the paper, its progress and the assignment
+      console.log('Review transaction confirmed:', receipt);
+      
+      toast.success(`🎉 ${isAnonymousReview(venueId) ? 'Pseudonymous review' : 'Review'} submitted! Block: ${receipt.blockNumber}. Your score (${recommendation}/${maxScore}) is sealed until the review deadline.`, { 
+        id: 'submit-review',
+        duration: 8000 
       });
       
-      toast.success(`✅ Reviewer registration successful! (Demo Mode)`, { 
-        id: 'register-reviewer',
-        duration: 6000 
+      // Clear form
+      setReviewPaperId('');
+      setReviewScores({});
+      setReviewComments('');
+      
+    } catch (error) {
+      console.error('Review submission error:', error);
+      localStorage.removeItem(scoreSecretKey(reviewContract.target, reviewPaperId, account));
+      let errorMessage = 'Failed to submit encrypted review';
+      
+      if (error.code === 'INSUFFICIENT_FUNDS') {
+        errorMessage = 'Insufficient ETH for gas fees';
+      } else if (error.code === 'USER_REJECTED') {
+        errorMessage = 'Transaction cancelled by user';
+      } else if (error.reason) {
+        errorMessage = error.reason;
+      } else if (error.message) {
+        errorMessage = error.message;
+      }
+      
+      toast.error(errorMessage, { id: 'submit-review' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const assignReviewersToPaper = async () => {
+    const reviewerAddresses = parseList(assignReviewerList);
+    
+    if (!assignPaperId || reviewerAddresses.length === 0) {
+      toast.error('Please enter a paper ID and reviewer addresses');
+      return;
+    }
+    
+    if (!reviewerAddresses.every(address => ethers.isAddress(address))) {
+      toast.error('One or more reviewer addresses are invalid');
+      return;
+    }
+    
+    try {
+      setLoading(true);
+      toast.loading('👥 Assigning reviewers...', { id: 'assign-reviewers' });
+      
+      const signer = await provider.getSigner();
+      const contractWithSigner = reviewContract.connect(signer);
+      
+      // Dry-run first so conflict-of-interest reverts surface with their reason
+      await contractWithSigner.assignReviewers.staticCall(assignPaperId, reviewerAddresses);
+      
+      const tx = await contractWithSigner.assignReviewers(assignPaperId, reviewerAddresses, {
+        gasLimit: 500000
       });
+      // The ReviewerAssigned events refresh the paper and its panel
+      await tx.wait();
       
-      setReviewerExpertise('');
+      toast.success(`✅ ${reviewerAddresses.length} reviewers assigned to paper #${assignPaperId}`, {
+        id: 'assign-reviewers'
+      });
       
-      // Optional: Try real blockchain transaction if contract exists
-      if (reviewContract && provider) {
-        try {
-          const signer = await provider.getSigner();
-          const contractWithSigner = reviewContract.connect(signer);
-          
-          // Check if contract exists
-          const code = await provider.getCode(ACADEMIC_REVIEW_ADDRESS);
-          if (code !== '0x') {
-            const tx = await contractWithSigner.registerReviewer(reviewerExpertise, {
-              gasLimit: 300000
-            });
-            
-            const receipt = await tx.wait();
-            console.log('Real blockchain transaction completed:', receipt.hash);
-          }
-        } catch (contractError) {
-          console.log('Contract interaction failed (expected in demo):', contractError.message);
-        }
-      }
+      setAssignPaperId('');
+      setAssignReviewerList('');
       
     } catch (error) {
-      console.error('Reviewer registration error:', error);
-      toast.error('Demo registration failed', { id: 'register-reviewer' });
+      console.error('Reviewer assignment error:', error);
+      toast.error(error.reason || 'Failed to assign reviewers', { id: 'assign-reviewers' });
     } finally {
       setLoading(false);
     }
   };
 
-  const submitReview = async () => {
-    if (!account || !reviewPaperId || !reviewScore || !reviewComments) {
-      toast.error('Please fill all review fields');
+  const declareConflicts = async () => {
+    const conflictedAuthors = parseList(reviewerConflictAuthors);
+    
+    if (!reviewerInstitution && conflictedAuthors.length === 0) {
+      toast.error('Please enter your institution or conflicting authors');
       return;
     }
     
-    if (Number(reviewScore) < 1 || Number(reviewScore) > 10) {
-      toast.error('Score must be between 1 and 10');
+    if (!conflictedAuthors.every(address => ethers.isAddress(address))) {
+      toast.error('One or more author addresses are invalid');
       return;
     }
     
     try {
       setLoading(true);
-      toast.loading('🔐 Testing review submission...', { id: 'submit-review' });
+      toast.loading('⚖️ Declaring conflicts of interest...', { id: 'declare-conflicts' });
       
-      // Simulate successful review for demo
-      setTimeout(() => {
-        toast.success(`✅ Review submitted successfully! Score: ${reviewScore}/10`, { 
-          id: 'submit-review',
-          duration: 5000 
-        });
-        
-        // Clear form
-        setReviewPaperId('');
-        setReviewScore('');
-        setReviewComments('');
-        
-        setLoading(false);
-      }, 2000);
+      const signer = await provider.getSigner();
+      const contractWithSigner = reviewContract.connect(signer);
       
-      return; // Skip blockchain transaction for now
+      await contractWithSigner.declareReviewerConflicts.staticCall(reviewerInstitution, conflictedAuthors);
+      const tx = await contractWithSigner.declareReviewerConflicts(reviewerInstitution, conflictedAuthors, {
+        gasLimit: 300000
+      });
+      await tx.wait();
+      
+      toast.success('✅ Conflicts of interest declared', { id: 'declare-conflicts' });
+      setReviewerConflictAuthors('');
+    } catch (error) {
+      console.error('Conflict declaration error:', error);
+      toast.error(error.reason || 'Failed to declare conflicts', { id: 'declare-conflicts' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const finalizePaperReviews = async (paperId) => {
+    try {
+      setLoading(true);
+      toast.loading('⏱️ Finalizing with available reviews...', { id: 'finalize-reviews' });
       
-      // Get signer for real transactions
       const signer = await provider.getSigner();
       const contractWithSigner = reviewContract.connect(signer);
       
-      // For demo purposes, create simple encrypted input and proof
-      const inputProof = ethers.keccak256(ethers.toUtf8Bytes("proof_" + reviewScore + "_" + Date.now()));
-      
-      // Submit real transaction to Sepolia network
-      const tx = await contractWithSigner.submitReview(
-        reviewPaperId,
-        reviewScore,
-        inputProof,
-        reviewComments,
-        {
-          gasLimit: 400000 // Set reasonable gas limit
-        }
-      );
+      const tx = await contractWithSigner.finalizeAfterDeadline(paperId, { gasLimit: 200000 });
+      await tx.wait();
       
-      toast.loading(`⛓️ Transaction sent! Hash: ${tx.hash}`, { id: 'submit-review' });
-      console.log('Review transaction hash:', tx.hash);
+      const finalize = (paper) => paper.id === paperId ? { ...paper, isFinalized: true } : paper;
+      setPapers(current => current.map(finalize));
+      setMyPapers(current => current.map(finalize));
+      setVenuePapers(current => current.map(finalize));
       
-      // Wait for confirmation
-      const receipt = await tx.wait();
-      console.log('Review transaction confirmed:', receipt);
+      toast.success(`✅ Reviews for paper #${paperId} finalized`, { id: 'finalize-reviews' });
+    } catch (error) {
+      console.error('Finalization error:', error);
+      toast.error(error.reason || 'Failed to finalize reviews', { id: 'finalize-reviews' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const revealMyScore = async (paperId) => {
+    if (!account || !paperId) {
+      toast.error('Please enter the paper ID you reviewed');
+      return;
+    }
+    
+    const secret = localStorage.getItem(scoreSecretKey(reviewContract.target, paperId, account));
+    if (!secret) {
+      toast.error('No sealed score for this paper was found in this browser');
+      return;
+    }
+    
+    try {
+      setLoading(true);
+      toast.loading('🔓 Revealing your sealed score...', { id: 'reveal-my-score' });
       
-      // Update paper status
-      const updatedPapers = papers.map(paper => {
-        if (paper.id === Number(reviewPaperId)) {
-          return {
-            ...paper,
-            status: 'Under Review',
-            reviewerCount: paper.reviewerCount + 1,
-            isFinalized: paper.reviewerCount + 1 >= 3
-          };
-        }
-        return paper;
-      });
-      setPapers(updatedPapers);
-      
-      // Update myPapers and assignments
-      setMyPapers(current => current.map(paper => {
-        if (paper.id === Number(reviewPaperId)) {
-          return {
-            ...paper,
-            status: 'Under Review',
-            reviewerCount: paper.reviewerCount + 1,
-            isFinalized: paper.reviewerCount + 1 >= 3
-          };
-        }
-        return paper;
-      }));
+      // Secrets stored before review forms hold a single score
+      const { scores = [], score, salt } = JSON.parse(secret);
+      const paper = await reviewContract.getPaper(paperId);
+      const signer = await getReviewSigner(paperId, Number(paper.venueId), { relayed: isRelayed });
+      const contractWithSigner = reviewContract.connect(signer);
+      const revealed = hasReviewForm(Number(paper.venueId)) ? scores : [score !== undefined ? score : scores[0]];
       
-      toast.success(`🎉 Anonymous review submitted! Block: ${receipt.blockNumber}. Your score (${reviewScore}/10) is encrypted on-chain.`, { 
-        id: 'submit-review',
-        duration: 8000 
-      });
+      if (isRelayed) {
+        const reviewer = await signer.getAddress();
+        await waitForRelayed(await relaySigned('/reveals', signer, SCORE_REVEAL_TYPES, {
+          paperId,
+          reviewer,
+          scores: revealed,
+          salt,
+          nonce: await reviewContract.nonces(reviewer)
+        }));
+      } else {
+        const tx = hasReviewForm(Number(paper.venueId))
+          ? await contractWithSigner.revealReviewScores(paperId, revealed, salt, { gasLimit: 300000 })
+          : await contractWithSigner.revealReviewScore(paperId, revealed[0], salt, { gasLimit: 200000 });
+        await tx.wait();
+      }
       
-      // Clear form
+      localStorage.removeItem(scoreSecretKey(reviewContract.target, paperId, account));
+      setMyAssignments(current => current.map(paper => paper.id === Number(paperId)
+        ? { ...paper, assignmentStatus: paper.reviewRound > 1 ? 'Updated Score Revealed' : 'Score Revealed' }
+        : paper
+      ));
+      await refreshRebuttal(Number(paperId));
+      toast.success(`✅ Score revealed for paper #${paperId}`, { id: 'reveal-my-score' });
       setReviewPaperId('');
-      setReviewScore('');
-      setReviewComments('');
       
     } catch (error) {
-      console.error('Review submission error:', error);
-      let errorMessage = 'Failed to submit encrypted review';
+      console.error('Score reveal error:', error);
+      toast.error(error.reason || error.message || 'Failed to reveal score', { id: 'reveal-my-score' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Seal a new score after reading the rebuttal; it is revealed like the first one
+  const updateMyScore = async (paper) => {
+    const criteria = getReviewCriteria(paper.venueId);
+    const { scores, error: scoreError } = readCriterionScores(criteria, updatedScores[paper.id] || {});
+    if (scoreError) {
+      toast.error(scoreError);
+      return;
+    }
+    const score = scores[criteria.findIndex(criterion => criterion.kind === 'Recommendation')];
+    const { maxScore } = getScoreScale(paper.venueId);
+    
+    try {
+      setLoading(true);
+      toast.loading('🔐 Sealing your updated score...', { id: 'update-score' });
       
-      if (error.code === 'INSUFFICIENT_FUNDS') {
-        errorMessage = 'Insufficient ETH for gas fees';
-      } else if (error.code === 'USER_REJECTED') {
-        errorMessage = 'Transaction cancelled by user';
-      } else if (error.reason) {
-        errorMessage = error.reason;
-      } else if (error.message) {
-        errorMessage = error.message;
+      const signer = await getReviewSigner(paper.id, paper.venueId, { relayed: isRelayed });
+      const contractWithSigner = reviewContract.connect(signer);
+      const reviewer = await signer.getAddress();
+      
+      const salt = ethers.hexlify(ethers.randomBytes(32));
+      const scoreCommitment = computeReviewCommitment(
+        paper.id,
+        reviewer,
+        scores,
+        salt,
+        hasReviewForm(paper.venueId)
+      );
+      
+      if (isRelayed) {
+        localStorage.setItem(scoreSecretKey(reviewContract.target, paper.id, account), JSON.stringify({ scores, salt }));
+        await waitForRelayed(await relaySigned('/score-updates', signer, SCORE_UPDATE_TYPES, {
+          paperId: paper.id,
+          reviewer,
+          scoreCommitment,
+          nonce: await reviewContract.nonces(reviewer)
+        }));
+      } else {
+        await contractWithSigner.updateReviewScore.staticCall(paper.id, scoreCommitment);
+        localStorage.setItem(scoreSecretKey(reviewContract.target, paper.id, account), JSON.stringify({ scores, salt }));
+        const tx = await contractWithSigner.updateReviewScore(paper.id, scoreCommitment, { gasLimit: 150000 });
+        await tx.wait();
       }
       
-      toast.error(errorMessage, { id: 'submit-review' });
+      setMyAssignments(current => current.map(assignment => assignment.id === paper.id
+        ? { ...assignment, assignmentStatus: 'Updated Score Sealed', reviewRound: 2 }
+        : assignment
+      ));
+      setUpdatedScores(current => ({ ...current, [paper.id]: {} }));
+      await refreshRebuttal(paper.id);
+      toast.success(`✅ Updated score (${score}/${maxScore}) sealed until the score update deadline`, {
+        id: 'update-score',
+        duration: 8000
+      });
+    } catch (error) {
+      console.error('Score update error:', error);
+      localStorage.removeItem(scoreSecretKey(reviewContract.target, paper.id, account));
+      toast.error(error.reason || error.message || 'Failed to update score', { id: 'update-score' });
     } finally {
       setLoading(false);
     }
@@ -678,78 +3363,61 @@ function App() {
     
     try {
       setLoading(true);
-      toast.loading('🔓 Simulating FHE decryption oracle...', { id: 'reveal-score' });
+      toast.loading('🔓 Requesting score reveal...', { id: 'reveal-score' });
+      
+      const signer = await provider.getSigner();
+      const contractWithSigner = reviewContract.connect(signer);
+      
+      const salt = await blindAuthorSalt(paperId);
+      const tx = salt
+        ? await contractWithSigner.requestBlindScoreReveal(paperId, salt, { gasLimit: 400000 })
+        : await contractWithSigner.requestScoreReveal(paperId, { gasLimit: 400000 });
+      const receipt = await tx.wait();
+      console.log('Score reveal transaction completed:', receipt.hash);
       
-      // Simulate processing time
-      await new Promise(resolve => setTimeout(resolve, 2000));
+      // Read the average and the decision from the emitted events
+      const events = receipt.logs
+        .map(log => {
+          try {
+            return reviewContract.interface.parseLog(log);
+          } catch (parseError) {
+            return null;
+          }
+        })
+        .filter(Boolean);
+      const revealedEvent = events.find(event => event.name === 'ScoreRevealed');
+      const statusEvent = events.find(event => event.name === 'PaperStatusChanged');
+      
+      if (!revealedEvent || !statusEvent) {
+        throw new Error('ScoreRevealed event not found in receipt');
+      }
       
-      // Generate realistic score (6.0 - 10.0)
-      const averageScore = (Math.random() * 4 + 6).toFixed(1);
+      // The aggregate the venue's decision rule produced
+      const averageScore = Number(revealedEvent.args.averageScore) / SCORE_PRECISION;
+      const status = PAPER_STATUS[Number(statusEvent.args.newStatus)];
       
       // Update paper status to finalized
-      const updatedPapers = papers.map(paper => {
-        if (paper.id === paperId) {
-          return {
-            ...paper,
-            isFinalized: true,
-            status: averageScore >= 7 ? 'Accepted' : 'Rejected'
-          };
-        }
-        return paper;
-      });
-      setPapers(updatedPapers);
-      
-      // Update myPapers if user is author
-      const updatedMyPapers = myPapers.map(paper => {
-        if (paper.id === paperId) {
-          return {
-            ...paper,
-            isFinalized: true,
-            status: averageScore >= 7 ? 'Accepted' : 'Rejected'
-          };
-        }
-        return paper;
-      });
-      setMyPapers(updatedMyPapers);
+      const applyDecision = (paper) => paper.id === paperId
+        ? { ...paper, isFinalized: true, averageScore, status }
+        : paper;
+      setPapers(current => current.map(applyDecision));
+      setMyPapers(current => current.map(applyDecision));
+      setVenuePapers(current => current.map(applyDecision));
+      await loadCriterionAverages([paperId]);
       
+      const decidedPaper = [...papers, ...venuePapers].find(paper => paper.id === paperId);
+      const { maxScore } = getScoreScale(decidedPaper && decidedPaper.venueId);
       toast.success(
-        `🎉 FHE Decryption Complete! Average Score: ${averageScore}/10 (Demo Mode)`, 
+        `🎉 Score revealed! ${getScoreLabel(decidedPaper && decidedPaper.venueId)}: ${averageScore.toFixed(2)}/${maxScore}`, 
         { 
           id: 'reveal-score',
           duration: 8000 
         }
       );
       
-      // Optional: Try real blockchain transaction if contract exists
-      if (reviewContract && provider) {
-        try {
-          const signer = await provider.getSigner();
-          const contractWithSigner = reviewContract.connect(signer);
-          
-          // Check if contract has the function and is valid
-          const code = await provider.getCode(ACADEMIC_REVIEW_ADDRESS);
-          if (code === '0x') {
-            console.log('Contract not deployed at address:', ACADEMIC_REVIEW_ADDRESS);
-            return; // Exit gracefully, demo mode already completed
-          }
-          
-          // Try to call the function
-          const tx = await contractWithSigner.requestScoreReveal(paperId, {
-            gasLimit: 400000
-          });
-          
-          const receipt = await tx.wait();
-          console.log('Real blockchain transaction completed:', receipt.hash);
-          
-        } catch (contractError) {
-          console.log('Contract interaction failed (expected in demo):', contractError.message);
-          // Don't show error to user since demo mode already succeeded
-        }
-      }
-      
     } catch (error) {
       console.error('Score reveal error:', error);
-      toast.error('Demo simulation failed', { id: 'reveal-score' });
+      toast.error(error.reason || error.message || 'Failed to reveal score', { id: 'reveal-score' });
     } finally {
       setLoading(false);
     }
@@ -780,18 +3448,37 @@ function App() {
                     <p className="text-gray-900 font-medium">
                       {account.substring(0, 6)}...{account.substring(38)}
                     </p>
-                    <p className="text-green-600">Sepolia Network</p>
+                    {demoSession ? (
+                      <p className="text-amber-600">Demo Chain</p>
+                    ) : (
+                      <p className="text-green-600">{networkName} Network</p>
+                    )}
+                    <div className="flex gap-1 mt-1">
+                      {ROLES.filter(role => roles[role.flag]).map(role => (
+                        <span key={role.id} className="text-xs bg-indigo-100 text-indigo-800 px-2 py-0.5 rounded-full">
+                          {role.label}
+                        </span>
+                      ))}
+                    </div>
                   </div>
                   <div className="w-3 h-3 bg-green-500 rounded-full"></div>
                 </div>
               ) : (
-                <button
-                  onClick={connectWallet}
-                  disabled={loading}
-                  className="bg-indigo-600 hover:bg-indigo-700 text-white px-6 py-2 rounded-lg font-medium disabled:opacity-50"
-                >
-                  {loading ? 'Connecting...' : 'Connect Wallet'}
-                </button>
+                <div className="flex items-center space-x-2">
+                  <button
+                    onClick={openDemo}
+                    className="border border-amber-400 text-amber-700 hover:bg-amber-50 px-4 py-2 rounded-lg font-medium"
+                  >
+                    🧪 Try Demo
+                  </button>
+                  <button
+                    onClick={connectWallet}
+                    disabled={loading}
+                    className="bg-indigo-600 hover:bg-indigo-700 text-white px-6 py-2 rounded-lg font-medium disabled:opacity-50"
+                  >
+                    {loading ? 'Connecting...' : 'Connect Wallet'}
+                  </button>
+                </div>
               )}
             </div>
           </div>
@@ -800,6 +3487,37 @@ function App() {
 
       {/* Main Content */}
       <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {demoSession && (
+          <div className="mb-6 bg-amber-50 border border-amber-200 rounded-lg p-4 flex flex-wrap items-center justify-between gap-4">
+            <div>
+              <p className="text-sm font-medium text-amber-800">🧪 Demo mode</p>
+              <p className="text-xs text-amber-700">
+                Transactions run on a chain inside this page with sample papers, and nothing reaches a network.
+                Reloading the page starts over.
+              </p>
+            </div>
+            <div className="flex items-center gap-2">
+              {DEMO_TIME_STEPS.map(step => (
+                <button
+                  key={step.seconds}
+                  onClick={() => advanceDemoTime(step)}
+                  disabled={loading}
+                  className="text-xs bg-amber-600 hover:bg-amber-700 text-white px-3 py-1 rounded disabled:opacity-50"
+                >
+                  ⏩ {step.label}
+                </button>
+              ))}
+              {!DEMO_ONLY && (
+                <button
+                  onClick={exitDemo}
+                  className="text-xs text-amber-800 hover:text-amber-900 underline"
+                >
+                  Exit demo
+                </button>
+              )}
+            </div>
+          </div>
+        )}
         {!isConnected ? (
           <div className="text-center py-16">
             <div className="max-w-2xl mx-auto">
@@ -814,7 +3532,7 @@ function App() {
                   🏛️ <strong>Decentralized System:</strong> Blockchain-based peer review ensuring transparency and preventing manipulation
                 </p>
                 <p className="text-gray-600 mb-4 leading-relaxed">
-                  ⚡ <strong>Real Blockchain:</strong> Built on Ethereum Sepolia testnet with genuine on-chain transactions
+                  ⚡ <strong>Real Blockchain:</strong> Runs on Sepolia, Zama's fhEVM or a local Hardhat node with genuine on-chain transactions
                 </p>
                 <p className="text-gray-600 leading-relaxed">
                   🎯 <strong>Academic Focus:</strong> Designed specifically for scholarly research evaluation and peer review processes
@@ -848,23 +3566,393 @@ function App() {
               </button>
               
               <p className="text-xs text-gray-500 mt-4">
-                Requires MetaMask connected to Sepolia testnet
+                Requires MetaMask connected to {deployedNetworkNames()}
               </p>
+              <button
+                onClick={openDemo}
+                className="block mx-auto mt-4 text-sm text-amber-700 hover:text-amber-800 underline"
+              >
+                🧪 No wallet? Try the demo with sample papers
+              </button>
             </div>
           </div>
         ) : (
           <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
             
+            {/* Venue Selector */}
+            <div className="lg:col-span-3 bg-white rounded-lg shadow-sm p-4 flex flex-wrap items-center gap-4">
+              <label className="text-sm font-medium text-gray-700">🏛️ Venue</label>
+              <select
+                value={selectedVenueId}
+                onChange={(e) => setSelectedVenueId(e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 text-sm"
+              >
+                <option value="">All venues</option>
+                {venues.map((venue) => (
+                  <option key={venue.id} value={venue.id}>
+                    {venue.name}{venue.isActive ? '' : ' (closed)'}
+                  </option>
+                ))}
+              </select>
+              {selectedVenue && (
+                <div className="flex flex-wrap gap-4 text-xs text-gray-600">
+                  <span>Scores {selectedVenue.minScore}-{selectedVenue.maxScore}</span>
+                  <span>Accept at ≥ {selectedVenue.acceptanceThreshold.toFixed(2)}</span>
+                  <span>Review period: {selectedVenue.reviewPeriodDays} days</span>
+                  <span>
+                    Review form: {selectedVenue.reviewForm.length > 0
+                      ? selectedVenue.reviewForm.map(criterion => criterion.name).join(', ')
+                      : 'single score'}
+                  </span>
+                  <span>
+                    Decision: {DECISION_RULES[selectedVenue.decisionPolicy.rule].name}
+                    {selectedVenue.decisionPolicy.trimCount > 0 && ` (drop ${selectedVenue.decisionPolicy.trimCount} at each end)`}
+                    {selectedVenue.decisionPolicy.vetoScore > 0 && ` (veto below ${selectedVenue.decisionPolicy.vetoScore})`}
+                    {selectedVenue.chairOverride && ', chair override'}
+                  </span>
+                  <span>Authors: {selectedVenue.doubleBlind ? 'anonymous (double-blind)' : 'visible to reviewers'}</span>
+                  <span>Reviewers: {selectedVenue.anonymousReviews ? 'pseudonymous' : 'filed under their addresses'}</span>
+                  <span>
+                    Rebuttal: {selectedVenue.rebuttalPeriodDays > 0
+                      ? `${selectedVenue.rebuttalPeriodDays} days`
+                      : 'none'}
+                  </span>
+                  <span>
+                    Submissions: {selectedVenue.submissionDeadline
+                      ? `until ${selectedVenue.submissionDeadline.toLocaleDateString()}`
+                      : 'rolling'}
+                  </span>
+                  {isSelectedVenueChair && (
+                    <span className="text-indigo-700 font-medium">You chair this venue</span>
+                  )}
+                </div>
+              )}
+            </div>
+            
+            {/* View Tabs (venue chairs) */}
+            {isSelectedVenueChair && (
+              <div className="lg:col-span-3 flex gap-2 border-b border-gray-200">
+                {[['workspace', '🗂️ Workspace'], ['editor', '🧑‍⚖️ Editor Dashboard']].map(([view, label]) => (
+                  <button
+                    key={view}
+                    onClick={() => setActiveView(view)}
+                    className={`px-4 py-2 text-sm font-medium border-b-2 -mb-px ${
+                      activeView === view
+                        ? 'border-indigo-600 text-indigo-700'
+                        : 'border-transparent text-gray-500 hover:text-gray-700'
+                    }`}
+                  >
+                    {label}
+                    {view === 'editor' && venuePapers.filter(isAwaitingTriage).length > 0 && (
+                      <span className="ml-2 text-xs bg-amber-100 text-amber-800 px-2 py-0.5 rounded-full">
+                        {venuePapers.filter(isAwaitingTriage).length}
+                      </span>
+                    )}
+                  </button>
+                ))}
+              </div>
+            )}
+            
+            {/* Editor Dashboard */}
+            {showEditorDashboard && (
+              <div className="lg:col-span-3 space-y-6">
+                <div className="bg-white rounded-lg shadow-sm p-4 flex flex-wrap gap-2">
+                  {Object.values(PAPER_STATUS).map(status => (
+                    <span key={status} className={`px-2 py-1 text-xs font-medium rounded-full ${PAPER_STATUS_STYLES[status]}`}>
+                      {status}: {venuePapers.filter(paper => paper.status === status).length}
+                    </span>
+                  ))}
+                </div>
+                
+                {/* Triage, rebuttals, review forms, decision policies, pseudonyms and reputation history
+                    are not available in demo mode */}
+                {!demoSession && (
+                  <div className="bg-white rounded-lg shadow-sm">
+                    <div className="px-6 py-4 border-b border-gray-200">
+                      <h3 className="text-lg font-medium text-gray-900">📥 Awaiting Triage</h3>
+                      <p className="text-xs text-gray-500">
+                        Send papers to review, or desk reject them with a reason published to the author
+                      </p>
+                    </div>
+                    <div className="p-6">
+                      {venuePapers.filter(isAwaitingTriage).length > 0 ? (
+                        <div className="space-y-4">
+                          {venuePapers.filter(isAwaitingTriage).map(paper => (
+                            <div key={paper.id} className="border border-gray-200 rounded-lg p-4">
+                              <div className="flex justify-between items-start mb-2">
+                                <h4 className="font-medium text-gray-900">#{paper.id} {paper.title}</h4>
+                                <span className="text-xs text-gray-500">
+                                  Submitted {paper.submissionTime.toLocaleDateString()}
+                                </span>
+                              </div>
+                              <p className="text-sm text-gray-600 mb-3">{paper.abstract}</p>
+                              <input
+                                placeholder="Reason for a desk rejection"
+                                value={triageDrafts[paper.id] || ''}
+                                onChange={(e) => setTriageDrafts(current => ({ ...current, [paper.id]: e.target.value }))}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm mb-2"
+                              />
+                              <div className="flex gap-2">
+                                <button
+                                  onClick={() => triageSubmission(paper.id, 1)}
+                                  disabled={loading}
+                                  className="flex-1 bg-indigo-600 hover:bg-indigo-700 text-white py-2 px-3 rounded-md text-sm font-medium disabled:opacity-50"
+                                >
+                                  ➡️ Send to Review
+                                </button>
+                                <button
+                                  onClick={() => triageSubmission(paper.id, 3)}
+                                  disabled={loading}
+                                  className="flex-1 bg-amber-50 hover:bg-amber-100 text-amber-800 py-2 px-3 rounded-md text-sm disabled:opacity-50"
+                                >
+                                  🧭 Out of Scope
+                                </button>
+                                <button
+                                  onClick={() => triageSubmission(paper.id, 2)}
+                                  disabled={loading}
+                                  className="flex-1 bg-rose-50 hover:bg-rose-100 text-rose-700 py-2 px-3 rounded-md text-sm disabled:opacity-50"
+                                >
+                                  🚫 Desk Reject
+                                </button>
+                              </div>
+                            </div>
+                          ))}
+                        </div>
+                      ) : (
+                        <p className="text-gray-500 text-center py-8">No papers awaiting triage</p>
+                      )}
+                    </div>
+                  </div>
+                )}
+                
+                <div className="bg-white rounded-lg shadow-sm">
+                  <div className="px-6 py-4 border-b border-gray-200">
+                    <h3 className="text-lg font-medium text-gray-900">⏰ Review Deadlines</h3>
+                    <p className="text-xs text-gray-500">
+                      Extend deadlines or hand overdue reviews to backup reviewers until the first score is revealed
+                    </p>
+                  </div>
+                  <div className="p-6">
+                    {venuePapers.some(paper => reviewPanels[paper.id]) ? (
+                      <div className="space-y-4">
+                        {venuePapers.filter(paper => reviewPanels[paper.id]).map(paper => (
+                          <div key={paper.id} className="border border-gray-200 rounded-lg p-4">
+                            <div className="flex justify-between items-start mb-2">
+                              <h4 className="font-medium text-gray-900">#{paper.id} {paper.title}</h4>
+                              <DeadlineBadge deadline={paper.reviewDeadline} now={chainTime} done={paper.isFinalized} />
+                            </div>
+                            <ReviewProgressBar progress={reviewProgress[paper.id]} />
+                            <div className="flex gap-2 mb-3">
+                              <input
+                                type="datetime-local"
+                                value={deadlineDrafts[paper.id] || ''}
+                                onChange={(e) => setDeadlineDrafts(current => ({ ...current, [paper.id]: e.target.value }))}
+                                className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm"
+                              />
+                              <button
+                                onClick={() => extendDeadline(paper.id)}
+                                disabled={loading || !deadlineDrafts[paper.id]}
+                                className="bg-indigo-600 hover:bg-indigo-700 text-white py-2 px-3 rounded-md text-sm font-medium disabled:opacity-50"
+                              >
+                                ⏰ Extend for Everyone
+                              </button>
+                            </div>
+                            {selectedVenue.anonymousReviews ? (
+                              <p className="text-xs text-gray-500">
+                                Reviews are filed under pseudonyms, so only the paper's deadline can be extended
+                              </p>
+                            ) : (
+                              <div className="space-y-2">
+                                {reviewPanels[paper.id].map(({ reviewer, isSubmitted, deadline }) => {
+                                  const key = `${paper.id}-${reviewer}`;
+                                  return (
+                                    <div key={reviewer} className="text-sm border-t border-gray-100 pt-2">
+                                      <div className="flex justify-between items-center">
+                                        <span className="text-gray-700">{reviewer.substring(0, 10)}...</span>
+                                        {isSubmitted ? (
+                                          <span className="text-xs text-green-600">✅ Submitted</span>
+                                        ) : (
+                                          <DeadlineBadge deadline={deadline} now={chainTime} />
+                                        )}
+                                      </div>
+                                      {!isSubmitted && (
+                                        <div className="flex gap-2 mt-1">
+                                          <button
+                                            onClick={() => extendDeadline(paper.id, reviewer)}
+                                            disabled={loading || !deadlineDrafts[paper.id]}
+                                            className="text-xs bg-indigo-50 hover:bg-indigo-100 text-indigo-700 px-2 py-1 rounded disabled:opacity-50"
+                                          >
+                                            ⏰ Extend
+                                          </button>
+                                          <input
+                                            placeholder="Backup reviewer address"
+                                            value={backupReviewers[key] || ''}
+                                            onChange={(e) => setBackupReviewers(current => ({ ...current, [key]: e.target.value }))}
+                                            className="flex-1 px-2 py-1 border border-gray-300 rounded text-xs"
+                                          />
+                                          <button
+                                            onClick={() => reassignPendingReview(paper.id, reviewer)}
+                                            disabled={loading || !backupReviewers[key] || !deadlineDrafts[paper.id]}
+                                            className="text-xs bg-amber-50 hover:bg-amber-100 text-amber-800 px-2 py-1 rounded disabled:opacity-50"
+                                          >
+                                            🔄 Reassign
+                                          </button>
+                                        </div>
+                                      )}
+                                    </div>
+                                  );
+                                })}
+                              </div>
+                            )}
+                          </div>
+                        ))}
+                      </div>
+                    ) : (
+                      <p className="text-gray-500 text-center py-8">No papers waiting for reviews</p>
+                    )}
+                  </div>
+                </div>
+                
+                {venuePapers.some(paper => paperTriage[paper.id] > 1) && (
+                  <div className="bg-white rounded-lg shadow-sm">
+                    <div className="px-6 py-4 border-b border-gray-200">
+                      <h3 className="text-lg font-medium text-gray-900">🚫 Screened Out</h3>
+                    </div>
+                    <div className="p-6 space-y-2">
+                      {venuePapers.filter(paper => paperTriage[paper.id] > 1).map(paper => (
+                        <div key={paper.id} className="text-sm border-b border-gray-100 pb-2">
+                          <span className="font-medium text-gray-900">#{paper.id} {paper.title}</span>
+                          <span className="ml-2 text-xs text-rose-700">{TRIAGE_DECISIONS[paperTriage[paper.id]]}</span>
+                          {triageReasonTexts[paper.id] ? (
+                            <p className="text-xs text-gray-600 mt-1">{triageReasonTexts[paper.id]}</p>
+                          ) : (
+                            <button
+                              onClick={() => loadTriageReason(paper.id)}
+                              className="ml-2 text-xs text-indigo-600 hover:text-indigo-800 underline"
+                            >
+                              Read reason
+                            </button>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+            
             {/* Left Panel - Actions */}
-            <div className="lg:col-span-1 space-y-6">
+            <div className={`lg:col-span-1 space-y-6 ${showEditorDashboard ? 'hidden' : ''}`}>
               
+              {/* Encryption Key */}
+              <div className="bg-white rounded-lg shadow-sm p-6">
+                <h3 className="text-lg font-medium text-gray-900 mb-2">🔑 Encryption Key</h3>
+                {encryptionKey ? (
+                  <div className="space-y-2">
+                    <p className="text-xs text-gray-500 break-all">{encryptionKey.publicKey}</p>
+                    {isKeyRegistered ? (
+                      <p className="text-sm text-green-600">Published: reviewers can encrypt comments to you</p>
+                    ) : (
+                      <>
+                        <p className="text-sm text-yellow-600">
+                          {registeredKey === '0x'
+                            ? 'Publish your key so reviewers can encrypt their comments to you'
+                            : 'A different key is published for this account'}
+                        </p>
+                        <button
+                          onClick={registerEncryptionKey}
+                          disabled={loading || !keyRegistry}
+                          className="w-full bg-gray-700 hover:bg-gray-800 text-white py-2 px-4 rounded-md text-sm font-medium disabled:opacity-50"
+                        >
+                          {registeredKey === '0x' ? 'Publish Encryption Key' : 'Replace Published Key'}
+                        </button>
+                      </>
+                    )}
+                    {reviewerInfo && !demoSession && (isRingKeyRegistered ? (
+                      <p className="text-sm text-green-600">Ring key registered: you can review under pseudonyms</p>
+                    ) : registeredRingKey ? (
+                      <p className="text-sm text-yellow-600">
+                        A ring key from a different encryption key is registered; import that key's backup to review anonymously
+                      </p>
+                    ) : (
+                      <button
+                        onClick={registerRingKey}
+                        disabled={loading}
+                        className="w-full bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 py-2 px-4 rounded-md text-sm font-medium disabled:opacity-50"
+                      >
+                        🎭 Register Ring Key for Anonymous Reviews
+                      </button>
+                    ))}
+                  </div>
+                ) : (
+                  <div className="space-y-2">
+                    <p className="text-sm text-gray-600">
+                      Your key is derived from a wallet signature and never leaves this browser
+                    </p>
+                    <button
+                      onClick={unlockEncryptionKey}
+                      disabled={loading}
+                      className="w-full bg-indigo-600 hover:bg-indigo-700 text-white py-2 px-4 rounded-md text-sm font-medium disabled:opacity-50"
+                    >
+                      Unlock with Wallet Signature
+                    </button>
+                  </div>
+                )}
+                <div className="pt-3 mt-3 border-t border-gray-100 space-y-2">
+                  <input
+                    type="password"
+                    placeholder="Backup passphrase"
+                    value={backupPassphrase}
+                    onChange={(e) => setBackupPassphrase(e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 text-sm"
+                  />
+                  <div className="grid grid-cols-2 gap-2">
+                    <button
+                      onClick={exportEncryptionKey}
+                      disabled={!encryptionKey}
+                      className="bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 py-2 px-3 rounded-md text-xs font-medium disabled:opacity-50"
+                    >
+                      💾 Export Backup
+                    </button>
+                    <label className="bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 py-2 px-3 rounded-md text-xs font-medium text-center cursor-pointer">
+                      📂 Import Backup
+                      <input
+                        type="file"
+                        accept="application/json"
+                        className="hidden"
+                        onChange={(e) => {
+                          importEncryptionKey(e.target.files[0]);
+                          e.target.value = '';
+                        }}
+                      />
+                    </label>
+                  </div>
+                </div>
+              </div>
+
               {/* Paper Submission */}
               <div className="bg-gradient-to-br from-blue-50 to-indigo-50 rounded-lg shadow-sm p-6 border border-blue-100">
                 <div className="flex items-center mb-4">
                   <span className="text-2xl mr-3">📝</span>
                   <h3 className="text-lg font-medium text-gray-900">Submit Academic Paper</h3>
                 </div>
-                <p className="text-sm text-gray-600 mb-4">Submit your research for anonymous peer review</p>
+                {revisionOf ? (
+                  <div className="flex justify-between items-center text-sm text-indigo-800 bg-indigo-100 rounded-md px-3 py-2 mb-4">
+                    <span>Revising #{revisionOf.id} {revisionOf.title}</span>
+                    <button
+                      onClick={() => setRevisionOf(null)}
+                      className="text-xs text-indigo-600 hover:text-indigo-800"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                ) : (
+                  <p className="text-sm text-gray-600 mb-4">
+                    {selectedVenue
+                      ? `Submitting to ${selectedVenue.name}`
+                      : 'Select a venue above to submit your research for anonymous peer review'}
+                  </p>
+                )}
                 <div className="space-y-4">
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-1">Paper Title</label>
@@ -897,16 +3985,422 @@ function App() {
                     />
                     <p className="text-xs text-gray-500 mt-1">Upload your paper to IPFS and enter the hash here</p>
                   </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Conflicting Reviewers (optional)</label>
+                    <textarea
+                      placeholder="Co-author and colleague addresses, comma or newline separated"
+                      value={paperConflictAddresses}
+                      onChange={(e) => setPaperConflictAddresses(e.target.value)}
+                      rows={2}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white text-xs"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Conflicting Institutions (optional)</label>
+                    <input
+                      type="text"
+                      placeholder="e.g. Example University, Research Lab Inc."
+                      value={paperConflictInstitutions}
+                      onChange={(e) => setPaperConflictInstitutions(e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">Reviewers from these institutions are excluded from your paper</p>
+                  </div>
+                  {selectedVenue && selectedVenue.doubleBlind && !revisionOf && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Authoring Address (optional)</label>
+                      <input
+                        type="text"
+                        placeholder={account || '0x...'}
+                        value={blindAuthorAddress}
+                        onChange={(e) => setBlindAuthorAddress(e.target.value)}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white text-xs"
+                      />
+                      <p className="text-xs text-gray-500 mt-1">
+                        The account you will withdraw, rebut and request the decision from. Defaults to the connected account
+                      </p>
+                    </div>
+                  )}
+                  {selectedVenue && selectedVenue.doubleBlind && (
+                    <p className="text-xs text-indigo-700 bg-indigo-50 rounded-md p-2">
+                      🙈 {selectedVenue.name} is double-blind: the paper is stored with a hidden commitment to your
+                      authoring address, and the salt that opens it stays in this browser. {isRelayed
+                        ? 'The relayer sends the submission, so your account does not appear on it.'
+                        : 'Without a relayer the connected account sends the submission; connect an account not linked to you to keep it anonymous.'}
+                      {' '}Acting on the paper before its decision shows the authoring address on-chain but not in the app.
+                    </p>
+                  )}
                   <button
-                    onClick={submitPaper}
+                    onClick={revisionOf ? resubmitPaper : submitPaper}
                     disabled={loading}
                     className="w-full bg-gradient-to-r from-blue-600 to-indigo-600 hover:from-blue-700 hover:to-indigo-700 text-white py-3 px-4 rounded-md font-medium disabled:opacity-50 transition-all"
                   >
-                    📤 Submit for Peer Review
+                    {revisionOf ? '🔁 Submit Revised Version' : '📤 Submit for Peer Review'}
                   </button>
                 </div>
               </div>
 
+              {/* Venue Creation (admins only) */}
+              {roles.isAdmin && (
+                <div className="bg-white rounded-lg shadow-sm p-6">
+                  <h3 className="text-lg font-medium text-gray-900 mb-4">Create Venue</h3>
+                  <div className="space-y-4">
+                    <input
+                      type="text"
+                      placeholder="Venue name (e.g. Crypto 2026, Journal of Privacy)"
+                      value={newVenueName}
+                      onChange={(e) => setNewVenueName(e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                    />
+                    <textarea
+                      placeholder="Chair addresses (comma or newline separated)"
+                      value={newVenueChairs}
+                      onChange={(e) => setNewVenueChairs(e.target.value)}
+                      rows={2}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 text-xs"
+                    />
+                    <div className="grid grid-cols-2 gap-2">
+                      <input
+                        type="number"
+                        placeholder="Review days (30)"
+                        value={newVenueReviewDays}
+                        onChange={(e) => setNewVenueReviewDays(e.target.value)}
+                        className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 text-sm"
+                      />
+                      <input
+                        type="number"
+                        placeholder="Max score (10)"
+                        value={newVenueMaxScore}
+                        onChange={(e) => setNewVenueMaxScore(e.target.value)}
+                        className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 text-sm"
+                      />
+                      <input
+                        type="number"
+                        step="0.01"
+                        placeholder="Accept at (7.00)"
+                        value={newVenueThreshold}
+                        onChange={(e) => setNewVenueThreshold(e.target.value)}
+                        className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 text-sm"
+                      />
+                      <input
+                        type="date"
+                        value={newVenueDeadline}
+                        onChange={(e) => setNewVenueDeadline(e.target.value)}
+                        className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 text-sm"
+                      />
+                    </div>
+                    <p className="text-xs text-gray-500">Leave the date empty for rolling submissions</p>
+                    <button
+                      onClick={createVenue}
+                      disabled={loading}
+                      className="w-full bg-indigo-600 hover:bg-indigo-700 text-white py-2 px-4 rounded-md font-medium disabled:opacity-50"
+                    >
+                      Create Venue
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              {/* Role Management (admins and program chairs) */}
+              {canManageRoles && (
+                <div className="bg-white rounded-lg shadow-sm p-6">
+                  <h3 className="text-lg font-medium text-gray-900 mb-4">Manage Roles</h3>
+                  <div className="space-y-4">
+                    <input
+                      type="text"
+                      placeholder="Account address"
+                      value={roleAccount}
+                      onChange={(e) => setRoleAccount(e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 text-xs"
+                    />
+                    <select
+                      value={roleName}
+                      onChange={(e) => setRoleName(e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 text-sm"
+                    >
+                      {manageableRoles.map((role) => (
+                        <option key={role.id} value={role.id}>{role.label}</option>
+                      ))}
+                    </select>
+                    <div className="grid grid-cols-2 gap-2">
+                      <button
+                        onClick={() => updateRole(true)}
+                        disabled={loading}
+                        className="bg-indigo-600 hover:bg-indigo-700 text-white py-2 px-4 rounded-md text-sm font-medium disabled:opacity-50"
+                      >
+                        Grant
+                      </button>
+                      <button
+                        onClick={() => updateRole(false)}
+                        disabled={loading}
+                        className="bg-white border border-red-300 hover:bg-red-50 text-red-700 py-2 px-4 rounded-md text-sm font-medium disabled:opacity-50"
+                      >
+                        Revoke
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              )}
+
+              {/* Reviewer Verification (program and area chairs) */}
+              {isChair && (
+                <div className="bg-white rounded-lg shadow-sm p-6">
+                  <h3 className="text-lg font-medium text-gray-900 mb-4">Verify Reviewers</h3>
+                  <div className="space-y-4">
+                    <input
+                      type="text"
+                      placeholder="Registered reviewer address"
+                      value={verifyAddress}
+                      onChange={(e) => setVerifyAddress(e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 text-xs"
+                    />
+                    <button
+                      onClick={verifyPendingReviewer}
+                      disabled={loading}
+                      className="w-full bg-green-600 hover:bg-green-700 text-white py-2 px-4 rounded-md font-medium disabled:opacity-50"
+                    >
+                      Approve Reviewer
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              {/* Reviewer Assignment (venue chairs and area chairs) */}
+              {(isSelectedVenueChair || roles.isAreaChair) && (
+                <div className="bg-white rounded-lg shadow-sm p-6">
+                  <h3 className="text-lg font-medium text-gray-900 mb-4">
+                    {isSelectedVenueChair ? `Manage ${selectedVenue.name}` : 'Assign Reviewers'}
+                  </h3>
+                  {isSelectedVenueChair && (
+                  <div className="space-y-4 mb-6">
+                    <textarea
+                      placeholder="Registered reviewer addresses to add to this venue's pool"
+                      value={poolReviewerList}
+                      onChange={(e) => setPoolReviewerList(e.target.value)}
+                      rows={2}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 text-xs"
+                    />
+                    <button
+                      onClick={addReviewersToVenuePool}
+                      disabled={loading}
+                      className="w-full bg-gray-700 hover:bg-gray-800 text-white py-2 px-4 rounded-md text-sm font-medium disabled:opacity-50"
+                    >
+                      Add to Reviewer Pool
+                    </button>
+                    {!demoSession && (
+                      <>
+                        <div className="flex gap-2">
+                          <input
+                            type="number"
+                            min="0"
+                            placeholder={`Rebuttal days (now ${selectedVenue.rebuttalPeriodDays})`}
+                            value={venueRebuttalDays}
+                            onChange={(e) => setVenueRebuttalDays(e.target.value)}
+                            className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 text-sm"
+                          />
+                          <button
+                            onClick={updateRebuttalPeriod}
+                            disabled={loading}
+                            className="bg-gray-700 hover:bg-gray-800 text-white py-2 px-4 rounded-md text-sm font-medium disabled:opacity-50"
+                          >
+                            Set Rebuttal
+                          </button>
+                        </div>
+                        <p className="text-xs text-gray-500">
+                          With a rebuttal period, authors answer the reviews and reviewers may update their scores before the decision
+                        </p>
+                        <div className="border-t border-gray-100 pt-4 space-y-2">
+                          <h4 className="text-sm font-medium text-gray-900">📋 Review Form</h4>
+                          {reviewFormDraft.length === 0 && (
+                            <p className="text-xs text-gray-500">
+                              Reviewers give a single {selectedVenue.minScore}-{selectedVenue.maxScore} score
+                            </p>
+                          )}
+                          {reviewFormDraft.map((criterion, index) => (
+                            <div key={index} className="grid grid-cols-12 gap-1 items-center">
+                              <input
+                                placeholder="Criterion"
+                                value={criterion.name}
+                                disabled={selectedVenue.settingsLocked}
+                                onChange={(e) => updateReviewFormDraft(index, { name: e.target.value })}
+                                className="col-span-4 px-2 py-1 border border-gray-300 rounded text-xs"
+                              />
+                              <input
+                                type="number"
+                                value={criterion.minScore}
+                                disabled={selectedVenue.settingsLocked}
+                                onChange={(e) => updateReviewFormDraft(index, { minScore: e.target.value })}
+                                className="col-span-2 px-2 py-1 border border-gray-300 rounded text-xs"
+                              />
+                              <input
+                                type="number"
+                                value={criterion.maxScore}
+                                disabled={selectedVenue.settingsLocked}
+                                onChange={(e) => updateReviewFormDraft(index, { maxScore: e.target.value })}
+                                className="col-span-2 px-2 py-1 border border-gray-300 rounded text-xs"
+                              />
+                              <select
+                                value={criterion.kind}
+                                disabled={selectedVenue.settingsLocked}
+                                onChange={(e) => updateReviewFormDraft(index, { kind: e.target.value })}
+                                className="col-span-3 px-1 py-1 border border-gray-300 rounded text-xs"
+                              >
+                                {CRITERION_KINDS.map(kind => (
+                                  <option key={kind} value={kind}>{kind}</option>
+                                ))}
+                              </select>
+                              {!selectedVenue.settingsLocked && (
+                                <button
+                                  onClick={() => setReviewFormDraft(current => current.filter((_, i) => i !== index))}
+                                  className="col-span-1 text-xs text-red-600 hover:text-red-800"
+                                >
+                                  ✕
+                                </button>
+                              )}
+                            </div>
+                          ))}
+                          {selectedVenue.settingsLocked ? (
+                            <p className="text-xs text-gray-500">The form is locked once the venue has submissions</p>
+                          ) : (
+                            <div className="flex gap-2">
+                              <button
+                                onClick={() => setReviewFormDraft(current => [
+                                  ...current,
+                                  { name: '', minScore: 1, maxScore: 5, kind: 'Score' }
+                                ])}
+                                disabled={loading}
+                                className="flex-1 bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 py-2 px-4 rounded-md text-sm disabled:opacity-50"
+                              >
+                                Add Criterion
+                              </button>
+                              <button
+                                onClick={saveReviewForm}
+                                disabled={loading}
+                                className="flex-1 bg-gray-700 hover:bg-gray-800 text-white py-2 px-4 rounded-md text-sm font-medium disabled:opacity-50"
+                              >
+                                Save Form
+                              </button>
+                            </div>
+                          )}
+                          <p className="text-xs text-gray-500">
+                            The recommendation criterion uses the venue scale and decides the paper
+                          </p>
+                        </div>
+                        <div className="border-t border-gray-100 pt-4 space-y-2">
+                          <h4 className="text-sm font-medium text-gray-900">⚖️ Decision Policy</h4>
+                          <select
+                            value={decisionPolicyDraft.rule}
+                            disabled={selectedVenue.settingsLocked}
+                            onChange={(e) => setDecisionPolicyDraft(current => ({ ...current, rule: Number(e.target.value) }))}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+                          >
+                            {DECISION_RULES.map((rule, index) => (
+                              <option key={rule.name} value={index}>{rule.name}</option>
+                            ))}
+                          </select>
+                          {DECISION_RULES[decisionPolicyDraft.rule].name === 'Trimmed mean' && (
+                            <input
+                              type="number"
+                              min="1"
+                              placeholder="Scores dropped at each end"
+                              value={decisionPolicyDraft.trimCount}
+                              disabled={selectedVenue.settingsLocked}
+                              onChange={(e) => setDecisionPolicyDraft(current => ({ ...current, trimCount: e.target.value }))}
+                              className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+                            />
+                          )}
+                          {DECISION_RULES[decisionPolicyDraft.rule].name === 'Unanimous veto' && (
+                            <input
+                              type="number"
+                              min={selectedVenue.minScore + 1}
+                              max={selectedVenue.maxScore}
+                              placeholder="Any score below this rejects the paper"
+                              value={decisionPolicyDraft.vetoScore}
+                              disabled={selectedVenue.settingsLocked}
+                              onChange={(e) => setDecisionPolicyDraft(current => ({ ...current, vetoScore: e.target.value }))}
+                              className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+                            />
+                          )}
+                          <label className="flex items-center gap-2 text-xs text-gray-700">
+                            <input
+                              type="checkbox"
+                              checked={decisionPolicyDraft.chairOverride}
+                              disabled={selectedVenue.settingsLocked}
+                              onChange={(e) => setDecisionPolicyDraft(current => ({ ...current, chairOverride: e.target.checked }))}
+                            />
+                            Chairs may override decisions with a published reason
+                          </label>
+                          {selectedVenue.settingsLocked ? (
+                            <p className="text-xs text-gray-500">The policy is locked once the venue has submissions</p>
+                          ) : (
+                            <button
+                              onClick={saveDecisionPolicy}
+                              disabled={loading}
+                              className="w-full bg-gray-700 hover:bg-gray-800 text-white py-2 px-4 rounded-md text-sm font-medium disabled:opacity-50"
+                            >
+                              Save Policy
+                            </button>
+                          )}
+                          {DECISION_RULES[decisionPolicyDraft.rule].name === 'Confidence-weighted mean' && (
+                            <p className="text-xs text-gray-500">
+                              Weights come from the review form's confidence criterion; without one every review counts equally
+                            </p>
+                          )}
+                        </div>
+                        <div className="border-t border-gray-100 pt-4 space-y-2">
+                          <h4 className="text-sm font-medium text-gray-900">🙈 Anonymity</h4>
+                          <label className="flex items-center gap-2 text-xs text-gray-700">
+                            <input
+                              type="checkbox"
+                              checked={selectedVenue.doubleBlind}
+                              disabled={loading || selectedVenue.settingsLocked}
+                              onChange={(e) => updateDoubleBlind(e.target.checked)}
+                            />
+                            Store submissions without author addresses until authors prove authorship
+                          </label>
+                          <label className="flex items-center gap-2 text-xs text-gray-700">
+                            <input
+                              type="checkbox"
+                              checked={selectedVenue.anonymousReviews}
+                              disabled={loading || selectedVenue.settingsLocked}
+                              onChange={(e) => updateAnonymousReviews(e.target.checked)}
+                            />
+                            Reviewers review through unlinkable per-paper pseudonyms (they need a registered ring key)
+                          </label>
+                          {selectedVenue.settingsLocked && (
+                            <p className="text-xs text-gray-500">These settings are locked once the venue has submissions</p>
+                          )}
+                        </div>
+                      </>
+                    )}
+                  </div>
+                  )}
+                  <div className="space-y-4">
+                    <input
+                      type="number"
+                      placeholder="Paper ID"
+                      value={assignPaperId}
+                      onChange={(e) => setAssignPaperId(e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                    />
+                    <textarea
+                      placeholder="Reviewer addresses (comma or newline separated)"
+                      value={assignReviewerList}
+                      onChange={(e) => setAssignReviewerList(e.target.value)}
+                      rows={3}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 text-xs"
+                    />
+                    <button
+                      onClick={assignReviewersToPaper}
+                      disabled={loading}
+                      className="w-full bg-indigo-600 hover:bg-indigo-700 text-white py-2 px-4 rounded-md font-medium disabled:opacity-50"
+                    >
+                      Assign Reviewers
+                    </button>
+                  </div>
+                </div>
+              )}
+
               {/* Reviewer Registration */}
               <div className="bg-white rounded-lg shadow-sm p-6">
                 <h3 className="text-lg font-medium text-gray-900 mb-4">Become a Reviewer</h3>
@@ -926,6 +4420,48 @@ function App() {
                     <p className="text-sm text-gray-600">Reviews Completed: 
                       <span className="ml-1 font-medium">{reviewerInfo.reviewsCompleted}</span>
                     </p>
+                    {reputationHistory.length > 0 && (
+                      <div className="pt-3 mt-3 border-t border-gray-100">
+                        <p className="text-sm font-medium text-gray-700 mb-1">Reputation History</p>
+                        <ul className="space-y-1 max-h-40 overflow-y-auto">
+                          {reputationHistory.map((change, index) => (
+                            <li key={index} className="flex justify-between text-xs text-gray-600">
+                              <span>
+                                {change.reason}{change.paperId > 0 && ` · paper #${change.paperId}`}
+                                <span className="ml-1 text-gray-400">{change.timestamp.toLocaleDateString()}</span>
+                              </span>
+                              <span className={change.delta >= 0 ? 'text-green-600' : 'text-red-600'}>
+                                {change.delta >= 0 ? '+' : ''}{change.delta} → {change.reputation}
+                              </span>
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    )}
+                    <div className="pt-3 mt-3 border-t border-gray-100 space-y-2">
+                      <p className="text-sm font-medium text-gray-700">Conflicts of Interest</p>
+                      <input
+                        type="text"
+                        placeholder="Your institution"
+                        value={reviewerInstitution}
+                        onChange={(e) => setReviewerInstitution(e.target.value)}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 text-sm"
+                      />
+                      <textarea
+                        placeholder="Author addresses you cannot review, comma or newline separated"
+                        value={reviewerConflictAuthors}
+                        onChange={(e) => setReviewerConflictAuthors(e.target.value)}
+                        rows={2}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 text-xs"
+                      />
+                      <button
+                        onClick={declareConflicts}
+                        disabled={loading}
+                        className="w-full bg-gray-700 hover:bg-gray-800 text-white py-2 px-4 rounded-md text-sm font-medium disabled:opacity-50"
+                      >
+                        Declare Conflicts
+                      </button>
+                    </div>
                   </div>
                 ) : (
                   <div className="space-y-4">
@@ -947,14 +4483,47 @@ function App() {
                 )}
               </div>
 
+              {/* Reviewer Leaderboard */}
+              {leaderboard.length > 0 && (
+                <div className="bg-white rounded-lg shadow-sm p-6">
+                  <h3 className="text-lg font-medium text-gray-900 mb-1">🏆 Reviewer Leaderboard</h3>
+                  <p className="text-xs text-gray-500 mb-3">
+                    Earned by timely reviews that agree with decisions and that authors and chairs find helpful
+                  </p>
+                  <ol className="space-y-1">
+                    {leaderboard.map((entry, index) => (
+                      <li key={entry.address} className={`flex justify-between text-sm ${
+                        account && entry.address.toLowerCase() === account.toLowerCase() ? 'font-medium text-indigo-700' : 'text-gray-700'
+                      }`}>
+                        <span>{index + 1}. {entry.address.substring(0, 10)}...</span>
+                        <span>{entry.reputation}</span>
+                      </li>
+                    ))}
+                  </ol>
+                </div>
+              )}
+
               {/* Review Submission */}
-              {reviewerInfo && reviewerInfo.isVerified && (
+              {roles.isReviewer && (
                 <div className="bg-gradient-to-br from-purple-50 to-pink-50 rounded-lg shadow-sm p-6 border border-purple-100 review-form">
                   <div className="flex items-center mb-4">
                     <span className="text-2xl mr-3">🔒</span>
                     <h3 className="text-lg font-medium text-gray-900">Submit Anonymous Review</h3>
                   </div>
                   <p className="text-sm text-gray-600 mb-4">Your review will be encrypted using FHE technology</p>
+                  {reviewAssignment && isAnonymousReview(reviewAssignment.venueId) && ringKey && (
+                    <p className="text-xs text-purple-700 bg-white rounded-md p-2 mb-4 break-all">
+                      🎭 Submitted as pseudonym {derivePseudonymWallet(ringKey.secret, reviewAssignment.id).address}.
+                      {isRelayed
+                        ? 'The relayer pays its gas for registration, submission, score updates and reveals.'
+                        : 'It pays its own gas; fund it from an account not linked to you.'}
+                    </p>
+                  )}
+                  {isRelayed && (
+                    <p className="text-xs text-gray-500 mb-4">
+                      ⛽ Gasless: you sign the review, its reveal and any score update, and the relayer sends them.
+                    </p>
+                  )}
                   <div className="space-y-4">
                     <input
                       type="number"
@@ -963,14 +4532,10 @@ function App() {
                       onChange={(e) => setReviewPaperId(e.target.value)}
                       className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500"
                     />
-                    <input
-                      type="number"
-                      placeholder="Score (1-10)"
-                      min="1"
-                      max="10"
-                      value={reviewScore}
-                      onChange={(e) => setReviewScore(e.target.value)}
-                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                    <ReviewFormFields
+                      criteria={reviewCriteria}
+                      values={reviewScores}
+                      onChange={(index, value) => setReviewScores(current => ({ ...current, [index]: value }))}
                     />
                     <textarea
                       placeholder="Review Comments"
@@ -986,13 +4551,21 @@ function App() {
                     >
                       Submit Encrypted Review
                     </button>
+                    <button
+                      onClick={() => revealMyScore(reviewPaperId)}
+                      disabled={loading}
+                      className="w-full bg-white border border-purple-300 hover:bg-purple-50 text-purple-700 py-2 px-4 rounded-md font-medium disabled:opacity-50"
+                    >
+                      🔓 Reveal My Sealed Score
+                    </button>
+                    <p className="text-xs text-gray-500">Sealed scores can be revealed once the review deadline has passed</p>
                   </div>
                 </div>
               )}
             </div>
 
             {/* Right Panel - Data Display */}
-            <div className="lg:col-span-2 space-y-6">
+            <div className={`lg:col-span-2 space-y-6 ${showEditorDashboard ? 'hidden' : ''}`}>
               
               {/* My Papers */}
               <div className="bg-white rounded-lg shadow-sm">
@@ -1007,20 +4580,140 @@ function App() {
                           <div className="flex justify-between items-start mb-2">
                             <h4 className="font-medium text-gray-900">#{paper.id} {paper.title}</h4>
                             <span className={`px-2 py-1 text-xs font-medium rounded-full ${
-                              paper.status === 'Accepted' ? 'bg-green-100 text-green-800' :
-                              paper.status === 'Rejected' ? 'bg-red-100 text-red-800' :
-                              paper.status === 'Under Review' ? 'bg-yellow-100 text-yellow-800' :
-                              'bg-gray-100 text-gray-800'
+                              PAPER_STATUS_STYLES[paper.status] || 'bg-gray-100 text-gray-800'
                             }`}>
                               {paper.status}
                             </span>
                           </div>
                           <p className="text-sm text-gray-600 mb-2">{paper.abstract}</p>
+                          {paperVersions[paper.id] && paperVersions[paper.id].length > 1 && (
+                            <div className="flex flex-wrap items-center gap-1 text-xs text-gray-500 mb-2">
+                              <span>Versions:</span>
+                              {paperVersions[paper.id].map((id, index) => (
+                                <span
+                                  key={id}
+                                  className={`px-2 py-0.5 rounded ${
+                                    id === paper.id ? 'bg-indigo-100 text-indigo-800 font-medium' : 'bg-gray-100'
+                                  }`}
+                                >
+                                  {index > 0 && '→ '}v{index + 1} #{id}
+                                </span>
+                              ))}
+                            </div>
+                          )}
+                          <ReviewProgressBar progress={reviewProgress[paper.id]} />
+                          {paper.status === 'Under Review' && <RebuttalTimeline rebuttal={rebuttals[paper.id]} />}
+                          {paper.averageScore !== undefined && (
+                            <p className="text-sm font-medium text-indigo-700 mb-2">
+                              {getScoreLabel(paper.venueId)}: {paper.averageScore.toFixed(2)}/{getScoreScale(paper.venueId).maxScore}
+                            </p>
+                          )}
+                          {paper.status === 'Desk Reject' && (
+                            <div className="text-xs text-rose-800 bg-rose-50 border border-rose-100 rounded p-2 mb-2">
+                              🚫 The editors declined to send this paper to review
+                              {triageReasonTexts[paper.id] ? (
+                                <p className="text-gray-700 mt-1">{triageReasonTexts[paper.id]}</p>
+                              ) : (
+                                <button
+                                  onClick={() => loadTriageReason(paper.id)}
+                                  className="ml-2 text-rose-700 hover:text-rose-900 underline"
+                                >
+                                  Read reason
+                                </button>
+                              )}
+                            </div>
+                          )}
+                          {isOverridden(paper.id) && (
+                            <div className="text-xs text-amber-800 bg-amber-50 border border-amber-100 rounded p-2 mb-2">
+                              ⚖️ The venue chair overrode the policy decision
+                              {overrideReasons[paper.id] ? (
+                                <p className="text-gray-700 mt-1">{overrideReasons[paper.id]}</p>
+                              ) : (
+                                <button
+                                  onClick={() => loadOverrideReason(paper.id)}
+                                  className="ml-2 text-amber-700 hover:text-amber-900 underline"
+                                >
+                                  Read reason
+                                </button>
+                              )}
+                            </div>
+                          )}
+                          {paper.averageScore !== undefined && criterionAverages[paper.id] &&
+                            criterionAverages[paper.id].length > 0 && (
+                            <div className="flex flex-wrap gap-2 text-xs text-gray-600 mb-2">
+                              {getReviewCriteria(paper.venueId).map((criterion, index) => (
+                                <span key={index} className="bg-gray-100 px-2 py-0.5 rounded">
+                                  {criterion.name}: {criterionAverages[paper.id][index].toFixed(2)}/{criterion.maxScore}
+                                </span>
+                              ))}
+                            </div>
+                          )}
+                          {(DECIDED_STATUSES.includes(paper.status) ||
+                            (rebuttals[paper.id] && rebuttals[paper.id].isOpen)) && (
+                            <div className="mb-2">
+                              {paperComments[paper.id] ? (
+                                <ReviewCommentList
+                                  paperId={paper.id}
+                                  comments={paperComments[paper.id]}
+                                  reviewers={commentReviewers[paper.id]}
+                                  canRate={DECIDED_STATUSES.includes(paper.status) && !demoSession}
+                                  ratingDrafts={ratingDrafts}
+                                  ratedReviews={ratedReviews}
+                                  onRatingChange={(key, value) => setRatingDrafts(current => ({ ...current, [key]: value }))}
+                                  onRate={(reviewer) => rateReviewHelpfulness(paper.id, reviewer, { asAuthor: true })}
+                                  disabled={loading}
+                                />
+                              ) : (
+                                <button
+                                  onClick={() => loadReviewComments(paper.id)}
+                                  disabled={loading || !encryptionKey}
+                                  className="text-xs bg-indigo-50 hover:bg-indigo-100 text-indigo-700 px-3 py-1 rounded disabled:opacity-50"
+                                >
+                                  📖 Read Reviewer Comments
+                                </button>
+                              )}
+                            </div>
+                          )}
+                          {paper.status === 'Under Review' && getRebuttalPhase(rebuttals[paper.id]) === 'Rebuttal' && (
+                            <div className="space-y-2 mb-2">
+                              {rebuttalTexts[paper.id] && (
+                                <div className="text-sm bg-indigo-50 border border-indigo-100 rounded p-2">
+                                  <span className="text-xs font-medium text-indigo-700">Your response</span>
+                                  <p className="text-gray-700">{rebuttalTexts[paper.id]}</p>
+                                </div>
+                              )}
+                              <textarea
+                                placeholder={rebuttals[paper.id].hasResponse
+                                  ? 'Replace your response (until the rebuttal deadline)'
+                                  : 'Respond to the reviews; only the chairs and reviewers can read it'}
+                                value={rebuttalDrafts[paper.id] || ''}
+                                onChange={(e) => setRebuttalDrafts(current => ({ ...current, [paper.id]: e.target.value }))}
+                                rows={3}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 text-sm"
+                              />
+                              <button
+                                onClick={() => submitRebuttal(paper.id)}
+                                disabled={loading || !keyRegistry}
+                                className="text-xs bg-indigo-600 hover:bg-indigo-700 text-white px-3 py-1 rounded disabled:opacity-50"
+                              >
+                                {rebuttals[paper.id].hasResponse ? 'Replace Rebuttal' : 'Submit Rebuttal'}
+                              </button>
+                            </div>
+                          )}
                           <div className="flex justify-between items-center text-xs text-gray-500">
                             <span>Reviewers: {paper.reviewerCount}</span>
                             <span>{paper.submissionTime.toLocaleDateString()}</span>
                           </div>
-                          {paper.isFinalized && isConnected && (
+                          {isConnected && canOpenRebuttal(paper) && (
+                            <button
+                              onClick={() => openRebuttal(paper.id)}
+                              disabled={loading}
+                              className="mt-2 mr-2 text-xs bg-indigo-600 hover:bg-indigo-700 text-white px-3 py-1 rounded disabled:opacity-50"
+                            >
+                              💬 Open Rebuttal
+                            </button>
+                          )}
+                          {paper.isFinalized && isConnected && isDecisionPhase(paper) && (
                             <button
                               onClick={() => revealPaperScore(paper.id)}
                               disabled={loading}
@@ -1029,6 +4722,34 @@ function App() {
                               Reveal Score
                             </button>
                           )}
+                          {!paper.isFinalized && paper.status === 'Under Review' && paper.reviewDeadline < chainTime && (
+                            <button
+                              onClick={() => finalizePaperReviews(paper.id)}
+                              disabled={loading}
+                              className="mt-2 text-xs bg-gray-600 hover:bg-gray-700 text-white px-3 py-1 rounded disabled:opacity-50"
+                            >
+                              Finalize with Available Reviews
+                            </button>
+                          )}
+                          {isConnected && WITHDRAWABLE_STATUSES.includes(paper.status) && (
+                            <button
+                              onClick={() => withdrawPaper(paper.id)}
+                              disabled={loading}
+                              className="mt-2 text-xs bg-red-50 hover:bg-red-100 text-red-700 px-3 py-1 rounded disabled:opacity-50"
+                            >
+                              Withdraw
+                            </button>
+                          )}
+                          {isConnected && RESUBMITTABLE_STATUSES.includes(paper.status) &&
+                            (paperVersions[paper.id] || [paper.id]).slice(-1)[0] === paper.id && (
+                            <button
+                              onClick={() => startRevision(paper)}
+                              disabled={loading}
+                              className="mt-2 text-xs bg-indigo-600 hover:bg-indigo-700 text-white px-3 py-1 rounded disabled:opacity-50"
+                            >
+                              🔁 Revise & Resubmit
+                            </button>
+                          )}
                         </div>
                       ))}
                     </div>
@@ -1039,7 +4760,7 @@ function App() {
               </div>
 
               {/* Review Assignments */}
-              {reviewerInfo && reviewerInfo.isVerified && (
+              {roles.isReviewer && (
                 <div className="bg-white rounded-lg shadow-sm">
                   <div className="px-6 py-4 border-b border-gray-200">
                     <h3 className="text-lg font-medium text-gray-900">Review Assignments</h3>
@@ -1047,18 +4768,95 @@ function App() {
                   <div className="p-6">
                     {myAssignments.length > 0 ? (
                       <div className="space-y-4">
+                        {(overdueReviews > 0 || reviewsDueSoon > 0) && (
+                          <div className="text-sm bg-orange-50 border border-orange-200 text-orange-800 rounded p-3">
+                            ⏰ Reminder:
+                            {reviewsDueSoon > 0 &&
+                              ` ${reviewsDueSoon} review(s) due within ${DEADLINE_REMINDER_WINDOW / 3600000} hours.`}
+                            {overdueReviews > 0 &&
+                              ` ${overdueReviews} review(s) overdue: ask the chair for an extension before the review is reassigned.`}
+                          </div>
+                        )}
                         {myAssignments.map((paper) => (
                           <div key={paper.id} className="border border-gray-200 rounded-lg p-4">
                             <div className="flex justify-between items-start mb-2">
                               <h4 className="font-medium text-gray-900">#{paper.id} {paper.title}</h4>
-                              <span className="text-xs text-gray-500">
-                                Due: {paper.reviewDeadline.toLocaleDateString()}
+                              <span className={`px-2 py-1 text-xs font-medium rounded-full ${
+                                ASSIGNMENT_STATUS_STYLES[paper.assignmentStatus] || 'bg-gray-100 text-gray-800'
+                              }`}>
+                                {paper.assignmentStatus}
                               </span>
                             </div>
                             <p className="text-sm text-gray-600 mb-2">{paper.abstract}</p>
-                            <div className="text-xs text-gray-500">
-                              Author: {paper.author.substring(0, 10)}...
+                            <div className="flex justify-between items-center text-xs text-gray-500">
+                              <span>Author: {displayAuthor(paper)}</span>
+                              <DeadlineBadge
+                                deadline={paper.deadline}
+                                now={chainTime}
+                                done={paper.status !== 'Under Review' || paper.assignmentStatus !== 'Awaiting Review'}
+                              />
                             </div>
+                            {paper.status === 'Under Review' && (
+                              <div className="mt-2">
+                                <RebuttalTimeline rebuttal={rebuttals[paper.id]} />
+                              </div>
+                            )}
+                            {rebuttals[paper.id] && rebuttals[paper.id].hasResponse && (
+                              rebuttalTexts[paper.id] ? (
+                                <div className="text-sm bg-indigo-50 border border-indigo-100 rounded p-2 mb-2">
+                                  <span className="text-xs font-medium text-indigo-700">Author response</span>
+                                  <p className="text-gray-700">{rebuttalTexts[paper.id]}</p>
+                                </div>
+                              ) : (
+                                <button
+                                  onClick={() => loadRebuttalText(paper.id)}
+                                  disabled={loading || !encryptionKey}
+                                  className="mb-2 text-xs bg-indigo-50 hover:bg-indigo-100 text-indigo-700 px-3 py-1 rounded disabled:opacity-50"
+                                >
+                                  📖 Read Author Response
+                                </button>
+                              )
+                            )}
+                            {paper.status === 'Under Review' &&
+                              getRebuttalPhase(rebuttals[paper.id]) === 'Score Update' &&
+                              paper.assignmentStatus === 'Score Revealed' && (
+                              <div className="space-y-2 mb-2">
+                                <ReviewFormFields
+                                  compact
+                                  criteria={getReviewCriteria(paper.venueId)}
+                                  values={updatedScores[paper.id] || {}}
+                                  onChange={(index, value) => setUpdatedScores(current => ({
+                                    ...current,
+                                    [paper.id]: { ...current[paper.id], [index]: value }
+                                  }))}
+                                />
+                                <button
+                                  onClick={() => updateMyScore(paper)}
+                                  disabled={loading}
+                                  className="text-xs bg-purple-600 hover:bg-purple-700 text-white px-3 py-1 rounded disabled:opacity-50"
+                                >
+                                  Update Score
+                                </button>
+                              </div>
+                            )}
+                            {paper.assignmentStatus === 'Updated Score Sealed' &&
+                              getRebuttalPhase(rebuttals[paper.id]) === 'Final Reveal' && (
+                              <button
+                                onClick={() => revealMyScore(paper.id)}
+                                disabled={loading}
+                                className="mt-2 text-xs bg-purple-600 hover:bg-purple-700 text-white px-3 py-1 rounded disabled:opacity-50"
+                              >
+                                🔓 Reveal Updated Score
+                              </button>
+                            )}
+                            {paper.assignmentStatus === 'Awaiting Review' && (
+                              <button
+                                onClick={() => setReviewPaperId(paper.id.toString())}
+                                className="mt-2 text-xs bg-purple-600 hover:bg-purple-700 text-white px-3 py-1 rounded"
+                              >
+                                ✍️ Review this paper
+                              </button>
+                            )}
                           </div>
                         ))}
                       </div>
@@ -1074,13 +4872,32 @@ function App() {
                 <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center">
                   <h3 className="text-lg font-medium text-gray-900">📚 Academic Papers in Review</h3>
                   <span className="text-xs text-gray-500 bg-gray-100 px-2 py-1 rounded-full">
-                    {papers.length} submissions
+                    {filteredPapers.length} submissions
                   </span>
                 </div>
                 <div className="p-6">
-                  {papers.length > 0 ? (
+                  <div className="flex gap-2 mb-4">
+                    <input
+                      type="search"
+                      placeholder="Search titles..."
+                      value={paperSearch}
+                      onChange={(e) => setPaperSearch(e.target.value)}
+                      className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm"
+                    />
+                    <select
+                      value={paperStatusFilter}
+                      onChange={(e) => setPaperStatusFilter(e.target.value)}
+                      className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+                    >
+                      <option value="">All statuses</option>
+                      {Object.entries(PAPER_STATUS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  {filteredPapers.length > 0 ? (
                     <div className="space-y-4 max-h-96 overflow-y-auto">
-                      {papers.map((paper) => (
+                      {filteredPapers.map((paper) => (
                         <div key={paper.id} className="border border-gray-200 rounded-lg p-4 hover:bg-gray-50 transition-colors">
                           <div className="flex justify-between items-start mb-3">
                             <div className="flex-1">
@@ -1092,17 +4909,33 @@ function App() {
                                   {paper.category}
                                 </span>
                                 <span className={`px-2 py-1 text-xs font-medium rounded-full ${
-                                  paper.status === 'Accepted' ? 'bg-green-100 text-green-800' :
-                                  paper.status === 'Rejected' ? 'bg-red-100 text-red-800' :
-                                  paper.status === 'Under Review' ? 'bg-yellow-100 text-yellow-800' :
-                                  'bg-gray-100 text-gray-800'
+                                  PAPER_STATUS_STYLES[paper.status] || 'bg-gray-100 text-gray-800'
                                 }`}>
                                   {paper.status}
                                 </span>
                               </div>
                             </div>
                             <div className="flex items-center gap-2">
-                              {paper.isFinalized && isConnected && (
+                              {isSelectedVenueChair && canOpenRebuttal(paper) && (
+                                <button
+                                  onClick={() => openRebuttal(paper.id)}
+                                  disabled={loading}
+                                  className="text-xs bg-indigo-50 hover:bg-indigo-100 text-indigo-700 px-2 py-1 rounded disabled:opacity-50"
+                                >
+                                  💬 Open Rebuttal
+                                </button>
+                              )}
+                              {isSelectedVenueChair && rebuttals[paper.id] && rebuttals[paper.id].hasResponse &&
+                                !rebuttalTexts[paper.id] && (
+                                <button
+                                  onClick={() => loadRebuttalText(paper.id)}
+                                  disabled={loading || !encryptionKey}
+                                  className="text-xs bg-indigo-50 hover:bg-indigo-100 text-indigo-700 px-2 py-1 rounded disabled:opacity-50"
+                                >
+                                  📖 Read Rebuttal
+                                </button>
+                              )}
+                              {paper.isFinalized && isConnected && isDecisionPhase(paper) && (
                                 <button
                                   onClick={() => revealPaperScore(paper.id)}
                                   disabled={loading}
@@ -1111,6 +4944,14 @@ function App() {
                                   🔍 Reveal Score
                                 </button>
                               )}
+                              {isIndexed && (
+                                <button
+                                  onClick={() => togglePaperTimeline(paper.id)}
+                                  className="text-xs text-indigo-600 hover:text-indigo-800"
+                                >
+                                  📜 {paperTimelines[paper.id] ? 'Hide Timeline' : 'Timeline'}
+                                </button>
+                              )}
                               <button className="text-xs text-blue-600 hover:text-blue-800">
                                 👁️ View Details
                               </button>
@@ -1119,6 +4960,113 @@ function App() {
                           
                           <p className="text-sm text-gray-600 mb-3 line-clamp-2">{paper.abstract}</p>
                           
+                          {paperTimelines[paper.id] && <PaperTimeline timeline={paperTimelines[paper.id]} />}
+                          <ReviewProgressBar progress={reviewProgress[paper.id]} />
+                          {paper.status === 'Under Review' && <RebuttalTimeline rebuttal={rebuttals[paper.id]} />}
+                          {isOverridden(paper.id) && (
+                            <p className="text-xs text-amber-800 mb-3">
+                              ⚖️ Decision overridden by a chair{overrideReasons[paper.id] && `: ${overrideReasons[paper.id]}`}
+                            </p>
+                          )}
+                          {isSelectedVenueChair && paper.isFinalized && paper.status === 'Under Review' &&
+                            isDecisionPhase(paper) && (
+                            <div className="flex gap-2 mb-3">
+                              <select
+                                value={editorialOutcomes[paper.id] || ''}
+                                onChange={(e) => setEditorialOutcomes(current => ({ ...current, [paper.id]: e.target.value }))}
+                                className="flex-1 px-2 py-1 border border-gray-300 rounded text-xs"
+                              >
+                                <option value="">Editorial decision...</option>
+                                {Object.entries(EDITORIAL_OUTCOMES).map(([value, label]) => (
+                                  <option key={value} value={value}>{label}</option>
+                                ))}
+                              </select>
+                              <button
+                                onClick={() => recordEditorialDecision(paper.id, Number(editorialOutcomes[paper.id]))}
+                                disabled={loading || !editorialOutcomes[paper.id]}
+                                className="text-xs bg-indigo-50 hover:bg-indigo-100 text-indigo-700 px-2 py-1 rounded disabled:opacity-50"
+                              >
+                                📝 Record Decision
+                              </button>
+                            </div>
+                          )}
+                          {isSelectedVenueChair && paper.status === 'Conditional Accept' && (
+                            <div className="flex gap-2 mb-3">
+                              <button
+                                onClick={() => recordEditorialDecision(paper.id, 2)}
+                                disabled={loading}
+                                className="text-xs bg-green-50 hover:bg-green-100 text-green-700 px-2 py-1 rounded disabled:opacity-50"
+                              >
+                                ✅ Conditions Met
+                              </button>
+                              <button
+                                onClick={() => recordEditorialDecision(paper.id, 3)}
+                                disabled={loading}
+                                className="text-xs bg-red-50 hover:bg-red-100 text-red-700 px-2 py-1 rounded disabled:opacity-50"
+                              >
+                                ❌ Reject
+                              </button>
+                            </div>
+                          )}
+                          {isSelectedVenueChair && canOverrideDecision(paper) && (
+                            <div className="flex gap-2 mb-3">
+                              <input
+                                placeholder="Reason for overriding the policy decision"
+                                value={overrideReasons[paper.id] || ''}
+                                onChange={(e) => setOverrideReasons(current => ({ ...current, [paper.id]: e.target.value }))}
+                                className="flex-1 px-2 py-1 border border-gray-300 rounded text-xs"
+                              />
+                              <button
+                                onClick={() => overridePaperDecision(paper)}
+                                disabled={loading}
+                                className="text-xs bg-amber-50 hover:bg-amber-100 text-amber-800 px-2 py-1 rounded disabled:opacity-50"
+                              >
+                                ⚖️ {paper.status === 'Rejected' ? 'Accept Instead' : 'Reject Instead'}
+                              </button>
+                            </div>
+                          )}
+                          {isSelectedVenueChair && DECIDED_STATUSES.includes(paper.status) && (
+                            <div className="mb-3">
+                              {paperComments[paper.id] ? (
+                                <ReviewCommentList
+                                  paperId={paper.id}
+                                  comments={paperComments[paper.id]}
+                                  reviewers={commentReviewers[paper.id]}
+                                  canRate={!demoSession}
+                                  ratingDrafts={ratingDrafts}
+                                  ratedReviews={ratedReviews}
+                                  onRatingChange={(key, value) => setRatingDrafts(current => ({ ...current, [key]: value }))}
+                                  onRate={(reviewer) => rateReviewHelpfulness(paper.id, reviewer)}
+                                  disabled={loading}
+                                />
+                              ) : (
+                                <button
+                                  onClick={() => loadReviewComments(paper.id)}
+                                  disabled={loading || !encryptionKey}
+                                  className="text-xs bg-indigo-50 hover:bg-indigo-100 text-indigo-700 px-2 py-1 rounded disabled:opacity-50"
+                                >
+                                  📖 Read & Rate Reviews
+                                </button>
+                              )}
+                            </div>
+                          )}
+                          {isConnected && DECIDED_STATUSES.includes(paper.status) && !reputationSettled[paper.id] &&
+                            !isAnonymousReview(paper.venueId) && !demoSession && (
+                            <button
+                              onClick={() => settlePaperReputation(paper.id)}
+                              disabled={loading}
+                              className="text-xs bg-amber-50 hover:bg-amber-100 text-amber-800 px-2 py-1 rounded mb-3 disabled:opacity-50"
+                            >
+                              🏅 Settle Reviewer Reputation
+                            </button>
+                          )}
+                          {isSelectedVenueChair && rebuttalTexts[paper.id] && (
+                            <div className="text-sm bg-indigo-50 border border-indigo-100 rounded p-2 mb-3">
+                              <span className="text-xs font-medium text-indigo-700">Author response</span>
+                              <p className="text-gray-700">{rebuttalTexts[paper.id]}</p>
+                            </div>
+                          )}
+                          
                           <div className="flex flex-wrap gap-1 mb-3">
                             {paper.keywords?.map((keyword, index) => (
                               <span key={index} className="text-xs bg-gray-100 text-gray-700 px-2 py-1 rounded">
@@ -1129,18 +5077,21 @@ function App() {
                           
                           <div className="flex justify-between items-center text-xs text-gray-500 pt-2 border-t border-gray-100">
                             <div className="flex items-center gap-4">
-                              <span>👨‍💼 Author: {paper.author.substring(0, 10)}...</span>
+                              <span>👨‍💼 Author: {displayAuthor(paper)}</span>
                               <span>👥 Reviewers: {paper.reviewerCount}</span>
                               <span>📅 Submitted: {paper.submissionTime.toLocaleDateString()}</span>
                             </div>
                             {paper.reviewDeadline && (
-                              <span className="text-orange-600">
-                                ⏰ Deadline: {paper.reviewDeadline.toLocaleDateString()}
-                              </span>
+                              <DeadlineBadge
+                                deadline={paper.reviewDeadline}
+                                now={chainTime}
+                                done={paper.status !== 'Under Review' || paper.isFinalized}
+                              />
                             )}
                           </div>
                           
-                          {isConnected && reviewerInfo && reviewerInfo.isVerified && paper.status === 'Under Review' && (
+                          {isConnected && roles.isReviewer && paper.status === 'Under Review' &&
+                            myAssignments.some(assignment => assignment.id === paper.id) && (
                             <div className="mt-3 pt-3 border-t border-gray-100">
                               <button 
                                 onClick={() => {
@@ -1165,6 +5116,8 @@ function App() {
                         </div>
                       ))}
                     </div>
+                  ) : displayedPapers.length > 0 ? (
+                    <p className="text-gray-500 text-center py-8">No papers match your search</p>
                   ) : (
                     <div className="text-center py-12">
                       <div className="text-gray-400 text-6xl mb-4">📄</div>
@@ -1196,7 +5149,7 @@ function App() {
             <div className="text-center">
               <h4 className="text-md font-semibold text-gray-900 mb-4">🔧 Technology Stack</h4>
               <div className="space-y-2">
-                <p className="text-sm text-gray-600">🔗 Ethereum Sepolia Testnet</p>
+                <p className="text-sm text-gray-600">🔗 Ethereum: Sepolia, fhEVM and Hardhat</p>
                 <p className="text-sm text-gray-600">🔒 Fully Homomorphic Encryption</p>
                 <p className="text-sm text-gray-600">⚛️ React.js Frontend</p>
                 <p className="text-sm text-gray-600">📄 Smart Contracts</p>
@@ -0,0 +1,139 @@
+import { ethers } from 'ethers';
+
+// Client side of the encryption backend. Both implementations expose the same async API
+// as FHECore: encrypt, add, mul, sum, average (scaled by SCORE_PRECISION), allow and decrypt,
+// with ciphertexts referenced by bytes32 handles.
+
+export const SCORE_PRECISION = 100;
+
+const UINT32_MODULUS = 2 ** 32;
+
+// Results are uint32 and wrap on overflow like the on-chain backends
+const wrapUint32 = (value) => ((value % UINT32_MODULUS) + UINT32_MODULUS) % UINT32_MODULUS;
+
+/**
+ * In-memory backend that tracks plaintexts; used for demo mode and local testing
+ * @param {string} owner Account that owns the ciphertexts it creates
+ * @returns {object} Encryption backend
+ */
+export const createMockFheBackend = (owner = ethers.ZeroAddress) => {
+  const plaintexts = new Map();
+  const allowed = new Map();
+
+  const store = (value) => {
+    const handle = ethers.hexlify(ethers.randomBytes(32));
+    plaintexts.set(handle, wrapUint32(value));
+    allowed.set(handle, new Set([owner.toLowerCase()]));
+    return handle;
+  };
+
+  const read = (handle) => {
+    if (!plaintexts.has(handle)) {
+      throw new Error('Ciphertext not found');
+    }
+    if (!allowed.get(handle).has(owner.toLowerCase())) {
+      throw new Error('Not allowed');
+    }
+    return plaintexts.get(handle);
+  };
+
+  const sumOf = (handles) => {
+    if (handles.length === 0) {
+      throw new Error('No values to aggregate');
+    }
+    return handles.reduce((total, handle) => wrapUint32(total + read(handle)), 0);
+  };
+
+  return {
+    name: 'mock',
+    async encrypt(value) {
+      return store(value);
+    },
+    async add(a, b) {
+      return store(read(a) + read(b));
+    },
+    async mul(a, b) {
+      return store(read(a) * read(b));
+    },
+    async sum(handles) {
+      return store(sumOf(handles));
+    },
+    async average(handles) {
+      const scaled = wrapUint32(sumOf(handles) * SCORE_PRECISION);
+      return store(Math.floor(scaled / handles.length));
+    },
+    async allow(handle, account) {
+      read(handle);
+      allowed.get(handle).add(account.toLowerCase());
+    },
+    async decrypt(handle) {
+      return read(handle);
+    }
+  };
+};
+
+// Handle of the ciphertext created by an FHECore transaction, taken from its events
+const resultHandle = (fheCore, receipt) => {
+  const handles = receipt.logs
+    .map(log => {
+      try {
+        return fheCore.interface.parseLog(log);
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(event => event && ['ValueEncrypted', 'HomomorphicOperation', 'ValuesAggregated'].includes(event.name))
+    .map(event => event.args[0]);
+  if (handles.length === 0) {
+    throw new Error('Transaction did not create a ciphertext');
+  }
+  return handles[handles.length - 1];
+};
+
+/**
+ * Backend that computes through a deployed FHECore contract (mock or TFHE underneath)
+ * @param {ethers.Contract} fheCore FHECore contract connected to a signer
+ * @returns {object} Encryption backend
+ */
+export const createFheCoreBackend = (fheCore) => {
+  const send = async (method, ...args) => {
+    const tx = await fheCore[method](...args);
+    return resultHandle(fheCore, await tx.wait());
+  };
+
+  return {
+    name: 'fhecore',
+    encrypt: (value) => send('encryptValue', value),
+    add: (a, b) => send('homomorphicAdd', a, b),
+    mul: (a, b) => send('homomorphicMul', a, b),
+    sum: (handles) => send('sum', handles),
+    average: (handles) => send('average', handles),
+    async allow(handle, account) {
+      const tx = await fheCore.allow(handle, account);
+      await tx.wait();
+    },
+    async decrypt(handle) {
+      return Number(await fheCore.decryptValue(handle));
+    }
+  };
+};
+
+/**
+ * Backend selected by REACT_APP_ENCRYPTION_BACKEND ('fhecore' by default, or 'mock')
+ * @param {{ fheCore?: ethers.Contract, account?: string, type?: string }} options Backend options
+ * @returns {object|null} Encryption backend, or null if FHECore is not deployed
+ */
+export const createEncryptionBackend = ({
+  fheCore,
+  account,
+  type = process.env.REACT_APP_ENCRYPTION_BACKEND || 'fhecore'
+}) => {
+  switch (type) {
+    case 'mock':
+      return createMockFheBackend(account);
+    case 'fhecore':
+      return fheCore ? createFheCoreBackend(fheCore) : null;
+    default:
+      throw new Error(`Unknown encryption backend: ${type}`);
+  }
+};
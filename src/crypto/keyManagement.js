@@ -0,0 +1,154 @@
+import { ethers } from 'ethers';
+
+// Review encryption keys are derived from a wallet signature, so the same wallet always
+// recovers the same keypair without storing a private key anywhere. Backups let users
+// move the key to wallets that do not produce deterministic signatures.
+
+const KEY_DERIVATION_VERSION = 1;
+const BACKUP_VERSION = 1;
+const BACKUP_KDF_ITERATIONS = 310000;
+const SECP256K1_ORDER = ethers.toBigInt('0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141');
+
+const subtle = () => {
+  if (typeof window === 'undefined' || !window.crypto || !window.crypto.subtle) {
+    throw new Error('Web Crypto is not available in this environment');
+  }
+  return window.crypto.subtle;
+};
+
+/**
+ * Build the keypair for a secp256k1 private key
+ * @param {string} privateKey Hex private key
+ * @returns {{ privateKey: string, publicKey: string }} Private key and compressed public key
+ */
+export const keyPairFromPrivateKey = (privateKey) => {
+  const signingKey = new ethers.SigningKey(privateKey);
+  return { privateKey: signingKey.privateKey, publicKey: signingKey.compressedPublicKey };
+};
+
+/**
+ * Message the wallet signs to derive its encryption key
+ * @param {string} account Wallet address
+ * @param {string} keyRegistryAddress Registry the public key is published to
+ * @returns {string} Human-readable message
+ */
+export const keyDerivationMessage = (account, keyRegistryAddress) => [
+  'Academic Peer Review encryption key',
+  '',
+  'Sign this message to unlock the key that encrypts and decrypts your review comments.',
+  'It does not send a transaction or cost gas. Only sign it on this application.',
+  '',
+  `Account: ${ethers.getAddress(account)}`,
+  `Key registry: ${keyRegistryAddress}`,
+  `Version: ${KEY_DERIVATION_VERSION}`
+].join('\n');
+
+/**
+ * Derive an encryption keypair from a wallet signature
+ * @param {string} signature Signature over keyDerivationMessage
+ * @returns {{ privateKey: string, publicKey: string }} Derived keypair
+ */
+export const deriveKeyFromSignature = (signature) => {
+  // Hash the signature with a counter until it lands in the curve's scalar range
+  for (let counter = 0; ; counter++) {
+    const candidate = ethers.sha256(ethers.concat([
+      ethers.toUtf8Bytes(`review-encryption-key-v${KEY_DERIVATION_VERSION}`),
+      ethers.toBeHex(counter, 4),
+      signature
+    ]));
+    const scalar = ethers.toBigInt(candidate);
+    if (scalar > 0n && scalar < SECP256K1_ORDER) {
+      return keyPairFromPrivateKey(candidate);
+    }
+  }
+};
+
+/**
+ * Ask the wallet to sign the derivation message and derive the keypair
+ * @param {ethers.Signer} signer Connected wallet
+ * @param {string} keyRegistryAddress Registry the public key is published to
+ * @returns {Promise<{ privateKey: string, publicKey: string }>} Derived keypair
+ */
+export const deriveEncryptionKey = async (signer, keyRegistryAddress) => {
+  const account = await signer.getAddress();
+  const signature = await signer.signMessage(keyDerivationMessage(account, keyRegistryAddress));
+  return deriveKeyFromSignature(signature);
+};
+
+const passphraseKey = async (passphrase, salt) => {
+  const baseKey = await subtle().importKey(
+    'raw',
+    ethers.toUtf8Bytes(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+  return subtle().deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations: BACKUP_KDF_ITERATIONS },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+/**
+ * Encrypt a keypair with a passphrase for export
+ * @param {{ privateKey: string, publicKey: string }} keyPair Keypair to back up
+ * @param {string} account Wallet address the key belongs to
+ * @param {string} passphrase Backup passphrase
+ * @returns {Promise<string>} JSON backup file contents
+ */
+export const exportKeyBackup = async (keyPair, account, passphrase) => {
+  if (!passphrase) {
+    throw new Error('A backup passphrase is required');
+  }
+
+  const salt = ethers.randomBytes(16);
+  const iv = ethers.randomBytes(12);
+  const ciphertext = await subtle().encrypt(
+    { name: 'AES-GCM', iv },
+    await passphraseKey(passphrase, salt),
+    ethers.getBytes(keyPair.privateKey)
+  );
+
+  return JSON.stringify({
+    version: BACKUP_VERSION,
+    account: ethers.getAddress(account),
+    publicKey: keyPair.publicKey,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: BACKUP_KDF_ITERATIONS, salt: ethers.hexlify(salt) },
+    cipher: { name: 'AES-GCM', iv: ethers.hexlify(iv) },
+    ciphertext: ethers.hexlify(new Uint8Array(ciphertext))
+  }, null, 2);
+};
+
+/**
+ * Decrypt a backup created by exportKeyBackup
+ * @param {string} backupJson JSON backup file contents
+ * @param {string} passphrase Backup passphrase
+ * @returns {Promise<{ account: string, privateKey: string, publicKey: string }>} Restored keypair
+ */
+export const importKeyBackup = async (backupJson, passphrase) => {
+  const backup = JSON.parse(backupJson);
+  if (backup.version !== BACKUP_VERSION || !backup.kdf || backup.kdf.name !== 'PBKDF2') {
+    throw new Error('Unsupported key backup format');
+  }
+
+  let privateKey;
+  try {
+    const plaintext = await subtle().decrypt(
+      { name: 'AES-GCM', iv: ethers.getBytes(backup.cipher.iv) },
+      await passphraseKey(passphrase, ethers.getBytes(backup.kdf.salt)),
+      ethers.getBytes(backup.ciphertext)
+    );
+    privateKey = ethers.hexlify(new Uint8Array(plaintext));
+  } catch (error) {
+    throw new Error('Wrong passphrase or corrupted backup');
+  }
+
+  const keyPair = keyPairFromPrivateKey(privateKey);
+  if (keyPair.publicKey !== backup.publicKey) {
+    throw new Error('Backup public key does not match its private key');
+  }
+  return { account: backup.account, ...keyPair };
+};
@@ -0,0 +1,76 @@
+/**
+ * @jest-environment node
+ */
+import { ethers } from 'ethers';
+import {
+  keyPairFromPrivateKey,
+  keyDerivationMessage,
+  deriveKeyFromSignature,
+  deriveEncryptionKey,
+  exportKeyBackup,
+  importKeyBackup
+} from './keyManagement';
+
+describe('keyManagement', () => {
+  const KEY_REGISTRY = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+  // Fixed keys, so the wallet's deterministic signatures can be compared across runs
+  const wallet = new ethers.Wallet('0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d');
+  const otherWallet = new ethers.Wallet('0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a');
+
+  describe('key derivation', () => {
+    it('Should derive the same keypair from the same wallet every time', async () => {
+      const first = await deriveEncryptionKey(wallet, KEY_REGISTRY);
+      const second = await deriveEncryptionKey(wallet, KEY_REGISTRY);
+
+      expect(second).toEqual(first);
+      expect(keyPairFromPrivateKey(first.privateKey)).toEqual(first);
+      const signature = await wallet.signMessage(keyDerivationMessage(wallet.address, KEY_REGISTRY));
+      expect(deriveKeyFromSignature(signature)).toEqual(first);
+    });
+
+    it('Should derive different keypairs for other wallets and registries', async () => {
+      const key = await deriveEncryptionKey(wallet, KEY_REGISTRY);
+      const otherKey = await deriveEncryptionKey(otherWallet, KEY_REGISTRY);
+      const otherRegistryKey = await deriveEncryptionKey(wallet, otherWallet.address);
+
+      expect(otherKey.privateKey).not.toBe(key.privateKey);
+      expect(otherRegistryKey.privateKey).not.toBe(key.privateKey);
+      // The encryption key is not the wallet key itself
+      expect(key.privateKey).not.toBe(wallet.privateKey);
+    });
+
+    it('Should name the account and registry in the message the wallet signs', () => {
+      const message = keyDerivationMessage(wallet.address.toLowerCase(), KEY_REGISTRY);
+      expect(message).toContain(`Account: ${wallet.address}`);
+      expect(message).toContain(`Key registry: ${KEY_REGISTRY}`);
+    });
+  });
+
+  describe('backups', () => {
+    const keyPair = keyPairFromPrivateKey(ethers.Wallet.createRandom().privateKey);
+
+    it('Should restore an exported keypair with its passphrase', async () => {
+      const backup = await exportKeyBackup(keyPair, wallet.address, 'correct horse battery staple');
+
+      expect(backup).not.toContain(keyPair.privateKey.slice(2));
+      await expect(importKeyBackup(backup, 'correct horse battery staple')).resolves.toEqual({
+        account: wallet.address,
+        ...keyPair
+      });
+    });
+
+    it('Should not restore a backup with the wrong passphrase', async () => {
+      const backup = await exportKeyBackup(keyPair, wallet.address, 'correct horse battery staple');
+      await expect(importKeyBackup(backup, 'incorrect horse battery staple'))
+        .rejects.toThrow('Wrong passphrase or corrupted backup');
+    });
+
+    it('Should reject backups without a passphrase or in another format', async () => {
+      await expect(exportKeyBackup(keyPair, wallet.address, '')).rejects.toThrow('A backup passphrase is required');
+
+      const backup = JSON.parse(await exportKeyBackup(keyPair, wallet.address, 'passphrase'));
+      await expect(importKeyBackup(JSON.stringify({ ...backup, version: 2 }), 'passphrase'))
+        .rejects.toThrow('Unsupported key backup format');
+    });
+  });
+});
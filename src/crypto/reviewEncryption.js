@@ -0,0 +1,110 @@
+import { ethers } from 'ethers';
+
+// Hybrid encryption for review comments: the text is encrypted once with a random
+// AES-256-GCM content key, and that key is wrapped for every recipient with ECIES
+// over secp256k1 (ephemeral ECDH + AES-256-GCM).
+
+const ENVELOPE_VERSION = 1;
+const ENVELOPE_ALGORITHM = 'ecies-secp256k1-aes256gcm';
+const IV_LENGTH = 12;
+
+const subtle = () => {
+  if (typeof window === 'undefined' || !window.crypto || !window.crypto.subtle) {
+    throw new Error('Web Crypto is not available in this environment');
+  }
+  return window.crypto.subtle;
+};
+
+const aesEncrypt = async (keyBytes, plaintext) => {
+  const iv = ethers.randomBytes(IV_LENGTH);
+  const key = await subtle().importKey('raw', keyBytes, 'AES-GCM', false, ['encrypt']);
+  const ciphertext = await subtle().encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+  return { iv: ethers.hexlify(iv), ciphertext: ethers.hexlify(new Uint8Array(ciphertext)) };
+};
+
+const aesDecrypt = async (keyBytes, { iv, ciphertext }) => {
+  const key = await subtle().importKey('raw', keyBytes, 'AES-GCM', false, ['decrypt']);
+  const plaintext = await subtle().decrypt(
+    { name: 'AES-GCM', iv: ethers.getBytes(iv) },
+    key,
+    ethers.getBytes(ciphertext)
+  );
+  return new Uint8Array(plaintext);
+};
+
+// Key-wrapping key from the shared point's x coordinate, bound to both public keys
+const deriveWrappingKey = (sharedSecret, ephemeralPublicKey, recipientPublicKey) =>
+  ethers.getBytes(ethers.sha256(ethers.concat([
+    ethers.dataSlice(sharedSecret, 1, 33),
+    ephemeralPublicKey,
+    recipientPublicKey
+  ])));
+
+const compressPublicKey = (publicKey) => ethers.SigningKey.computePublicKey(publicKey, true);
+
+/**
+ * Encrypt text so that any of the recipients can decrypt it
+ * @param {string} plaintext Text to encrypt
+ * @param {string[]} recipientPublicKeys secp256k1 public keys, compressed or not
+ * @returns {Promise<object>} Envelope to serialize into the content store
+ */
+export const encryptForRecipients = async (plaintext, recipientPublicKeys) => {
+  const publicKeys = [...new Set(recipientPublicKeys.map(compressPublicKey))];
+  if (publicKeys.length === 0) {
+    throw new Error('At least one recipient is required');
+  }
+
+  const contentKey = ethers.randomBytes(32);
+  const payload = await aesEncrypt(contentKey, ethers.toUtf8Bytes(plaintext));
+
+  const recipients = await Promise.all(publicKeys.map(async (publicKey) => {
+    const ephemeral = new ethers.SigningKey(ethers.randomBytes(32));
+    const ephemeralPublicKey = ephemeral.compressedPublicKey;
+    const wrappingKey = deriveWrappingKey(
+      ephemeral.computeSharedSecret(publicKey),
+      ephemeralPublicKey,
+      publicKey
+    );
+    const wrapped = await aesEncrypt(wrappingKey, contentKey);
+    return { publicKey, ephemeralPublicKey, iv: wrapped.iv, wrappedKey: wrapped.ciphertext };
+  }));
+
+  return {
+    version: ENVELOPE_VERSION,
+    algorithm: ENVELOPE_ALGORITHM,
+    iv: payload.iv,
+    ciphertext: payload.ciphertext,
+    recipients
+  };
+};
+
+/**
+ * Decrypt an envelope with one of its recipients' private keys
+ * @param {object} envelope Envelope produced by encryptForRecipients
+ * @param {string} privateKey Recipient's hex private key
+ * @returns {Promise<string>} Decrypted text
+ */
+export const decryptEnvelope = async (envelope, privateKey) => {
+  if (envelope.version !== ENVELOPE_VERSION || envelope.algorithm !== ENVELOPE_ALGORITHM) {
+    throw new Error('Unsupported envelope format');
+  }
+
+  const signingKey = new ethers.SigningKey(privateKey);
+  const publicKey = signingKey.compressedPublicKey;
+  const recipient = envelope.recipients.find(entry => entry.publicKey === publicKey);
+  if (!recipient) {
+    throw new Error('Envelope is not encrypted to this key');
+  }
+
+  const wrappingKey = deriveWrappingKey(
+    signingKey.computeSharedSecret(recipient.ephemeralPublicKey),
+    recipient.ephemeralPublicKey,
+    publicKey
+  );
+  const contentKey = await aesDecrypt(wrappingKey, { iv: recipient.iv, ciphertext: recipient.wrappedKey });
+  return ethers.toUtf8String(await aesDecrypt(contentKey, envelope));
+};
+
+export const serializeEnvelope = (envelope) => ethers.toUtf8Bytes(JSON.stringify(envelope));
+
+export const parseEnvelope = (bytes) => JSON.parse(ethers.toUtf8String(bytes));
@@ -0,0 +1,53 @@
+/**
+ * @jest-environment node
+ */
+import { ethers } from 'ethers';
+import { encryptForRecipients, decryptEnvelope, serializeEnvelope, parseEnvelope } from './reviewEncryption';
+
+describe('reviewEncryption', () => {
+  const author = ethers.Wallet.createRandom();
+  const chair = ethers.Wallet.createRandom();
+  const outsider = ethers.Wallet.createRandom();
+  const comments = 'The evaluation needs a larger dataset. Überzeugend otherwise ✓';
+
+  it('Should decrypt for every recipient after a round trip through the content store', async () => {
+    const envelope = await encryptForRecipients(comments, [author.publicKey, chair.signingKey.compressedPublicKey]);
+    const stored = parseEnvelope(serializeEnvelope(envelope));
+
+    expect(stored.recipients).toHaveLength(2);
+    expect(stored.ciphertext).not.toContain(ethers.hexlify(ethers.toUtf8Bytes(comments)).slice(2));
+    await expect(decryptEnvelope(stored, author.privateKey)).resolves.toBe(comments);
+    await expect(decryptEnvelope(stored, chair.privateKey)).resolves.toBe(comments);
+  });
+
+  it('Should wrap the key once per recipient however the public key is encoded', async () => {
+    const envelope = await encryptForRecipients(comments, [author.publicKey, author.signingKey.compressedPublicKey]);
+    expect(envelope.recipients).toHaveLength(1);
+    await expect(encryptForRecipients(comments, [])).rejects.toThrow('At least one recipient is required');
+  });
+
+  it('Should not decrypt for keys the envelope was not encrypted to', async () => {
+    const envelope = await encryptForRecipients(comments, [author.publicKey]);
+    await expect(decryptEnvelope(envelope, outsider.privateKey)).rejects.toThrow('Envelope is not encrypted to this key');
+  });
+
+  it('Should reject a tampered ciphertext or wrapped key', async () => {
+    const envelope = await encryptForRecipients(comments, [author.publicKey]);
+    const flipLastByte = (hex) => ethers.hexlify(ethers.getBytes(hex).map((byte, i, bytes) => (
+      i === bytes.length - 1 ? byte ^ 1 : byte
+    )));
+
+    const tamperedText = { ...envelope, ciphertext: flipLastByte(envelope.ciphertext) };
+    await expect(decryptEnvelope(tamperedText, author.privateKey)).rejects.toThrow();
+
+    const [recipient] = envelope.recipients;
+    const tamperedKey = { ...envelope, recipients: [{ ...recipient, wrappedKey: flipLastByte(recipient.wrappedKey) }] };
+    await expect(decryptEnvelope(tamperedKey, author.privateKey)).rejects.toThrow();
+  });
+
+  it('Should reject envelopes in another format', async () => {
+    const envelope = await encryptForRecipients(comments, [author.publicKey]);
+    await expect(decryptEnvelope({ ...envelope, version: 2 }, author.privateKey))
+      .rejects.toThrow('Unsupported envelope format');
+  });
+});
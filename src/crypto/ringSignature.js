@@ -0,0 +1,187 @@
+import { ethers } from 'ethers';
+
+// Linkable ring signatures over alt_bn128, matching contracts/RingSignature.sol. A reviewer
+// ring-signs a per-paper pseudonym with the keys of the paper's whole panel, so the contract
+// learns that some assigned reviewer registered it but not which one. Everything here runs
+// locally; the ring secret never leaves the browser.
+
+const RING_KEY_VERSION = 1;
+const FIELD_MODULUS = ethers.toBigInt('0x30644e72e131a029b85045b68181585d97816a916871ca8d3c208c16d87cfd47');
+const GROUP_ORDER = ethers.toBigInt('0x30644e72e131a029b85045b68181585d2833e84879b9709143e1f593f0000001');
+const GENERATOR = { x: 1n, y: 2n };
+
+const mod = (value, modulus = FIELD_MODULUS) => {
+  const result = value % modulus;
+  return result >= 0n ? result : result + modulus;
+};
+
+const modPow = (base, exponent, modulus = FIELD_MODULUS) => {
+  let result = 1n;
+  let power = mod(base, modulus);
+  for (let e = exponent; e > 0n; e >>= 1n) {
+    if (e & 1n) result = (result * power) % modulus;
+    power = (power * power) % modulus;
+  }
+  return result;
+};
+
+// Points are affine { x, y } with null for the point at infinity, which the precompiles encode as (0, 0)
+const encodePoint = (point) => point || { x: 0n, y: 0n };
+
+// Jacobian doubling and addition for y^2 = x^3 + 3, avoiding a field inversion per step
+const doubleJacobian = ([x, y, z]) => {
+  if (y === 0n) return [0n, 1n, 0n];
+  const a = mod(x * x);
+  const b = mod(y * y);
+  const c = mod(b * b);
+  const d = mod(2n * (mod((x + b) * (x + b)) - a - c));
+  const e = mod(3n * a);
+  const x3 = mod(e * e - 2n * d);
+  return [x3, mod(e * (d - x3) - 8n * c), mod(2n * y * z)];
+};
+
+const addJacobian = (p, q) => {
+  if (p[2] === 0n) return q;
+  if (q[2] === 0n) return p;
+  const [x1, y1, z1] = p;
+  const [x2, y2, z2] = q;
+  const z1z1 = mod(z1 * z1);
+  const z2z2 = mod(z2 * z2);
+  const u1 = mod(x1 * z2z2);
+  const u2 = mod(x2 * z1z1);
+  const s1 = mod(y1 * z2 * z2z2);
+  const s2 = mod(y2 * z1 * z1z1);
+  if (u1 === u2) {
+    return s1 === s2 ? doubleJacobian(p) : [0n, 1n, 0n];
+  }
+  const h = mod(u2 - u1);
+  const r = mod(s2 - s1);
+  const h2 = mod(h * h);
+  const h3 = mod(h * h2);
+  const u1h2 = mod(u1 * h2);
+  const x3 = mod(r * r - h3 - 2n * u1h2);
+  return [x3, mod(r * (u1h2 - x3) - s1 * h3), mod(h * z1 * z2)];
+};
+
+const toJacobian = (point) => point ? [point.x, point.y, 1n] : [0n, 1n, 0n];
+
+const toAffine = ([x, y, z]) => {
+  if (z === 0n) return null;
+  const zInverse = modPow(z, FIELD_MODULUS - 2n);
+  const zInverse2 = mod(zInverse * zInverse);
+  return { x: mod(x * zInverse2), y: mod(y * zInverse2 * zInverse) };
+};
+
+const addPoints = (a, b) => toAffine(addJacobian(toJacobian(a), toJacobian(b)));
+
+const multiplyPoint = (point, scalar) => {
+  let result = [0n, 1n, 0n];
+  let addend = toJacobian(point);
+  for (let k = mod(scalar, GROUP_ORDER); k > 0n; k >>= 1n) {
+    if (k & 1n) result = addJacobian(result, addend);
+    addend = doubleJacobian(addend);
+  }
+  return toAffine(result);
+};
+
+const hashToPoint = (domain, publicKey) => {
+  let x = mod(ethers.toBigInt(ethers.solidityPackedKeccak256(
+    ['uint256', 'uint256', 'uint256'],
+    [domain, publicKey.x, publicKey.y]
+  )));
+  for (;;) {
+    const rhs = mod(x * x * x + 3n);
+    const y = modPow(rhs, (FIELD_MODULUS + 1n) / 4n);
+    if (mod(y * y) === rhs) return { x, y };
+    x = mod(x + 1n);
+  }
+};
+
+const challenge = (message, l, r) => {
+  const [lp, rp] = [encodePoint(l), encodePoint(r)];
+  return mod(ethers.toBigInt(ethers.solidityPackedKeccak256(
+    ['bytes32', 'uint256', 'uint256', 'uint256', 'uint256'],
+    [message, lp.x, lp.y, rp.x, rp.y]
+  )), GROUP_ORDER);
+};
+
+// 48 random bytes reduced modulo the group order leave no practical bias
+const randomScalar = () => mod(ethers.toBigInt(ethers.randomBytes(48)), GROUP_ORDER);
+
+const samePoint = (a, b) => a.x === b.x && a.y === b.y;
+
+/**
+ * Derive a reviewer's ring key from their encryption private key
+ * @param {string} encryptionPrivateKey Hex private key from keyManagement
+ * @returns {{ secret: bigint, publicKey: { x: bigint, y: bigint } }} Ring secret and public key
+ */
+export const deriveRingKey = (encryptionPrivateKey) => {
+  // Hash with a counter until the scalar is non-zero
+  for (let counter = 0; ; counter++) {
+    const secret = mod(ethers.toBigInt(ethers.keccak256(ethers.concat([
+      ethers.toUtf8Bytes(`review-ring-key-v${RING_KEY_VERSION}`),
+      ethers.toBeHex(counter, 4),
+      encryptionPrivateKey
+    ]))), GROUP_ORDER);
+    if (secret > 0n) {
+      return { secret, publicKey: multiplyPoint(GENERATOR, secret) };
+    }
+  }
+};
+
+/**
+ * Pseudonym account a reviewer uses for one paper; derived, so it never needs to be stored
+ * @param {bigint} ringSecret Secret from deriveRingKey
+ * @param {number|bigint} paperId Paper ID
+ * @returns {ethers.Wallet} Pseudonym wallet, not connected to a provider
+ */
+export const derivePseudonymWallet = (ringSecret, paperId) => new ethers.Wallet(
+  ethers.solidityPackedKeccak256(
+    ['string', 'uint256', 'uint256'],
+    [`review-pseudonym-v${RING_KEY_VERSION}`, ringSecret, paperId]
+  )
+);
+
+/**
+ * Ring-sign a message as one member of the ring
+ * @param {string} message Message hash, e.g. pseudonymMessage(paperId, pseudonym)
+ * @param {number|bigint} domain Domain the key image is bound to (the paper ID)
+ * @param {Array<{ x: bigint, y: bigint }>} ring Public keys in the contract's ring order
+ * @param {bigint} secret Signer's ring secret; its public key must be in the ring
+ * @returns {{ keyImage: { x: bigint, y: bigint }, c0: bigint, s: bigint[] }} Signature for the contract
+ */
+export const signRing = (message, domain, ring, secret) => {
+  const members = ring.map(key => ({ x: ethers.toBigInt(key.x), y: ethers.toBigInt(key.y) }));
+  const signerIndex = members.findIndex(key => samePoint(key, multiplyPoint(GENERATOR, secret)));
+  if (signerIndex === -1) {
+    throw new Error('Your ring key is not on this paper\'s panel');
+  }
+
+  const bases = members.map(key => hashToPoint(domain, key));
+  const keyImage = multiplyPoint(bases[signerIndex], secret);
+  const challenges = new Array(members.length);
+  const responses = new Array(members.length);
+
+  // Start the ring right after the signer and close it with the signer's response
+  const alpha = randomScalar();
+  let next = (signerIndex + 1) % members.length;
+  challenges[next] = challenge(message, multiplyPoint(GENERATOR, alpha), multiplyPoint(bases[signerIndex], alpha));
+  for (let i = next; i !== signerIndex; i = next) {
+    responses[i] = randomScalar();
+    const l = addPoints(multiplyPoint(GENERATOR, responses[i]), multiplyPoint(members[i], challenges[i]));
+    const r = addPoints(multiplyPoint(bases[i], responses[i]), multiplyPoint(keyImage, challenges[i]));
+    next = (i + 1) % members.length;
+    challenges[next] = challenge(message, l, r);
+  }
+  responses[signerIndex] = mod(alpha - challenges[signerIndex] * secret, GROUP_ORDER);
+
+  return { keyImage, c0: challenges[0], s: responses };
+};
+
+/**
+ * Nullifier the contract records for a signature's key image
+ * @param {{ x: bigint, y: bigint }} keyImage Key image from signRing
+ * @returns {string} Nullifier hash
+ */
+export const keyImageNullifier = (keyImage) =>
+  ethers.solidityPackedKeccak256(['uint256', 'uint256'], [keyImage.x, keyImage.y]);
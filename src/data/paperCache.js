@@ -0,0 +1,108 @@
+// Papers read from the review contract, cached for the lifetime of the page. The first load
+// pages through every paper; later loads refetch only new papers and those the contract
+// emitted an event about since the last load, so refreshing after a transaction costs one
+// log query instead of two calls per paper.
+
+// Paper IDs requested per getAllPapers call
+export const PAPER_PAGE_SIZE = 50;
+
+// Block ranges wider than this are cheaper to reload than to scan for events, and public
+// RPC endpoints commonly cap log queries around this size
+const MAX_LOG_RANGE = 5000;
+
+// `formatPaper` converts a Paper struct from getPaper into the shape the UI uses
+export const createPaperCache = (formatPaper) => {
+  const entries = new Map();
+  let contractAddress = null;
+  let syncedBlock = null;
+
+  const fetchEntry = async (contract, paperId) => {
+    const [paper, progress] = await Promise.all([
+      contract.getPaper(paperId),
+      contract.getReviewProgress(paperId)
+    ]);
+    return {
+      paper: formatPaper(paper),
+      progress: { submitted: Number(progress.submitted), required: Number(progress.required) }
+    };
+  };
+
+  // IDs of the papers the contract emitted events about between the two blocks, or null
+  // when the range cannot be scanned, e.g. after the chain was reset, or holds an event the
+  // ABI does not describe and so might concern any paper
+  const changedPaperIds = async (contract, fromBlock, toBlock) => {
+    if (toBlock < fromBlock - 1 || toBlock - fromBlock + 1 > MAX_LOG_RANGE) return null;
+    if (toBlock < fromBlock) return new Set();
+    try {
+      const logs = await contract.runner.provider.getLogs({
+        address: contract.target,
+        fromBlock,
+        toBlock
+      });
+      const changed = new Set();
+      for (const log of logs) {
+        const event = contract.interface.parseLog(log);
+        if (!event) return null;
+        if (event.args.paperId !== undefined) {
+          changed.add(Number(event.args.paperId));
+        }
+      }
+      return changed;
+    } catch (error) {
+      console.log('Could not scan paper events:', error.message);
+      return null;
+    }
+  };
+
+  // Every paper ID on-chain, one getAllPapers page at a time
+  const fetchPaperIds = async (contract, paperCount) => {
+    const paperIds = [];
+    for (let offset = 0; offset < paperCount; offset += PAPER_PAGE_SIZE) {
+      const page = await contract.getAllPapers(offset, PAPER_PAGE_SIZE);
+      paperIds.push(...page.map(Number));
+    }
+    return paperIds;
+  };
+
+  return {
+    // All papers with their review progress, ordered by ID
+    async load(contract) {
+      if (contract.target !== contractAddress) {
+        entries.clear();
+        contractAddress = contract.target;
+        syncedBlock = null;
+      }
+
+      const latestBlock = await contract.runner.provider.getBlockNumber();
+      const paperCount = Number(await contract.paperCount());
+      const changed = syncedBlock === null
+        ? null
+        : await changedPaperIds(contract, syncedBlock + 1, latestBlock);
+      const paperIds = entries.size === paperCount && changed !== null
+        ? [...entries.keys()]
+        : await fetchPaperIds(contract, paperCount);
+
+      await Promise.all(paperIds
+        .filter(paperId => !entries.has(paperId) || changed === null || changed.has(paperId))
+        .map(async (paperId) => {
+          entries.set(paperId, await fetchEntry(contract, paperId));
+        }));
+      syncedBlock = latestBlock;
+
+      return paperIds
+        .sort((a, b) => a - b)
+        .map(paperId => entries.get(paperId));
+    },
+
+    // A single paper, from the cache when it has been loaded
+    async get(contract, paperId) {
+      if (contract.target !== contractAddress) {
+        return fetchEntry(contract, paperId);
+      }
+      if (!entries.has(Number(paperId))) {
+        entries.set(Number(paperId), await fetchEntry(contract, paperId));
+      }
+      return entries.get(Number(paperId));
+    }
+  };
+};
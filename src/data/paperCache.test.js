@@ -0,0 +1,112 @@
+/**
+ * @jest-environment node
+ */
+import { ethers } from 'ethers';
+import { createPaperCache } from './paperCache';
+
+const ABI = [
+  "event PaperStatusChanged(uint256 indexed paperId, uint8 newStatus)",
+  "event ReviewerRegistered(address indexed reviewer, string expertise)"
+];
+const CONTRACT_ADDRESS = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const REVIEWER = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+// Review contract with `paperCount` papers whose getPaper calls are counted, and logs
+// added with emit or emitUnknown at the next block
+const createContract = (paperCount) => {
+  const iface = new ethers.Interface(ABI);
+  const statuses = Array(paperCount).fill(0);
+  const logs = [];
+  let blockNumber = 10;
+  const fetched = [];
+
+  const addLog = (log) => {
+    blockNumber++;
+    logs.push({ ...log, address: CONTRACT_ADDRESS, blockNumber });
+  };
+
+  return {
+    target: CONTRACT_ADDRESS,
+    interface: iface,
+    fetched,
+    runner: {
+      provider: {
+        getBlockNumber: async () => blockNumber,
+        getLogs: async ({ fromBlock, toBlock }) =>
+          logs.filter(log => log.blockNumber >= fromBlock && log.blockNumber <= toBlock)
+      }
+    },
+    paperCount: async () => ethers.toBigInt(statuses.length),
+    getAllPapers: async (offset, limit) =>
+      statuses.slice(offset, offset + limit).map((_, index) => ethers.toBigInt(offset + index + 1)),
+    getPaper: async (paperId) => {
+      fetched.push(Number(paperId));
+      return { paperId: ethers.toBigInt(paperId), status: statuses[Number(paperId) - 1] };
+    },
+    getReviewProgress: async () => ({ submitted: 0n, required: 3n }),
+    submitPaper() {
+      statuses.push(0);
+      addLog(iface.encodeEventLog('PaperStatusChanged', [statuses.length, 0]));
+    },
+    setStatus(paperId, status) {
+      statuses[paperId - 1] = status;
+      addLog(iface.encodeEventLog('PaperStatusChanged', [paperId, status]));
+    },
+    emit(name, values) {
+      addLog(iface.encodeEventLog(name, values));
+    },
+    // An event the app's ABI does not describe
+    emitUnknown() {
+      addLog({ topics: [ethers.id('PaperRenamed(uint256,string)'), ethers.toBeHex(1, 32)], data: '0x' });
+    }
+  };
+};
+
+describe('paperCache', () => {
+  const formatPaper = (paper) => ({ id: Number(paper.paperId), status: paper.status });
+  let contract;
+  let cache;
+
+  beforeEach(async () => {
+    contract = createContract(3);
+    cache = createPaperCache(formatPaper);
+    await cache.load(contract);
+    contract.fetched.length = 0;
+  });
+
+  it('Should load every paper the first time', async () => {
+    const entries = await createPaperCache(formatPaper).load(contract);
+    expect(entries.map(entry => entry.paper.id)).toEqual([1, 2, 3]);
+    expect(entries[0].progress).toEqual({ submitted: 0, required: 3 });
+  });
+
+  it('Should refetch only the papers with new events', async () => {
+    contract.setStatus(2, 4);
+    const entries = await cache.load(contract);
+
+    expect(contract.fetched).toEqual([2]);
+    expect(entries.map(entry => entry.paper.status)).toEqual([0, 4, 0]);
+  });
+
+  it('Should fetch new papers and keep unchanged ones', async () => {
+    contract.submitPaper();
+    const entries = await cache.load(contract);
+
+    expect(contract.fetched).toEqual([4]);
+    expect(entries.map(entry => entry.paper.id)).toEqual([1, 2, 3, 4]);
+  });
+
+  it('Should not refetch papers for events about no paper', async () => {
+    contract.emit('ReviewerRegistered', [REVIEWER, 'Cryptography']);
+    await cache.load(contract);
+
+    expect(contract.fetched).toEqual([]);
+  });
+
+  it('Should refetch every paper when a log cannot be parsed', async () => {
+    contract.emitUnknown();
+    await cache.load(contract);
+
+    expect(contract.fetched.sort()).toEqual([1, 2, 3]);
+  });
+});
@@ -0,0 +1,64 @@
+// Live updates from the review contract's events. One subscription covers every event the
+// contract emits, and events arriving close together are reported as one batch, so a
+// transaction that emits several of them, or a burst of blocks, triggers a single refresh.
+
+// Events that change a paper card, a dashboard or someone's review assignments
+export const PAPER_EVENTS = [
+  'PaperSubmitted',
+  'ReviewerAssigned',
+  'ReviewReassigned',
+  'ReviewDeadlineExtended',
+  'ReviewSubmitted',
+  'ReviewScoreRevealed',
+  'ReviewsFinalized',
+  'ScoreRevealed',
+  'PaperStatusChanged'
+];
+
+// How long to wait for further events before reporting a batch, in milliseconds
+const BATCH_DELAY = 500;
+
+// Call `onEvents` with each batch of paper events as [{ name, paperId, args }], in the order
+// they were emitted. Returns a function that unsubscribes
+export const subscribeToPaperEvents = (contract, onEvents) => {
+  let pending = [];
+  let timer = null;
+  // Position of the last reported event; polling providers can deliver a log more than once
+  let reported = { blockNumber: -1, logIndex: -1 };
+
+  const compare = (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+
+  const flush = () => {
+    const batch = pending.sort(compare);
+    pending = [];
+    reported = batch[batch.length - 1];
+    onEvents(batch.map(({ name, paperId, args }) => ({ name, paperId, args })));
+  };
+
+  // Events the ABI does not describe arrive without a name and are skipped
+  const listener = (payload) => {
+    if (!PAPER_EVENTS.includes(payload.eventName)) return;
+    const event = {
+      name: payload.eventName,
+      paperId: Number(payload.args.paperId),
+      args: payload.args,
+      blockNumber: payload.log.blockNumber,
+      logIndex: payload.log.index
+    };
+    if (compare(event, reported) <= 0 || pending.some(other => compare(event, other) === 0)) return;
+    pending.push(event);
+    clearTimeout(timer);
+    timer = setTimeout(flush, BATCH_DELAY);
+  };
+
+  contract.on('*', listener).catch(error => {
+    console.log('Could not subscribe to contract events:', error.message);
+  });
+
+  return () => {
+    clearTimeout(timer);
+    contract.off('*', listener).catch(error => {
+      console.log('Could not unsubscribe from contract events:', error.message);
+    });
+  };
+};
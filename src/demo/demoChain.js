@@ -0,0 +1,260 @@
+import { ethers } from 'ethers';
+
+// An in-browser stand-in for a blockchain, used by demo mode. Contracts are plain JS
+// implementations behind their real ABI: arguments and results go through ABI encoding and
+// events are real logs, so the app reads them with the same ethers calls it uses on-chain.
+// Every transaction is mined into its own block and applied atomically, like an EVM call
+// that reverts as a whole.
+
+export const DEMO_CHAIN_ID = 1337n;
+
+// Seconds between blocks while nothing happens; reading the latest block mines an empty one
+const BLOCK_TIME = 12;
+
+// Balance reported for every account, so gas checks in the app pass
+const DEMO_BALANCE = ethers.parseEther('100');
+
+// Revert the current call with `reason` unless `condition` holds, like Solidity's require.
+// The error carries the same fields ethers sets on a reverted call
+export const ensure = (condition, reason) => {
+  if (!condition) {
+    throw Object.assign(new Error(`execution reverted: "${reason}"`), {
+      code: 'CALL_EXCEPTION',
+      reason,
+      shortMessage: `execution reverted: "${reason}"`
+    });
+  }
+};
+
+// Implementations return an object for functions with several named outputs
+const toOutputValues = (fragment, result) => {
+  if (fragment.outputs.length === 0) return [];
+  if (fragment.outputs.length === 1) return [result];
+  return Array.isArray(result) ? result : fragment.outputs.map(output => result[output.name]);
+};
+
+// An empty chain with a provider, contract deployment and a clock that can be advanced.
+// `startTime` dates the first block, e.g. to replay seeded activity in the past
+export const createDemoChain = ({ startTime = Math.floor(Date.now() / 1000) } = {}) => {
+  const contracts = new Map();
+  const blocks = [];
+  const logs = [];
+  const receipts = new Map();
+  const subscriptions = [];
+  const accounts = [];
+  let timeOffset = startTime - Math.floor(Date.now() / 1000);
+
+  const now = () => Math.floor(Date.now() / 1000) + timeOffset;
+
+  const mine = () => {
+    const previous = blocks[blocks.length - 1];
+    const block = {
+      number: blocks.length,
+      hash: ethers.hexlify(ethers.randomBytes(32)),
+      timestamp: Math.max(now(), previous ? previous.timestamp : 0)
+    };
+    blocks.push(block);
+    return block;
+  };
+  mine();
+
+  const latestBlock = () => {
+    const head = blocks[blocks.length - 1];
+    return head.timestamp < now() - BLOCK_TIME ? mine() : head;
+  };
+
+  // Decode call arguments the way the contract would receive them, dropping ethers overrides
+  const decodeArgs = (iface, fragment, args) => {
+    const values = args.length > fragment.inputs.length ? args.slice(0, fragment.inputs.length) : args;
+    return iface.decodeFunctionData(fragment, iface.encodeFunctionData(fragment, values));
+  };
+
+  // Run a function against a copy of the contract state; the copy is kept only if asked to.
+  // Functions a demo contract does not implement revert, views included, so the app cannot
+  // mistake a missing feature for empty state
+  const execute = (address, fragment, args, sender, { commit }) => {
+    const deployed = contracts.get(address.toLowerCase());
+    const implementation = deployed.implementation[fragment.name];
+    ensure(implementation, 'Not available in demo mode');
+
+    const state = fragment.constant ? deployed.state : structuredClone(deployed.state);
+    const events = [];
+    const result = implementation({
+      state,
+      sender,
+      timestamp: Math.max(now(), blocks[blocks.length - 1].timestamp),
+      emit: (name, values) => events.push({ name, values })
+    }, ...decodeArgs(deployed.iface, fragment, args));
+    if (commit) {
+      deployed.state = state;
+    }
+    return { result, events };
+  };
+
+  // Encode a result and decode it again, so callers get ethers Result objects as from a node
+  const encodeResult = (iface, fragment, result) => {
+    const decoded = iface.decodeFunctionResult(
+      fragment,
+      iface.encodeFunctionResult(fragment, toOutputValues(fragment, result))
+    );
+    return fragment.outputs.length === 1 ? decoded[0] : decoded;
+  };
+
+  const notify = (blockLogs) => {
+    for (const log of blockLogs) {
+      for (const subscription of subscriptions) {
+        if (subscription.address !== log.address.toLowerCase()) continue;
+        const event = subscription.iface.parseLog(log);
+        if (!event || (subscription.eventName !== '*' && subscription.eventName !== event.name)) continue;
+        setTimeout(() => subscription.listener({ eventName: event.name, args: event.args, log }), 0);
+      }
+    }
+  };
+
+  const sendTransaction = (address, fragment, args, sender) => {
+    ensure(sender !== ethers.ZeroAddress, 'Demo transactions need a signer');
+    const { iface } = contracts.get(address.toLowerCase());
+    const { events } = execute(address, fragment, args, sender, { commit: true });
+
+    const block = mine();
+    const hash = ethers.hexlify(ethers.randomBytes(32));
+    const blockLogs = events
+      .filter(event => iface.getEvent(event.name))
+      .map((event, index) => ({
+        ...iface.encodeEventLog(event.name, event.values),
+        address,
+        blockNumber: block.number,
+        blockHash: block.hash,
+        transactionHash: hash,
+        transactionIndex: 0,
+        index
+      }));
+    logs.push(...blockLogs);
+    const receipt = { hash, from: sender, to: address, blockNumber: block.number, blockHash: block.hash, status: 1, logs: blockLogs };
+    receipts.set(hash, receipt);
+    notify(blockLogs);
+
+    return { hash, from: sender, to: address, wait: async () => receipt };
+  };
+
+  const provider = {
+    // The first account plays the connected wallet, like the first account of a dev node
+    async getSigner() {
+      ensure(accounts.length > 0, 'No demo accounts');
+      return accounts[0];
+    },
+    async getNetwork() {
+      return { name: 'demo', chainId: DEMO_CHAIN_ID };
+    },
+    async getBlockNumber() {
+      return latestBlock().number;
+    },
+    async getBlock(tag) {
+      if (tag === 'latest' || tag === undefined) return latestBlock();
+      return blocks[Number(tag)] || null;
+    },
+    async getLogs({ address, fromBlock = 0, toBlock = 'latest', topics = [] }) {
+      const lastBlock = toBlock === 'latest' ? blocks.length - 1 : Number(toBlock);
+      const [topic0] = topics;
+      return logs.filter(log =>
+        (!address || log.address.toLowerCase() === address.toLowerCase()) &&
+        log.blockNumber >= Number(fromBlock) && log.blockNumber <= lastBlock &&
+        (!topic0 || (Array.isArray(topic0) ? topic0.includes(log.topics[0]) : topic0 === log.topics[0]))
+      );
+    },
+    async getCode(address) {
+      return contracts.has(address.toLowerCase()) ? '0x01' : '0x';
+    },
+    async getBalance() {
+      return DEMO_BALANCE;
+    },
+    async waitForTransaction(hash) {
+      return receipts.get(hash) || null;
+    }
+  };
+  provider.provider = provider;
+
+  const contractAt = (address, runner = provider) => {
+    const { iface } = contracts.get(address.toLowerCase());
+    const sender = runner && runner.address ? runner.address : ethers.ZeroAddress;
+    const contract = {
+      target: address,
+      interface: iface,
+      runner,
+      async getAddress() {
+        return address;
+      },
+      connect(nextRunner) {
+        return contractAt(address, nextRunner);
+      },
+      async on(eventName, listener) {
+        subscriptions.push({ address: address.toLowerCase(), iface, eventName, listener });
+        return contract;
+      },
+      async off(eventName, listener) {
+        const index = subscriptions.findIndex(subscription =>
+          subscription.address === address.toLowerCase() &&
+          subscription.eventName === eventName &&
+          subscription.listener === listener
+        );
+        if (index >= 0) subscriptions.splice(index, 1);
+        return contract;
+      }
+    };
+
+    iface.forEachFunction(fragment => {
+      const call = async (...args) => {
+        if (fragment.constant) {
+          const { result } = execute(address, fragment, args, sender, { commit: false });
+          return encodeResult(iface, fragment, result);
+        }
+        return sendTransaction(address, fragment, args, sender);
+      };
+      // Dry-run a transaction without keeping its effects
+      call.staticCall = async (...args) => {
+        const { result } = execute(address, fragment, args, sender, { commit: false });
+        return fragment.outputs.length > 0 ? encodeResult(iface, fragment, result) : undefined;
+      };
+      contract[fragment.name] = call;
+    });
+    return contract;
+  };
+
+  return {
+    provider,
+
+    // Deploy a contract called through `abi`. `implementation` maps function names to
+    // ({ state, sender, timestamp, emit }, ...args) => result and provides initialState(deployer)
+    deploy(abi, implementation, deployer) {
+      const address = ethers.getAddress(ethers.hexlify(ethers.randomBytes(20)));
+      contracts.set(address.toLowerCase(), {
+        iface: new ethers.Interface(abi),
+        implementation,
+        state: implementation.initialState(deployer)
+      });
+      return address;
+    },
+
+    contractAt,
+
+    // New funded account, signing with a throwaway key
+    createAccount() {
+      const account = new ethers.Wallet(ethers.hexlify(ethers.randomBytes(32)), provider);
+      accounts.push(account);
+      return account;
+    },
+
+    // Move the clock forward and mine a block at the new time
+    increaseTime(seconds) {
+      timeOffset += seconds;
+      return mine();
+    },
+
+    // Set the clock; block timestamps never run backwards, so earlier times take effect once
+    // the clock catches up with the latest block
+    setTime(timestamp) {
+      timeOffset = timestamp - Math.floor(Date.now() / 1000);
+      return mine();
+    }
+  };
+};
@@ -0,0 +1,623 @@
+import { ethers } from 'ethers';
+import { createDemoChain, ensure } from './demoChain';
+import { encryptForRecipients, serializeEnvelope } from '../crypto/reviewEncryption';
+import { contentHash, hashToCid } from '../storage/contentStore';
+
+// In-browser versions of AcademicPeerReview and KeyRegistry for demo mode, and a seeded
+// session to try them in. They follow the contracts' rules and revert reasons for the core
+// review flow: venues, submissions, reviewer registration and assignment, sealed reviews,
+// reveals and decisions. Everything else the ABI offers reverts with "Not available in demo mode".
+
+const ADMIN_ROLE = ethers.id('ADMIN_ROLE');
+const PROGRAM_CHAIR_ROLE = ethers.id('PROGRAM_CHAIR_ROLE');
+const AREA_CHAIR_ROLE = ethers.id('AREA_CHAIR_ROLE');
+const REVIEWER_ROLE = ethers.id('REVIEWER_ROLE');
+const AUTHOR_ROLE = ethers.id('AUTHOR_ROLE');
+const ROLES = [ADMIN_ROLE, PROGRAM_CHAIR_ROLE, AREA_CHAIR_ROLE, REVIEWER_ROLE, AUTHOR_ROLE];
+
+// PaperStatus values, in the contract's order
+const SUBMITTED = 0;
+const UNDER_REVIEW = 1;
+const ACCEPTED = 2;
+const REJECTED = 3;
+const WITHDRAWN = 4;
+const MAJOR_REVISION = 5;
+const MINOR_REVISION = 6;
+const CONDITIONAL_ACCEPT = 7;
+const DESK_REJECT = 8;
+
+const DAY = 24 * 60 * 60;
+const REVIEW_PERIOD = 30 * DAY;
+const REVEAL_PERIOD = 7 * DAY;
+const MIN_REVIEWERS = 3;
+const MIN_SCORE = 1;
+const MAX_SCORE = 10;
+const SCORE_PRECISION = 100;
+const DEFAULT_ACCEPTANCE_THRESHOLD = 7 * SCORE_PRECISION;
+const INITIAL_REPUTATION = 100;
+const PUBLIC_KEY_LENGTH = 33;
+
+// Same packing as the contract's computeScoreCommitment
+const computeScoreCommitment = (paperId, reviewer, score, salt) =>
+  ethers.solidityPackedKeccak256(['uint256', 'address', 'uint8', 'bytes32'], [paperId, reviewer, score, salt]);
+
+// Same lifecycle as the contract's _isAllowedTransition
+const isAllowedTransition = (from, to) => {
+  if (from === SUBMITTED) return to === UNDER_REVIEW || to === WITHDRAWN || to === DESK_REJECT;
+  if (from === UNDER_REVIEW) return to !== SUBMITTED && to !== UNDER_REVIEW;
+  if (from === CONDITIONAL_ACCEPT) return to === ACCEPTED || to === REJECTED || to === WITHDRAWN;
+  if (from === MAJOR_REVISION || from === MINOR_REVISION) return to === WITHDRAWN;
+  if (from === ACCEPTED) return to === REJECTED;
+  if (from === REJECTED) return to === ACCEPTED;
+  return false;
+};
+
+const isDecided = (status) => [ACCEPTED, REJECTED, MAJOR_REVISION, MINOR_REVISION, CONDITIONAL_ACCEPT].includes(status);
+
+const hasRole = (state, role, account) => Boolean(state.roles[role][account]);
+
+const grantRoleTo = (context, role, account) => {
+  const { state, sender, emit } = context;
+  if (hasRole(state, role, account)) return;
+  if (role === REVIEWER_ROLE) {
+    ensure(state.reviewers[account], 'Reviewer not registered');
+    state.reviewers[account].isVerified = true;
+  }
+  state.roles[role][account] = true;
+  emit('RoleGranted', [role, account, sender]);
+};
+
+const isVenueChair = (state, venueId, account) => {
+  const venue = state.venues[venueId - 1];
+  return Boolean(venue) && venue.chairs.includes(account) && hasRole(state, PROGRAM_CHAIR_ROLE, account);
+};
+
+const requirePaper = (state, paperId) => {
+  const paper = state.papers[Number(paperId) - 1];
+  ensure(paper, 'Paper does not exist');
+  return paper;
+};
+
+const setStatus = (context, paper, status) => {
+  ensure(isAllowedTransition(paper.status, status), 'Invalid status transition');
+  paper.status = status;
+  context.emit('PaperStatusChanged', [paper.paperId, status]);
+};
+
+const conflictReason = (state, paperId, reviewer) => {
+  const paper = state.papers[paperId - 1];
+  if (!paper) return '';
+  if (paper.author === reviewer) return 'Conflict: reviewer is the author';
+  if (state.paperConflicts[paperId].includes(reviewer)) return 'Conflict: declared by the author';
+  return '';
+};
+
+const requireRevealComplete = (paper, timestamp) => {
+  ensure(paper.isFinalized, 'Reviews not finalized');
+  ensure(paper.status === UNDER_REVIEW, 'Decision already made');
+  ensure(timestamp > paper.reviewDeadline, 'Review period not ended');
+  ensure(
+    paper.revealedCount === paper.scoreCommitments.length || timestamp > paper.reviewDeadline + REVEAL_PERIOD,
+    'Reveal period active'
+  );
+  ensure(paper.revealedCount > 0, 'No scores revealed');
+};
+
+// Demo venues use the default decision policy: the mean of the revealed scores
+const aggregateScores = (context, paper) => {
+  requireRevealComplete(paper, context.timestamp);
+  const venue = context.state.venues[paper.venueId - 1];
+  paper.averageScore = Math.floor(paper.revealedScoreSum * SCORE_PRECISION / paper.revealedCount);
+  context.emit('ScoreRevealed', [paper.paperId, paper.averageScore]);
+  return paper.averageScore >= venue.acceptanceThreshold;
+};
+
+const finalizeReviews = (context, paper) => {
+  paper.isFinalized = true;
+  context.emit('ReviewsFinalized', [paper.paperId, paper.scoreCommitments.length]);
+};
+
+const idsWhere = (papers, predicate) => papers.filter(predicate).map(paper => paper.paperId);
+
+export const demoReviewContract = {
+  initialState: (deployer) => ({
+    roles: Object.fromEntries(ROLES.map(role => [role, role === ADMIN_ROLE ? { [deployer]: true } : {}])),
+    strictAssignment: true,
+    fallbackQuorum: MIN_REVIEWERS - 1,
+    venues: [],
+    venueReviewers: {},
+    papers: [],
+    paperConflicts: {},
+    paperReviewers: {},
+    paperCommentHashes: {},
+    reviews: {},
+    reviewers: {},
+    registeredReviewers: [],
+    reviewerPapers: {}
+  }),
+
+  // Roles
+
+  getRoles: ({ state }, account) => ({
+    isAdmin: hasRole(state, ADMIN_ROLE, account),
+    isProgramChair: hasRole(state, PROGRAM_CHAIR_ROLE, account),
+    isAreaChair: hasRole(state, AREA_CHAIR_ROLE, account),
+    isReviewer: hasRole(state, REVIEWER_ROLE, account),
+    isAuthor: hasRole(state, AUTHOR_ROLE, account)
+  }),
+
+  grantRole: (context, role, account) => {
+    const { state, sender } = context;
+    ensure(ROLES.includes(role) && (
+      hasRole(state, ADMIN_ROLE, sender) ||
+      (hasRole(state, PROGRAM_CHAIR_ROLE, sender) && (role === AREA_CHAIR_ROLE || role === REVIEWER_ROLE))
+    ), 'Not authorized to manage role');
+    ensure(account !== ethers.ZeroAddress, 'Invalid account');
+    grantRoleTo(context, role, account);
+  },
+
+  strictAssignment: ({ state }) => state.strictAssignment,
+
+  // Venues
+
+  createVenue: (context, name, chairs, submissionDeadline, reviewPeriod, minScore, maxScore, acceptanceThreshold) => {
+    const { state, sender, timestamp, emit } = context;
+    ensure(hasRole(state, ADMIN_ROLE, sender), 'Missing role');
+    ensure(name.length > 0, 'Venue name required');
+    ensure(chairs.length > 0, 'Venue chair required');
+    ensure(submissionDeadline === 0n || Number(submissionDeadline) > timestamp, 'Invalid submission deadline');
+
+    const scale = maxScore === 0n
+      ? { minScore: MIN_SCORE, maxScore: MAX_SCORE }
+      : { minScore: Number(minScore), maxScore: Number(maxScore) };
+    const threshold = acceptanceThreshold === 0n ? DEFAULT_ACCEPTANCE_THRESHOLD : Number(acceptanceThreshold);
+    ensure(scale.minScore > 0 && scale.minScore < scale.maxScore && scale.maxScore <= 255, 'Invalid score scale');
+    ensure(
+      threshold >= scale.minScore * SCORE_PRECISION && threshold <= scale.maxScore * SCORE_PRECISION,
+      'Invalid acceptance threshold'
+    );
+
+    const venueId = state.venues.length + 1;
+    state.venues.push({
+      venueId,
+      name,
+      chairs: [],
+      submissionDeadline: Number(submissionDeadline),
+      reviewPeriod: reviewPeriod === 0n ? REVIEW_PERIOD : Number(reviewPeriod),
+      ...scale,
+      acceptanceThreshold: threshold,
+      isActive: true
+    });
+    state.venueReviewers[venueId] = [];
+    emit('VenueCreated', [venueId, name]);
+
+    for (const chair of chairs) {
+      ensure(chair !== ethers.ZeroAddress, 'Invalid chair');
+      ensure(!state.venues[venueId - 1].chairs.includes(chair), 'Already a venue chair');
+      state.venues[venueId - 1].chairs.push(chair);
+      grantRoleTo(context, PROGRAM_CHAIR_ROLE, chair);
+      emit('VenueChairAdded', [venueId, chair]);
+    }
+    return venueId;
+  },
+
+  addVenueReviewers: ({ state, sender, emit }, venueId, reviewerAddresses) => {
+    ensure(isVenueChair(state, Number(venueId), sender), 'Not a venue chair');
+    for (const reviewer of reviewerAddresses) {
+      ensure(state.reviewers[reviewer], 'Reviewer not registered');
+      if (!state.venueReviewers[venueId].includes(reviewer)) {
+        state.venueReviewers[venueId].push(reviewer);
+        emit('VenueReviewerAdded', [venueId, reviewer]);
+      }
+    }
+  },
+
+  venueCount: ({ state }) => state.venues.length,
+
+  getVenue: ({ state }, venueId) => {
+    const venue = state.venues[Number(venueId) - 1];
+    ensure(venue, 'Venue does not exist');
+    return venue;
+  },
+
+  getPapersByVenue: ({ state }, venueId) => idsWhere(state.papers, paper => paper.venueId === Number(venueId)),
+
+  // Demo venues keep author addresses and review under reviewers' own accounts
+  venueDoubleBlind: () => false,
+
+  venueAnonymousReviews: () => false,
+
+  // Papers
+
+  submitPaper: (context, venueId, title, abstractText, ipfsHash, conflictedAddresses, conflictedInstitutions) => {
+    const { state, sender, timestamp, emit } = context;
+    const venue = state.venues[Number(venueId) - 1];
+    ensure(venue, 'Venue does not exist');
+    ensure(venue.isActive, 'Venue not accepting submissions');
+    ensure(venue.submissionDeadline === 0 || timestamp <= venue.submissionDeadline, 'Submission deadline passed');
+    ensure(title.length > 0, 'Title required');
+    ensure(abstractText.length > 0, 'Abstract required');
+    ensure(ipfsHash.length > 0, 'IPFS hash required');
+    ensure(conflictedInstitutions.length === 0, 'Institution conflicts are not available in demo mode');
+
+    const paperId = state.papers.length + 1;
+    state.papers.push({
+      paperId,
+      venueId: venue.venueId,
+      author: sender,
+      title,
+      abstractText,
+      ipfsHash,
+      status: state.strictAssignment ? SUBMITTED : UNDER_REVIEW,
+      submissionTime: timestamp,
+      reviewDeadline: timestamp + venue.reviewPeriod,
+      scoreCommitments: [],
+      revealedScoreSum: 0,
+      revealedCount: 0,
+      averageScore: 0,
+      reviewerCount: state.strictAssignment ? 0 : MIN_REVIEWERS,
+      isFinalized: false
+    });
+    state.paperConflicts[paperId] = [...conflictedAddresses];
+    state.paperReviewers[paperId] = [];
+    state.paperCommentHashes[paperId] = [];
+
+    grantRoleTo(context, AUTHOR_ROLE, sender);
+    emit('PaperSubmitted', [paperId, sender, title]);
+    emit('PaperStatusChanged', [paperId, state.papers[paperId - 1].status]);
+    return paperId;
+  },
+
+  withdrawPaper: (context, paperId) => {
+    const paper = requirePaper(context.state, paperId);
+    ensure(context.sender === paper.author, 'Not the author');
+    ensure(isAllowedTransition(paper.status, WITHDRAWN), 'Decision already made');
+    context.emit('PaperWithdrawn', [paperId, context.sender]);
+    setStatus(context, paper, WITHDRAWN);
+  },
+
+  paperCount: ({ state }) => state.papers.length,
+
+  getPaper: ({ state }, paperId) => requirePaper(state, paperId),
+
+  getAllPapers: ({ state }, offset, limit) => {
+    ensure(Number(offset) < state.papers.length, 'Offset exceeds paper count');
+    return state.papers.slice(Number(offset), Number(offset + limit)).map(paper => paper.paperId);
+  },
+
+  getPapersByAuthor: ({ state }, author) => idsWhere(state.papers, paper => paper.author === author),
+
+  // Demo papers have no resubmissions, so each is its only version
+  getPaperVersions: ({ state }, paperId) => [requirePaper(state, paperId).paperId],
+
+  getConflictReason: ({ state }, paperId, reviewer) => conflictReason(state, Number(paperId), reviewer),
+
+  // Reviewers
+
+  registerReviewer: ({ state, sender, emit }, expertise) => {
+    ensure(expertise.length > 0, 'Expertise required');
+    ensure(!state.reviewers[sender], 'Already registered');
+    state.reviewers[sender] = {
+      reviewerAddress: sender,
+      isVerified: false,
+      reputation: INITIAL_REPUTATION,
+      expertise,
+      reviewsCompleted: 0
+    };
+    state.registeredReviewers.push(sender);
+    emit('ReviewerRegistered', [sender, expertise]);
+  },
+
+  verifyReviewer: (context, reviewer) => {
+    const { state, sender, emit } = context;
+    ensure(
+      hasRole(state, PROGRAM_CHAIR_ROLE, sender) || hasRole(state, AREA_CHAIR_ROLE, sender),
+      'Not a chair'
+    );
+    ensure(state.reviewers[reviewer], 'Reviewer not registered');
+    ensure(!state.reviewers[reviewer].isVerified, 'Reviewer already verified');
+    grantRoleTo(context, REVIEWER_ROLE, reviewer);
+    emit('ReviewerVerified', [reviewer, state.reviewers[reviewer].expertise]);
+  },
+
+  reviewers: ({ state }, reviewer) => state.reviewers[reviewer] || {
+    reviewerAddress: ethers.ZeroAddress,
+    isVerified: false,
+    reputation: 0,
+    expertise: '',
+    reviewsCompleted: 0
+  },
+
+  // Demo reputation never changes, so it never decays either
+  reputationOf: ({ state }, reviewer) => state.reviewers[reviewer] ? state.reviewers[reviewer].reputation : 0,
+
+  getReviewerCount: ({ state }) => state.registeredReviewers.length,
+
+  getReviewerReputations: ({ state }, offset, limit) => {
+    const reviewerAddresses = state.registeredReviewers.slice(Number(offset), Number(offset + limit));
+    return {
+      reviewerAddresses,
+      reputations: reviewerAddresses.map(reviewer => state.reviewers[reviewer].reputation)
+    };
+  },
+
+  // Assignment and reviews
+
+  assignReviewers: (context, paperId, reviewerAddresses) => {
+    const { state, sender, emit } = context;
+    const paper = state.papers[Number(paperId) - 1];
+    ensure(
+      (paper && isVenueChair(state, paper.venueId, sender)) || hasRole(state, AREA_CHAIR_ROLE, sender),
+      'Not a venue chair'
+    );
+    ensure(paper, 'Paper does not exist');
+    ensure(paper.status === SUBMITTED, 'Paper not in submitted status');
+    ensure(reviewerAddresses.length >= MIN_REVIEWERS, 'Insufficient reviewers');
+
+    const panel = state.paperReviewers[paperId];
+    for (const reviewer of reviewerAddresses) {
+      ensure(state.reviewers[reviewer] && state.reviewers[reviewer].isVerified, 'Reviewer not verified');
+      ensure(state.venueReviewers[paper.venueId].includes(reviewer), 'Reviewer not in venue pool');
+      ensure(!panel.includes(reviewer), 'Reviewer already assigned');
+      const reason = conflictReason(state, paper.paperId, reviewer);
+      ensure(reason === '', reason);
+
+      panel.push(reviewer);
+      state.reviewerPapers[reviewer] = [...(state.reviewerPapers[reviewer] || []), paper.paperId];
+      emit('ReviewerAssigned', [paperId, reviewer]);
+    }
+
+    paper.reviewerCount = reviewerAddresses.length;
+    setStatus(context, paper, UNDER_REVIEW);
+  },
+
+  getPaperReviewers: ({ state }, paperId) => state.paperReviewers[paperId] || [],
+
+  getReviewerAssignments: ({ state }, reviewer) => state.reviewerPapers[reviewer] || [],
+
+  // Demo deadlines are never extended, so every reviewer has the paper's deadline
+  getReviewDeadline: ({ state }, paperId) => requirePaper(state, paperId).reviewDeadline,
+
+  getReviewProgress: ({ state }, paperId) => {
+    const paper = requirePaper(state, paperId);
+    return {
+      submitted: paper.scoreCommitments.length,
+      required: paper.reviewerCount > 0 ? paper.reviewerCount : MIN_REVIEWERS
+    };
+  },
+
+  submitReview: (context, paperId, scoreCommitment, commentsHash) => {
+    const { state, sender, timestamp, emit } = context;
+    const paper = requirePaper(state, paperId);
+    ensure(paper.status === UNDER_REVIEW, 'Paper not under review');
+    ensure(timestamp <= paper.reviewDeadline, 'Review period ended');
+    ensure(state.reviewers[sender] && state.reviewers[sender].isVerified, 'Reviewer not verified');
+    ensure(state.venueReviewers[paper.venueId].includes(sender), 'Reviewer not in venue pool');
+    ensure(!state.strictAssignment || state.paperReviewers[paperId].includes(sender), 'Not assigned to this paper');
+    const reason = conflictReason(state, paper.paperId, sender);
+    ensure(reason === '', reason);
+    const reviewKey = `${paperId}:${sender}`;
+    ensure(!state.reviews[reviewKey], 'Review already submitted');
+    ensure(scoreCommitment !== ethers.ZeroHash, 'Score commitment required');
+    ensure(commentsHash !== ethers.ZeroHash, 'Comments hash required');
+
+    state.reviews[reviewKey] = {
+      paperId: paper.paperId,
+      reviewer: sender,
+      scoreCommitment,
+      commentsHash,
+      timestamp,
+      isSubmitted: true,
+      isRevealed: false,
+      round: 1,
+      score: 0
+    };
+    paper.scoreCommitments.push(scoreCommitment);
+    state.paperCommentHashes[paperId].push(commentsHash);
+    state.reviewers[sender].reviewsCompleted++;
+    emit('ReviewSubmitted', [paperId, sender]);
+
+    if (paper.scoreCommitments.length >= paper.reviewerCount) {
+      finalizeReviews(context, paper);
+    }
+  },
+
+  reviews: ({ state }, paperId, reviewer) => state.reviews[`${paperId}:${reviewer}`] || {
+    paperId: 0,
+    reviewer: ethers.ZeroAddress,
+    scoreCommitment: ethers.ZeroHash,
+    commentsHash: ethers.ZeroHash,
+    timestamp: 0,
+    isSubmitted: false,
+    isRevealed: false,
+    round: 0,
+    score: 0
+  },
+
+  finalizeAfterDeadline: (context, paperId) => {
+    const { state, timestamp } = context;
+    const paper = requirePaper(state, paperId);
+    ensure(paper.status === UNDER_REVIEW, 'Paper not under review');
+    ensure(!paper.isFinalized, 'Reviews already finalized');
+    ensure(timestamp > paper.reviewDeadline, 'Review period not ended');
+    ensure(state.fallbackQuorum > 0, 'Fallback disabled');
+    ensure(paper.scoreCommitments.length >= state.fallbackQuorum, 'Not enough reviews');
+    finalizeReviews(context, paper);
+  },
+
+  revealReviewScore: ({ state, sender, timestamp, emit }, paperId, score, salt) => {
+    const review = state.reviews[`${paperId}:${sender}`];
+    ensure(review, 'Review not submitted');
+    ensure(!review.isRevealed, 'Score already revealed');
+    const paper = state.papers[Number(paperId) - 1];
+    ensure(timestamp > paper.reviewDeadline, 'Review period not ended');
+    ensure(timestamp <= paper.reviewDeadline + REVEAL_PERIOD, 'Reveal period ended');
+    const venue = state.venues[paper.venueId - 1];
+    ensure(score >= venue.minScore && score <= venue.maxScore, 'Invalid score');
+    ensure(computeScoreCommitment(paperId, sender, score, salt) === review.scoreCommitment, 'Commitment mismatch');
+
+    review.isRevealed = true;
+    review.score = Number(score);
+    paper.revealedScoreSum += Number(score);
+    paper.revealedCount++;
+    emit('ReviewScoreRevealed', [paperId, sender]);
+  },
+
+  // Comments are released with the decision; demo papers have no rebuttal round
+  getReviewComments: ({ state }, paperId) => {
+    const paper = requirePaper(state, paperId);
+    ensure(isDecided(paper.status), 'Decision pending');
+    return state.paperCommentHashes[paperId];
+  },
+
+  // Decisions
+
+  requestScoreReveal: (context, paperId) => {
+    const paper = context.state.papers[Number(paperId) - 1];
+    ensure(
+      paper && (isVenueChair(context.state, paper.venueId, context.sender) || context.sender === paper.author),
+      'Not authorized'
+    );
+    const accepted = aggregateScores(context, paper);
+    setStatus(context, paper, accepted ? ACCEPTED : REJECTED);
+  },
+
+  decidePaper: (context, paperId, outcome) => {
+    const paper = context.state.papers[Number(paperId) - 1];
+    ensure(paper && isVenueChair(context.state, paper.venueId, context.sender), 'Not a venue chair');
+    ensure(isDecided(Number(outcome)), 'Invalid outcome');
+    ensure(paper.status === UNDER_REVIEW || paper.status === CONDITIONAL_ACCEPT, 'Decision already made');
+    if (paper.status === UNDER_REVIEW) {
+      aggregateScores(context, paper);
+    }
+    setStatus(context, paper, Number(outcome));
+  }
+};
+
+export const demoKeyRegistry = {
+  initialState: () => ({ publicKeys: {} }),
+
+  registerPublicKey: ({ state, sender, emit }, publicKey) => {
+    const bytes = ethers.getBytes(publicKey);
+    ensure(bytes.length === PUBLIC_KEY_LENGTH, 'Invalid public key length');
+    ensure(bytes[0] === 0x02 || bytes[0] === 0x03, 'Invalid public key prefix');
+    state.publicKeys[sender] = publicKey;
+    emit('PublicKeyRegistered', [sender, publicKey]);
+  },
+
+  getPublicKey: ({ state }, account) => state.publicKeys[account] || '0x'
+};
+
+// Papers the demo starts with, and the scores their seeded reviewers commit to
+const SEED_PAPERS = [
+  {
+    title: 'Verifiable Randomness for Conflict-Free Reviewer Assignment',
+    abstractText: 'We show how a verifiable random function lets venues assign reviewers without ' +
+      'trusting the chair, while still excluding declared conflicts of interest.',
+    scores: [8, 7, 9]
+  },
+  {
+    title: 'Sealed-Bid Peer Review: Commit-Reveal Scoring in Practice',
+    abstractText: 'A field study of commit-reveal review scores across three workshops, measuring ' +
+      'anchoring effects when reviewers cannot see each other\'s scores before the deadline.',
+    scores: [6, 8]
+  },
+  {
+    title: 'Encrypted Reviewer Comments with Recipient-Bound Keys',
+    abstractText: 'Review comments encrypted to the author and chairs stay confidential on public ' +
+      'storage; we evaluate key rotation and recovery for long-running venues.',
+    scores: []
+  }
+];
+
+const SEED_COMMENTS = 'Clear motivation and a convincing evaluation. Please discuss the threat model in more detail.';
+
+// Submit a seeded review: the score commitment plus comments encrypted to the author
+const seedReview = async (reviewContract, keyRegistry, contentStore, reviewer, paperId, score) => {
+  const paper = await reviewContract.getPaper(paperId);
+  const authorKey = await keyRegistry.getPublicKey(paper.author);
+  const envelope = await encryptForRecipients(SEED_COMMENTS, [authorKey]);
+  const commentsHash = await contentStore.put(serializeEnvelope(envelope));
+  const salt = ethers.hexlify(ethers.randomBytes(32));
+
+  await reviewContract.connect(reviewer).submitReview(
+    paperId,
+    computeScoreCommitment(paperId, reviewer.address, score, salt),
+    commentsHash
+  );
+  return salt;
+};
+
+// Deploy the demo contracts on a fresh chain and replay twelve days of activity: one decided
+// paper, one under review with the demo account on its panel and one awaiting reviewers. The
+// demo account is the admin, chairs the demo venue and is a verified reviewer in its pool.
+// Seeded review comments are written to `contentStore`. Returns the provider, the demo
+// account, both contracts connected to it, and advanceTime(seconds) to move the clock
+export const createDemoSession = async ({ reviewAbi, keyRegistryAbi, contentStore }) => {
+  const start = Math.floor(Date.now() / 1000);
+  const chain = createDemoChain({ startTime: start - 12 * DAY });
+
+  const account = chain.createAccount();
+  const reviewers = [chain.createAccount(), chain.createAccount(), chain.createAccount()];
+  const authors = [chain.createAccount(), chain.createAccount()];
+
+  const reviewContract = chain.contractAt(chain.deploy(reviewAbi, demoReviewContract, account.address), account);
+  const keyRegistry = chain.contractAt(chain.deploy(keyRegistryAbi, demoKeyRegistry, account.address), account);
+
+  await reviewContract.createVenue('Demo Track', [account.address], 0, DAY, 0, 0, 0);
+  for (const reviewer of [account, ...reviewers]) {
+    await reviewContract.connect(reviewer).registerReviewer(reviewer === account ? 'Demo reviewing' : 'Applied cryptography');
+    await reviewContract.verifyReviewer(reviewer.address);
+  }
+  await reviewContract.addVenueReviewers(1, [account.address, ...reviewers.map(reviewer => reviewer.address)]);
+  for (const author of authors) {
+    await keyRegistry.connect(author).registerPublicKey(author.signingKey.compressedPublicKey);
+  }
+
+  const submit = async (author, { title, abstractText }) => {
+    await reviewContract.connect(author).submitPaper(
+      1,
+      title,
+      abstractText,
+      hashToCid(contentHash(ethers.toUtf8Bytes(abstractText))),
+      [],
+      []
+    );
+    return Number(await reviewContract.paperCount());
+  };
+
+  // Reviewed, revealed and accepted over the past days
+  const decided = await submit(authors[0], SEED_PAPERS[0]);
+  await reviewContract.assignReviewers(decided, reviewers.map(reviewer => reviewer.address));
+  const salts = [];
+  for (const [index, reviewer] of reviewers.entries()) {
+    salts.push(await seedReview(reviewContract, keyRegistry, contentStore, reviewer, decided, SEED_PAPERS[0].scores[index]));
+  }
+  chain.increaseTime(DAY + 60 * 60);
+  for (const [index, reviewer] of reviewers.entries()) {
+    await reviewContract.connect(reviewer).revealReviewScore(decided, SEED_PAPERS[0].scores[index], salts[index]);
+  }
+  await reviewContract.requestScoreReveal(decided);
+
+  // Under review since two hours ago, waiting for the demo account's review
+  chain.setTime(start - 2 * 60 * 60);
+  const underReview = await submit(authors[1], SEED_PAPERS[1]);
+  await reviewContract.assignReviewers(underReview, [reviewers[0].address, reviewers[1].address, account.address]);
+  for (const [index, score] of SEED_PAPERS[1].scores.entries()) {
+    await seedReview(reviewContract, keyRegistry, contentStore, reviewers[index], underReview, score);
+  }
+
+  // Submitted an hour ago, waiting for the chair to assign reviewers
+  chain.setTime(start - 60 * 60);
+  await submit(authors[0], SEED_PAPERS[2]);
+  chain.setTime(start);
+
+  return {
+    provider: chain.provider,
+    // Lowercase, as wallets report accounts
+    account: account.address.toLowerCase(),
+    reviewContract,
+    keyRegistry,
+    advanceTime: (seconds) => chain.increaseTime(seconds)
+  };
+};
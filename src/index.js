@@ -1,6 +1,20 @@
 import React from 'react';
 import ReactDOM from 'react-dom';
-import App from './App';
+import App, { DEMO_MODE, startDemoSession } from './App';
 import './index.css';
 
-ReactDOM.render(<App />, document.getElementById('root'));
\ No newline at end of file
+const render = (demoSession = null) => {
+  ReactDOM.render(<App demoSession={demoSession} />, document.getElementById('root'));
+};
+
+// The demo chain is seeded before the first render, so the app starts connected to it
+if (DEMO_MODE) {
+  startDemoSession()
+    .then(render)
+    .catch(error => {
+      console.error('Could not start demo mode:', error);
+      render();
+    });
+} else {
+  render();
+}
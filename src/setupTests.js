@@ -0,0 +1,7 @@
+import { webcrypto } from 'crypto';
+
+// The crypto modules take Web Crypto from window, as in the browser. Tests of modules built
+// on ethers run in Jest's node environment, since jsdom has neither Web Crypto nor Node's typed arrays
+if (typeof window === 'undefined') {
+  global.window = { crypto: webcrypto };
+}
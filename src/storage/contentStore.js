@@ -0,0 +1,152 @@
+import { ethers } from 'ethers';
+
+// Pluggable storage for off-chain review content. Every store addresses content by
+// its sha256 digest, which is what the contracts commit to on-chain.
+
+// Multicodec prefix of a CIDv1 with the raw codec and a sha2-256 multihash
+const RAW_SHA256_CID_PREFIX = [0x01, 0x55, 0x12, 0x20];
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+// Content hash committed on-chain for the given bytes
+export const contentHash = (data) => ethers.sha256(data);
+
+const base32Encode = (bytes) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+// IPFS CIDv1 (raw leaves) of content whose sha256 digest is `hash`
+export const hashToCid = (hash) =>
+  'b' + base32Encode([...RAW_SHA256_CID_PREFIX, ...ethers.getBytes(hash)]);
+
+const verifyContent = (hash, data) => {
+  if (contentHash(data) !== hash) {
+    throw new Error(`Content does not match hash ${hash}`);
+  }
+  return data;
+};
+
+// Content kept for the lifetime of the page; used by tests and demo mode
+export const createMemoryStore = () => {
+  const contents = new Map();
+
+  return {
+    name: 'memory',
+    async put(data) {
+      const bytes = ethers.getBytes(data);
+      const hash = contentHash(bytes);
+      contents.set(hash, bytes);
+      return hash;
+    },
+    async get(hash) {
+      if (!contents.has(hash)) {
+        throw new Error(`Content ${hash} not found`);
+      }
+      return verifyContent(hash, contents.get(hash));
+    }
+  };
+};
+
+// Local stand-in for IPFS backed by browser storage; content is only visible in this browser
+export const createLocalStore = (storage = window.localStorage, prefix = 'content:') => ({
+  name: 'local',
+  async put(data) {
+    const bytes = ethers.getBytes(data);
+    const hash = contentHash(bytes);
+    storage.setItem(prefix + hash, ethers.hexlify(bytes));
+    return hash;
+  },
+  async get(hash) {
+    const stored = storage.getItem(prefix + hash);
+    if (!stored) {
+      throw new Error(`Content ${hash} not found in local storage`);
+    }
+    return verifyContent(hash, ethers.getBytes(stored));
+  }
+});
+
+// IPFS node HTTP API for writes and a gateway for reads. Content is added as a single
+// raw block so its CID can be derived from the on-chain sha256 hash.
+export const createIpfsStore = ({ apiUrl, gatewayUrl }) => ({
+  name: 'ipfs',
+  async put(data) {
+    const bytes = ethers.getBytes(data);
+    const hash = contentHash(bytes);
+    const form = new FormData();
+    form.append('file', new Blob([bytes]));
+
+    const response = await fetch(`${apiUrl}/api/v0/add?cid-version=1&raw-leaves=true&pin=true`, {
+      method: 'POST',
+      body: form
+    });
+    if (!response.ok) {
+      throw new Error(`IPFS upload failed with status ${response.status}`);
+    }
+    const { Hash } = await response.json();
+    if (Hash !== hashToCid(hash)) {
+      throw new Error(`IPFS returned unexpected CID ${Hash}`);
+    }
+    return hash;
+  },
+  async get(hash) {
+    const response = await fetch(`${gatewayUrl}/ipfs/${hashToCid(hash)}`);
+    if (!response.ok) {
+      throw new Error(`IPFS fetch failed with status ${response.status}`);
+    }
+    return verifyContent(hash, new Uint8Array(await response.arrayBuffer()));
+  }
+});
+
+// Stores whose content no other browser can read
+const BROWSER_ONLY_STORES = ['memory', 'local'];
+
+const createStore = (type) => {
+  switch (type) {
+    case 'memory':
+      return createMemoryStore();
+    case 'ipfs':
+      return createIpfsStore({
+        apiUrl: process.env.REACT_APP_IPFS_API_URL || 'http://127.0.0.1:5001',
+        gatewayUrl: process.env.REACT_APP_IPFS_GATEWAY_URL || 'https://ipfs.io'
+      });
+    case 'local':
+      return createLocalStore();
+    default:
+      throw new Error(`Unknown content store: ${type}`);
+  }
+};
+
+/**
+ * Store selected by REACT_APP_CONTENT_STORE: 'ipfs' by default, 'memory' by default in demo mode, or 'local'
+ * @param {{ type?: string, demoMode?: boolean }} options Store type and whether the app runs in demo mode
+ * @returns {object} Content store; browser-only stores refuse to publish outside demo mode, since
+ *   authors, reviewers and chairs in other browsers could never read what they commit to
+ */
+export const createContentStore = ({
+  demoMode = false,
+  type = process.env.REACT_APP_CONTENT_STORE || (demoMode ? 'memory' : 'ipfs')
+} = {}) => {
+  const store = createStore(type);
+  if (demoMode || !BROWSER_ONLY_STORES.includes(store.name)) {
+    return store;
+  }
+  return {
+    ...store,
+    async put() {
+      throw new Error(`The ${store.name} content store is only readable in this browser; use ipfs outside demo mode`);
+    }
+  };
+};
@@ -0,0 +1,69 @@
+/**
+ * @jest-environment node
+ */
+import { ethers } from 'ethers';
+import { contentHash, createMemoryStore, createLocalStore, createContentStore } from './contentStore';
+
+// Storage API of window.localStorage, backed by a Map
+const createStorage = () => {
+  const items = new Map();
+  return {
+    items,
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value))
+  };
+};
+
+describe('contentStore', () => {
+  const content = ethers.toUtf8Bytes('Encrypted review comments');
+
+  describe('memory store', () => {
+    it('Should return stored content by its sha256 hash', async () => {
+      const store = createMemoryStore();
+      const hash = await store.put(content);
+
+      expect(hash).toBe(ethers.sha256(content));
+      expect(await store.get(hash)).toEqual(content);
+    });
+
+    it('Should not find content it never stored', async () => {
+      await expect(createMemoryStore().get(contentHash(content))).rejects.toThrow('not found');
+    });
+  });
+
+  describe('local store', () => {
+    it('Should keep stored content in the given storage under its hash', async () => {
+      const storage = createStorage();
+      const hash = await createLocalStore(storage).put(content);
+
+      expect(storage.items.get(`content:${hash}`)).toBe(ethers.hexlify(content));
+      // Another store on the same storage, as after a page reload
+      expect(await createLocalStore(storage).get(hash)).toEqual(content);
+      await expect(createLocalStore(storage, 'other:').get(hash)).rejects.toThrow('not found in local storage');
+    });
+
+    it('Should reject stored content that does not match its hash', async () => {
+      const storage = createStorage();
+      const hash = await createLocalStore(storage).put(content);
+      storage.setItem(`content:${hash}`, ethers.hexlify(ethers.toUtf8Bytes('Altered comments')));
+
+      await expect(createLocalStore(storage).get(hash)).rejects.toThrow(`Content does not match hash ${hash}`);
+    });
+  });
+
+  describe('store selection', () => {
+    it('Should publish to IPFS by default and keep demo content in memory', () => {
+      expect(createContentStore().name).toBe('ipfs');
+      expect(createContentStore({ demoMode: true }).name).toBe('memory');
+      expect(() => createContentStore({ type: 'dropbox' })).toThrow('Unknown content store: dropbox');
+    });
+
+    it('Should refuse to publish to browser-only stores outside demo mode', async () => {
+      for (const type of ['memory', 'local']) {
+        await expect(createContentStore({ type }).put(content)).rejects.toThrow('only readable in this browser');
+      }
+      const demoStore = createContentStore({ type: 'memory', demoMode: true });
+      expect(await demoStore.get(await demoStore.put(content))).toEqual(content);
+    });
+  });
+});
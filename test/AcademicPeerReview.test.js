@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
 
 /**
  * @title AcademicPeerReview Test Suite
@@ -16,9 +17,71 @@ describe("AcademicPeerReview Contract", function () {
   let nonReviewer;
 
   const REVIEW_PERIOD = 30 * 24 * 60 * 60; // 30 days in seconds
+  const REVEAL_PERIOD = 7 * 24 * 60 * 60; // 7 days in seconds
   const MIN_REVIEWERS = 3;
   const MIN_SCORE = 1;
   const MAX_SCORE = 10;
+  const SCORE_PRECISION = 100;
+  const VENUE_ID = 1;
+
+  /**
+   * Build the sealed commitment a reviewer submits for a score
+   */
+  function scoreCommitment(paperId, reviewer, score, salt) {
+    return ethers.solidityPackedKeccak256(
+      ["uint256", "address", "uint8", "bytes32"],
+      [paperId, reviewer.address, score, salt]
+    );
+  }
+
+  /**
+   * Content hash committed for review comments (stands in for the encrypted envelope)
+   */
+  function commentsHash(comments) {
+    return ethers.sha256(ethers.toUtf8Bytes(comments));
+  }
+
+  function scoreSalt(reviewer, paperId) {
+    return ethers.keccak256(ethers.toUtf8Bytes(`salt-${reviewer.address}-${paperId}`));
+  }
+
+  /**
+   * Commit a score as the given reviewer and return the salt needed to reveal it
+   */
+  async function commitReview(reviewer, paperId, score, comments = "Comments") {
+    const salt = scoreSalt(reviewer, paperId);
+    await academicPeerReview
+      .connect(reviewer)
+      .submitReview(paperId, scoreCommitment(paperId, reviewer, score, salt), commentsHash(comments));
+    return salt;
+  }
+
+  /**
+   * Register a reviewer and have the owner, who chairs the default venue, approve them
+   */
+  async function registerVerifiedReviewer(reviewer, expertise) {
+    await academicPeerReview.connect(reviewer).registerReviewer(expertise);
+    await academicPeerReview.connect(owner).verifyReviewer(reviewer.address);
+  }
+
+  /**
+   * Register the three test reviewers where needed and assign them to a paper
+   */
+  async function assignPanel(paperId) {
+    const panel = [reviewer1, reviewer2, reviewer3];
+    for (const reviewer of panel) {
+      const registered = await academicPeerReview.reviewers(reviewer.address);
+      if (registered.reviewerAddress === ethers.ZeroAddress) {
+        await registerVerifiedReviewer(reviewer, "Peer Review");
+      }
+    }
+    await academicPeerReview
+      .connect(owner)
+      .addVenueReviewers(VENUE_ID, panel.map((reviewer) => reviewer.address));
+    await academicPeerReview
+      .connect(owner)
+      .assignReviewers(paperId, panel.map((reviewer) => reviewer.address));
+  }
 
   /**
    * Deploy fresh contract instance before each test
@@ -28,10 +91,37 @@ describe("AcademicPeerReview Contract", function () {
     // Get test accounts
     [owner, author, reviewer1, reviewer2, reviewer3, nonReviewer] = await ethers.getSigners();
 
-    // Deploy contract
+    // Deploy the delegated contracts first: the main contract delegates the rest of its
+    // interface to the extension, which passes on what it does not implement to submissions,
+    // and submissions on to reputation
+    const Reputation = await ethers.getContractFactory("AcademicPeerReviewReputation");
+    const reputation = await Reputation.deploy();
+    await reputation.waitForDeployment();
+
+    const Submissions = await ethers.getContractFactory("AcademicPeerReviewSubmissions");
+    const submissions = await Submissions.deploy(await reputation.getAddress());
+    await submissions.waitForDeployment();
+
+    const Extension = await ethers.getContractFactory("AcademicPeerReviewExtension");
+    const extension = await Extension.deploy(await submissions.getAddress());
+    await extension.waitForDeployment();
+
     const AcademicPeerReview = await ethers.getContractFactory("AcademicPeerReview");
-    academicPeerReview = await AcademicPeerReview.deploy();
-    await academicPeerReview.waitForDeployment();
+    const deployed = await AcademicPeerReview.deploy(await extension.getAddress());
+    await deployed.waitForDeployment();
+
+    // All four interfaces are served at the main contract's address, behind its constructor and fallback
+    const delegated = (factory) => factory.interface.fragments.filter(
+      (fragment) => fragment.type !== "constructor" && fragment.type !== "fallback"
+    );
+    academicPeerReview = new ethers.Contract(
+      await deployed.getAddress(),
+      [...AcademicPeerReview.interface.fragments, ...delegated(Extension), ...delegated(Submissions), ...delegated(Reputation)],
+      owner
+    );
+
+    // Default venue chaired by the owner: 30 day reviews, 1-10 scores, accept at 7.00
+    await academicPeerReview.connect(owner).createVenue("Main Track", [owner.address], 0, 0, 0, 0, 0);
   });
 
   /**
@@ -39,8 +129,10 @@ describe("AcademicPeerReview Contract", function () {
    * Validates initial state and ownership
    */
   describe("Deployment", function () {
-    it("Should set the correct owner", async function () {
-      expect(await academicPeerReview.owner()).to.equal(owner.address);
+    it("Should grant the deployer the admin role", async function () {
+      const ADMIN_ROLE = await academicPeerReview.ADMIN_ROLE();
+      expect(await academicPeerReview.hasRole(ADMIN_ROLE, owner.address)).to.equal(true);
+      expect(await academicPeerReview.hasRole(ADMIN_ROLE, author.address)).to.equal(false);
     });
 
     it("Should initialize with zero papers", async function () {
@@ -51,10 +143,177 @@ describe("AcademicPeerReview Contract", function () {
       expect(await academicPeerReview.MIN_SCORE()).to.equal(MIN_SCORE);
       expect(await academicPeerReview.MAX_SCORE()).to.equal(MAX_SCORE);
       expect(await academicPeerReview.REVIEW_PERIOD()).to.equal(REVIEW_PERIOD);
+      expect(await academicPeerReview.REVEAL_PERIOD()).to.equal(REVEAL_PERIOD);
+      expect(await academicPeerReview.SCORE_PRECISION()).to.equal(SCORE_PRECISION);
+      expect(await academicPeerReview.DEFAULT_ACCEPTANCE_THRESHOLD()).to.equal(7 * SCORE_PRECISION);
       expect(await academicPeerReview.MIN_REVIEWERS()).to.equal(MIN_REVIEWERS);
     });
   });
 
+  /**
+   * Test Category: Venues
+   * Each venue has its own chairs, deadlines, score scale, pool and threshold
+   */
+  describe("Venues", function () {
+    it("Should create a venue with default settings", async function () {
+      const venue = await academicPeerReview.getVenue(VENUE_ID);
+      expect(venue.name).to.equal("Main Track");
+      expect(venue.chairs).to.deep.equal([owner.address]);
+      expect(venue.reviewPeriod).to.equal(REVIEW_PERIOD);
+      expect(venue.minScore).to.equal(MIN_SCORE);
+      expect(venue.maxScore).to.equal(MAX_SCORE);
+      expect(venue.acceptanceThreshold).to.equal(7 * SCORE_PRECISION);
+      expect(venue.isActive).to.equal(true);
+      expect(await academicPeerReview.venueCount()).to.equal(1);
+    });
+
+    it("Should create a venue with custom settings and chairs", async function () {
+      const deadline = (await time.latest()) + 3600;
+
+      await expect(
+        academicPeerReview
+          .connect(owner)
+          .createVenue("Privacy Workshop", [reviewer1.address], deadline, 7 * 24 * 60 * 60, 1, 5, 350)
+      )
+        .to.emit(academicPeerReview, "VenueCreated")
+        .withArgs(2, "Privacy Workshop")
+        .and.to.emit(academicPeerReview, "VenueChairAdded")
+        .withArgs(2, reviewer1.address);
+
+      const venue = await academicPeerReview.getVenue(2);
+      expect(venue.submissionDeadline).to.equal(deadline);
+      expect(venue.maxScore).to.equal(5);
+      expect(await academicPeerReview.venueChairs(2, reviewer1.address)).to.equal(true);
+      expect(await academicPeerReview.venueChairs(2, owner.address)).to.equal(false);
+    });
+
+    it("Should validate venue settings", async function () {
+      await expect(
+        academicPeerReview.connect(owner).createVenue("", [owner.address], 0, 0, 0, 0, 0)
+      ).to.be.revertedWith("Venue name required");
+      await expect(
+        academicPeerReview.connect(owner).createVenue("Journal", [], 0, 0, 0, 0, 0)
+      ).to.be.revertedWith("Venue chair required");
+      await expect(
+        academicPeerReview.connect(owner).createVenue("Journal", [owner.address], 0, 0, 5, 3, 0)
+      ).to.be.revertedWith("Invalid score scale");
+      await expect(
+        academicPeerReview.connect(owner).createVenue("Journal", [owner.address], 0, 0, 1, 5, 600)
+      ).to.be.revertedWith("Invalid acceptance threshold");
+      await expect(
+        academicPeerReview.connect(author).createVenue("Journal", [author.address], 0, 0, 0, 0, 0)
+      ).to.be.revertedWith("Missing role");
+    });
+
+    it("Should reject submissions to unknown or closed venues", async function () {
+      await expect(
+        academicPeerReview.connect(author).submitPaper(99, "Paper", "Abstract", "QmHash", [], [])
+      ).to.be.revertedWith("Venue does not exist");
+
+      await expect(academicPeerReview.connect(owner).setVenueActive(VENUE_ID, false))
+        .to.emit(academicPeerReview, "VenueStatusChanged")
+        .withArgs(VENUE_ID, false);
+      await expect(
+        academicPeerReview.connect(author).submitPaper(VENUE_ID, "Paper", "Abstract", "QmHash", [], [])
+      ).to.be.revertedWith("Venue not accepting submissions");
+    });
+
+    it("Should enforce the venue submission deadline", async function () {
+      const deadline = (await time.latest()) + 3600;
+      await academicPeerReview.connect(owner).createVenue("Workshop", [owner.address], deadline, 0, 0, 0, 0);
+      await time.increase(3601);
+
+      await expect(
+        academicPeerReview.connect(author).submitPaper(2, "Paper", "Abstract", "QmHash", [], [])
+      ).to.be.revertedWith("Submission deadline passed");
+    });
+
+    it("Should use the venue review period for paper deadlines", async function () {
+      const weekInSeconds = 7 * 24 * 60 * 60;
+      await academicPeerReview.connect(owner).createVenue("Fast Track", [owner.address], 0, weekInSeconds, 0, 0, 0);
+      await academicPeerReview.connect(author).submitPaper(2, "Paper", "Abstract", "QmHash", [], []);
+
+      const paper = await academicPeerReview.getPaper(1);
+      expect(paper.venueId).to.equal(2);
+      expect(paper.reviewDeadline - paper.submissionTime).to.equal(weekInSeconds);
+    });
+
+    it("Should list papers per venue", async function () {
+      await academicPeerReview.connect(owner).createVenue("Journal", [owner.address], 0, 0, 0, 0, 0);
+      await academicPeerReview.connect(author).submitPaper(VENUE_ID, "Paper 1", "Abstract", "QmHash1", [], []);
+      await academicPeerReview.connect(author).submitPaper(2, "Paper 2", "Abstract", "QmHash2", [], []);
+      await academicPeerReview.connect(author).submitPaper(VENUE_ID, "Paper 3", "Abstract", "QmHash3", [], []);
+
+      expect(await academicPeerReview.getPapersByVenue(VENUE_ID)).to.deep.equal([1n, 3n]);
+      expect(await academicPeerReview.getPapersByVenue(2)).to.deep.equal([2n]);
+    });
+
+    it("Should restrict venue management to its chairs", async function () {
+      await academicPeerReview.connect(owner).createVenue("Journal", [reviewer1.address], 0, 0, 0, 0, 0);
+      await academicPeerReview.connect(author).submitPaper(2, "Paper", "Abstract", "QmHash", [], []);
+
+      await expect(
+        academicPeerReview.connect(owner).setVenueActive(2, false)
+      ).to.be.revertedWith("Not a venue chair");
+      await expect(
+        academicPeerReview.connect(owner).assignReviewers(1, [reviewer1.address, reviewer2.address, reviewer3.address])
+      ).to.be.revertedWith("Not a venue chair");
+
+      await expect(academicPeerReview.connect(reviewer1).addVenueChair(2, reviewer2.address))
+        .to.emit(academicPeerReview, "VenueChairAdded")
+        .withArgs(2, reviewer2.address);
+    });
+
+    it("Should only assign reviewers from the venue pool", async function () {
+      await academicPeerReview.connect(author).submitPaper(VENUE_ID, "Paper", "Abstract", "QmHash", [], []);
+      for (const reviewer of [reviewer1, reviewer2, reviewer3]) {
+        await registerVerifiedReviewer(reviewer, "Peer Review");
+      }
+      await academicPeerReview.connect(owner).addVenueReviewers(VENUE_ID, [reviewer1.address, reviewer2.address]);
+
+      await expect(
+        academicPeerReview.connect(owner).assignReviewers(1, [reviewer1.address, reviewer2.address, reviewer3.address])
+      ).to.be.revertedWith("Reviewer not in venue pool");
+    });
+
+    it("Should require registration before joining a pool", async function () {
+      await expect(
+        academicPeerReview.connect(owner).addVenueReviewers(VENUE_ID, [nonReviewer.address])
+      ).to.be.revertedWith("Reviewer not registered");
+    });
+
+    it("Should apply the venue score scale and acceptance threshold", async function () {
+      // Workshop scoring 1-5, accepting at an average of 3.50
+      await academicPeerReview.connect(owner).createVenue("Workshop", [owner.address], 0, 0, 1, 5, 350);
+      await academicPeerReview.connect(author).submitPaper(2, "Paper", "Abstract", "QmHash", [], []);
+      for (const reviewer of [reviewer1, reviewer2, reviewer3]) {
+        await registerVerifiedReviewer(reviewer, "Peer Review");
+      }
+      const panel = [reviewer1, reviewer2, reviewer3];
+      await academicPeerReview.connect(owner).addVenueReviewers(2, panel.map((r) => r.address));
+      await academicPeerReview.connect(owner).assignReviewers(1, panel.map((r) => r.address));
+
+      const scores = [4, 3, 4];
+      const salts = [];
+      for (let i = 0; i < panel.length; i++) {
+        salts.push(await commitReview(panel[i], 1, scores[i]));
+      }
+      await time.increase(REVIEW_PERIOD + 1);
+
+      await expect(
+        academicPeerReview.connect(reviewer1).revealReviewScore(1, 6, salts[0])
+      ).to.be.revertedWith("Invalid score");
+      for (let i = 0; i < panel.length; i++) {
+        await academicPeerReview.connect(panel[i]).revealReviewScore(1, scores[i], salts[i]);
+      }
+
+      await expect(academicPeerReview.connect(author).requestScoreReveal(1))
+        .to.emit(academicPeerReview, "ScoreRevealed")
+        .withArgs(1, 366);
+      expect((await academicPeerReview.getPaper(1)).status).to.equal(2); // Accepted
+    });
+  });
+
   /**
    * Test Category: Paper Submission
    * Validates paper submission workflow and data storage
@@ -66,9 +325,12 @@ describe("AcademicPeerReview Contract", function () {
       const ipfsHash = "QmTzQ1JRkWErjk39mryYw2WVaphAZNAREyMchXzYT4rKE6";
 
       const tx = await academicPeerReview.connect(author).submitPaper(
+        VENUE_ID,
         title,
         abstract,
-        ipfsHash
+        ipfsHash,
+        [],
+        []
       );
 
       await expect(tx)
@@ -81,21 +343,27 @@ describe("AcademicPeerReview Contract", function () {
       expect(paper.title).to.equal(title);
       expect(paper.abstractText).to.equal(abstract);
       expect(paper.ipfsHash).to.equal(ipfsHash);
-      expect(paper.status).to.equal(1); // UnderReview status
+      expect(paper.status).to.equal(0); // Submitted, waiting for reviewer assignment
     });
 
     it("Should increment paper count", async function () {
       await academicPeerReview.connect(author).submitPaper(
+        VENUE_ID,
         "Paper 1",
         "Abstract 1",
-        "QmHash1"
+        "QmHash1",
+        [],
+        []
       );
       expect(await academicPeerReview.paperCount()).to.equal(1);
 
       await academicPeerReview.connect(author).submitPaper(
+        VENUE_ID,
         "Paper 2",
         "Abstract 2",
-        "QmHash2"
+        "QmHash2",
+        [],
+        []
       );
       expect(await academicPeerReview.paperCount()).to.equal(2);
     });
@@ -103,9 +371,12 @@ describe("AcademicPeerReview Contract", function () {
     it("Should reject empty title", async function () {
       await expect(
         academicPeerReview.connect(author).submitPaper(
+          VENUE_ID,
           "",
           "Abstract",
-          "QmHash"
+          "QmHash",
+          [],
+          []
         )
       ).to.be.revertedWith("Title required");
     });
@@ -113,9 +384,12 @@ describe("AcademicPeerReview Contract", function () {
     it("Should reject empty abstract", async function () {
       await expect(
         academicPeerReview.connect(author).submitPaper(
+          VENUE_ID,
           "Title",
           "",
-          "QmHash"
+          "QmHash",
+          [],
+          []
         )
       ).to.be.revertedWith("Abstract required");
     });
@@ -123,23 +397,32 @@ describe("AcademicPeerReview Contract", function () {
     it("Should reject empty IPFS hash", async function () {
       await expect(
         academicPeerReview.connect(author).submitPaper(
+          VENUE_ID,
           "Title",
           "Abstract",
-          ""
+          "",
+          [],
+          []
         )
       ).to.be.revertedWith("IPFS hash required");
     });
 
     it("Should store multiple papers from same author", async function () {
       await academicPeerReview.connect(author).submitPaper(
+        VENUE_ID,
         "First Paper",
         "First Abstract",
-        "QmHash1"
+        "QmHash1",
+        [],
+        []
       );
       await academicPeerReview.connect(author).submitPaper(
+        VENUE_ID,
         "Second Paper",
         "Second Abstract",
-        "QmHash2"
+        "QmHash2",
+        [],
+        []
       );
 
       const authorPapers = await academicPeerReview.getPapersByAuthor(author.address);
@@ -152,18 +435,18 @@ describe("AcademicPeerReview Contract", function () {
    * Tests reviewer registration and verification workflow
    */
   describe("Reviewer Registration", function () {
-    it("Should register reviewer successfully", async function () {
+    it("Should register reviewer as unverified", async function () {
       const expertise = "Cryptography";
 
       await expect(
         academicPeerReview.connect(reviewer1).registerReviewer(expertise)
       )
-        .to.emit(academicPeerReview, "ReviewerVerified")
+        .to.emit(academicPeerReview, "ReviewerRegistered")
         .withArgs(reviewer1.address, expertise);
 
       const reviewer = await academicPeerReview.reviewers(reviewer1.address);
       expect(reviewer.reviewerAddress).to.equal(reviewer1.address);
-      expect(reviewer.isVerified).to.equal(true);
+      expect(reviewer.isVerified).to.equal(false);
       expect(reviewer.expertise).to.equal(expertise);
       expect(reviewer.reputation).to.equal(100); // Initial reputation
       expect(reviewer.reviewsCompleted).to.equal(0);
@@ -192,19 +475,18 @@ describe("AcademicPeerReview Contract", function () {
       const rev2 = await academicPeerReview.reviewers(reviewer2.address);
       const rev3 = await academicPeerReview.reviewers(reviewer3.address);
 
-      expect(rev1.isVerified).to.equal(true);
-      expect(rev2.isVerified).to.equal(true);
-      expect(rev3.isVerified).to.equal(true);
+      expect(rev1.expertise).to.equal("Cryptography");
+      expect(rev2.expertise).to.equal("Distributed Systems");
+      expect(rev3.expertise).to.equal("Privacy Engineering");
     });
   });
 
   /**
-   * Test Category: Reviewer Verification (Owner Functions)
-   * Tests administrative reviewer verification
+   * Test Category: Reviewer Verification by Chairs
+   * Reviewers stay unverified until a program or area chair approves them
    */
-  describe("Reviewer Verification by Owner", function () {
-    it("Should allow owner to verify reviewer", async function () {
-      // Register without auto-verify (would need modified contract)
+  describe("Reviewer Verification by Chairs", function () {
+    it("Should allow a program chair to verify reviewer", async function () {
       await academicPeerReview.connect(reviewer1).registerReviewer("Cryptography");
 
       await expect(
@@ -212,14 +494,39 @@ describe("AcademicPeerReview Contract", function () {
       )
         .to.emit(academicPeerReview, "ReviewerVerified")
         .withArgs(reviewer1.address, "Cryptography");
+
+      const REVIEWER_ROLE = await academicPeerReview.REVIEWER_ROLE();
+      expect((await academicPeerReview.reviewers(reviewer1.address)).isVerified).to.equal(true);
+      expect(await academicPeerReview.hasRole(REVIEWER_ROLE, reviewer1.address)).to.equal(true);
     });
 
-    it("Should reject non-owner verification attempts", async function () {
+    it("Should reject verification attempts by non-chairs", async function () {
       await academicPeerReview.connect(reviewer1).registerReviewer("Cryptography");
 
       await expect(
         academicPeerReview.connect(author).verifyReviewer(reviewer1.address)
-      ).to.be.revertedWith("Not the owner");
+      ).to.be.revertedWith("Not a chair");
+    });
+
+    it("Should keep unverified reviewers out of venue assignments", async function () {
+      await academicPeerReview.connect(author).submitPaper(VENUE_ID, "Paper", "Abstract", "QmHash", [], []);
+      for (const reviewer of [reviewer1, reviewer2, reviewer3]) {
+        await academicPeerReview.connect(reviewer).registerReviewer("Cryptography");
+      }
+      const panel = [reviewer1.address, reviewer2.address, reviewer3.address];
+      await academicPeerReview.connect(owner).addVenueReviewers(VENUE_ID, panel);
+
+      await expect(
+        academicPeerReview.connect(owner).assignReviewers(1, panel)
+      ).to.be.revertedWith("Reviewer not verified");
+    });
+
+    it("Should reject verifying a reviewer twice", async function () {
+      await registerVerifiedReviewer(reviewer1, "Cryptography");
+
+      await expect(
+        academicPeerReview.connect(owner).verifyReviewer(reviewer1.address)
+      ).to.be.revertedWith("Reviewer already verified");
     });
 
     it("Should reject verification of unregistered reviewer", async function () {
@@ -230,40 +537,248 @@ describe("AcademicPeerReview Contract", function () {
   });
 
   /**
-   * Test Category: Review Submission with FHE Encryption
-   * Demonstrates encrypted review storage and input proofs
+   * Test Category: Reviewer Assignment
+   * Only reviewers assigned by the owner may review a paper
+   * Chapter: access-control
+   */
+  describe("Reviewer Assignment", function () {
+    let paperId;
+
+    beforeEach(async function () {
+      await academicPeerReview.connect(author).submitPaper(VENUE_ID, "Assigned Paper", "Abstract", "QmHash", [], []);
+      paperId = 1;
+
+      await registerVerifiedReviewer(reviewer1, "Cryptography");
+      await registerVerifiedReviewer(reviewer2, "Security");
+      await registerVerifiedReviewer(reviewer3, "Privacy");
+      await academicPeerReview
+        .connect(owner)
+        .addVenueReviewers(VENUE_ID, [reviewer1.address, reviewer2.address, reviewer3.address]);
+    });
+
+    it("Should start in strict assignment mode", async function () {
+      expect(await academicPeerReview.strictAssignment()).to.equal(true);
+    });
+
+    it("Should assign reviewers and move the paper under review", async function () {
+      const panel = [reviewer1.address, reviewer2.address, reviewer3.address];
+
+      await expect(academicPeerReview.connect(owner).assignReviewers(paperId, panel))
+        .to.emit(academicPeerReview, "ReviewerAssigned")
+        .withArgs(paperId, reviewer1.address)
+        .and.to.emit(academicPeerReview, "PaperStatusChanged")
+        .withArgs(paperId, 1);
+
+      const paper = await academicPeerReview.getPaper(paperId);
+      expect(paper.status).to.equal(1); // UnderReview
+      expect(paper.reviewerCount).to.equal(3);
+      expect(await academicPeerReview.isAssignedReviewer(paperId, reviewer2.address)).to.equal(true);
+      expect(await academicPeerReview.getReviewerAssignments(reviewer3.address)).to.deep.equal([1n]);
+    });
+
+    it("Should reject assignment by non-chair", async function () {
+      await expect(
+        academicPeerReview
+          .connect(author)
+          .assignReviewers(paperId, [reviewer1.address, reviewer2.address, reviewer3.address])
+      ).to.be.revertedWith("Not a venue chair");
+    });
+
+    it("Should require the minimum number of reviewers", async function () {
+      await expect(
+        academicPeerReview.connect(owner).assignReviewers(paperId, [reviewer1.address, reviewer2.address])
+      ).to.be.revertedWith("Insufficient reviewers");
+    });
+
+    it("Should reject unverified reviewers", async function () {
+      await expect(
+        academicPeerReview
+          .connect(owner)
+          .assignReviewers(paperId, [reviewer1.address, reviewer2.address, nonReviewer.address])
+      ).to.be.revertedWith("Reviewer not verified");
+    });
+
+    it("Should reject duplicate reviewers", async function () {
+      await expect(
+        academicPeerReview
+          .connect(owner)
+          .assignReviewers(paperId, [reviewer1.address, reviewer2.address, reviewer1.address])
+      ).to.be.revertedWith("Reviewer already assigned");
+    });
+
+    it("Should reject reviews before assignment", async function () {
+      await expect(commitReview(reviewer1, paperId, 8)).to.be.revertedWith("Paper not under review");
+    });
+
+    it("Should reject reviews from verified but unassigned reviewers", async function () {
+      await registerVerifiedReviewer(nonReviewer, "Databases");
+      await academicPeerReview.connect(owner).addVenueReviewers(VENUE_ID, [nonReviewer.address]);
+      await assignPanel(paperId);
+
+      await expect(commitReview(nonReviewer, paperId, 8)).to.be.revertedWith("Not assigned to this paper");
+    });
+
+    it("Should let any verified reviewer review in open mode", async function () {
+      await expect(academicPeerReview.connect(owner).setStrictAssignment(false))
+        .to.emit(academicPeerReview, "AssignmentModeChanged")
+        .withArgs(false);
+
+      await academicPeerReview.connect(author).submitPaper(VENUE_ID, "Open Paper", "Abstract", "QmHash2", [], []);
+      const paper = await academicPeerReview.getPaper(2);
+      expect(paper.status).to.equal(1); // UnderReview
+
+      await academicPeerReview.connect(owner).addVenueReviewers(VENUE_ID, [reviewer1.address]);
+      await commitReview(reviewer1, 2, 8);
+      expect((await academicPeerReview.reviews(2, reviewer1.address)).isSubmitted).to.equal(true);
+    });
+
+    it("Should restrict the assignment mode toggle to the owner", async function () {
+      await expect(
+        academicPeerReview.connect(author).setStrictAssignment(false)
+      ).to.be.revertedWith("Missing role");
+    });
+  });
+
+  /**
+   * Test Category: Conflicts of Interest
+   * Conflicted reviewers are excluded from assignment and review
+   * Chapter: access-control
+   */
+  describe("Conflicts of Interest", function () {
+    const panel = () => [reviewer1.address, reviewer2.address, reviewer3.address];
+
+    beforeEach(async function () {
+      await registerVerifiedReviewer(reviewer1, "Cryptography");
+      await registerVerifiedReviewer(reviewer2, "Security");
+      await registerVerifiedReviewer(reviewer3, "Privacy");
+      await academicPeerReview.connect(owner).addVenueReviewers(VENUE_ID, panel());
+    });
+
+    it("Should reject assigning the author to their own paper", async function () {
+      await academicPeerReview.connect(author).submitPaper(VENUE_ID, "Paper", "Abstract", "QmHash", [], []);
+      await registerVerifiedReviewer(author, "Self Review");
+      await academicPeerReview.connect(owner).addVenueReviewers(VENUE_ID, [author.address]);
+
+      await expect(
+        academicPeerReview
+          .connect(owner)
+          .assignReviewers(1, [author.address, reviewer1.address, reviewer2.address])
+      ).to.be.revertedWith("Conflict: reviewer is the author");
+    });
+
+    it("Should reject reviewers declared as conflicted by the author", async function () {
+      await expect(
+        academicPeerReview
+          .connect(author)
+          .submitPaper(VENUE_ID, "Paper", "Abstract", "QmHash", [reviewer1.address], ["Example University"])
+      )
+        .to.emit(academicPeerReview, "PaperConflictsDeclared")
+        .withArgs(1, 1, 1);
+
+      expect(await academicPeerReview.paperConflicts(1, reviewer1.address)).to.equal(true);
+      await expect(
+        academicPeerReview.connect(owner).assignReviewers(1, panel())
+      ).to.be.revertedWith("Conflict: declared by the author");
+    });
+
+    it("Should match conflicting institutions case-insensitively", async function () {
+      await academicPeerReview
+        .connect(author)
+        .submitPaper(VENUE_ID, "Paper", "Abstract", "QmHash", [], ["Example University"]);
+
+      await expect(
+        academicPeerReview.connect(reviewer2).declareReviewerConflicts("EXAMPLE university", [])
+      )
+        .to.emit(academicPeerReview, "ReviewerConflictsDeclared")
+        .withArgs(reviewer2.address, "EXAMPLE university", 0);
+
+      expect(await academicPeerReview.getConflictReason(1, reviewer2.address)).to.equal(
+        "Conflict: reviewer institution"
+      );
+      await expect(
+        academicPeerReview.connect(owner).assignReviewers(1, panel())
+      ).to.be.revertedWith("Conflict: reviewer institution");
+    });
+
+    it("Should reject reviewers who declared a conflict with the author", async function () {
+      await academicPeerReview.connect(author).submitPaper(VENUE_ID, "Paper", "Abstract", "QmHash", [], []);
+      await academicPeerReview.connect(reviewer3).declareReviewerConflicts("Other Institute", [author.address]);
+
+      await expect(
+        academicPeerReview.connect(owner).assignReviewers(1, panel())
+      ).to.be.revertedWith("Conflict: declared by the reviewer");
+    });
+
+    it("Should reject conflicted reviews in open assignment mode", async function () {
+      await academicPeerReview.connect(owner).setStrictAssignment(false);
+      await academicPeerReview.connect(author).submitPaper(VENUE_ID, "Paper", "Abstract", "QmHash", [], []);
+      await registerVerifiedReviewer(author, "Self Review");
+      await academicPeerReview.connect(owner).addVenueReviewers(VENUE_ID, [author.address]);
+
+      await expect(commitReview(author, 1, 10)).to.be.revertedWith("Conflict: reviewer is the author");
+    });
+
+    it("Should report no conflict for independent reviewers", async function () {
+      await academicPeerReview
+        .connect(author)
+        .submitPaper(VENUE_ID, "Paper", "Abstract", "QmHash", [reviewer1.address], ["Example University"]);
+      await academicPeerReview.connect(reviewer2).declareReviewerConflicts("Other Institute", []);
+
+      expect(await academicPeerReview.getConflictReason(1, reviewer2.address)).to.equal("");
+    });
+
+    it("Should require registration before declaring reviewer conflicts", async function () {
+      await expect(
+        academicPeerReview.connect(nonReviewer).declareReviewerConflicts("Example University", [])
+      ).to.be.revertedWith("Reviewer not registered");
+    });
+
+    it("Should limit the number of declared conflicts", async function () {
+      const conflicts = Array(21).fill(reviewer1.address);
+
+      await expect(
+        academicPeerReview.connect(author).submitPaper(VENUE_ID, "Paper", "Abstract", "QmHash", conflicts, [])
+      ).to.be.revertedWith("Too many conflicts");
+    });
+  });
+
+  /**
+   * Test Category: Review Submission (Sealed Score Commitments)
+   * Demonstrates that scores stay hidden until the review period ends
    * Chapter: encryption, access-control
    */
-  describe("Review Submission (FHE Encrypted)", function () {
+  describe("Review Submission (Sealed Commitments)", function () {
     let paperId;
-    const inputProof = ethers.keccak256(ethers.toUtf8Bytes("proof123"));
 
     beforeEach(async function () {
       // Submit paper
-      const tx = await academicPeerReview.connect(author).submitPaper(
+      await academicPeerReview.connect(author).submitPaper(
+        VENUE_ID,
         "Research on FHE",
         "This paper presents...",
-        "QmHash123"
+        "QmHash123",
+        [],
+        []
       );
-      const receipt = await tx.wait();
       paperId = 1;
 
       // Register reviewers
-      await academicPeerReview.connect(reviewer1).registerReviewer("Cryptography");
-      await academicPeerReview.connect(reviewer2).registerReviewer("Security");
-      await academicPeerReview.connect(reviewer3).registerReviewer("Privacy");
+      await registerVerifiedReviewer(reviewer1, "Cryptography");
+      await registerVerifiedReviewer(reviewer2, "Security");
+      await registerVerifiedReviewer(reviewer3, "Privacy");
+      await assignPanel(paperId);
     });
 
-    it("Should submit encrypted review successfully", async function () {
+    it("Should submit sealed review successfully", async function () {
       const score = 8;
-      const comments = "Excellent research methodology and thorough analysis";
+      const salt = scoreSalt(reviewer1, paperId);
+      const commitment = scoreCommitment(paperId, reviewer1, score, salt);
 
       await expect(
         academicPeerReview.connect(reviewer1).submitReview(
           paperId,
-          score,
-          inputProof,
-          comments
+          commitment,
+          commentsHash("Excellent research methodology and thorough analysis")
         )
       )
         .to.emit(academicPeerReview, "ReviewSubmitted")
@@ -271,214 +786,2040 @@ describe("AcademicPeerReview Contract", function () {
 
       const review = await academicPeerReview.reviews(paperId, reviewer1.address);
       expect(review.isSubmitted).to.equal(true);
+      expect(review.isRevealed).to.equal(false);
       expect(review.paperId).to.equal(paperId);
       expect(review.reviewer).to.equal(reviewer1.address);
+      expect(review.scoreCommitment).to.equal(commitment);
+      expect(review.commentsHash).to.equal(
+        commentsHash("Excellent research methodology and thorough analysis")
+      );
+    });
+
+    it("Should match the on-chain commitment helper", async function () {
+      const salt = scoreSalt(reviewer1, paperId);
 
-      // Verify score is encrypted (stored as bytes32 hash, not plaintext)
-      expect(review.encryptedScore).to.not.equal(ethers.zeroPadValue(ethers.toBeHex(score), 32));
+      expect(
+        await academicPeerReview.computeScoreCommitment(paperId, reviewer1.address, 8, salt)
+      ).to.equal(scoreCommitment(paperId, reviewer1, 8, salt));
     });
 
-    it("Should increment reviewer reputation and reviews completed", async function () {
-      await academicPeerReview.connect(reviewer1).submitReview(
-        paperId,
-        7,
-        inputProof,
-        "Good work"
-      );
+    it("Should count reviews completed without rewarding volume", async function () {
+      await commitReview(reviewer1, paperId, 7, "Good work");
 
       const reviewer = await academicPeerReview.reviewers(reviewer1.address);
       expect(reviewer.reviewsCompleted).to.equal(1);
-      expect(reviewer.reputation).to.equal(110); // 100 initial + 10 bonus
+      expect(reviewer.reputation).to.equal(100); // Earned once the paper is decided
     });
 
-    it("Should reject scores below minimum", async function () {
+    it("Should reject empty commitments", async function () {
       await expect(
-        academicPeerReview.connect(reviewer1).submitReview(
-          paperId,
-          0,
-          inputProof,
-          "Comments"
-        )
-      ).to.be.revertedWith("Invalid score");
+        academicPeerReview.connect(reviewer1).submitReview(paperId, ethers.ZeroHash, commentsHash("Comments"))
+      ).to.be.revertedWith("Score commitment required");
     });
 
-    it("Should reject scores above maximum", async function () {
+    it("Should reject reviews without a comments hash", async function () {
+      const commitment = scoreCommitment(paperId, reviewer1, 8, scoreSalt(reviewer1, paperId));
+
       await expect(
-        academicPeerReview.connect(reviewer1).submitReview(
-          paperId,
-          11,
-          inputProof,
-          "Comments"
-        )
-      ).to.be.revertedWith("Invalid score");
+        academicPeerReview.connect(reviewer1).submitReview(paperId, commitment, ethers.ZeroHash)
+      ).to.be.revertedWith("Comments hash required");
     });
 
     it("Should reject duplicate review submission", async function () {
-      await academicPeerReview.connect(reviewer1).submitReview(
-        paperId,
-        8,
-        inputProof,
-        "First review"
-      );
+      await commitReview(reviewer1, paperId, 8, "First review");
 
       await expect(
-        academicPeerReview.connect(reviewer1).submitReview(
-          paperId,
-          9,
-          inputProof,
-          "Second review"
-        )
+        commitReview(reviewer1, paperId, 9, "Second review")
       ).to.be.revertedWith("Review already submitted");
     });
 
     it("Should reject review from unverified reviewer", async function () {
       await expect(
-        academicPeerReview.connect(nonReviewer).submitReview(
-          paperId,
-          8,
-          inputProof,
-          "Comments"
-        )
+        commitReview(nonReviewer, paperId, 8)
       ).to.be.revertedWith("Reviewer not verified");
     });
 
     it("Should reject review for non-existent paper", async function () {
       await expect(
-        academicPeerReview.connect(reviewer1).submitReview(
-          999,
-          8,
-          inputProof,
-          "Comments"
-        )
+        commitReview(reviewer1, 999, 8)
       ).to.be.revertedWith("Paper does not exist");
     });
 
-    it("Should store encrypted scores in paper", async function () {
-      await academicPeerReview.connect(reviewer1).submitReview(
-        paperId,
-        8,
-        inputProof,
-        "Good"
-      );
+    it("Should reject reviews after the deadline", async function () {
+      await time.increase(REVIEW_PERIOD + 1);
+
+      await expect(
+        commitReview(reviewer1, paperId, 8)
+      ).to.be.revertedWith("Review period ended");
+    });
+
+    it("Should store score commitments in paper", async function () {
+      await commitReview(reviewer1, paperId, 8, "Good");
 
       const paper = await academicPeerReview.getPaper(paperId);
-      expect(paper.encryptedScores.length).to.equal(1);
+      expect(paper.scoreCommitments.length).to.equal(1);
+      expect(paper.revealedScoreSum).to.equal(0);
     });
   });
 
   /**
-   * Test Category: Review Aggregation (Homomorphic Operations)
-   * Demonstrates FHE computation on encrypted data
-   * Chapter: homomorphic-operations
+   * Test Category: Score Reveal by Reviewers
+   * Reviewers open their commitments after the deadline
+   * Chapter: decryption
    */
-  describe("Review Aggregation", function () {
+  describe("Reviewer Score Reveal", function () {
     let paperId;
-    const inputProof = ethers.keccak256(ethers.toUtf8Bytes("proof123"));
+    let salt;
 
     beforeEach(async function () {
-      // Submit paper
       await academicPeerReview.connect(author).submitPaper(
+        VENUE_ID,
         "Advanced FHE Research",
         "Abstract...",
-        "QmHash"
+        "QmHash",
+        [],
+        []
       );
       paperId = 1;
 
-      // Register reviewers
-      await academicPeerReview.connect(reviewer1).registerReviewer("Cryptography");
-      await academicPeerReview.connect(reviewer2).registerReviewer("Security");
-      await academicPeerReview.connect(reviewer3).registerReviewer("Privacy");
+      await assignPanel(paperId);
+      salt = await commitReview(reviewer1, paperId, 8, "Excellent");
+    });
+
+    it("Should reject reveals before the review deadline", async function () {
+      await expect(
+        academicPeerReview.connect(reviewer1).revealReviewScore(paperId, 8, salt)
+      ).to.be.revertedWith("Review period not ended");
     });
 
-    it("Should aggregate multiple encrypted reviews", async function () {
-      // Submit multiple reviews
-      await academicPeerReview.connect(reviewer1).submitReview(paperId, 8, inputProof, "Excellent");
+    it("Should reveal a committed score after the deadline", async function () {
+      await time.increase(REVIEW_PERIOD + 1);
+
+      await expect(
+        academicPeerReview.connect(reviewer1).revealReviewScore(paperId, 8, salt)
+      )
+        .to.emit(academicPeerReview, "ReviewScoreRevealed")
+        .withArgs(paperId, reviewer1.address);
 
       const paper = await academicPeerReview.getPaper(paperId);
+      expect(paper.revealedScoreSum).to.equal(8);
+      expect(paper.revealedCount).to.equal(1);
+    });
 
-      // Verify aggregation happened (isFinalized set to true)
-      expect(paper.isFinalized).to.equal(true);
+    it("Should reject a score that does not match the commitment", async function () {
+      await time.increase(REVIEW_PERIOD + 1);
 
-      // Verify aggregated score exists (non-zero bytes32)
-      expect(paper.aggregatedScore).to.not.equal(ethers.ZeroHash);
+      await expect(
+        academicPeerReview.connect(reviewer1).revealReviewScore(paperId, 9, salt)
+      ).to.be.revertedWith("Commitment mismatch");
     });
 
-    it("Should finalize after minimum reviews received", async function () {
-      // Submit one review (minimum for demo is 1)
-      await academicPeerReview.connect(reviewer1).submitReview(
-        paperId,
-        7,
-        inputProof,
-        "Good research"
-      );
+    it("Should reject scores outside the valid range", async function () {
+      await time.increase(REVIEW_PERIOD + 1);
 
-      const paper = await academicPeerReview.getPaper(paperId);
-      expect(paper.isFinalized).to.equal(true);
+      await expect(
+        academicPeerReview.connect(reviewer1).revealReviewScore(paperId, MIN_SCORE - 1, salt)
+      ).to.be.revertedWith("Invalid score");
+      await expect(
+        academicPeerReview.connect(reviewer1).revealReviewScore(paperId, MAX_SCORE + 1, salt)
+      ).to.be.revertedWith("Invalid score");
+    });
+
+    it("Should reject double reveals", async function () {
+      await time.increase(REVIEW_PERIOD + 1);
+      await academicPeerReview.connect(reviewer1).revealReviewScore(paperId, 8, salt);
+
+      await expect(
+        academicPeerReview.connect(reviewer1).revealReviewScore(paperId, 8, salt)
+      ).to.be.revertedWith("Score already revealed");
+    });
+
+    it("Should reject reveals after the reveal period", async function () {
+      await time.increase(REVIEW_PERIOD + REVEAL_PERIOD + 1);
+
+      await expect(
+        academicPeerReview.connect(reviewer1).revealReviewScore(paperId, 8, salt)
+      ).to.be.revertedWith("Reveal period ended");
+    });
+
+    it("Should reject reveals from addresses without a review", async function () {
+      await time.increase(REVIEW_PERIOD + 1);
+
+      await expect(
+        academicPeerReview.connect(reviewer2).revealReviewScore(paperId, 8, salt)
+      ).to.be.revertedWith("Review not submitted");
     });
   });
 
   /**
-   * Test Category: Score Revelation (Selective Decryption)
-   * Demonstrates access-controlled decryption
-   * Chapter: access-control, decryption
+   * Test Category: Review Aggregation
+   * Demonstrates that the revealed average matches the submitted scores
+   * Chapter: homomorphic-operations
    */
-  describe("Score Revelation", function () {
+  describe("Review Aggregation", function () {
     let paperId;
-    const inputProof = ethers.keccak256(ethers.toUtf8Bytes("proof123"));
 
     beforeEach(async function () {
-      // Submit paper and reviews
+      // Submit paper
       await academicPeerReview.connect(author).submitPaper(
-        "FHE Applications",
+        VENUE_ID,
+        "Advanced FHE Research",
         "Abstract...",
-        "QmHash"
+        "QmHash",
+        [],
+        []
       );
       paperId = 1;
 
-      await academicPeerReview.connect(reviewer1).registerReviewer("Crypto");
-      await academicPeerReview.connect(reviewer1).submitReview(paperId, 8, inputProof, "Good");
+      // Register reviewers
+      await registerVerifiedReviewer(reviewer1, "Cryptography");
+      await registerVerifiedReviewer(reviewer2, "Security");
+      await registerVerifiedReviewer(reviewer3, "Privacy");
+      await assignPanel(paperId);
     });
 
-    it("Should allow author to request score reveal", async function () {
-      await expect(
-        academicPeerReview.connect(author).requestScoreReveal(paperId)
-      )
-        .to.emit(academicPeerReview, "ScoreRevealed")
-        .to.emit(academicPeerReview, "PaperStatusChanged");
+    /**
+     * Commit the given scores, reveal them after the deadline and return the reveal receipt
+     */
+    async function reviewAndReveal(scores) {
+      const panel = [reviewer1, reviewer2, reviewer3].slice(0, scores.length);
+      const salts = [];
+      for (let i = 0; i < panel.length; i++) {
+        salts.push(await commitReview(panel[i], paperId, scores[i]));
+      }
+
+      await time.increase(REVIEW_PERIOD + 1);
+      for (let i = 0; i < panel.length; i++) {
+        await academicPeerReview.connect(panel[i]).revealReviewScore(paperId, scores[i], salts[i]);
+      }
+
+      return academicPeerReview.connect(author).requestScoreReveal(paperId);
+    }
+
+    it("Should wait for the assigned quorum before finalizing", async function () {
+      await commitReview(reviewer1, paperId, 7, "Good research");
+      await commitReview(reviewer2, paperId, 8, "Solid work");
+      expect((await academicPeerReview.getPaper(paperId)).isFinalized).to.equal(false);
+
+      await commitReview(reviewer3, paperId, 6, "Needs polish");
+      expect((await academicPeerReview.getPaper(paperId)).isFinalized).to.equal(true);
+    });
+
+    it("Should reveal the true average of submitted scores", async function () {
+      const tx = await reviewAndReveal([9, 8, 6]);
+
+      // (9 + 8 + 6) / 3 = 7.66 with two decimals
+      await expect(tx)
+        .to.emit(academicPeerReview, "ScoreRevealed")
+        .withArgs(paperId, 766);
+
+      const paper = await academicPeerReview.getPaper(paperId);
+      expect(paper.revealedScoreSum).to.equal(23);
+      expect(paper.averageScore).to.equal(766);
+      expect(paper.status).to.equal(2); // Accepted
+    });
+
+    it("Should reject papers whose average is below the threshold", async function () {
+      const tx = await reviewAndReveal([7, 6, 7]);
+
+      await expect(tx)
+        .to.emit(academicPeerReview, "ScoreRevealed")
+        .withArgs(paperId, 666);
+
+      const paper = await academicPeerReview.getPaper(paperId);
+      expect(paper.status).to.equal(3); // Rejected
+    });
+
+    it("Should accept papers exactly at the threshold", async function () {
+      await expect(reviewAndReveal([7, 7, 7]))
+        .to.emit(academicPeerReview, "ScoreRevealed")
+        .withArgs(paperId, 700);
+
+      const paper = await academicPeerReview.getPaper(paperId);
+      expect(paper.status).to.equal(2); // Accepted
+    });
+
+    it("Should ignore unrevealed scores once the reveal period ends", async function () {
+      await commitReview(reviewer1, paperId, 9);
+      const salt2 = await commitReview(reviewer2, paperId, 5);
+
+      await time.increase(REVIEW_PERIOD + 1);
+      await academicPeerReview.finalizeAfterDeadline(paperId);
+      await academicPeerReview.connect(reviewer2).revealReviewScore(paperId, 5, salt2);
+
+      await expect(
+        academicPeerReview.connect(author).requestScoreReveal(paperId)
+      ).to.be.revertedWith("Reveal period active");
+
+      await time.increase(REVEAL_PERIOD);
+
+      await expect(academicPeerReview.connect(author).requestScoreReveal(paperId))
+        .to.emit(academicPeerReview, "ScoreRevealed")
+        .withArgs(paperId, 500);
+    });
+  });
+
+  /**
+   * Test Category: Review Quorum
+   * Finalization waits for the assigned panel or the deadline fallback
+   */
+  describe("Review Quorum", function () {
+    let paperId;
+
+    beforeEach(async function () {
+      await academicPeerReview.connect(author).submitPaper(VENUE_ID, "Quorum Paper", "Abstract", "QmHash", [], []);
+      paperId = 1;
+    });
+
+    it("Should report progress towards the minimum panel before assignment", async function () {
+      const [submitted, required] = await academicPeerReview.getReviewProgress(paperId);
+      expect(submitted).to.equal(0);
+      expect(required).to.equal(MIN_REVIEWERS);
+    });
+
+    it("Should report submitted and required reviews", async function () {
+      await assignPanel(paperId);
+      await commitReview(reviewer1, paperId, 8);
+
+      const [submitted, required] = await academicPeerReview.getReviewProgress(paperId);
+      expect(submitted).to.equal(1);
+      expect(required).to.equal(3);
+    });
+
+    it("Should emit ReviewsFinalized when the quorum is reached", async function () {
+      await assignPanel(paperId);
+      await commitReview(reviewer1, paperId, 8);
+      await commitReview(reviewer2, paperId, 8);
+
+      const salt = scoreSalt(reviewer3, paperId);
+      await expect(
+        academicPeerReview
+          .connect(reviewer3)
+          .submitReview(paperId, scoreCommitment(paperId, reviewer3, 8, salt), commentsHash("Comments"))
+      )
+        .to.emit(academicPeerReview, "ReviewsFinalized")
+        .withArgs(paperId, 3);
+    });
+
+    it("Should not finalize with the fallback before the deadline", async function () {
+      await assignPanel(paperId);
+      await commitReview(reviewer1, paperId, 8);
+      await commitReview(reviewer2, paperId, 8);
+
+      await expect(
+        academicPeerReview.finalizeAfterDeadline(paperId)
+      ).to.be.revertedWith("Review period not ended");
+    });
+
+    it("Should finalize with the fallback quorum after the deadline", async function () {
+      await assignPanel(paperId);
+      await commitReview(reviewer1, paperId, 8);
+      await commitReview(reviewer2, paperId, 8);
+      await time.increase(REVIEW_PERIOD + 1);
+
+      await expect(academicPeerReview.finalizeAfterDeadline(paperId))
+        .to.emit(academicPeerReview, "ReviewsFinalized")
+        .withArgs(paperId, 2);
+    });
+
+    it("Should reject the fallback below the configured quorum", async function () {
+      await assignPanel(paperId);
+      await commitReview(reviewer1, paperId, 8);
+      await time.increase(REVIEW_PERIOD + 1);
+
+      await expect(
+        academicPeerReview.finalizeAfterDeadline(paperId)
+      ).to.be.revertedWith("Not enough reviews");
+    });
+
+    it("Should let the owner configure the fallback quorum", async function () {
+      await expect(academicPeerReview.connect(owner).setFallbackQuorum(1))
+        .to.emit(academicPeerReview, "FallbackQuorumChanged")
+        .withArgs(1);
+
+      await assignPanel(paperId);
+      await commitReview(reviewer1, paperId, 8);
+      await time.increase(REVIEW_PERIOD + 1);
+
+      await expect(academicPeerReview.finalizeAfterDeadline(paperId)).to.not.be.reverted;
+    });
+
+    it("Should disable the fallback when set to zero", async function () {
+      await academicPeerReview.connect(owner).setFallbackQuorum(0);
+      await assignPanel(paperId);
+      await commitReview(reviewer1, paperId, 8);
+      await commitReview(reviewer2, paperId, 8);
+      await time.increase(REVIEW_PERIOD + 1);
+
+      await expect(
+        academicPeerReview.finalizeAfterDeadline(paperId)
+      ).to.be.revertedWith("Fallback disabled");
+    });
+
+    it("Should reject invalid fallback configuration", async function () {
+      await expect(
+        academicPeerReview.connect(owner).setFallbackQuorum(MIN_REVIEWERS + 1)
+      ).to.be.revertedWith("Fallback exceeds minimum reviewers");
+      await expect(
+        academicPeerReview.connect(author).setFallbackQuorum(1)
+      ).to.be.revertedWith("Missing role");
+    });
+  });
+
+  /**
+   * Test Category: Score Revelation (Selective Decryption)
+   * Demonstrates access-controlled decryption
+   * Chapter: access-control, decryption
+   */
+  describe("Score Revelation", function () {
+    let paperId;
+    let salts;
+
+    beforeEach(async function () {
+      // Submit paper and reviews from the full panel
+      await academicPeerReview.connect(author).submitPaper(
+        VENUE_ID,
+        "FHE Applications",
+        "Abstract...",
+        "QmHash",
+        [],
+        []
+      );
+      paperId = 1;
+
+      await assignPanel(paperId);
+      salts = [];
+      for (const reviewer of [reviewer1, reviewer2, reviewer3]) {
+        salts.push(await commitReview(reviewer, paperId, 8, "Good"));
+      }
+    });
+
+    async function revealAfterDeadline() {
+      await time.increase(REVIEW_PERIOD + 1);
+      const panel = [reviewer1, reviewer2, reviewer3];
+      for (let i = 0; i < panel.length; i++) {
+        await academicPeerReview.connect(panel[i]).revealReviewScore(paperId, 8, salts[i]);
+      }
+    }
+
+    it("Should allow author to request score reveal", async function () {
+      await revealAfterDeadline();
+
+      await expect(
+        academicPeerReview.connect(author).requestScoreReveal(paperId)
+      )
+        .to.emit(academicPeerReview, "ScoreRevealed")
+        .to.emit(academicPeerReview, "PaperStatusChanged");
     });
 
     it("Should allow owner to request score reveal", async function () {
+      await revealAfterDeadline();
+
+      await expect(
+        academicPeerReview.connect(owner).requestScoreReveal(paperId)
+      )
+        .to.emit(academicPeerReview, "ScoreRevealed");
+    });
+
+    it("Should reject unauthorized score reveal requests", async function () {
+      await revealAfterDeadline();
+
+      await expect(
+        academicPeerReview.connect(reviewer1).requestScoreReveal(paperId)
+      ).to.be.revertedWith("Not authorized");
+    });
+
+    it("Should reject reveal for unfinalized reviews", async function () {
+      // Submit new paper without reviews
+      await academicPeerReview.connect(author).submitPaper(
+        VENUE_ID,
+        "New Paper",
+        "Abstract",
+        "QmHash2",
+        [],
+        []
+      );
+
+      await expect(
+        academicPeerReview.connect(author).requestScoreReveal(2)
+      ).to.be.revertedWith("Reviews not finalized");
+    });
+
+    it("Should not disclose the average before the deadline", async function () {
+      await expect(
+        academicPeerReview.connect(author).requestScoreReveal(paperId)
+      ).to.be.revertedWith("Review period not ended");
+    });
+
+    it("Should reject reveal when no score was revealed", async function () {
+      await time.increase(REVIEW_PERIOD + REVEAL_PERIOD + 1);
+
+      await expect(
+        academicPeerReview.connect(author).requestScoreReveal(paperId)
+      ).to.be.revertedWith("No scores revealed");
+    });
+
+    it("Should update paper status based on score", async function () {
+      await revealAfterDeadline();
+      await academicPeerReview.connect(author).requestScoreReveal(paperId);
+
+      const paper = await academicPeerReview.getPaper(paperId);
+      expect(paper.status).to.equal(2); // Accepted with a score of 8
+      expect(paper.averageScore).to.equal(8 * SCORE_PRECISION);
+    });
+
+    it("Should reject a second decision", async function () {
+      await revealAfterDeadline();
+      await academicPeerReview.connect(author).requestScoreReveal(paperId);
+
+      await expect(
+        academicPeerReview.connect(owner).requestScoreReveal(paperId)
+      ).to.be.revertedWith("Decision already made");
+    });
+
+    it("Should release review comment hashes with the decision", async function () {
+      await expect(
+        academicPeerReview.getReviewComments(paperId)
+      ).to.be.revertedWith("Decision pending");
+
+      await revealAfterDeadline();
+      await academicPeerReview.connect(author).requestScoreReveal(paperId);
+
+      expect(await academicPeerReview.getReviewComments(paperId)).to.deep.equal([
+        commentsHash("Good"),
+        commentsHash("Good"),
+        commentsHash("Good")
+      ]);
+    });
+  });
+
+  /**
+   * Test Category: Withdrawal and Resubmission
+   * Authors withdraw undecided papers and link revisions into version chains
+   */
+  describe("Withdrawal and Resubmission", function () {
+    beforeEach(async function () {
+      await academicPeerReview.connect(author).submitPaper(VENUE_ID, "Original", "Abstract", "QmV1", [], []);
+    });
+
+    /**
+     * Review a paper with failing scores and publish the rejection
+     */
+    async function rejectPaper(paperId) {
+      await assignPanel(paperId);
+      const panel = [reviewer1, reviewer2, reviewer3];
+      const salts = [];
+      for (const reviewer of panel) {
+        salts.push(await commitReview(reviewer, paperId, 4));
+      }
+      await time.increase(REVIEW_PERIOD + 1);
+      for (let i = 0; i < panel.length; i++) {
+        await academicPeerReview.connect(panel[i]).revealReviewScore(paperId, 4, salts[i]);
+      }
+      await academicPeerReview.connect(author).requestScoreReveal(paperId);
+    }
+
+    it("Should let the author withdraw an undecided paper", async function () {
+      await expect(academicPeerReview.connect(author).withdrawPaper(1))
+        .to.emit(academicPeerReview, "PaperWithdrawn")
+        .withArgs(1, author.address)
+        .and.to.emit(academicPeerReview, "PaperStatusChanged")
+        .withArgs(1, 4);
+
+      expect((await academicPeerReview.getPaper(1)).status).to.equal(4); // Withdrawn
+    });
+
+    it("Should stop reviews of withdrawn papers", async function () {
+      await assignPanel(1);
+      await commitReview(reviewer1, 1, 8);
+      await academicPeerReview.connect(author).withdrawPaper(1);
+
+      await expect(
+        commitReview(reviewer2, 1, 8)
+      ).to.be.revertedWith("Paper not under review");
+    });
+
+    it("Should only let the author withdraw, and only before the decision", async function () {
+      await expect(
+        academicPeerReview.connect(owner).withdrawPaper(1)
+      ).to.be.revertedWith("Not the author");
+
+      await rejectPaper(1);
+      await expect(
+        academicPeerReview.connect(author).withdrawPaper(1)
+      ).to.be.revertedWith("Decision already made");
+    });
+
+    it("Should link a resubmission to the withdrawn version", async function () {
+      await academicPeerReview.connect(author).withdrawPaper(1);
+
+      await expect(
+        academicPeerReview.connect(author).resubmitPaper(1, "Revised", "New abstract", "QmV2", [], [])
+      )
+        .to.emit(academicPeerReview, "PaperResubmitted")
+        .withArgs(2, 1);
+
+      const revision = await academicPeerReview.getPaper(2);
+      expect(revision.venueId).to.equal(VENUE_ID);
+      expect(revision.title).to.equal("Revised");
+      expect(revision.status).to.equal(0); // Submitted, reviewed from scratch
+      expect(await academicPeerReview.previousVersion(2)).to.equal(1);
+      expect(await academicPeerReview.nextVersion(1)).to.equal(2);
+    });
+
+    it("Should allow revising rejected papers", async function () {
+      await rejectPaper(1);
+
+      await academicPeerReview.connect(author).resubmitPaper(1, "Revised", "Abstract", "QmV2", [], []);
+
+      expect(await academicPeerReview.previousVersion(2)).to.equal(1);
+    });
+
+    it("Should reject invalid resubmissions", async function () {
+      await expect(
+        academicPeerReview.connect(author).resubmitPaper(1, "Revised", "Abstract", "QmV2", [], [])
+      ).to.be.revertedWith("Paper cannot be resubmitted");
+
+      await academicPeerReview.connect(author).withdrawPaper(1);
+      await expect(
+        academicPeerReview.connect(owner).resubmitPaper(1, "Revised", "Abstract", "QmV2", [], [])
+      ).to.be.revertedWith("Not the author");
+
+      await academicPeerReview.connect(author).resubmitPaper(1, "Revised", "Abstract", "QmV2", [], []);
+      await expect(
+        academicPeerReview.connect(author).resubmitPaper(1, "Again", "Abstract", "QmV3", [], [])
+      ).to.be.revertedWith("Already resubmitted");
+    });
+
+    it("Should return the full version chain from any version", async function () {
+      await academicPeerReview.connect(author).submitPaper(VENUE_ID, "Unrelated", "Abstract", "QmOther", [], []);
+      await academicPeerReview.connect(author).withdrawPaper(1);
+      await academicPeerReview.connect(author).resubmitPaper(1, "Second", "Abstract", "QmV2", [], []);
+      await academicPeerReview.connect(author).withdrawPaper(3);
+      await academicPeerReview.connect(author).resubmitPaper(3, "Third", "Abstract", "QmV3", [], []);
+
+      for (const id of [1, 3, 4]) {
+        expect(await academicPeerReview.getPaperVersions(id)).to.deep.equal([1n, 3n, 4n]);
+      }
+      expect(await academicPeerReview.getPaperVersions(2)).to.deep.equal([2n]);
+    });
+  });
+
+  /**
+   * Test Category: Rebuttal Round
+   * Authors respond to revealed reviews and reviewers may update their scores before the decision
+   */
+  describe("Rebuttal Round", function () {
+    const REBUTTAL_PERIOD = 5 * 24 * 60 * 60;
+    const SCORE_UPDATE_PERIOD = 7 * 24 * 60 * 60;
+    const paperId = 1;
+    const rebuttalHash = ethers.sha256(ethers.toUtf8Bytes("We addressed the concerns in section 4"));
+
+    beforeEach(async function () {
+      await academicPeerReview.connect(owner).setRebuttalPeriod(VENUE_ID, REBUTTAL_PERIOD);
+      await academicPeerReview.connect(author).submitPaper(VENUE_ID, "Paper", "Abstract", "QmHash", [], []);
+      await assignPanel(paperId);
+
+      // First round: 6, 6 and 7 average 6.33, below the 7.00 threshold
+      const panel = [reviewer1, reviewer2, reviewer3];
+      const scores = [6, 6, 7];
+      const salts = [];
+      for (let i = 0; i < panel.length; i++) {
+        salts.push(await commitReview(panel[i], paperId, scores[i]));
+      }
+      await time.increase(REVIEW_PERIOD + 1);
+      for (let i = 0; i < panel.length; i++) {
+        await academicPeerReview.connect(panel[i]).revealReviewScore(paperId, scores[i], salts[i]);
+      }
+    });
+
+    /**
+     * Commit an updated score for the second round and return its salt
+     */
+    async function updateScore(reviewer, score) {
+      const salt = ethers.id(`round-2-${reviewer.address}`);
+      await academicPeerReview
+        .connect(reviewer)
+        .updateReviewScore(paperId, scoreCommitment(paperId, reviewer, score, salt));
+      return salt;
+    }
+
+    it("Should require the rebuttal round before deciding", async function () {
+      await expect(
+        academicPeerReview.connect(author).requestScoreReveal(paperId)
+      ).to.be.revertedWith("Rebuttal not held");
+      await expect(
+        academicPeerReview.connect(author).getReviewComments(paperId)
+      ).to.be.revertedWith("Decision pending");
+
+      const tx = await academicPeerReview.connect(author).openRebuttal(paperId);
+      const rebuttalDeadline = (await time.latest()) + REBUTTAL_PERIOD;
+      await expect(tx)
+        .to.emit(academicPeerReview, "RebuttalOpened")
+        .withArgs(paperId, rebuttalDeadline, rebuttalDeadline + SCORE_UPDATE_PERIOD);
+
+      // Authors read the reviews to respond to them
+      expect(await academicPeerReview.getReviewComments(paperId)).to.have.lengthOf(3);
+    });
+
+    it("Should accept the author's rebuttal until the deadline", async function () {
+      await expect(
+        academicPeerReview.connect(author).submitRebuttal(paperId, rebuttalHash)
+      ).to.be.revertedWith("Rebuttal not open");
+
+      await academicPeerReview.connect(owner).openRebuttal(paperId);
+
+      await expect(
+        academicPeerReview.connect(reviewer1).submitRebuttal(paperId, rebuttalHash)
+      ).to.be.revertedWith("Not the author");
+      await expect(
+        academicPeerReview.connect(author).submitRebuttal(paperId, ethers.ZeroHash)
+      ).to.be.revertedWith("Rebuttal hash required");
+
+      await expect(academicPeerReview.connect(author).submitRebuttal(paperId, rebuttalHash))
+        .to.emit(academicPeerReview, "RebuttalSubmitted")
+        .withArgs(paperId, rebuttalHash);
+      expect((await academicPeerReview.getRebuttal(paperId)).contentHash).to.equal(rebuttalHash);
+
+      await time.increase(REBUTTAL_PERIOD + 1);
+      await expect(
+        academicPeerReview.connect(author).submitRebuttal(paperId, rebuttalHash)
+      ).to.be.revertedWith("Rebuttal period ended");
+    });
+
+    it("Should decide on the updated scores in the second round", async function () {
+      await academicPeerReview.connect(author).openRebuttal(paperId);
+      await academicPeerReview.connect(author).submitRebuttal(paperId, rebuttalHash);
+      await time.increase(REBUTTAL_PERIOD + 1);
+
+      const salt1 = ethers.id("updated-score");
+      await expect(
+        academicPeerReview
+          .connect(reviewer1)
+          .updateReviewScore(paperId, scoreCommitment(paperId, reviewer1, 9, salt1))
+      )
+        .to.emit(academicPeerReview, "ReviewScoreUpdated")
+        .withArgs(paperId, reviewer1.address, 2);
+      const salt2 = await updateScore(reviewer2, 9);
+
+      const review = await academicPeerReview.reviews(paperId, reviewer1.address);
+      expect(review.round).to.equal(2);
+      expect(review.isRevealed).to.equal(false);
+
+      await expect(
+        academicPeerReview.connect(reviewer1).revealReviewScore(paperId, 9, salt1)
+      ).to.be.revertedWith("Review period not ended");
+      await expect(
+        academicPeerReview.connect(author).requestScoreReveal(paperId)
+      ).to.be.revertedWith("Score update period active");
+
+      await time.increase(SCORE_UPDATE_PERIOD);
+      await academicPeerReview.connect(reviewer1).revealReviewScore(paperId, 9, salt1);
+      await academicPeerReview.connect(reviewer2).revealReviewScore(paperId, 9, salt2);
+
+      // (9 + 9 + 7) / 3 = 8.33 replaces the first-round 6.33
+      await expect(academicPeerReview.connect(author).requestScoreReveal(paperId))
+        .to.emit(academicPeerReview, "ScoreRevealed")
+        .withArgs(paperId, 833);
+      const paper = await academicPeerReview.getPaper(paperId);
+      expect(paper.revealedCount).to.equal(3);
+      expect(paper.status).to.equal(2); // Accepted
+    });
+
+    it("Should only accept score updates in the update window", async function () {
+      await expect(updateScore(reviewer1, 9)).to.be.revertedWith("Rebuttal not open");
+
+      await academicPeerReview.connect(author).openRebuttal(paperId);
+      await expect(updateScore(reviewer1, 9)).to.be.revertedWith("Rebuttal period active");
+
+      await time.increase(REBUTTAL_PERIOD + 1);
+      await expect(updateScore(nonReviewer, 9)).to.be.revertedWith("No revealed score to update");
+      await updateScore(reviewer1, 9);
+      await expect(updateScore(reviewer1, 8)).to.be.revertedWith("No revealed score to update");
+
+      await time.increase(SCORE_UPDATE_PERIOD);
+      await expect(updateScore(reviewer2, 9)).to.be.revertedWith("Score update period ended");
+    });
+
+    it("Should keep first-round scores when updates are never revealed", async function () {
+      await academicPeerReview.connect(author).openRebuttal(paperId);
+      await time.increase(REBUTTAL_PERIOD + 1);
+      await updateScore(reviewer1, 10);
+      await time.increase(SCORE_UPDATE_PERIOD);
+
+      await expect(
+        academicPeerReview.connect(author).requestScoreReveal(paperId)
+      ).to.be.revertedWith("Reveal period active");
+
+      await time.increase(REVEAL_PERIOD);
+      await expect(academicPeerReview.connect(author).requestScoreReveal(paperId))
+        .to.emit(academicPeerReview, "ScoreRevealed")
+        .withArgs(paperId, 633);
+      expect((await academicPeerReview.getPaper(paperId)).status).to.equal(3); // Rejected
+    });
+
+    it("Should validate rebuttal settings and openings", async function () {
+      await expect(
+        academicPeerReview.connect(author).setRebuttalPeriod(VENUE_ID, REBUTTAL_PERIOD)
+      ).to.be.revertedWith("Not a venue chair");
+      await expect(
+        academicPeerReview.connect(owner).setRebuttalPeriod(VENUE_ID, 31 * 24 * 60 * 60)
+      ).to.be.revertedWith("Rebuttal period too long");
+      await expect(
+        academicPeerReview.connect(reviewer1).openRebuttal(paperId)
+      ).to.be.revertedWith("Not authorized");
+
+      await academicPeerReview.connect(owner).openRebuttal(paperId);
+      await expect(
+        academicPeerReview.connect(author).openRebuttal(paperId)
+      ).to.be.revertedWith("Rebuttal already opened");
+
+      // Venues without a rebuttal period decide after a single round
+      await academicPeerReview.connect(owner).setRebuttalPeriod(VENUE_ID, 0);
+      await academicPeerReview.connect(author).submitPaper(VENUE_ID, "Second", "Abstract", "QmHash2", [], []);
+      await assignPanel(2);
+      const salts = [];
+      for (const reviewer of [reviewer1, reviewer2, reviewer3]) {
+        salts.push(await commitReview(reviewer, 2, 8));
+      }
+      await time.increase(REVIEW_PERIOD + 1);
+      for (const [i, reviewer] of [reviewer1, reviewer2, reviewer3].entries()) {
+        await academicPeerReview.connect(reviewer).revealReviewScore(2, 8, salts[i]);
+      }
+      await expect(
+        academicPeerReview.connect(author).openRebuttal(2)
+      ).to.be.revertedWith("Rebuttals disabled");
+      await academicPeerReview.connect(author).requestScoreReveal(2);
+    });
+  });
+
+  /**
+   * Test Category: Review Forms
+   * Per-criterion scores sealed in one commitment and aggregated separately
+   */
+  describe("Review Forms", function () {
+    const SCORE = 0;
+    const CONFIDENCE = 1;
+    const RECOMMENDATION = 2;
+    const paperId = 1;
+    const FORM = [
+      { name: "Novelty", minScore: 1, maxScore: 5, kind: SCORE },
+      { name: "Soundness", minScore: 1, maxScore: 5, kind: SCORE },
+      { name: "Confidence", minScore: 1, maxScore: 5, kind: CONFIDENCE },
+      { name: "Overall", minScore: MIN_SCORE, maxScore: MAX_SCORE, kind: RECOMMENDATION }
+    ];
+
+    function criteriaCommitment(reviewer, scores, salt) {
+      return ethers.solidityPackedKeccak256(
+        ["uint256", "address", "uint8[]", "bytes32"],
+        [paperId, reviewer.address, scores, salt]
+      );
+    }
+
+    /**
+     * Commit per-criterion scores as the given reviewer and return the salt
+     */
+    async function commitScores(reviewer, scores) {
+      const salt = scoreSalt(reviewer, paperId);
+      await academicPeerReview
+        .connect(reviewer)
+        .submitReview(paperId, criteriaCommitment(reviewer, scores, salt), commentsHash("Comments"));
+      return salt;
+    }
+
+    async function submitPanelPaper() {
+      await academicPeerReview.connect(author).submitPaper(VENUE_ID, "Paper", "Abstract", "QmHash", [], []);
+      await assignPanel(paperId);
+    }
+
+    it("Should store the venue review form", async function () {
+      await expect(academicPeerReview.connect(owner).setReviewForm(VENUE_ID, FORM))
+        .to.emit(academicPeerReview, "ReviewFormChanged")
+        .withArgs(VENUE_ID, FORM.length);
+
+      const form = await academicPeerReview.getReviewForm(VENUE_ID);
+      expect(form.map((criterion) => criterion.name)).to.deep.equal(["Novelty", "Soundness", "Confidence", "Overall"]);
+      expect(form[2].kind).to.equal(CONFIDENCE);
+      expect(form[3].maxScore).to.equal(MAX_SCORE);
+    });
+
+    it("Should validate review forms", async function () {
+      const withOverall = (criteria) => [...criteria, FORM[3]];
+
+      await expect(
+        academicPeerReview.connect(author).setReviewForm(VENUE_ID, FORM)
+      ).to.be.revertedWith("Not a venue chair");
+      await expect(
+        academicPeerReview.connect(owner).setReviewForm(VENUE_ID, FORM.slice(0, 3))
+      ).to.be.revertedWith("One recommendation required");
+      await expect(
+        academicPeerReview.connect(owner).setReviewForm(VENUE_ID, [{ ...FORM[3], maxScore: 5 }])
+      ).to.be.revertedWith("Recommendation must use the venue scale");
+      await expect(
+        academicPeerReview.connect(owner).setReviewForm(VENUE_ID, withOverall([FORM[2], FORM[2]]))
+      ).to.be.revertedWith("Only one confidence criterion");
+      await expect(
+        academicPeerReview.connect(owner).setReviewForm(VENUE_ID, withOverall([{ ...FORM[0], name: "" }]))
+      ).to.be.revertedWith("Criterion name required");
+      await expect(
+        academicPeerReview.connect(owner).setReviewForm(VENUE_ID, withOverall([{ ...FORM[0], minScore: 5 }]))
+      ).to.be.revertedWith("Invalid score scale");
+      await expect(
+        academicPeerReview.connect(owner).setReviewForm(VENUE_ID, withOverall(Array(10).fill(FORM[0])))
+      ).to.be.revertedWith("Too many criteria");
+
+      // An empty form goes back to single scores
+      await academicPeerReview.connect(owner).setReviewForm(VENUE_ID, FORM);
+      await academicPeerReview.connect(owner).setReviewForm(VENUE_ID, []);
+      expect(await academicPeerReview.getReviewForm(VENUE_ID)).to.have.lengthOf(0);
+    });
+
+    it("Should lock the form once the venue receives a submission", async function () {
+      await academicPeerReview.connect(owner).setReviewForm(VENUE_ID, FORM);
+      await academicPeerReview.connect(author).submitPaper(VENUE_ID, "Paper", "Abstract", "QmHash", [], []);
+
+      expect(await academicPeerReview.venueSettingsLocked(VENUE_ID)).to.equal(true);
+      await expect(
+        academicPeerReview.connect(owner).setReviewForm(VENUE_ID, [FORM[3]])
+      ).to.be.revertedWith("Review form locked");
+    });
+
+    it("Should aggregate every criterion and decide on the recommendation", async function () {
+      await academicPeerReview.connect(owner).setReviewForm(VENUE_ID, FORM);
+      await submitPanelPaper();
+
+      const panel = [reviewer1, reviewer2, reviewer3];
+      const scores = [[5, 4, 3, 8], [3, 4, 5, 7], [4, 2, 4, 6]];
+      const salts = [];
+      for (let i = 0; i < panel.length; i++) {
+        salts.push(await commitScores(panel[i], scores[i]));
+      }
+      await time.increase(REVIEW_PERIOD + 1);
+      for (let i = 0; i < panel.length; i++) {
+        await expect(academicPeerReview.connect(panel[i]).revealReviewScores(paperId, scores[i], salts[i]))
+          .to.emit(academicPeerReview, "ReviewScoreRevealed")
+          .withArgs(paperId, panel[i].address);
+      }
+
+      // Novelty 4.00, soundness 3.33, confidence 4.00, overall 7.00
+      const averages = await academicPeerReview.getCriterionAverages(paperId);
+      expect(averages.map(Number)).to.deep.equal([400, 333, 400, 700]);
+      expect(await academicPeerReview.getReviewCriterionScores(paperId, reviewer2.address)).to.deep.equal([3n, 4n, 5n, 7n]);
+
+      await expect(academicPeerReview.connect(author).requestScoreReveal(paperId))
+        .to.emit(academicPeerReview, "ScoreRevealed")
+        .withArgs(paperId, 700);
+      expect((await academicPeerReview.getPaper(paperId)).status).to.equal(2); // Accepted
+    });
+
+    it("Should reject invalid per-criterion reveals", async function () {
+      await academicPeerReview.connect(owner).setReviewForm(VENUE_ID, FORM);
+      await submitPanelPaper();
+      const salt = await commitScores(reviewer1, [6, 4, 3, 8]);
+      await time.increase(REVIEW_PERIOD + 1);
+
+      await expect(
+        academicPeerReview.connect(reviewer1).revealReviewScore(paperId, 8, salt)
+      ).to.be.revertedWith("Venue uses a review form");
+      await expect(
+        academicPeerReview.connect(reviewer1).revealReviewScores(paperId, [6, 4, 3], salt)
+      ).to.be.revertedWith("Score count mismatch");
+      await expect(
+        academicPeerReview.connect(reviewer1).revealReviewScores(paperId, [5, 4, 3, 8], salt)
+      ).to.be.revertedWith("Commitment mismatch");
+      await expect(
+        academicPeerReview.connect(reviewer1).revealReviewScores(paperId, [6, 4, 3, 8], salt)
+      ).to.be.revertedWith("Invalid score");
+    });
+
+    it("Should keep single-score venues on the single-score reveal", async function () {
+      await submitPanelPaper();
+      const salt = await commitReview(reviewer1, paperId, 8);
+      await time.increase(REVIEW_PERIOD + 1);
+
+      await expect(
+        academicPeerReview.connect(reviewer1).revealReviewScores(paperId, [8], salt)
+      ).to.be.revertedWith("Venue has no review form");
+      await academicPeerReview.connect(reviewer1).revealReviewScore(paperId, 8, salt);
+      expect(await academicPeerReview.getCriterionAverages(paperId)).to.have.lengthOf(0);
+    });
+
+    it("Should match the on-chain criteria commitment helper", async function () {
+      const salt = ethers.id("criteria");
+      expect(
+        await academicPeerReview.computeCriteriaCommitment(paperId, reviewer1.address, [5, 4, 3, 8], salt)
+      ).to.equal(criteriaCommitment(reviewer1, [5, 4, 3, 8], salt));
+    });
+
+    it("Should replace every criterion with updated scores after a rebuttal", async function () {
+      await academicPeerReview.connect(owner).setRebuttalPeriod(VENUE_ID, 24 * 60 * 60);
+      await academicPeerReview.connect(owner).setReviewForm(VENUE_ID, FORM);
+      await submitPanelPaper();
+
+      const panel = [reviewer1, reviewer2, reviewer3];
+      const salts = [];
+      for (const reviewer of panel) {
+        salts.push(await commitScores(reviewer, [2, 2, 4, 5]));
+      }
+      await time.increase(REVIEW_PERIOD + 1);
+      for (let i = 0; i < panel.length; i++) {
+        await academicPeerReview.connect(panel[i]).revealReviewScores(paperId, [2, 2, 4, 5], salts[i]);
+      }
+
+      await academicPeerReview.connect(author).openRebuttal(paperId);
+      await time.increase(24 * 60 * 60 + 1);
+      const salt = ethers.id("round-2");
+      await academicPeerReview
+        .connect(reviewer1)
+        .updateReviewScore(paperId, criteriaCommitment(reviewer1, [5, 5, 5, 8], salt));
+      await time.increase(7 * 24 * 60 * 60);
+      await academicPeerReview.connect(reviewer1).revealReviewScores(paperId, [5, 5, 5, 8], salt);
+
+      // Novelty (5 + 2 + 2) / 3 = 3.00, overall (8 + 5 + 5) / 3 = 6.00
+      const averages = await academicPeerReview.getCriterionAverages(paperId);
+      expect(averages.map(Number)).to.deep.equal([300, 300, 433, 600]);
+      expect((await academicPeerReview.getPaper(paperId)).revealedScoreSum).to.equal(18);
+    });
+  });
+
+  /**
+   * Test Category: Decision Policies
+   * Per-venue rules turning revealed scores into accept/reject decisions
+   */
+  describe("Decision Policies", function () {
+    const MEAN = 0;
+    const CONFIDENCE_WEIGHTED_MEAN = 1;
+    const MEDIAN = 2;
+    const TRIMMED_MEAN = 3;
+    const UNANIMOUS_VETO = 4;
+    const paperId = 1;
+    const reasonHash = ethers.sha256(ethers.toUtf8Bytes("Strong rebuttal; reviewer 3 misread the proof"));
+
+    function policy(rule, { trimCount = 0, vetoScore = 0 } = {}) {
+      return { rule, trimCount, vetoScore };
+    }
+
+    /**
+     * Review paper 1 with one score per panel member, reveal the first `revealCount`
+     * and return the decision request
+     */
+    async function decide(scores, revealCount = scores.length) {
+      await academicPeerReview.connect(author).submitPaper(VENUE_ID, "Paper", "Abstract", "QmHash", [], []);
+      await assignPanel(paperId);
+
+      const panel = [reviewer1, reviewer2, reviewer3];
+      const salts = [];
+      for (let i = 0; i < panel.length; i++) {
+        salts.push(await commitReview(panel[i], paperId, scores[i]));
+      }
+      await time.increase(REVIEW_PERIOD + 1);
+      for (let i = 0; i < revealCount; i++) {
+        await academicPeerReview.connect(panel[i]).revealReviewScore(paperId, scores[i], salts[i]);
+      }
+      if (revealCount < panel.length) {
+        await time.increase(REVEAL_PERIOD);
+      }
+      return academicPeerReview.connect(author).requestScoreReveal(paperId);
+    }
+
+    it("Should default to the mean of the revealed scores", async function () {
+      expect((await academicPeerReview.venueDecisionPolicies(VENUE_ID)).rule).to.equal(MEAN);
+
+      await expect(decide([6, 7, 9]))
+        .to.emit(academicPeerReview, "ScoreRevealed")
+        .withArgs(paperId, 733);
+      expect((await academicPeerReview.getPaper(paperId)).status).to.equal(2); // Accepted
+    });
+
+    it("Should weigh scores by reviewer confidence", async function () {
+      await academicPeerReview.connect(owner).setReviewForm(VENUE_ID, [
+        { name: "Confidence", minScore: 1, maxScore: 5, kind: 1 },
+        { name: "Overall", minScore: MIN_SCORE, maxScore: MAX_SCORE, kind: 2 }
+      ]);
+      await expect(
+        academicPeerReview.connect(owner).setDecisionPolicy(VENUE_ID, policy(CONFIDENCE_WEIGHTED_MEAN), false)
+      )
+        .to.emit(academicPeerReview, "DecisionPolicyChanged")
+        .withArgs(VENUE_ID, CONFIDENCE_WEIGHTED_MEAN, false);
+      await academicPeerReview.connect(author).submitPaper(VENUE_ID, "Paper", "Abstract", "QmHash", [], []);
+      await assignPanel(paperId);
+
+      // A confident 9 outweighs two unsure 4s: (5 * 9 + 4 + 4) / 7 = 7.57, while the mean is 5.67
+      const panel = [reviewer1, reviewer2, reviewer3];
+      const scores = [[5, 9], [1, 4], [1, 4]];
+      const salt = ethers.id("confidence");
+      for (let i = 0; i < panel.length; i++) {
+        const commitment = await academicPeerReview.computeCriteriaCommitment(paperId, panel[i].address, scores[i], salt);
+        await academicPeerReview.connect(panel[i]).submitReview(paperId, commitment, commentsHash("Comments"));
+      }
+      await time.increase(REVIEW_PERIOD + 1);
+      for (let i = 0; i < panel.length; i++) {
+        await academicPeerReview.connect(panel[i]).revealReviewScores(paperId, scores[i], salt);
+      }
+
+      await expect(academicPeerReview.connect(author).requestScoreReveal(paperId))
+        .to.emit(academicPeerReview, "ScoreRevealed")
+        .withArgs(paperId, 757);
+      expect((await academicPeerReview.getPaper(paperId)).status).to.equal(2); // Accepted
+    });
+
+    it("Should decide on the median score", async function () {
+      await academicPeerReview.connect(owner).setDecisionPolicy(VENUE_ID, policy(MEDIAN), false);
+
+      // One harsh outlier does not sink the paper: the median is 8, the mean 6.33
+      await expect(decide([2, 8, 9]))
+        .to.emit(academicPeerReview, "ScoreRevealed")
+        .withArgs(paperId, 800);
+      expect((await academicPeerReview.getPaper(paperId)).status).to.equal(2); // Accepted
+    });
+
+    it("Should average the middle scores for an even number of reveals", async function () {
+      await academicPeerReview.connect(owner).setDecisionPolicy(VENUE_ID, policy(MEDIAN), false);
+
+      // The third reviewer never reveals
+      await expect(decide([9, 6, 1], 2))
+        .to.emit(academicPeerReview, "ScoreRevealed")
+        .withArgs(paperId, 750);
+    });
+
+    it("Should drop the extreme scores for a trimmed mean", async function () {
+      await expect(
+        academicPeerReview.connect(owner).setDecisionPolicy(VENUE_ID, policy(TRIMMED_MEAN), false)
+      ).to.be.revertedWith("Trim count required");
+      await academicPeerReview.connect(owner).setDecisionPolicy(VENUE_ID, policy(TRIMMED_MEAN, { trimCount: 1 }), false);
+
+      await expect(decide([10, 6, 1]))
+        .to.emit(academicPeerReview, "ScoreRevealed")
+        .withArgs(paperId, 600);
+      expect((await academicPeerReview.getPaper(paperId)).status).to.equal(3); // Rejected
+    });
+
+    it("Should fall back to the mean when too few scores remain to trim", async function () {
+      await academicPeerReview.connect(owner).setDecisionPolicy(VENUE_ID, policy(TRIMMED_MEAN, { trimCount: 1 }), false);
+
+      await expect(decide([9, 8, 1], 2))
+        .to.emit(academicPeerReview, "ScoreRevealed")
+        .withArgs(paperId, 850);
+    });
+
+    it("Should let any reviewer below the veto score reject the paper", async function () {
+      await expect(
+        academicPeerReview.connect(owner).setDecisionPolicy(VENUE_ID, policy(UNANIMOUS_VETO, { vetoScore: 11 }), false)
+      ).to.be.revertedWith("Invalid veto score");
+      await academicPeerReview.connect(owner).setDecisionPolicy(VENUE_ID, policy(UNANIMOUS_VETO, { vetoScore: 4 }), false);
+
+      // The mean of 7.67 clears the threshold, but one reviewer scored below 4
+      await expect(decide([10, 10, 3]))
+        .to.emit(academicPeerReview, "ScoreRevealed")
+        .withArgs(paperId, 766);
+      expect((await academicPeerReview.getPaper(paperId)).status).to.equal(3); // Rejected
+    });
+
+    it("Should accept under the veto rule when every score clears it", async function () {
+      await academicPeerReview.connect(owner).setDecisionPolicy(VENUE_ID, policy(UNANIMOUS_VETO, { vetoScore: 4 }), false);
+
+      await decide([9, 9, 4]);
+      expect((await academicPeerReview.getPaper(paperId)).status).to.equal(2); // Accepted
+    });
+
+    it("Should let venue chairs override decisions with a reason", async function () {
+      await academicPeerReview.connect(owner).setDecisionPolicy(VENUE_ID, policy(MEAN), true);
+      await decide([5, 5, 6]);
+
+      await expect(
+        academicPeerReview.connect(author).overrideDecision(paperId, true, reasonHash)
+      ).to.be.revertedWith("Not a venue chair");
+      await expect(
+        academicPeerReview.connect(owner).overrideDecision(paperId, true, ethers.ZeroHash)
+      ).to.be.revertedWith("Reason required");
+      await expect(
+        academicPeerReview.connect(owner).overrideDecision(paperId, false, reasonHash)
+      ).to.be.revertedWith("Decision unchanged");
+
+      await expect(academicPeerReview.connect(owner).overrideDecision(paperId, true, reasonHash))
+        .to.emit(academicPeerReview, "DecisionOverridden")
+        .withArgs(paperId, owner.address, 2, reasonHash)
+        .and.to.emit(academicPeerReview, "PaperStatusChanged")
+        .withArgs(paperId, 2);
+      expect((await academicPeerReview.getPaper(paperId)).status).to.equal(2); // Accepted
+      expect(await academicPeerReview.decisionOverrideReasons(paperId)).to.equal(reasonHash);
+
+      await expect(
+        academicPeerReview.connect(owner).overrideDecision(paperId, false, reasonHash)
+      ).to.be.revertedWith("Decision already overridden");
+    });
+
+    it("Should only override decided papers in venues that allow it", async function () {
+      await academicPeerReview.connect(author).submitPaper(VENUE_ID, "Paper", "Abstract", "QmHash", [], []);
+      await expect(
+        academicPeerReview.connect(owner).overrideDecision(paperId, true, reasonHash)
+      ).to.be.revertedWith("Chair override disabled");
+
+      // Policies are fixed once the venue has submissions
+      await expect(
+        academicPeerReview.connect(owner).setDecisionPolicy(VENUE_ID, policy(MEAN), true)
+      ).to.be.revertedWith("Decision policy locked");
+
+      await academicPeerReview.connect(owner).createVenue("Workshop", [owner.address], 0, 0, 0, 0, 0);
+      await expect(
+        academicPeerReview.connect(author).setDecisionPolicy(2, policy(MEDIAN), true)
+      ).to.be.revertedWith("Not a venue chair");
+      await academicPeerReview.connect(owner).setDecisionPolicy(2, policy(MEDIAN), true);
+      await academicPeerReview.connect(author).submitPaper(2, "Workshop Paper", "Abstract", "QmHash2", [], []);
+      await expect(
+        academicPeerReview.connect(owner).overrideDecision(2, true, reasonHash)
+      ).to.be.revertedWith("Decision pending");
+    });
+  });
+
+  /**
+   * Test Category: Paper Lifecycle
+   * Journal outcomes and the transitions allowed between paper statuses
+   */
+  describe("Paper Lifecycle", function () {
+    const ACCEPTED = 2;
+    const REJECTED = 3;
+    const WITHDRAWN = 4;
+    const MAJOR_REVISION = 5;
+    const MINOR_REVISION = 6;
+    const CONDITIONAL_ACCEPT = 7;
+    const DESK_REJECT = 8;
+    const paperId = 1;
+
+    /**
+     * Submit paper 1 and reveal a full panel of scores
+     */
+    async function reviewPaper(score = 6) {
+      await academicPeerReview.connect(author).submitPaper(VENUE_ID, "Paper", "Abstract", "QmHash", [], []);
+      await assignPanel(paperId);
+      const panel = [reviewer1, reviewer2, reviewer3];
+      const salts = [];
+      for (const reviewer of panel) {
+        salts.push(await commitReview(reviewer, paperId, score));
+      }
+      await time.increase(REVIEW_PERIOD + 1);
+      for (let i = 0; i < panel.length; i++) {
+        await academicPeerReview.connect(panel[i]).revealReviewScore(paperId, score, salts[i]);
+      }
+    }
+
+    it("Should let venue chairs request a major revision", async function () {
+      await reviewPaper();
+
+      await expect(academicPeerReview.connect(owner).decidePaper(paperId, MAJOR_REVISION))
+        .to.emit(academicPeerReview, "ScoreRevealed")
+        .withArgs(paperId, 600)
+        .and.to.emit(academicPeerReview, "PaperStatusChanged")
+        .withArgs(paperId, MAJOR_REVISION);
+      expect((await academicPeerReview.getPaper(paperId)).status).to.equal(MAJOR_REVISION);
+
+      // The author reads the reviews and submits the revised version
+      expect(await academicPeerReview.getReviewComments(paperId)).to.have.lengthOf(3);
+      await academicPeerReview.connect(author).resubmitPaper(paperId, "Paper v2", "Abstract", "QmHash2", [], []);
+      expect(await academicPeerReview.getPaperVersions(2)).to.deep.equal([1n, 2n]);
+      await expect(
+        academicPeerReview.connect(author).withdrawPaper(paperId)
+      ).to.not.be.reverted;
+    });
+
+    it("Should let authors withdraw a paper sent back for minor revision", async function () {
+      await reviewPaper();
+      await academicPeerReview.connect(owner).decidePaper(paperId, MINOR_REVISION);
+
+      await expect(
+        academicPeerReview.connect(owner).decidePaper(paperId, ACCEPTED)
+      ).to.be.revertedWith("Decision already made");
+      await expect(academicPeerReview.connect(author).withdrawPaper(paperId))
+        .to.emit(academicPeerReview, "PaperStatusChanged")
+        .withArgs(paperId, WITHDRAWN);
+    });
+
+    it("Should confirm or reject conditional acceptances", async function () {
+      await reviewPaper(8);
+      await academicPeerReview.connect(owner).decidePaper(paperId, CONDITIONAL_ACCEPT);
+
+      await expect(
+        academicPeerReview.connect(owner).decidePaper(paperId, MAJOR_REVISION)
+      ).to.be.revertedWith("Invalid status transition");
+      await expect(
+        academicPeerReview.connect(author).resubmitPaper(paperId, "Paper v2", "Abstract", "QmHash2", [], [])
+      ).to.be.revertedWith("Paper cannot be resubmitted");
+
+      // Confirming the conditions does not aggregate the scores again
+      await expect(academicPeerReview.connect(owner).decidePaper(paperId, ACCEPTED))
+        .to.emit(academicPeerReview, "PaperStatusChanged")
+        .withArgs(paperId, ACCEPTED)
+        .and.not.to.emit(academicPeerReview, "ScoreRevealed");
+      await expect(
+        academicPeerReview.connect(owner).decidePaper(paperId, MINOR_REVISION)
+      ).to.be.revertedWith("Decision already made");
+    });
+
+    it("Should only record editorial outcomes from venue chairs once scores are final", async function () {
+      await academicPeerReview.connect(author).submitPaper(VENUE_ID, "Paper", "Abstract", "QmHash", [], []);
+      await assignPanel(paperId);
+
+      await expect(
+        academicPeerReview.connect(author).decidePaper(paperId, MINOR_REVISION)
+      ).to.be.revertedWith("Not a venue chair");
+      await expect(
+        academicPeerReview.connect(owner).decidePaper(paperId, WITHDRAWN)
+      ).to.be.revertedWith("Invalid outcome");
+      await expect(
+        academicPeerReview.connect(owner).decidePaper(paperId, DESK_REJECT)
+      ).to.be.revertedWith("Invalid outcome");
+      await expect(
+        academicPeerReview.connect(owner).decidePaper(paperId, MINOR_REVISION)
+      ).to.be.revertedWith("Reviews not finalized");
+    });
+
+    it("Should not send decided papers back for revision", async function () {
+      await reviewPaper(9);
+      await academicPeerReview.connect(author).requestScoreReveal(paperId);
+
+      await expect(
+        academicPeerReview.connect(owner).decidePaper(paperId, MAJOR_REVISION)
+      ).to.be.revertedWith("Decision already made");
+      await expect(
+        academicPeerReview.connect(owner).decidePaper(paperId, REJECTED)
+      ).to.be.revertedWith("Decision already made");
+    });
+  });
+
+  /**
+   * Test Category: Editor Triage
+   * Screening new papers before review
+   */
+  describe("Editor Triage", function () {
+    const SENT_TO_REVIEW = 1;
+    const DESK_REJECTED = 2;
+    const OUT_OF_SCOPE = 3;
+    const DESK_REJECT = 8;
+    const paperId = 1;
+    const reasonHash = ethers.sha256(ethers.toUtf8Bytes("Outside the scope of this track"));
+
+    beforeEach(async function () {
+      await academicPeerReview.connect(author).submitPaper(VENUE_ID, "Paper", "Abstract", "QmHash", [], []);
+    });
+
+    it("Should leave new papers awaiting triage", async function () {
+      expect(await academicPeerReview.paperTriage(paperId)).to.equal(0);
+    });
+
+    it("Should desk reject papers with a reason", async function () {
+      await expect(
+        academicPeerReview.connect(owner).triagePaper(paperId, DESK_REJECTED, ethers.ZeroHash)
+      ).to.be.revertedWith("Reason required");
+
+      await expect(academicPeerReview.connect(owner).triagePaper(paperId, DESK_REJECTED, reasonHash))
+        .to.emit(academicPeerReview, "PaperTriaged")
+        .withArgs(paperId, owner.address, DESK_REJECTED, reasonHash)
+        .and.to.emit(academicPeerReview, "PaperStatusChanged")
+        .withArgs(paperId, DESK_REJECT);
+      expect(await academicPeerReview.triageReasons(paperId)).to.equal(reasonHash);
+
+      // Desk rejections are final for this version
+      await expect(assignPanel(paperId)).to.be.revertedWith("Paper not in submitted status");
+      await expect(
+        academicPeerReview.connect(author).withdrawPaper(paperId)
+      ).to.be.revertedWith("Decision already made");
+      await expect(
+        academicPeerReview.connect(author).resubmitPaper(paperId, "Paper v2", "Abstract", "QmHash2", [], [])
+      ).to.emit(academicPeerReview, "PaperResubmitted");
+    });
+
+    it("Should mark papers out of scope", async function () {
+      await expect(academicPeerReview.connect(owner).triagePaper(paperId, OUT_OF_SCOPE, reasonHash))
+        .to.emit(academicPeerReview, "PaperTriaged")
+        .withArgs(paperId, owner.address, OUT_OF_SCOPE, reasonHash);
+
+      expect(await academicPeerReview.paperTriage(paperId)).to.equal(OUT_OF_SCOPE);
+      expect((await academicPeerReview.getPaper(paperId)).status).to.equal(DESK_REJECT);
+    });
+
+    it("Should send papers to review", async function () {
+      await expect(academicPeerReview.connect(owner).triagePaper(paperId, SENT_TO_REVIEW, reasonHash))
+        .to.emit(academicPeerReview, "PaperTriaged")
+        .withArgs(paperId, owner.address, SENT_TO_REVIEW, ethers.ZeroHash)
+        .and.not.to.emit(academicPeerReview, "PaperStatusChanged");
+      expect(await academicPeerReview.triageReasons(paperId)).to.equal(ethers.ZeroHash);
+
       await expect(
-        academicPeerReview.connect(owner).requestScoreReveal(paperId)
+        academicPeerReview.connect(owner).triagePaper(paperId, DESK_REJECTED, reasonHash)
+      ).to.be.revertedWith("Paper already triaged");
+      await assignPanel(paperId);
+      expect((await academicPeerReview.getPaper(paperId)).status).to.equal(1); // UnderReview
+    });
+
+    it("Should send untriaged papers to review when reviewers are assigned", async function () {
+      await assignPanel(paperId);
+
+      const events = await academicPeerReview.queryFilter(academicPeerReview.filters.PaperTriaged(paperId));
+      expect(events).to.have.lengthOf(1);
+      expect(events[0].args.editor).to.equal(owner.address);
+      expect(events[0].args.decision).to.equal(SENT_TO_REVIEW);
+      expect(await academicPeerReview.paperTriage(paperId)).to.equal(SENT_TO_REVIEW);
+    });
+
+    it("Should only let venue chairs triage papers awaiting it", async function () {
+      await expect(
+        academicPeerReview.connect(author).triagePaper(paperId, DESK_REJECTED, reasonHash)
+      ).to.be.revertedWith("Not a venue chair");
+      await expect(
+        academicPeerReview.connect(owner).triagePaper(paperId, 0, reasonHash)
+      ).to.be.revertedWith("Invalid triage decision");
+
+      await academicPeerReview.connect(author).withdrawPaper(paperId);
+      await expect(
+        academicPeerReview.connect(owner).triagePaper(paperId, DESK_REJECTED, reasonHash)
+      ).to.be.revertedWith("Paper not awaiting triage");
+    });
+
+    it("Should not triage papers that have reviews", async function () {
+      // Without strict assignment papers go straight to review, but can be triaged until the first review
+      await academicPeerReview.connect(owner).setStrictAssignment(false);
+      await academicPeerReview.connect(author).submitPaper(VENUE_ID, "Open Paper", "Abstract", "QmHash2", [], []);
+      await registerVerifiedReviewer(reviewer1, "Peer Review");
+      await academicPeerReview.connect(owner).addVenueReviewers(VENUE_ID, [reviewer1.address]);
+      await commitReview(reviewer1, 2, 5);
+
+      await expect(
+        academicPeerReview.connect(owner).triagePaper(2, DESK_REJECTED, reasonHash)
+      ).to.be.revertedWith("Reviews already submitted");
+    });
+  });
+
+  /**
+   * Test Category: Double-Blind Review
+   * Author commitments instead of author addresses, salt-authorized author actions and authorship proofs
+   */
+  describe("Double-Blind Review", function () {
+    const paperId = 1;
+    const authorSalt = ethers.id("author-salt");
+    const authorKey = new ethers.SigningKey(ethers.id("author-key")).compressedPublicKey;
+    const conflictHash = (account) => ethers.solidityPackedKeccak256(["address"], [account.address]);
+    let authorCommitment;
+
+    beforeEach(async function () {
+      await academicPeerReview.connect(owner).setDoubleBlind(VENUE_ID, true);
+      authorCommitment = await academicPeerReview.computeAuthorCommitment(author.address, authorSalt);
+    });
+
+    /**
+     * Submit paper 1 anonymously; a different account sends the transaction
+     */
+    function submitBlind(conflictedAddresses = [], conflictHashes = [conflictHash(author)]) {
+      return academicPeerReview
+        .connect(nonReviewer)
+        .submitBlindPaper(
+          VENUE_ID,
+          "Blind Paper",
+          "Abstract",
+          "QmHash",
+          authorCommitment,
+          authorKey,
+          conflictHashes,
+          conflictedAddresses,
+          []
+        );
+    }
+
+    /**
+     * Review paper 1 with the default panel and have its author request the decision
+     */
+    async function decideBlind() {
+      await assignPanel(paperId);
+      const salts = [];
+      for (const reviewer of [reviewer1, reviewer2, reviewer3]) {
+        salts.push(await commitReview(reviewer, paperId, 8));
+      }
+      await time.increase(REVIEW_PERIOD + 1);
+      for (const [index, reviewer] of [reviewer1, reviewer2, reviewer3].entries()) {
+        await academicPeerReview.connect(reviewer).revealReviewScore(paperId, 8, salts[index]);
+      }
+      await academicPeerReview.connect(author).requestBlindScoreReveal(paperId, authorSalt);
+    }
+
+    it("Should store blind submissions without the author's address", async function () {
+      await expect(
+        academicPeerReview.connect(author).submitPaper(VENUE_ID, "Paper", "Abstract", "QmHash", [], [])
+      ).to.be.revertedWith("Venue is double-blind");
+
+      await expect(submitBlind())
+        .to.emit(academicPeerReview, "PaperSubmitted")
+        .withArgs(paperId, ethers.ZeroAddress, "Blind Paper");
+
+      expect((await academicPeerReview.getPaper(paperId)).author).to.equal(ethers.ZeroAddress);
+      expect(await academicPeerReview.authorCommitments(paperId)).to.equal(authorCommitment);
+      expect(await academicPeerReview.blindAuthorKeys(paperId)).to.equal(authorKey);
+      expect(await academicPeerReview.getPapersByAuthor(author.address)).to.deep.equal([]);
+      expect(await academicPeerReview.hasRole(await academicPeerReview.AUTHOR_ROLE(), nonReviewer.address))
+        .to.equal(false);
+    });
+
+    it("Should only take complete blind submissions on double-blind venues", async function () {
+      const submit = (venueId, commitment, key, conflictHashes) => academicPeerReview
+        .connect(author)
+        .submitBlindPaper(venueId, "Paper", "Abstract", "QmHash", commitment, key, conflictHashes, [], []);
+
+      await expect(submit(VENUE_ID, ethers.ZeroHash, authorKey, [conflictHash(author)]))
+        .to.be.revertedWith("Author commitment required");
+      await expect(submit(VENUE_ID, authorCommitment, "0x", [conflictHash(author)]))
+        .to.be.revertedWith("Invalid author key");
+      await expect(submit(VENUE_ID, authorCommitment, authorKey, []))
+        .to.be.revertedWith("Hidden conflicts required");
+
+      await academicPeerReview.connect(owner).createVenue("Workshop", [owner.address], 0, 0, 0, 0, 0);
+      await expect(submit(2, authorCommitment, authorKey, [conflictHash(author)]))
+        .to.be.revertedWith("Venue is not double-blind");
+    });
+
+    it("Should lock the double-blind setting once the venue has submissions", async function () {
+      await expect(
+        academicPeerReview.connect(author).setDoubleBlind(VENUE_ID, false)
+      ).to.be.revertedWith("Not a venue chair");
+
+      await submitBlind();
+      await expect(
+        academicPeerReview.connect(owner).setDoubleBlind(VENUE_ID, false)
+      ).to.be.revertedWith("Double-blind setting locked");
+    });
+
+    it("Should let the committed author act with the salt without revealing the author", async function () {
+      await submitBlind();
+
+      await expect(
+        academicPeerReview.connect(author).withdrawPaper(paperId)
+      ).to.be.revertedWith("Not the author");
+      await expect(
+        academicPeerReview.connect(author).withdrawBlindPaper(paperId, ethers.id("wrong-salt"))
+      ).to.be.revertedWith("Not the author");
+      await expect(
+        academicPeerReview.connect(nonReviewer).withdrawBlindPaper(paperId, authorSalt)
+      ).to.be.revertedWith("Not the author");
+
+      await expect(academicPeerReview.connect(author).withdrawBlindPaper(paperId, authorSalt))
+        .to.emit(academicPeerReview, "PaperWithdrawn")
+        .withArgs(paperId, author.address);
+      expect((await academicPeerReview.getPaper(paperId)).author).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should only let authors in the hidden conflicts act on the paper", async function () {
+      await submitBlind([], [conflictHash(reviewer1)]);
+
+      await expect(
+        academicPeerReview.connect(author).withdrawBlindPaper(paperId, authorSalt)
+      ).to.be.revertedWith("Not the author");
+    });
+
+    it("Should let blind authors request the decision", async function () {
+      await submitBlind();
+      await decideBlind();
+
+      expect((await academicPeerReview.getPaper(paperId)).status).to.equal(2); // Accepted
+      expect((await academicPeerReview.getPaper(paperId)).author).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should let only the committed author prove authorship once the paper is decided", async function () {
+      await submitBlind();
+
+      await expect(
+        academicPeerReview.connect(author).proveAuthorship(paperId, authorSalt)
+      ).to.be.revertedWith("Paper not decided");
+
+      await decideBlind();
+      await expect(
+        academicPeerReview.connect(author).proveAuthorship(paperId, ethers.id("wrong-salt"))
+      ).to.be.revertedWith("Invalid authorship proof");
+      await expect(
+        academicPeerReview.connect(nonReviewer).proveAuthorship(paperId, authorSalt)
+      ).to.be.revertedWith("Invalid authorship proof");
+
+      await expect(academicPeerReview.connect(author).proveAuthorship(paperId, authorSalt))
+        .to.emit(academicPeerReview, "AuthorshipProven")
+        .withArgs(paperId, author.address);
+      expect((await academicPeerReview.getPaper(paperId)).author).to.equal(author.address);
+      expect(await academicPeerReview.getPapersByAuthor(author.address)).to.deep.equal([1n]);
+
+      await expect(
+        academicPeerReview.connect(author).proveAuthorship(paperId, authorSalt)
+      ).to.be.revertedWith("Authorship already proven");
+    });
+
+    it("Should keep revisions of blind submissions anonymous", async function () {
+      await submitBlind();
+      await academicPeerReview.connect(author).withdrawBlindPaper(paperId, authorSalt);
+
+      await expect(
+        academicPeerReview.connect(author).resubmitPaper(paperId, "Blind Paper v2", "Abstract", "QmHash2", [], [])
+      ).to.be.revertedWith("Not the author");
+      await expect(
+        academicPeerReview.connect(author)
+          .resubmitBlindPaper(paperId, "Blind Paper v2", "Abstract", "QmHash2", authorSalt, [conflictHash(author)], [], [])
       )
-        .to.emit(academicPeerReview, "ScoreRevealed");
+        .to.emit(academicPeerReview, "PaperSubmitted")
+        .withArgs(2, ethers.ZeroAddress, "Blind Paper v2");
+      expect(await academicPeerReview.authorCommitments(2)).to.equal(authorCommitment);
+      expect(await academicPeerReview.blindAuthorKeys(2)).to.equal(authorKey);
     });
 
-    it("Should reject unauthorized score reveal requests", async function () {
+    it("Should still enforce the conflicts declared with a blind submission", async function () {
+      await submitBlind([reviewer1.address]);
+
+      await expect(assignPanel(paperId)).to.be.revertedWith("Conflict: declared by the author");
+    });
+
+    it("Should reject assigning a blind author to their own paper", async function () {
+      await submitBlind();
+      await registerVerifiedReviewer(author, "Self Review");
+      await academicPeerReview.connect(owner).addVenueReviewers(VENUE_ID, [author.address]);
+
       await expect(
-        academicPeerReview.connect(reviewer1).requestScoreReveal(paperId)
-      ).to.be.revertedWith("Not authorized");
+        academicPeerReview
+          .connect(owner)
+          .assignReviewers(paperId, [author.address, reviewer1.address, reviewer2.address])
+      ).to.be.revertedWith("Conflict: declared by the author");
     });
 
-    it("Should reject reveal for unfinalized reviews", async function () {
-      // Submit new paper without reviews
-      await academicPeerReview.connect(author).submitPaper(
-        "New Paper",
-        "Abstract",
-        "QmHash2"
-      );
+    it("Should reject authorship proofs for regular submissions", async function () {
+      await academicPeerReview.connect(owner).createVenue("Workshop", [owner.address], 0, 0, 0, 0, 0);
+      await academicPeerReview.connect(author).submitPaper(2, "Paper", "Abstract", "QmHash", [], []);
 
       await expect(
-        academicPeerReview.connect(author).requestScoreReveal(2)
-      ).to.be.revertedWith("Reviews not finalized");
+        academicPeerReview.connect(author).proveAuthorship(1, authorSalt)
+      ).to.be.revertedWith("Not a blind submission");
     });
+  });
 
-    it("Should update paper status based on score", async function () {
-      await academicPeerReview.connect(author).requestScoreReveal(paperId);
+  /**
+   * Test Category: Reviewer Pseudonyms
+   * Reviews on anonymous-review venues come from per-paper pseudonyms registered with ring signatures
+   */
+  describe("Reviewer Pseudonyms", function () {
+    const paperId = 1;
+    const GENERATOR = { x: 1n, y: 2n };
+    // The client's ring signature module, so the tests sign exactly as reviewers' browsers do
+    let ringSignature;
+    let ringKeys;
+
+    before(async function () {
+      ringSignature = await import("../src/crypto/ringSignature.js");
+    });
 
-      const paper = await academicPeerReview.getPaper(paperId);
-      // Status should be either Accepted (2) or Rejected (3)
-      expect([2, 3]).to.include(paper.status);
+    /**
+     * Pseudonym account whose registration is ring-signed by the panel member at signerIndex
+     */
+    async function registerPseudonym(signerIndex) {
+      // Spare test accounts stand in for the fresh accounts reviewers would use
+      const pseudonym = (await ethers.getSigners())[6 + signerIndex];
+      const ring = (await academicPeerReview.getReviewRing(paperId)).map(([x, y]) => ({ x, y }));
+      const message = await academicPeerReview.pseudonymMessage(paperId, pseudonym.address);
+      const signature = ringSignature.signRing(message, paperId, ring, ringKeys[signerIndex].secret);
+      // Sent by an account unrelated to the panel
+      await academicPeerReview.connect(nonReviewer).registerPseudonym(paperId, pseudonym.address, signature);
+      return pseudonym;
+    }
+
+    beforeEach(async function () {
+      await academicPeerReview.connect(owner).setAnonymousReviews(VENUE_ID, true);
+      const panel = [reviewer1, reviewer2, reviewer3];
+      ringKeys = panel.map(() => ringSignature.deriveRingKey(ethers.Wallet.createRandom().privateKey));
+      for (let i = 0; i < panel.length; i++) {
+        await registerVerifiedReviewer(panel[i], "Peer Review");
+        const key = ringKeys[i].publicKey;
+        await academicPeerReview.connect(panel[i]).registerRingKey([key.x, key.y]);
+      }
+      await academicPeerReview.connect(author).submitPaper(VENUE_ID, "Paper", "Abstract", "QmHash", [], []);
+    });
+
+    it("Should lock the anonymous review setting once the venue has submissions", async function () {
+      await expect(
+        academicPeerReview.connect(author).setAnonymousReviews(VENUE_ID, false)
+      ).to.be.revertedWith("Not a venue chair");
+      await expect(
+        academicPeerReview.connect(owner).setAnonymousReviews(VENUE_ID, false)
+      ).to.be.revertedWith("Anonymous review setting locked");
+    });
+
+    it("Should register each reviewer's ring key once", async function () {
+      await expect(
+        academicPeerReview.connect(nonReviewer).registerRingKey([1, 2])
+      ).to.be.revertedWith("Reviewer not registered");
+      await expect(
+        academicPeerReview.connect(reviewer1).registerRingKey([1, 2])
+      ).to.be.revertedWith("Ring key already registered");
+
+      await academicPeerReview.connect(nonReviewer).registerReviewer("Peer Review");
+      await expect(
+        academicPeerReview.connect(nonReviewer).registerRingKey([1, 3])
+      ).to.be.revertedWith("Invalid ring key");
+      await expect(academicPeerReview.connect(nonReviewer).registerRingKey([1, 2]))
+        .to.emit(academicPeerReview, "RingKeyRegistered")
+        .withArgs(nonReviewer.address, 1, 2);
+    });
+
+    it("Should only assign reviewers with a ring key", async function () {
+      await registerVerifiedReviewer(nonReviewer, "Peer Review");
+      const panel = [reviewer1, reviewer2, nonReviewer].map((reviewer) => reviewer.address);
+      await academicPeerReview.connect(owner).addVenueReviewers(VENUE_ID, panel);
+
+      await expect(
+        academicPeerReview.connect(owner).assignReviewers(paperId, panel)
+      ).to.be.revertedWith("Reviewer has no ring key");
+    });
+
+    it("Should take reviews from pseudonyms instead of reviewer addresses", async function () {
+      await assignPanel(paperId);
+
+      await expect(commitReview(reviewer1, paperId, 8)).to.be.revertedWith("Not a registered pseudonym");
+
+      const pseudonyms = [];
+      for (let i = 0; i < 3; i++) {
+        pseudonyms.push(await registerPseudonym(i));
+      }
+      for (const pseudonym of pseudonyms) {
+        expect(await academicPeerReview.paperPseudonyms(paperId, pseudonym.address)).to.equal(true);
+      }
+
+      const salt = scoreSalt(pseudonyms[0], paperId);
+      await expect(
+        academicPeerReview
+          .connect(pseudonyms[0])
+          .submitReview(paperId, scoreCommitment(paperId, pseudonyms[0], 8, salt), commentsHash("Comments"))
+      )
+        .to.emit(academicPeerReview, "ReviewSubmitted")
+        .withArgs(paperId, pseudonyms[0].address);
+      await commitReview(pseudonyms[1], paperId, 7);
+      await commitReview(pseudonyms[2], paperId, 9);
+      expect((await academicPeerReview.getPaper(paperId)).isFinalized).to.equal(true);
+      // Crediting the reviewer would reveal who wrote the review
+      expect((await academicPeerReview.reviewers(reviewer1.address)).reviewsCompleted).to.equal(0);
+
+      await time.increase(REVIEW_PERIOD + 1);
+      for (const [index, score] of [8, 7, 9].entries()) {
+        await academicPeerReview
+          .connect(pseudonyms[index])
+          .revealReviewScore(paperId, score, scoreSalt(pseudonyms[index], paperId));
+      }
+      await expect(academicPeerReview.connect(author).requestScoreReveal(paperId))
+        .to.emit(academicPeerReview, "ScoreRevealed")
+        .withArgs(paperId, 8 * SCORE_PRECISION);
+    });
+
+    it("Should allow one pseudonym per reviewer and paper", async function () {
+      await assignPanel(paperId);
+      const ring = (await academicPeerReview.getReviewRing(paperId)).map(([x, y]) => ({ x, y }));
+      const pseudonym = ethers.Wallet.createRandom();
+      const message = await academicPeerReview.pseudonymMessage(paperId, pseudonym.address);
+      const signature = ringSignature.signRing(message, paperId, ring, ringKeys[1].secret);
+      const nullifier = ringSignature.keyImageNullifier(signature.keyImage);
+
+      await expect(academicPeerReview.registerPseudonym(paperId, pseudonym.address, signature))
+        .to.emit(academicPeerReview, "PseudonymRegistered")
+        .withArgs(paperId, pseudonym.address, nullifier);
+
+      const second = ethers.Wallet.createRandom();
+      const secondMessage = await academicPeerReview.pseudonymMessage(paperId, second.address);
+      const secondSignature = ringSignature.signRing(secondMessage, paperId, ring, ringKeys[1].secret);
+      await expect(
+        academicPeerReview.registerPseudonym(paperId, second.address, secondSignature)
+      ).to.be.revertedWith("Reviewer already has a pseudonym");
+    });
+
+    it("Should reject ring signatures not made by the panel", async function () {
+      await assignPanel(paperId);
+      const ring = (await academicPeerReview.getReviewRing(paperId)).map(([x, y]) => ({ x, y }));
+      const pseudonym = ethers.Wallet.createRandom();
+      const message = await academicPeerReview.pseudonymMessage(paperId, pseudonym.address);
+
+      // An outsider who swaps their own key into the ring
+      const outsider = ringSignature.deriveRingKey(ethers.Wallet.createRandom().privateKey);
+      const forgedRing = [outsider.publicKey, ring[1], ring[2]];
+      const forged = ringSignature.signRing(message, paperId, forgedRing, outsider.secret);
+      await expect(
+        academicPeerReview.registerPseudonym(paperId, pseudonym.address, forged)
+      ).to.be.revertedWith("Invalid ring signature");
+
+      // A valid signature for a different pseudonym
+      const other = ethers.Wallet.createRandom();
+      const signature = ringSignature.signRing(message, paperId, ring, ringKeys[0].secret);
+      await expect(
+        academicPeerReview.registerPseudonym(paperId, other.address, signature)
+      ).to.be.revertedWith("Invalid ring signature");
+    });
+
+    it("Should only register pseudonyms for papers under review on anonymous venues", async function () {
+      const pseudonym = ethers.Wallet.createRandom();
+      const emptySignature = { keyImage: GENERATOR, c0: 0, s: [] };
+      await expect(
+        academicPeerReview.registerPseudonym(paperId, pseudonym.address, emptySignature)
+      ).to.be.revertedWith("Paper not under review");
+
+      await academicPeerReview.connect(owner).createVenue("Workshop", [owner.address], 0, 0, 0, 0, 0);
+      await academicPeerReview.connect(author).submitPaper(2, "Paper", "Abstract", "QmHash", [], []);
+      await expect(
+        academicPeerReview.registerPseudonym(2, pseudonym.address, emptySignature)
+      ).to.be.revertedWith("Venue reviews are not anonymous");
+    });
+  });
+
+  /**
+   * Test Category: Gasless Reviews
+   * Reviews signed as EIP-712 typed data and submitted by a relayer
+   */
+  describe("Gasless Reviews", function () {
+    const paperId = 1;
+    const score = 8;
+    const REVIEW_TYPES = {
+      Review: [
+        { name: "paperId", type: "uint256" },
+        { name: "reviewer", type: "address" },
+        { name: "scoreCommitment", type: "bytes32" },
+        { name: "commentsHash", type: "bytes32" },
+        { name: "deadline", type: "uint256" }
+      ]
+    };
+    const REVEAL_TYPES = {
+      ScoreReveal: [
+        { name: "paperId", type: "uint256" },
+        { name: "reviewer", type: "address" },
+        { name: "scores", type: "uint8[]" },
+        { name: "salt", type: "bytes32" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+      ]
+    };
+    const UPDATE_TYPES = {
+      ScoreUpdate: [
+        { name: "paperId", type: "uint256" },
+        { name: "reviewer", type: "address" },
+        { name: "scoreCommitment", type: "bytes32" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+      ]
+    };
+    let relayer;
+
+    /**
+     * EIP-712 signature by `signer` over `value` in the contract's domain
+     */
+    async function signTyped(signer, types, value) {
+      const { chainId } = await ethers.provider.getNetwork();
+      const domain = {
+        name: "AcademicPeerReview",
+        version: "1",
+        chainId,
+        verifyingContract: await academicPeerReview.getAddress()
+      };
+      return ethers.Signature.from(await signer.signTypedData(domain, types, value));
+    }
+
+    /**
+     * Review signed by `signer` for `reviewer`, with its score commitment and a one hour deadline
+     */
+    async function signReview(signer, reviewer = signer) {
+      const review = {
+        paperId,
+        reviewer: reviewer.address,
+        scoreCommitment: scoreCommitment(paperId, reviewer, score, scoreSalt(reviewer, paperId)),
+        commentsHash: commentsHash("Comments"),
+        deadline: (await time.latest()) + 3600
+      };
+      return { review, signature: await signTyped(signer, REVIEW_TYPES, review) };
+    }
+
+    /**
+     * Reveal of `scores` signed by the reviewer with their next nonce and a one hour deadline
+     */
+    async function signReveal(reviewer, scores, salt = scoreSalt(reviewer, paperId)) {
+      const reveal = {
+        paperId,
+        reviewer: reviewer.address,
+        scores,
+        salt,
+        nonce: await academicPeerReview.nonces(reviewer.address),
+        deadline: (await time.latest()) + 3600
+      };
+      return { reveal, signature: await signTyped(reviewer, REVEAL_TYPES, reveal) };
+    }
+
+    /**
+     * Score update signed by the reviewer with their next nonce and a one hour deadline
+     */
+    async function signUpdate(reviewer, commitment) {
+      const update = {
+        paperId,
+        reviewer: reviewer.address,
+        scoreCommitment: commitment,
+        nonce: await academicPeerReview.nonces(reviewer.address),
+        deadline: (await time.latest()) + 3600
+      };
+      return { update, signature: await signTyped(reviewer, UPDATE_TYPES, update) };
+    }
+
+    function relay({ review, signature }) {
+      return academicPeerReview.connect(relayer).submitReviewBySig(
+        review.paperId,
+        review.reviewer,
+        review.scoreCommitment,
+        review.commentsHash,
+        review.deadline,
+        signature.v,
+        signature.r,
+        signature.s
+      );
+    }
+
+    function relayReveal({ reveal, signature }) {
+      return academicPeerReview.connect(relayer).revealReviewScoreBySig(
+        reveal.paperId,
+        reveal.reviewer,
+        reveal.scores,
+        reveal.salt,
+        reveal.deadline,
+        signature.v,
+        signature.r,
+        signature.s
+      );
+    }
+
+    function relayUpdate({ update, signature }) {
+      return academicPeerReview.connect(relayer).updateReviewBySig(
+        update.paperId,
+        update.reviewer,
+        update.scoreCommitment,
+        update.deadline,
+        signature.v,
+        signature.r,
+        signature.s
+      );
+    }
+
+    beforeEach(async function () {
+      relayer = nonReviewer;
+      await academicPeerReview.connect(author).submitPaper(VENUE_ID, "Paper", "Abstract", "QmHash", [], []);
+      await assignPanel(paperId);
+    });
+
+    it("Should use the standard EIP-712 domain", async function () {
+      const { chainId } = await ethers.provider.getNetwork();
+      expect(await academicPeerReview.domainSeparator()).to.equal(ethers.TypedDataEncoder.hashDomain({
+        name: "AcademicPeerReview",
+        version: "1",
+        chainId,
+        verifyingContract: await academicPeerReview.getAddress()
+      }));
+    });
+
+    it("Should file relayed reviews under the reviewer who signed them", async function () {
+      const signed = await signReview(reviewer1);
+      const balanceBefore = await ethers.provider.getBalance(reviewer1.address);
+
+      await expect(relay(signed))
+        .to.emit(academicPeerReview, "ReviewSubmitted")
+        .withArgs(paperId, reviewer1.address);
+
+      const review = await academicPeerReview.reviews(paperId, reviewer1.address);
+      expect(review.isSubmitted).to.equal(true);
+      expect(review.scoreCommitment).to.equal(signed.review.scoreCommitment);
+      expect((await academicPeerReview.reviewers(reviewer1.address)).reviewsCompleted).to.equal(1);
+      // The relayer paid the gas
+      expect(await ethers.provider.getBalance(reviewer1.address)).to.equal(balanceBefore);
+
+      // The reviewer reveals as usual
+      await time.increase(REVIEW_PERIOD + 1);
+      await academicPeerReview.connect(reviewer1).revealReviewScore(paperId, score, scoreSalt(reviewer1, paperId));
+      expect((await academicPeerReview.reviews(paperId, reviewer1.address)).isRevealed).to.equal(true);
+    });
+
+    it("Should reject signatures from anyone but the reviewer", async function () {
+      await expect(relay(await signReview(reviewer2, reviewer1))).to.be.revertedWith("Invalid signature");
+
+      const tampered = await signReview(reviewer1);
+      tampered.review.commentsHash = commentsHash("Other comments");
+      await expect(relay(tampered)).to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should reject expired and replayed signatures", async function () {
+      const signed = await signReview(reviewer1);
+      await relay(signed);
+      await expect(relay(signed)).to.be.revertedWith("Review already submitted");
+
+      const late = await signReview(reviewer2);
+      await time.increase(3601);
+      await expect(relay(late)).to.be.revertedWith("Signature expired");
+    });
+
+    it("Should apply the same checks as direct submissions", async function () {
+      await registerVerifiedReviewer(nonReviewer, "Peer Review");
+      await expect(relay(await signReview(nonReviewer))).to.be.revertedWith("Reviewer not in venue pool");
+    });
+
+    it("Should reveal relayed scores once per signed nonce", async function () {
+      await commitReview(reviewer1, paperId, score);
+      await time.increase(REVIEW_PERIOD + 1);
+      const balanceBefore = await ethers.provider.getBalance(reviewer1.address);
+
+      const signed = await signReveal(reviewer1, [score]);
+      await expect(relayReveal(signed))
+        .to.emit(academicPeerReview, "ReviewScoreRevealed")
+        .withArgs(paperId, reviewer1.address);
+
+      const review = await academicPeerReview.reviews(paperId, reviewer1.address);
+      expect(review.isRevealed).to.equal(true);
+      expect(review.score).to.equal(score);
+      expect(await academicPeerReview.nonces(reviewer1.address)).to.equal(1);
+      expect(await ethers.provider.getBalance(reviewer1.address)).to.equal(balanceBefore);
+
+      // The nonce was used, so the signature no longer matches
+      await expect(relayReveal(signed)).to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should check relayed reveals against the commitment", async function () {
+      await commitReview(reviewer1, paperId, score);
+      await expect(relayReveal(await signReveal(reviewer1, [score]))).to.be.revertedWith("Review period not ended");
+      await time.increase(REVIEW_PERIOD + 1);
+
+      await expect(relayReveal(await signReveal(reviewer1, [score - 1]))).to.be.revertedWith("Commitment mismatch");
+      await expect(relayReveal(await signReveal(reviewer1, [score, score]))).to.be.revertedWith("Score count mismatch");
+
+      const tampered = await signReveal(reviewer1, [score]);
+      tampered.reveal.scores = [score - 1];
+      await expect(relayReveal(tampered)).to.be.revertedWith("Invalid signature");
+      await expect(relayReveal(await signReveal(reviewer2, [score]))).to.be.revertedWith("Review not submitted");
+    });
+
+    it("Should relay score updates after the rebuttal and their reveals", async function () {
+      const REBUTTAL_PERIOD = 5 * 24 * 60 * 60;
+      const SCORE_UPDATE_PERIOD = 7 * 24 * 60 * 60;
+      await academicPeerReview.connect(owner).setRebuttalPeriod(VENUE_ID, REBUTTAL_PERIOD);
+      const panel = [reviewer1, reviewer2, reviewer3];
+      for (const reviewer of panel) {
+        await commitReview(reviewer, paperId, 6);
+      }
+      await time.increase(REVIEW_PERIOD + 1);
+      for (const reviewer of panel) {
+        await relayReveal(await signReveal(reviewer, [6]));
+      }
+      await academicPeerReview.connect(owner).openRebuttal(paperId);
+
+      const salt = ethers.id("round-2");
+      const updated = await signUpdate(reviewer1, scoreCommitment(paperId, reviewer1, 9, salt));
+      await expect(relayUpdate(updated)).to.be.revertedWith("Rebuttal period active");
+      await time.increase(REBUTTAL_PERIOD + 1);
+
+      const signed = await signUpdate(reviewer1, scoreCommitment(paperId, reviewer1, 9, salt));
+      await expect(relayUpdate(signed))
+        .to.emit(academicPeerReview, "ReviewScoreUpdated")
+        .withArgs(paperId, reviewer1.address, 2);
+      await expect(relayUpdate(signed)).to.be.revertedWith("Invalid signature");
+
+      await time.increase(SCORE_UPDATE_PERIOD);
+      await relayReveal(await signReveal(reviewer1, [9], salt));
+      const review = await academicPeerReview.reviews(paperId, reviewer1.address);
+      expect(review.round).to.equal(2);
+      expect(review.score).to.equal(9);
+      expect(await academicPeerReview.nonces(reviewer1.address)).to.equal(3);
     });
   });
 
@@ -487,19 +2828,437 @@ describe("AcademicPeerReview Contract", function () {
    * Tests role-based permissions and authorization
    * Chapter: access-control
    */
+  describe("Reviewer Reputation", function () {
+    const paperId = 1;
+    const TIMELINESS_POINTS = 10;
+    const AGREEMENT_POINTS = 10;
+    const DECAY_PERIOD = 90 * 24 * 60 * 60;
+    const REASON = { Timeliness: 0n, Agreement: 1n, Helpfulness: 2n, LateReview: 3n, MissedReview: 4n, Decay: 5n };
+
+    /**
+     * Have the panel review paper 1 with the given scores, submitting the first `submitCount`
+     * and revealing the first `revealCount`, then decide it with the venue's policy
+     */
+    async function reviewAndDecide(scores, { submitCount = scores.length, revealCount = submitCount } = {}) {
+      await academicPeerReview.connect(author).submitPaper(VENUE_ID, "Paper", "Abstract", "QmHash", [], []);
+      await assignPanel(paperId);
+
+      const panel = [reviewer1, reviewer2, reviewer3];
+      const salts = [];
+      for (let i = 0; i < submitCount; i++) {
+        salts.push(await commitReview(panel[i], paperId, scores[i]));
+      }
+      await time.increase(REVIEW_PERIOD + 1);
+      if (submitCount < panel.length) {
+        await academicPeerReview.finalizeAfterDeadline(paperId);
+      }
+      for (let i = 0; i < revealCount; i++) {
+        await academicPeerReview.connect(panel[i]).revealReviewScore(paperId, scores[i], salts[i]);
+      }
+      if (revealCount < submitCount) {
+        await time.increase(REVEAL_PERIOD);
+      }
+      await academicPeerReview.connect(author).requestScoreReveal(paperId);
+    }
+
+    /**
+     * Timeliness points the contract awards for a reviewer's review of paper 1: how early it
+     * came within the reviewer's window, from their assignment to their own deadline
+     */
+    async function timeliness(reviewer) {
+      const [assignment] = await academicPeerReview.queryFilter(
+        academicPeerReview.filters.ReviewerAssigned(paperId, reviewer.address)
+      );
+      const assignedAt = BigInt((await assignment.getBlock()).timestamp);
+      const deadline = await academicPeerReview.getReviewDeadline(paperId, reviewer.address);
+      const review = await academicPeerReview.reviews(paperId, reviewer.address);
+      return (BigInt(TIMELINESS_POINTS) * (deadline - review.timestamp)) / (deadline - assignedAt);
+    }
+
+    it("Should only settle decided papers, once", async function () {
+      await academicPeerReview.connect(author).submitPaper(VENUE_ID, "Paper", "Abstract", "QmHash", [], []);
+      await assignPanel(paperId);
+      await expect(academicPeerReview.settleReputation(paperId)).to.be.revertedWith("Paper not decided");
+      await expect(academicPeerReview.settleReputation(99)).to.be.revertedWith("Paper does not exist");
+    });
+
+    it("Should reward timely reviews that agree with the decision", async function () {
+      // Mean 7.33 accepts the paper; reviewer 3's 4 recommended rejection
+      await reviewAndDecide([9, 9, 4]);
+
+      await expect(academicPeerReview.connect(nonReviewer).settleReputation(paperId))
+        .to.emit(academicPeerReview, "ReputationSettled")
+        .withArgs(paperId)
+        .and.to.emit(academicPeerReview, "ReputationChanged")
+        .withArgs(reviewer1.address, paperId, REASON.Agreement, AGREEMENT_POINTS, 100n + (await timeliness(reviewer1)) + 10n);
+
+      expect(await academicPeerReview.reputationOf(reviewer2.address))
+        .to.equal(100n + (await timeliness(reviewer2)) + 10n);
+      expect(await academicPeerReview.reputationOf(reviewer3.address))
+        .to.equal(100n + (await timeliness(reviewer3)));
+      await expect(academicPeerReview.settleReputation(paperId)).to.be.revertedWith("Reputation already settled");
+    });
+
+    it("Should penalize missed and unrevealed reviews", async function () {
+      // Reviewer 3 never reviews and reviewer 2 never reveals; the quorum fallback decides on reviewer 1's 8
+      await reviewAndDecide([8, 8, 8], { submitCount: 2, revealCount: 1 });
+      await academicPeerReview.settleReputation(paperId);
+
+      expect(await academicPeerReview.reputationOf(reviewer3.address)).to.equal(80);
+      expect(await academicPeerReview.reputationOf(reviewer2.address))
+        .to.equal(100n + (await timeliness(reviewer2)) - 10n);
+
+      const history = await academicPeerReview.getReputationHistory(reviewer3.address);
+      expect(history.length).to.equal(1);
+      expect(history[0].paperId).to.equal(paperId);
+      expect(history[0].reason).to.equal(REASON.MissedReview);
+      expect(history[0].delta).to.equal(-20);
+      expect(history[0].reputation).to.equal(80);
+    });
+
+    it("Should time extended and backup reviews against their own deadlines", async function () {
+      const DAY = 24 * 60 * 60;
+      await academicPeerReview.connect(author).submitPaper(VENUE_ID, "Paper", "Abstract", "QmHash", [], []);
+      await assignPanel(paperId);
+      await registerVerifiedReviewer(nonReviewer, "Backup");
+      await academicPeerReview.connect(owner).addVenueReviewers(VENUE_ID, [nonReviewer.address]);
+
+      const paperDeadline = (await academicPeerReview.getPaper(paperId)).reviewDeadline;
+      const salt1 = await commitReview(reviewer1, paperId, 8);
+      await academicPeerReview.extendReviewerDeadline(paperId, reviewer3.address, paperDeadline + BigInt(5 * DAY));
+      await time.increase(REVIEW_PERIOD - 2 * DAY);
+      await academicPeerReview.reassignReview(paperId, reviewer2.address, nonReviewer.address, (await time.latest()) + 4 * DAY);
+
+      // Both review after the paper's deadline but before their own
+      await time.increase(3 * DAY);
+      const backupSalt = await commitReview(nonReviewer, paperId, 8);
+      const salt3 = await commitReview(reviewer3, paperId, 8);
+
+      await time.increaseTo(paperDeadline + BigInt(5 * DAY) + 1n);
+      await academicPeerReview.connect(reviewer1).revealReviewScore(paperId, 8, salt1);
+      await academicPeerReview.connect(nonReviewer).revealReviewScore(paperId, 8, backupSalt);
+      await academicPeerReview.connect(reviewer3).revealReviewScore(paperId, 8, salt3);
+      await academicPeerReview.connect(author).requestScoreReveal(paperId);
+      await academicPeerReview.settleReputation(paperId);
+
+      for (const reviewer of [nonReviewer, reviewer3]) {
+        const [change] = await academicPeerReview.getReputationHistory(reviewer.address);
+        expect(change.reason).to.equal(REASON.Timeliness);
+        expect(change.delta).to.be.greaterThan(0);
+        expect(change.delta).to.equal(await timeliness(reviewer));
+      }
+    });
+
+    it("Should let the author and chairs rate review helpfulness once each", async function () {
+      await expect(
+        academicPeerReview.connect(author).rateReview(paperId, reviewer1.address, 5)
+      ).to.be.revertedWith("Paper does not exist");
+      await reviewAndDecide([9, 9, 4]);
+
+      await expect(academicPeerReview.connect(author).rateReview(paperId, reviewer1.address, 5))
+        .to.emit(academicPeerReview, "ReviewRated")
+        .withArgs(paperId, reviewer1.address, author.address, 5)
+        .and.to.emit(academicPeerReview, "ReputationChanged")
+        .withArgs(reviewer1.address, paperId, REASON.Helpfulness, 10, 110);
+      await academicPeerReview.connect(owner).rateReview(paperId, reviewer1.address, 1);
+      expect(await academicPeerReview.reputationOf(reviewer1.address)).to.equal(100);
+      expect(await academicPeerReview.reviewRatedBy(paperId, reviewer1.address, author.address)).to.equal(true);
+
+      await expect(
+        academicPeerReview.connect(author).rateReview(paperId, reviewer1.address, 4)
+      ).to.be.revertedWith("Review already rated");
+      await expect(
+        academicPeerReview.connect(reviewer2).rateReview(paperId, reviewer1.address, 5)
+      ).to.be.revertedWith("Not the author or a venue chair");
+      await expect(
+        academicPeerReview.connect(author).rateReview(paperId, reviewer2.address, 6)
+      ).to.be.revertedWith("Invalid rating");
+      await expect(
+        academicPeerReview.connect(author).rateReview(paperId, nonReviewer.address, 3)
+      ).to.be.revertedWith("Review not submitted");
+    });
+
+    it("Should decay reputation back towards the initial reputation", async function () {
+      await reviewAndDecide([9, 9, 4]);
+      await academicPeerReview.connect(author).rateReview(paperId, reviewer1.address, 5); // 110
+
+      // One decay period moves 10% of the way back: 110 -> 109
+      await time.increase(DECAY_PERIOD);
+      expect(await academicPeerReview.reputationOf(reviewer1.address)).to.equal(109);
+      expect((await academicPeerReview.reviewers(reviewer1.address)).reputation).to.equal(110);
+
+      // The next change records the decay before applying itself
+      await academicPeerReview.connect(owner).rateReview(paperId, reviewer1.address, 4);
+      const history = await academicPeerReview.getReputationHistory(reviewer1.address);
+      expect(history.map((change) => change.reason)).to.deep.equal([REASON.Helpfulness, REASON.Decay, REASON.Helpfulness]);
+      expect(history.map((change) => change.reputation)).to.deep.equal([110n, 109n, 114n]);
+
+      // Long inactivity returns to the initial reputation exactly
+      await time.increase(DECAY_PERIOD * 40);
+      expect(await academicPeerReview.reputationOf(reviewer1.address)).to.equal(100);
+    });
+
+    it("Should keep decaying reputation that changes more often than every decay period", async function () {
+      const decayStep = (reputation) => reputation - (((reputation - 100n) * 10n + 99n) / 100n);
+      await reviewAndDecide([9, 9, 4]);
+      await academicPeerReview.connect(author).rateReview(paperId, reviewer1.address, 5); // 110
+
+      // A change two thirds into a period does not restart it: 110 -> 109 one period after the first change
+      await time.increase((DECAY_PERIOD * 2) / 3);
+      await academicPeerReview.connect(owner).rateReview(paperId, reviewer1.address, 3); // No points
+      await time.increase((DECAY_PERIOD * 2) / 3);
+      expect(await academicPeerReview.reputationOf(reviewer1.address)).to.equal(109);
+
+      // The second period ends two periods after the first change, not one after the latest
+      await academicPeerReview.settleReputation(paperId);
+      const settled = (await academicPeerReview.reviewers(reviewer1.address)).reputation;
+      await time.increase((DECAY_PERIOD * 2) / 3);
+      expect(await academicPeerReview.reputationOf(reviewer1.address)).to.equal(decayStep(settled));
+    });
+
+    it("Should list reviewers with their reputation for the leaderboard", async function () {
+      await reviewAndDecide([9, 9, 4]);
+      await academicPeerReview.settleReputation(paperId);
+
+      expect(await academicPeerReview.getReviewerCount()).to.equal(3);
+      const [addresses, reputations] = await academicPeerReview.getReviewerReputations(1, 10);
+      expect(addresses).to.deep.equal([reviewer2.address, reviewer3.address]);
+      expect(reputations).to.deep.equal([
+        await academicPeerReview.reputationOf(reviewer2.address),
+        await academicPeerReview.reputationOf(reviewer3.address)
+      ]);
+      expect((await academicPeerReview.getReviewerReputations(5, 10))[0]).to.deep.equal([]);
+    });
+  });
+
+  describe("Deadline Extensions", function () {
+    const paperId = 1;
+    const DAY = 24 * 60 * 60;
+    const MISSED_REVIEW_PENALTY = 20n;
+
+    beforeEach(async function () {
+      await academicPeerReview.connect(author).submitPaper(VENUE_ID, "Paper", "Abstract", "QmHash", [], []);
+      await assignPanel(paperId);
+    });
+
+    /**
+     * Make nonReviewer a verified reviewer in the default venue's pool, to stand in as a backup
+     */
+    async function addBackupReviewer() {
+      await registerVerifiedReviewer(nonReviewer, "Backup");
+      await academicPeerReview.connect(owner).addVenueReviewers(VENUE_ID, [nonReviewer.address]);
+    }
+
+    it("Should let chairs extend a paper's deadline for overdue reviews", async function () {
+      await time.increase(REVIEW_PERIOD + 1);
+      await expect(commitReview(reviewer1, paperId, 8)).to.be.revertedWith("Review period ended");
+
+      const newDeadline = (await time.latest()) + 7 * DAY;
+      await expect(academicPeerReview.connect(author).extendReviewDeadline(paperId, newDeadline))
+        .to.be.revertedWith("Not a venue chair");
+      await expect(academicPeerReview.extendReviewDeadline(paperId, (await time.latest()) + REVIEW_PERIOD + DAY))
+        .to.be.revertedWith("Deadline too far");
+      await expect(academicPeerReview.extendReviewDeadline(paperId, newDeadline))
+        .to.emit(academicPeerReview, "ReviewDeadlineExtended")
+        .withArgs(paperId, ethers.ZeroAddress, newDeadline);
+      await expect(academicPeerReview.extendReviewDeadline(paperId, newDeadline))
+        .to.be.revertedWith("Deadline must be later");
+
+      expect((await academicPeerReview.getPaper(paperId)).reviewDeadline).to.equal(newDeadline);
+      await commitReview(reviewer1, paperId, 8);
+      expect((await academicPeerReview.reviews(paperId, reviewer1.address)).isSubmitted).to.be.true;
+    });
+
+    it("Should give one reviewer more time and keep every score sealed until then", async function () {
+      const salt1 = await commitReview(reviewer1, paperId, 8);
+      await commitReview(reviewer2, paperId, 6);
+      const paperDeadline = (await academicPeerReview.getPaper(paperId)).reviewDeadline;
+      const reviewerDeadline = paperDeadline + BigInt(5 * DAY);
+
+      await expect(academicPeerReview.extendReviewerDeadline(paperId, reviewer1.address, reviewerDeadline))
+        .to.be.revertedWith("Review already submitted");
+      await expect(academicPeerReview.extendReviewerDeadline(paperId, nonReviewer.address, reviewerDeadline))
+        .to.be.revertedWith("Reviewer not assigned");
+      await expect(academicPeerReview.extendReviewerDeadline(paperId, reviewer3.address, reviewerDeadline))
+        .to.emit(academicPeerReview, "ReviewDeadlineExtended")
+        .withArgs(paperId, reviewer3.address, reviewerDeadline);
+
+      expect(await academicPeerReview.getReviewDeadline(paperId, reviewer3.address)).to.equal(reviewerDeadline);
+      expect(await academicPeerReview.getReviewDeadline(paperId, reviewer1.address)).to.equal(paperDeadline);
+
+      // Past the paper's deadline the panel's scores stay sealed for the late reviewer
+      await time.increaseTo(paperDeadline + 1n);
+      await expect(academicPeerReview.connect(reviewer1).revealReviewScore(paperId, 8, salt1))
+        .to.be.revertedWith("Review period not ended");
+      await commitReview(reviewer3, paperId, 7);
+
+      await time.increaseTo(reviewerDeadline + 1n);
+      await academicPeerReview.connect(reviewer1).revealReviewScore(paperId, 8, salt1);
+      await expect(academicPeerReview.extendReviewDeadline(paperId, (await time.latest()) + DAY))
+        .to.be.revertedWith("Reviews already finalized");
+    });
+
+    it("Should reassign an overdue review to a backup reviewer", async function () {
+      await addBackupReviewer();
+      await commitReview(reviewer1, paperId, 8);
+      await commitReview(reviewer2, paperId, 6);
+      await time.increase(REVIEW_PERIOD + 1);
+
+      const deadline = (await time.latest()) + 10 * DAY;
+      await expect(academicPeerReview.reassignReview(paperId, reviewer3.address, nonReviewer.address, deadline))
+        .to.emit(academicPeerReview, "ReviewReassigned")
+        .withArgs(paperId, reviewer3.address, nonReviewer.address, deadline)
+        .and.to.emit(academicPeerReview, "ReviewerAssigned")
+        .withArgs(paperId, nonReviewer.address);
+
+      // The replaced reviewer missed the deadline and loses the review
+      expect(await academicPeerReview.reputationOf(reviewer3.address)).to.equal(100n - MISSED_REVIEW_PENALTY);
+      expect(await academicPeerReview.getPaperReviewers(paperId))
+        .to.deep.equal([reviewer1.address, reviewer2.address, nonReviewer.address]);
+      expect(await academicPeerReview.getReviewerAssignments(reviewer3.address)).to.deep.equal([]);
+      expect(await academicPeerReview.getReviewerAssignments(nonReviewer.address)).to.deep.equal([paperId]);
+      expect(await academicPeerReview.isAssignedReviewer(paperId, reviewer3.address)).to.be.false;
+
+      // The backup's review completes the panel
+      await commitReview(nonReviewer, paperId, 7);
+      expect((await academicPeerReview.getPaper(paperId)).isFinalized).to.be.true;
+    });
+
+    it("Should not penalize reviewers replaced before their deadline", async function () {
+      await addBackupReviewer();
+      await academicPeerReview.reassignReview(paperId, reviewer3.address, nonReviewer.address, (await time.latest()) + DAY);
+
+      expect(await academicPeerReview.reputationOf(reviewer3.address)).to.equal(100);
+      expect(await academicPeerReview.getReputationHistory(reviewer3.address)).to.deep.equal([]);
+    });
+
+    it("Should only reassign to eligible backup reviewers", async function () {
+      const deadline = (await time.latest()) + DAY;
+      await expect(academicPeerReview.reassignReview(paperId, reviewer3.address, nonReviewer.address, deadline))
+        .to.be.revertedWith("Reviewer not verified");
+      await registerVerifiedReviewer(nonReviewer, "Backup");
+      await expect(academicPeerReview.reassignReview(paperId, reviewer3.address, nonReviewer.address, deadline))
+        .to.be.revertedWith("Reviewer not in venue pool");
+      await expect(academicPeerReview.reassignReview(paperId, reviewer3.address, reviewer2.address, deadline))
+        .to.be.revertedWith("Reviewer already assigned");
+
+      await academicPeerReview.connect(owner).addVenueReviewers(VENUE_ID, [nonReviewer.address]);
+      await academicPeerReview.connect(nonReviewer).declareReviewerConflicts("", [author.address]);
+      await expect(academicPeerReview.reassignReview(paperId, reviewer3.address, nonReviewer.address, deadline))
+        .to.be.revertedWith("Conflict: declared by the reviewer");
+
+      await commitReview(reviewer3, paperId, 7);
+      await expect(academicPeerReview.reassignReview(paperId, reviewer3.address, nonReviewer.address, deadline))
+        .to.be.revertedWith("Review already submitted");
+    });
+  });
+
   describe("Access Control", function () {
-    it("Should restrict owner-only functions", async function () {
+    it("Should restrict chair-only functions", async function () {
       await academicPeerReview.connect(reviewer1).registerReviewer("Crypto");
 
       await expect(
         academicPeerReview.connect(author).verifyReviewer(reviewer1.address)
-      ).to.be.revertedWith("Not the owner");
+      ).to.be.revertedWith("Not a chair");
     });
 
-    it("Should allow emergency withdrawal by owner only", async function () {
+    it("Should allow emergency withdrawal by admins only", async function () {
       await expect(
         academicPeerReview.connect(author).emergencyWithdraw()
-      ).to.be.revertedWith("Not the owner");
+      ).to.be.revertedWith("Missing role");
+    });
+
+    it("Should make venue chairs program chairs", async function () {
+      const PROGRAM_CHAIR_ROLE = await academicPeerReview.PROGRAM_CHAIR_ROLE();
+
+      await expect(
+        academicPeerReview.connect(owner).createVenue("Workshop", [nonReviewer.address], 0, 0, 0, 0, 0)
+      )
+        .to.emit(academicPeerReview, "RoleGranted")
+        .withArgs(PROGRAM_CHAIR_ROLE, nonReviewer.address, owner.address);
+      expect(await academicPeerReview.hasRole(PROGRAM_CHAIR_ROLE, nonReviewer.address)).to.equal(true);
+    });
+
+    it("Should let program chairs appoint area chairs who verify and assign reviewers", async function () {
+      const AREA_CHAIR_ROLE = await academicPeerReview.AREA_CHAIR_ROLE();
+      await academicPeerReview.connect(owner).grantRole(AREA_CHAIR_ROLE, nonReviewer.address);
+
+      await academicPeerReview.connect(author).submitPaper(VENUE_ID, "Paper", "Abstract", "QmHash", [], []);
+      const panel = [reviewer1, reviewer2, reviewer3];
+      for (const reviewer of panel) {
+        await academicPeerReview.connect(reviewer).registerReviewer("Cryptography");
+        await academicPeerReview.connect(nonReviewer).verifyReviewer(reviewer.address);
+      }
+      const addresses = panel.map((reviewer) => reviewer.address);
+      await academicPeerReview.connect(owner).addVenueReviewers(VENUE_ID, addresses);
+
+      await expect(academicPeerReview.connect(nonReviewer).assignReviewers(1, addresses))
+        .to.emit(academicPeerReview, "ReviewerAssigned")
+        .withArgs(1, reviewer1.address);
+    });
+
+    it("Should limit who can grant each role", async function () {
+      const ADMIN_ROLE = await academicPeerReview.ADMIN_ROLE();
+      const PROGRAM_CHAIR_ROLE = await academicPeerReview.PROGRAM_CHAIR_ROLE();
+      const AREA_CHAIR_ROLE = await academicPeerReview.AREA_CHAIR_ROLE();
+
+      await expect(
+        academicPeerReview.connect(author).grantRole(AREA_CHAIR_ROLE, author.address)
+      ).to.be.revertedWith("Not authorized to manage role");
+      // The owner chairs the default venue but program chairs cannot appoint admins or other program chairs
+      await academicPeerReview.connect(owner).grantRole(PROGRAM_CHAIR_ROLE, nonReviewer.address);
+      await expect(
+        academicPeerReview.connect(nonReviewer).grantRole(ADMIN_ROLE, nonReviewer.address)
+      ).to.be.revertedWith("Not authorized to manage role");
+      await expect(
+        academicPeerReview.connect(nonReviewer).grantRole(PROGRAM_CHAIR_ROLE, author.address)
+      ).to.be.revertedWith("Not authorized to manage role");
+      await expect(
+        academicPeerReview.connect(owner).grantRole(ethers.id("UNKNOWN_ROLE"), author.address)
+      ).to.be.revertedWith("Not authorized to manage role");
+    });
+
+    it("Should unverify reviewers when their role is revoked", async function () {
+      const REVIEWER_ROLE = await academicPeerReview.REVIEWER_ROLE();
+      await registerVerifiedReviewer(reviewer1, "Cryptography");
+
+      await expect(academicPeerReview.connect(owner).revokeRole(REVIEWER_ROLE, reviewer1.address))
+        .to.emit(academicPeerReview, "RoleRevoked")
+        .withArgs(REVIEWER_ROLE, reviewer1.address, owner.address);
+      expect((await academicPeerReview.reviewers(reviewer1.address)).isVerified).to.equal(false);
+    });
+
+    it("Should remove venue powers when the program chair role is revoked", async function () {
+      const PROGRAM_CHAIR_ROLE = await academicPeerReview.PROGRAM_CHAIR_ROLE();
+      await academicPeerReview.connect(owner).addVenueChair(VENUE_ID, nonReviewer.address);
+      await academicPeerReview.connect(owner).revokeRole(PROGRAM_CHAIR_ROLE, nonReviewer.address);
+
+      expect(await academicPeerReview.venueChairs(VENUE_ID, nonReviewer.address)).to.equal(true);
+      await expect(
+        academicPeerReview.connect(nonReviewer).setVenueActive(VENUE_ID, false)
+      ).to.be.revertedWith("Not a venue chair");
+    });
+
+    it("Should prevent admins from revoking their own admin role", async function () {
+      const ADMIN_ROLE = await academicPeerReview.ADMIN_ROLE();
+
+      await expect(
+        academicPeerReview.connect(owner).revokeRole(ADMIN_ROLE, owner.address)
+      ).to.be.revertedWith("Cannot revoke own admin role");
+    });
+
+    it("Should report every role held by an account", async function () {
+      await academicPeerReview.connect(author).submitPaper(VENUE_ID, "Paper", "Abstract", "QmHash", [], []);
+
+      const ownerRoles = await academicPeerReview.getRoles(owner.address);
+      expect(ownerRoles.isAdmin).to.equal(true);
+      expect(ownerRoles.isProgramChair).to.equal(true);
+      expect(ownerRoles.isAuthor).to.equal(false);
+
+      const authorRoles = await academicPeerReview.getRoles(author.address);
+      expect(authorRoles.isAuthor).to.equal(true);
+      expect(authorRoles.isAdmin).to.equal(false);
+      expect(authorRoles.isReviewer).to.equal(false);
     });
   });
 
@@ -510,9 +3269,9 @@ describe("AcademicPeerReview Contract", function () {
   describe("Query Functions", function () {
     beforeEach(async function () {
       // Setup test data
-      await academicPeerReview.connect(author).submitPaper("Paper 1", "Abstract 1", "Hash1");
-      await academicPeerReview.connect(author).submitPaper("Paper 2", "Abstract 2", "Hash2");
-      await academicPeerReview.connect(owner).submitPaper("Paper 3", "Abstract 3", "Hash3");
+      await academicPeerReview.connect(author).submitPaper(VENUE_ID, "Paper 1", "Abstract 1", "Hash1", [], []);
+      await academicPeerReview.connect(author).submitPaper(VENUE_ID, "Paper 2", "Abstract 2", "Hash2", [], []);
+      await academicPeerReview.connect(owner).submitPaper(VENUE_ID, "Paper 3", "Abstract 3", "Hash3", [], []);
     });
 
     it("Should get papers by author", async function () {
@@ -537,7 +3296,7 @@ describe("AcademicPeerReview Contract", function () {
     });
 
     it("Should get reviewer assignments", async function () {
-      await academicPeerReview.connect(reviewer1).registerReviewer("Crypto");
+      await registerVerifiedReviewer(reviewer1, "Crypto");
 
       const assignments = await academicPeerReview.getReviewerAssignments(reviewer1.address);
       expect(assignments.length).to.equal(0); // No assignments yet
@@ -556,24 +3315,24 @@ describe("AcademicPeerReview Contract", function () {
     });
 
     it("Should handle minimum valid score", async function () {
-      await academicPeerReview.connect(author).submitPaper("Paper", "Abstract", "Hash");
-      await academicPeerReview.connect(reviewer1).registerReviewer("Crypto");
-
-      const inputProof = ethers.keccak256(ethers.toUtf8Bytes("proof"));
+      await academicPeerReview.connect(author).submitPaper(VENUE_ID, "Paper", "Abstract", "Hash", [], []);
+      await assignPanel(1);
+      const salt = await commitReview(reviewer1, 1, MIN_SCORE);
+      await time.increase(REVIEW_PERIOD + 1);
 
       await expect(
-        academicPeerReview.connect(reviewer1).submitReview(1, MIN_SCORE, inputProof, "Comments")
+        academicPeerReview.connect(reviewer1).revealReviewScore(1, MIN_SCORE, salt)
       ).to.not.be.reverted;
     });
 
     it("Should handle maximum valid score", async function () {
-      await academicPeerReview.connect(author).submitPaper("Paper", "Abstract", "Hash");
-      await academicPeerReview.connect(reviewer1).registerReviewer("Crypto");
-
-      const inputProof = ethers.keccak256(ethers.toUtf8Bytes("proof"));
+      await academicPeerReview.connect(author).submitPaper(VENUE_ID, "Paper", "Abstract", "Hash", [], []);
+      await assignPanel(1);
+      const salt = await commitReview(reviewer1, 1, MAX_SCORE);
+      await time.increase(REVIEW_PERIOD + 1);
 
       await expect(
-        academicPeerReview.connect(reviewer1).submitReview(1, MAX_SCORE, inputProof, "Comments")
+        academicPeerReview.connect(reviewer1).revealReviewScore(1, MAX_SCORE, salt)
       ).to.not.be.reverted;
     });
   });
@@ -585,30 +3344,34 @@ describe("AcademicPeerReview Contract", function () {
   describe("Gas Optimization", function () {
     it("Should submit paper with reasonable gas cost", async function () {
       const tx = await academicPeerReview.connect(author).submitPaper(
+        VENUE_ID,
         "Test Paper",
         "Test Abstract",
-        "QmTestHash"
+        "QmTestHash",
+        [],
+        []
       );
       const receipt = await tx.wait();
 
-      // Gas should be under 200,000
-      expect(receipt.gasUsed).to.be.lessThan(200000n);
+      // Measured at about 309,000 for the paper struct, the author role, the first submission's
+      // settings lock and the submission and status events; the limit leaves a 5% margin
+      expect(receipt.gasUsed).to.be.lessThan(325000n);
     });
 
     it("Should submit review with reasonable gas cost", async function () {
-      await academicPeerReview.connect(author).submitPaper("Paper", "Abstract", "Hash");
-      await academicPeerReview.connect(reviewer1).registerReviewer("Crypto");
+      await academicPeerReview.connect(author).submitPaper(VENUE_ID, "Paper", "Abstract", "Hash", [], []);
+      await assignPanel(1);
 
       const tx = await academicPeerReview.connect(reviewer1).submitReview(
         1,
-        8,
-        ethers.keccak256(ethers.toUtf8Bytes("proof")),
-        "Comments"
+        scoreCommitment(1, reviewer1, 8, scoreSalt(reviewer1, 1)),
+        commentsHash("Comments")
       );
       const receipt = await tx.wait();
 
-      // Gas should be under 250,000
-      expect(receipt.gasUsed).to.be.lessThan(250000n);
+      // Measured at about 312,000 for the sealed review record, the commitment and comment lists
+      // and the conflict checks; the limit leaves a 5% margin
+      expect(receipt.gasUsed).to.be.lessThan(328000n);
     });
   });
 });
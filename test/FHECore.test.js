@@ -0,0 +1,132 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+/**
+ * @title FHECore Test Suite
+ * @notice Tests encrypted score arithmetic against the local mock backend, which tracks
+ *         plaintexts so results can be checked exactly
+ */
+describe("FHECore Contract", function () {
+  let fheCore;
+  let backend;
+  let chair;
+  let reviewer;
+  let outsider;
+
+  // Encrypt a value as `signer` and return its handle
+  async function encrypt(signer, value) {
+    const handle = await fheCore.connect(signer).encryptValue.staticCall(value);
+    await fheCore.connect(signer).encryptValue(value);
+    return handle;
+  }
+
+  // Run an aggregation as `signer` and return the result handle
+  async function aggregate(signer, method, ...args) {
+    const handle = await fheCore.connect(signer)[method].staticCall(...args);
+    await fheCore.connect(signer)[method](...args);
+    return handle;
+  }
+
+  beforeEach(async function () {
+    [chair, reviewer, outsider] = await ethers.getSigners();
+
+    const MockFHEBackend = await ethers.getContractFactory("MockFHEBackend");
+    backend = await MockFHEBackend.deploy();
+    await backend.waitForDeployment();
+
+    const FHECore = await ethers.getContractFactory("FHECore");
+    fheCore = await FHECore.deploy(await backend.getAddress());
+    await fheCore.waitForDeployment();
+  });
+
+  it("Should encrypt and decrypt values for their owner", async function () {
+    const handle = await encrypt(reviewer, 8);
+
+    expect(await fheCore.connect(reviewer).decryptValue(handle)).to.equal(8);
+    await expect(
+      fheCore.connect(outsider).decryptValue(handle)
+    ).to.be.revertedWith("Not allowed");
+  });
+
+  it("Should emit the new ciphertext handle", async function () {
+    const handle = await fheCore.connect(reviewer).encryptValue.staticCall(5);
+
+    await expect(fheCore.connect(reviewer).encryptValue(5))
+      .to.emit(fheCore, "ValueEncrypted")
+      .withArgs(handle, reviewer.address);
+  });
+
+  it("Should add and multiply the underlying plaintexts", async function () {
+    const a = await encrypt(chair, 7);
+    const b = await encrypt(chair, 6);
+
+    const total = await aggregate(chair, "homomorphicAdd", a, b);
+    const product = await aggregate(chair, "homomorphicMul", a, b);
+
+    expect(await fheCore.decryptValue(total)).to.equal(13);
+    expect(await fheCore.decryptValue(product)).to.equal(42);
+  });
+
+  it("Should compute the exact sum and scaled average of review scores", async function () {
+    const scores = [8, 7, 9, 6];
+    const handles = [];
+    for (const score of scores) {
+      handles.push(await encrypt(chair, score));
+    }
+
+    const total = await aggregate(chair, "sum", handles);
+    const average = await aggregate(chair, "average", handles);
+
+    expect(await fheCore.decryptValue(total)).to.equal(30);
+    expect(await fheCore.decryptValue(average)).to.equal(750);
+  });
+
+  it("Should round the average down like integer division", async function () {
+    const handles = [await encrypt(chair, 8), await encrypt(chair, 7), await encrypt(chair, 8)];
+
+    const average = await aggregate(chair, "average", handles);
+
+    expect(await fheCore.decryptValue(average)).to.equal(766);
+  });
+
+  it("Should only let allowed accounts compute on or share ciphertexts", async function () {
+    const score = await encrypt(reviewer, 9);
+    const own = await encrypt(chair, 1);
+
+    await expect(
+      fheCore.connect(chair).homomorphicAdd(own, score)
+    ).to.be.revertedWith("Not allowed");
+    await expect(
+      fheCore.connect(chair).sum([own, score])
+    ).to.be.revertedWith("Not allowed");
+    await expect(
+      fheCore.connect(outsider).allow(score, outsider.address)
+    ).to.be.revertedWith("Not allowed");
+
+    await fheCore.connect(reviewer).allow(score, chair.address);
+    const total = await aggregate(chair, "homomorphicAdd", own, score);
+    expect(await fheCore.connect(chair).decryptValue(total)).to.equal(10);
+    expect(await fheCore.connect(chair).decryptValue(score)).to.equal(9);
+  });
+
+  it("Should reject empty aggregations", async function () {
+    await expect(fheCore.sum([])).to.be.revertedWith("No values to aggregate");
+    await expect(fheCore.average([])).to.be.revertedWith("No values to aggregate");
+  });
+
+  it("Should keep the mock backend's access list for direct callers", async function () {
+    const handle = await backend.connect(reviewer).encrypt.staticCall(4);
+    await backend.connect(reviewer).encrypt(4);
+
+    expect(await backend.connect(reviewer).decrypt(handle)).to.equal(4);
+    await expect(
+      backend.connect(outsider).decrypt(handle)
+    ).to.be.revertedWith("Not allowed");
+    await expect(
+      backend.connect(reviewer).divScalar(handle, 0)
+    ).to.be.revertedWith("Division by zero");
+    await expect(
+      backend.decrypt(ethers.ZeroHash)
+    ).to.be.revertedWith("Ciphertext not found");
+  });
+});
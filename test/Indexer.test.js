@@ -0,0 +1,142 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { openDatabase, createIndexer, createRoutes } = require("../scripts/indexer");
+
+/**
+ * @title Indexer Test Suite
+ * @notice Indexes AcademicPeerReview events on the Hardhat network into an in-memory database
+ *         and reads them back through the indexer's routes, including after a reorg
+ */
+describe("Indexer", function () {
+  const SUBMITTED = 0;
+  const UNDER_REVIEW = 1;
+  const VENUE_ID = 1;
+
+  let academicPeerReview;
+  let owner;
+  let author;
+  let reviewer1;
+  let reviewer2;
+  let reviewer3;
+  let reviewer4;
+  let db;
+  let indexer;
+  let routes;
+
+  /**
+   * Answer a GET request the way the indexer's server does
+   */
+  function query(path) {
+    const url = new URL(path, "http://localhost");
+    const [pattern, handler] = routes.find(([candidate]) => candidate.test(url.pathname));
+    return handler(url.searchParams, pattern.exec(url.pathname));
+  }
+
+  async function submitPaper(title) {
+    await academicPeerReview.connect(author).submitPaper(VENUE_ID, title, "Abstract", "QmHash", [], []);
+  }
+
+  async function assign(paperId, panel) {
+    await academicPeerReview.connect(owner).assignReviewers(paperId, panel.map((reviewer) => reviewer.address));
+  }
+
+  const addresses = (panel) => panel.map((reviewer) => reviewer.address.toLowerCase());
+
+  beforeEach(async function () {
+    [owner, author, reviewer1, reviewer2, reviewer3, reviewer4] = await ethers.getSigners();
+
+    const Reputation = await ethers.getContractFactory("AcademicPeerReviewReputation");
+    const reputation = await Reputation.deploy();
+    const Submissions = await ethers.getContractFactory("AcademicPeerReviewSubmissions");
+    const submissions = await Submissions.deploy(await reputation.getAddress());
+    const Extension = await ethers.getContractFactory("AcademicPeerReviewExtension");
+    const extension = await Extension.deploy(await submissions.getAddress());
+    const AcademicPeerReview = await ethers.getContractFactory("AcademicPeerReview");
+    academicPeerReview = await AcademicPeerReview.deploy(await extension.getAddress());
+    await academicPeerReview.waitForDeployment();
+
+    await academicPeerReview.createVenue("Main Track", [owner.address], 0, 0, 0, 0, 0);
+    const pool = [reviewer1, reviewer2, reviewer3, reviewer4];
+    for (const reviewer of pool) {
+      await academicPeerReview.connect(reviewer).registerReviewer("Peer Review");
+      await academicPeerReview.verifyReviewer(reviewer.address);
+    }
+    await academicPeerReview.addVenueReviewers(VENUE_ID, pool.map((reviewer) => reviewer.address));
+
+    const { chainId } = await ethers.provider.getNetwork();
+    const contract = academicPeerReview.connect(ethers.provider);
+    db = openDatabase(chainId, contract.target, ":memory:");
+    indexer = createIndexer(db, contract, 0);
+    routes = createRoutes(db, indexer, chainId, contract);
+  });
+
+  afterEach(function () {
+    db.close();
+  });
+
+  it("Should index papers, panels and reviews up to the chain head", async function () {
+    await submitPaper("Indexed Paper");
+    await assign(1, [reviewer1, reviewer2, reviewer3]);
+    await academicPeerReview.connect(reviewer1).submitReview(1, ethers.id("commitment"), ethers.id("comments"));
+    await indexer.sync();
+
+    expect(query("/status").indexedBlock).to.equal(await ethers.provider.getBlockNumber());
+
+    const paper = query("/papers/1");
+    expect(paper.title).to.equal("Indexed Paper");
+    expect(paper.author).to.equal(author.address.toLowerCase());
+    expect(paper.status).to.equal(UNDER_REVIEW);
+    expect(paper.reviewCount).to.equal(1);
+    expect(paper.reviewers).to.have.members(addresses([reviewer1, reviewer2, reviewer3]));
+    expect(paper.timeline.map((event) => event.name)).to.deep.equal([
+      "PaperSubmitted",
+      "PaperStatusChanged",
+      "ReviewerAssigned",
+      "ReviewerAssigned",
+      "ReviewerAssigned",
+      "PaperStatusChanged",
+      "ReviewSubmitted"
+    ]);
+
+    expect(query(`/papers?reviewer=${reviewer1.address}`).total).to.equal(1);
+    expect(query(`/papers?reviewer=${reviewer4.address}`).total).to.equal(0);
+    expect(query("/papers?q=Indexed").total).to.equal(1);
+    expect(query("/reviewers").reviewers.map((reviewer) => reviewer.assignments)).to.deep.equal([1, 1, 1, 0]);
+  });
+
+  it("Should take each paper's starting status from its events", async function () {
+    await submitPaper("Strict Paper");
+    await academicPeerReview.setStrictAssignment(false);
+    await submitPaper("Open Paper");
+    await indexer.sync();
+
+    expect(query("/papers/1").status).to.equal(SUBMITTED);
+    expect(query("/papers/2").status).to.equal(UNDER_REVIEW);
+    expect(query(`/papers?status=${SUBMITTED}`).papers.map((paper) => paper.title)).to.deep.equal(["Strict Paper"]);
+  });
+
+  it("Should roll back and rebuild papers replaced by a reorg", async function () {
+    await submitPaper("Kept Paper");
+    await indexer.sync();
+    const snapshot = await network.provider.send("evm_snapshot");
+
+    await assign(1, [reviewer1, reviewer2, reviewer3]);
+    await submitPaper("Orphaned Paper");
+    await indexer.sync();
+    expect(query("/papers/1").reviewers).to.have.members(addresses([reviewer1, reviewer2, reviewer3]));
+    expect(query("/papers").total).to.equal(2);
+
+    // The chain forks below the indexed head: the same heights now hold other blocks
+    await network.provider.send("evm_revert", [snapshot]);
+    await assign(1, [reviewer2, reviewer3, reviewer4]);
+    await submitPaper("Replacement Paper");
+    await indexer.sync();
+
+    expect(query("/papers/1").reviewers).to.have.members(addresses([reviewer2, reviewer3, reviewer4]));
+    expect(query("/papers/2").title).to.equal("Replacement Paper");
+    expect(query("/papers").total).to.equal(2);
+    expect(query(`/events?account=${reviewer1.address}`).events.map((event) => event.name))
+      .to.deep.equal(["ReviewerVerified"]);
+    expect(query("/status").indexedBlock).to.equal(await ethers.provider.getBlockNumber());
+  });
+});
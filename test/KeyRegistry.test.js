@@ -0,0 +1,53 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+/**
+ * @title KeyRegistry Test Suite
+ * @notice Tests the on-chain registry of review encryption public keys
+ */
+describe("KeyRegistry Contract", function () {
+  let keyRegistry;
+  let author;
+  let chair;
+
+  beforeEach(async function () {
+    [author, chair] = await ethers.getSigners();
+
+    const KeyRegistry = await ethers.getContractFactory("KeyRegistry");
+    keyRegistry = await KeyRegistry.deploy();
+    await keyRegistry.waitForDeployment();
+  });
+
+  it("Should register a compressed public key", async function () {
+    const publicKey = ethers.Wallet.createRandom().signingKey.compressedPublicKey;
+
+    await expect(keyRegistry.connect(author).registerPublicKey(publicKey))
+      .to.emit(keyRegistry, "PublicKeyRegistered")
+      .withArgs(author.address, publicKey);
+
+    expect(await keyRegistry.getPublicKey(author.address)).to.equal(publicKey);
+    expect(await keyRegistry.hasPublicKey(author.address)).to.equal(true);
+    expect(await keyRegistry.hasPublicKey(chair.address)).to.equal(false);
+  });
+
+  it("Should let accounts rotate their key", async function () {
+    const first = ethers.Wallet.createRandom().signingKey.compressedPublicKey;
+    const second = ethers.Wallet.createRandom().signingKey.compressedPublicKey;
+
+    await keyRegistry.connect(chair).registerPublicKey(first);
+    await keyRegistry.connect(chair).registerPublicKey(second);
+
+    expect(await keyRegistry.getPublicKey(chair.address)).to.equal(second);
+  });
+
+  it("Should reject malformed public keys", async function () {
+    const uncompressed = ethers.Wallet.createRandom().signingKey.publicKey;
+
+    await expect(
+      keyRegistry.connect(author).registerPublicKey(uncompressed)
+    ).to.be.revertedWith("Invalid public key length");
+    await expect(
+      keyRegistry.connect(author).registerPublicKey("0x04" + "11".repeat(32))
+    ).to.be.revertedWith("Invalid public key prefix");
+  });
+});
@@ -0,0 +1,193 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { ROUTES } = require("../scripts/relayer");
+
+/**
+ * @title Relayer Test Suite
+ * @notice Sends signed requests, as the frontend posts them, through the relayer's routes
+ */
+describe("Relayer", function () {
+  const VENUE_ID = 1;
+  const REVIEW_PERIOD = 30 * 24 * 60 * 60;
+  const paperId = 1;
+  const score = 8;
+  const salt = ethers.id("salt");
+
+  let academicPeerReview;
+  let owner;
+  let author;
+  let relayer;
+  let panel;
+
+  /**
+   * EIP-712 signature by `signer` over `value`, in the frontend's format
+   */
+  async function sign(signer, types, value) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const domain = {
+      name: "AcademicPeerReview",
+      version: "1",
+      chainId,
+      verifyingContract: academicPeerReview.target
+    };
+    return signer.signTypedData(domain, types, value);
+  }
+
+  /**
+   * Relay a request body the way the server does: parse it as JSON, dry-run the call, then send it
+   */
+  async function post(path, body) {
+    const [method, args] = ROUTES[path](academicPeerReview.connect(relayer), JSON.parse(JSON.stringify(body)));
+    await method.staticCall(...args);
+    return method(...args);
+  }
+
+  const commitment = (reviewer, value, valueSalt) => ethers.solidityPackedKeccak256(
+    ["uint256", "address", "uint8", "bytes32"],
+    [paperId, reviewer.address, value, valueSalt]
+  );
+
+  beforeEach(async function () {
+    let reviewers;
+    [owner, author, relayer, ...reviewers] = await ethers.getSigners();
+    panel = reviewers.slice(0, 3);
+
+    const Reputation = await ethers.getContractFactory("AcademicPeerReviewReputation");
+    const reputation = await Reputation.deploy();
+    const Submissions = await ethers.getContractFactory("AcademicPeerReviewSubmissions");
+    const submissions = await Submissions.deploy(await reputation.getAddress());
+    const Extension = await ethers.getContractFactory("AcademicPeerReviewExtension");
+    const extension = await Extension.deploy(await submissions.getAddress());
+    const AcademicPeerReview = await ethers.getContractFactory("AcademicPeerReview");
+    const deployed = await AcademicPeerReview.deploy(await extension.getAddress());
+
+    // The relayer calls the delegated contracts' functions at the main contract's address
+    const delegated = (factory) => factory.interface.fragments.filter(
+      (fragment) => fragment.type !== "constructor" && fragment.type !== "fallback"
+    );
+    academicPeerReview = new ethers.Contract(
+      await deployed.getAddress(),
+      [...AcademicPeerReview.interface.fragments, ...delegated(Extension), ...delegated(Submissions), ...delegated(Reputation)],
+      owner
+    );
+
+    await academicPeerReview.createVenue("Main Track", [owner.address], 0, 0, 0, 0, 0);
+    for (const reviewer of panel) {
+      await academicPeerReview.connect(reviewer).registerReviewer("Peer Review");
+      await academicPeerReview.verifyReviewer(reviewer.address);
+    }
+    await academicPeerReview.addVenueReviewers(VENUE_ID, panel.map((reviewer) => reviewer.address));
+    await academicPeerReview.connect(author).submitPaper(VENUE_ID, "Paper", "Abstract", "QmHash", [], []);
+    await academicPeerReview.assignReviewers(paperId, panel.map((reviewer) => reviewer.address));
+  });
+
+  it("Should relay signed reviews and reveals", async function () {
+    const [reviewer] = panel;
+    const review = {
+      paperId,
+      reviewer: reviewer.address,
+      scoreCommitment: commitment(reviewer, score, salt),
+      commentsHash: ethers.id("comments"),
+      deadline: (await time.latest()) + 3600
+    };
+    const reviewSignature = await sign(reviewer, {
+      Review: [
+        { name: "paperId", type: "uint256" },
+        { name: "reviewer", type: "address" },
+        { name: "scoreCommitment", type: "bytes32" },
+        { name: "commentsHash", type: "bytes32" },
+        { name: "deadline", type: "uint256" }
+      ]
+    }, review);
+    await expect(post("/reviews", { ...review, signature: reviewSignature }))
+      .to.emit(academicPeerReview, "ReviewSubmitted")
+      .withArgs(paperId, reviewer.address);
+
+    await time.increase(REVIEW_PERIOD + 1);
+    const reveal = {
+      paperId,
+      reviewer: reviewer.address,
+      scores: [score],
+      salt,
+      nonce: (await academicPeerReview.nonces(reviewer.address)).toString(),
+      deadline: (await time.latest()) + 3600
+    };
+    const revealSignature = await sign(reviewer, {
+      ScoreReveal: [
+        { name: "paperId", type: "uint256" },
+        { name: "reviewer", type: "address" },
+        { name: "scores", type: "uint8[]" },
+        { name: "salt", type: "bytes32" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+      ]
+    }, reveal);
+    await expect(post("/reveals", { ...reveal, signature: revealSignature }))
+      .to.emit(academicPeerReview, "ReviewScoreRevealed")
+      .withArgs(paperId, reviewer.address);
+    expect((await academicPeerReview.reviews(paperId, reviewer.address)).score).to.equal(score);
+  });
+
+  it("Should relay signed score updates", async function () {
+    const REBUTTAL_PERIOD = 24 * 60 * 60;
+    await academicPeerReview.setRebuttalPeriod(VENUE_ID, REBUTTAL_PERIOD);
+    for (const reviewer of panel) {
+      await academicPeerReview.connect(reviewer).submitReview(paperId, commitment(reviewer, 6, salt), ethers.id("comments"));
+    }
+    await time.increase(REVIEW_PERIOD + 1);
+    for (const reviewer of panel) {
+      await academicPeerReview.connect(reviewer).revealReviewScore(paperId, 6, salt);
+    }
+    await academicPeerReview.openRebuttal(paperId);
+    await time.increase(REBUTTAL_PERIOD + 1);
+
+    const [reviewer] = panel;
+    const update = {
+      paperId,
+      reviewer: reviewer.address,
+      scoreCommitment: commitment(reviewer, score, ethers.id("round-2")),
+      nonce: "0",
+      deadline: (await time.latest()) + 3600
+    };
+    const signature = await sign(reviewer, {
+      ScoreUpdate: [
+        { name: "paperId", type: "uint256" },
+        { name: "reviewer", type: "address" },
+        { name: "scoreCommitment", type: "bytes32" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+      ]
+    }, update);
+    await expect(post("/score-updates", { ...update, signature }))
+      .to.emit(academicPeerReview, "ReviewScoreUpdated")
+      .withArgs(paperId, reviewer.address, 2);
+
+    // A replayed request fails the dry run, so the relayer refuses it without paying gas
+    await expect(post("/score-updates", { ...update, signature })).to.be.revertedWith("Invalid signature");
+  });
+
+  it("Should relay blind submissions from its own account", async function () {
+    await academicPeerReview.createVenue("Blind Track", [owner.address], 0, 0, 0, 0, 0);
+    await academicPeerReview.setDoubleBlind(2, true);
+
+    const authorSalt = ethers.id("author-salt");
+    const submission = {
+      venueId: 2,
+      title: "Blind Paper",
+      abstractText: "Abstract",
+      ipfsHash: "QmBlind",
+      authorCommitment: await academicPeerReview.computeAuthorCommitment(author.address, authorSalt),
+      authorKey: new ethers.SigningKey(ethers.id("author-key")).compressedPublicKey,
+      conflictHashes: [ethers.solidityPackedKeccak256(["address"], [author.address])],
+      conflictedAddresses: [],
+      conflictedInstitutions: []
+    };
+    const tx = await post("/papers", submission);
+    await expect(tx)
+      .to.emit(academicPeerReview, "PaperSubmitted")
+      .withArgs(2, ethers.ZeroAddress, "Blind Paper");
+    expect(tx.from).to.equal(relayer.address);
+    expect(await academicPeerReview.authorCommitments(2)).to.equal(submission.authorCommitment);
+  });
+});